@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "needsReconsent" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,27 @@
+-- CreateEnum
+CREATE TYPE "AccountType" AS ENUM ('google', 'imap');
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "accountType" "AccountType" NOT NULL DEFAULT 'google';
+
+-- CreateTable
+CREATE TABLE "imap_accounts" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "imapHost" TEXT NOT NULL,
+    "imapPort" INTEGER NOT NULL DEFAULT 993,
+    "imapSecure" BOOLEAN NOT NULL DEFAULT true,
+    "smtpHost" TEXT NOT NULL,
+    "smtpPort" INTEGER NOT NULL DEFAULT 465,
+    "smtpSecure" BOOLEAN NOT NULL DEFAULT true,
+    "username" TEXT NOT NULL,
+    "password" TEXT NOT NULL,
+    "allowSelfSigned" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "imap_accounts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "imap_accounts_userId_key" ON "imap_accounts"("userId");
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "mail_accounts" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "name" TEXT,
+    "accessToken" TEXT,
+    "refreshToken" TEXT,
+    "tokenExpiry" TIMESTAMP(3),
+    "gmailHistoryId" TEXT,
+    "needsReconsent" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "mail_accounts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "mail_accounts_email_idx" ON "mail_accounts"("email");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "mail_accounts_userId_email_key" ON "mail_accounts"("userId", "email");
@@ -0,0 +1,55 @@
+-- CreateTable
+CREATE TABLE "mirrored_messages" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL,
+    "gmailId" TEXT NOT NULL,
+    "threadId" TEXT NOT NULL,
+    "historyId" TEXT,
+    "from" TEXT,
+    "to" TEXT,
+    "cc" TEXT,
+    "bcc" TEXT,
+    "subject" TEXT,
+    "date" TEXT,
+    "snippet" TEXT,
+    "textBody" TEXT,
+    "htmlBody" TEXT,
+    "labelIds" TEXT[],
+    "attachments" JSONB NOT NULL DEFAULT '[]',
+    "hasAttachment" BOOLEAN NOT NULL DEFAULT false,
+    "fromMe" BOOLEAN NOT NULL DEFAULT false,
+    "internalDate" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "mirrored_messages_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "mailbox_syncs" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL,
+    "historyId" TEXT,
+    "isStale" BOOLEAN NOT NULL DEFAULT true,
+    "lastSyncedAt" TIMESTAMP(3),
+    "lastFullSyncAt" TIMESTAMP(3),
+    "lastError" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "mailbox_syncs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "mirrored_messages_userId_accountId_threadId_idx" ON "mirrored_messages"("userId", "accountId", "threadId");
+
+-- CreateIndex
+CREATE INDEX "mirrored_messages_userId_accountId_internalDate_idx" ON "mirrored_messages"("userId", "accountId", "internalDate");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "mirrored_messages_userId_accountId_gmailId_key" ON "mirrored_messages"("userId", "accountId", "gmailId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "mailbox_syncs_userId_accountId_key" ON "mailbox_syncs"("userId", "accountId");
@@ -0,0 +1,47 @@
+-- Full-text search vectors ('simple' config: mail is multilingual, so no stemming)
+
+-- AlterTable
+ALTER TABLE "mirrored_messages" ADD COLUMN "searchVector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', coalesce("subject", '')), 'A') ||
+    setweight(to_tsvector('simple', coalesce("from", '')), 'B') ||
+    setweight(to_tsvector('simple', left(coalesce("textBody", regexp_replace("htmlBody", '<[^>]+>', ' ', 'g'), "snippet", ''), 200000)), 'C')
+) STORED;
+
+-- AlterTable
+ALTER TABLE "ai_summarys" ADD COLUMN "searchVector" tsvector GENERATED ALWAYS AS (
+    to_tsvector('simple', coalesce("summary", ''))
+) STORED;
+
+-- AlterTable
+ALTER TABLE "tasks" ADD COLUMN "searchVector" tsvector GENERATED ALWAYS AS (
+    to_tsvector('simple', coalesce("task", ''))
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "mirrored_messages_searchVector_idx" ON "mirrored_messages" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "ai_summarys_searchVector_idx" ON "ai_summarys" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "tasks_searchVector_idx" ON "tasks" USING GIN ("searchVector");
+
+-- CreateTable
+CREATE TABLE "search_embeddings" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "sourceType" TEXT NOT NULL,
+    "sourceId" TEXT NOT NULL,
+    "model" TEXT NOT NULL,
+    "vector" DOUBLE PRECISION[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "search_embeddings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "search_embeddings_userId_model_idx" ON "search_embeddings"("userId", "model");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "search_embeddings_sourceType_sourceId_model_key" ON "search_embeddings"("sourceType", "sourceId", "model");
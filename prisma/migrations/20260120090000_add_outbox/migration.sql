@@ -0,0 +1,34 @@
+-- CreateEnum
+CREATE TYPE "OutboxStatus" AS ENUM ('scheduled', 'sending', 'sent', 'failed', 'cancelled');
+
+-- CreateTable
+CREATE TABLE "outbox" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL DEFAULT 'primary',
+    "to" TEXT NOT NULL,
+    "cc" TEXT,
+    "bcc" TEXT,
+    "subject" TEXT NOT NULL,
+    "body" TEXT NOT NULL,
+    "text" TEXT,
+    "gmailId" TEXT,
+    "attachments" JSONB,
+    "sendAt" TIMESTAMP(3) NOT NULL,
+    "status" "OutboxStatus" NOT NULL DEFAULT 'scheduled',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lastError" TEXT,
+    "sentMessageId" TEXT,
+    "sentThreadId" TEXT,
+    "sentAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "outbox_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "outbox_status_sendAt_idx" ON "outbox"("status", "sendAt");
+
+-- CreateIndex
+CREATE INDEX "outbox_userId_status_idx" ON "outbox"("userId", "status");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "outbox" ADD COLUMN "botId" TEXT;
+
+-- AlterTable
+ALTER TABLE "bots" ADD COLUMN "replyHoldSeconds" INTEGER NOT NULL DEFAULT 0;
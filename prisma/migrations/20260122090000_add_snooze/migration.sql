@@ -0,0 +1,34 @@
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'email';
+
+-- CreateEnum
+CREATE TYPE "SnoozeStatus" AS ENUM ('snoozed', 'woken', 'cancelled');
+
+-- AlterTable
+ALTER TABLE "notifications" ADD COLUMN "gmailId" TEXT;
+
+-- CreateTable
+CREATE TABLE "snoozes" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL DEFAULT 'primary',
+    "threadId" TEXT,
+    "gmailIds" TEXT[],
+    "labelId" TEXT,
+    "subject" TEXT,
+    "from" TEXT,
+    "snoozeUntil" TIMESTAMP(3) NOT NULL,
+    "status" "SnoozeStatus" NOT NULL DEFAULT 'snoozed',
+    "wokeAt" TIMESTAMP(3),
+    "lastError" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "snoozes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "snoozes_status_snoozeUntil_idx" ON "snoozes"("status", "snoozeUntil");
+
+-- CreateIndex
+CREATE INDEX "snoozes_userId_status_idx" ON "snoozes"("userId", "status");
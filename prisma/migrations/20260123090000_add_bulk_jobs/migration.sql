@@ -0,0 +1,32 @@
+-- CreateEnum
+CREATE TYPE "BulkJobStatus" AS ENUM ('queued', 'running', 'completed', 'failed');
+
+-- CreateTable
+CREATE TABLE "bulk_jobs" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL DEFAULT 'primary',
+    "action" TEXT NOT NULL,
+    "labelId" TEXT,
+    "query" TEXT NOT NULL,
+    "messageIds" TEXT[],
+    "status" "BulkJobStatus" NOT NULL DEFAULT 'queued',
+    "total" INTEGER,
+    "processed" INTEGER NOT NULL DEFAULT 0,
+    "succeeded" INTEGER NOT NULL DEFAULT 0,
+    "failed" INTEGER NOT NULL DEFAULT 0,
+    "errors" JSONB,
+    "lastError" TEXT,
+    "startedAt" TIMESTAMP(3),
+    "finishedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "bulk_jobs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "bulk_jobs_status_idx" ON "bulk_jobs"("status");
+
+-- CreateIndex
+CREATE INDEX "bulk_jobs_userId_createdAt_idx" ON "bulk_jobs"("userId", "createdAt");
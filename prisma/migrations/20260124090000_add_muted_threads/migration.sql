@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "muted_threads" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL DEFAULT 'primary',
+    "threadId" TEXT NOT NULL,
+    "subject" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "muted_threads_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "muted_threads_userId_createdAt_idx" ON "muted_threads"("userId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "muted_threads_userId_accountId_threadId_key" ON "muted_threads"("userId", "accountId", "threadId");
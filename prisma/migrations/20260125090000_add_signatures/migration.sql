@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "outbox" ADD COLUMN "from" TEXT;
+
+-- CreateTable
+CREATE TABLE "signatures" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL DEFAULT 'primary',
+    "name" TEXT NOT NULL,
+    "html" TEXT NOT NULL,
+    "sendAsEmail" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "signatures_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "signatures_userId_accountId_sendAsEmail_idx" ON "signatures"("userId", "accountId", "sendAsEmail");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "signatures_userId_accountId_name_key" ON "signatures"("userId", "accountId", "name");
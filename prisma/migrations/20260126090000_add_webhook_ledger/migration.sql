@@ -0,0 +1,36 @@
+-- CreateEnum
+CREATE TYPE "ProcessedMessageStatus" AS ENUM ('processing', 'done', 'muted');
+
+-- CreateTable
+CREATE TABLE "pubsub_deliveries" (
+    "id" TEXT NOT NULL,
+    "emailAddress" TEXT,
+    "historyId" TEXT,
+    "receivedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "pubsub_deliveries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "processed_messages" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL DEFAULT 'primary',
+    "gmailId" TEXT NOT NULL,
+    "status" "ProcessedMessageStatus" NOT NULL DEFAULT 'processing',
+    "botId" TEXT,
+    "actions" TEXT[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "processed_messages_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "pubsub_deliveries_receivedAt_idx" ON "pubsub_deliveries"("receivedAt");
+
+-- CreateIndex
+CREATE INDEX "processed_messages_createdAt_idx" ON "processed_messages"("createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "processed_messages_userId_accountId_gmailId_key" ON "processed_messages"("userId", "accountId", "gmailId");
@@ -0,0 +1,53 @@
+-- CreateEnum
+CREATE TYPE "MailJobStatus" AS ENUM ('queued', 'running');
+
+-- CreateTable
+CREATE TABLE "mail_jobs" (
+    "id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL DEFAULT 'primary',
+    "gmailId" TEXT NOT NULL,
+    "botId" TEXT,
+    "payload" JSONB NOT NULL,
+    "status" "MailJobStatus" NOT NULL DEFAULT 'queued',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "maxAttempts" INTEGER NOT NULL DEFAULT 5,
+    "runAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lockedUntil" TIMESTAMP(3),
+    "lastError" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "mail_jobs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "mail_dead_jobs" (
+    "id" TEXT NOT NULL,
+    "jobId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL DEFAULT 'primary',
+    "gmailId" TEXT NOT NULL,
+    "botId" TEXT,
+    "payload" JSONB NOT NULL,
+    "attempts" INTEGER NOT NULL,
+    "lastError" TEXT,
+    "enqueuedAt" TIMESTAMP(3) NOT NULL,
+    "failedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "mail_dead_jobs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "mail_jobs_status_runAt_idx" ON "mail_jobs"("status", "runAt");
+
+-- CreateIndex
+CREATE INDEX "mail_jobs_userId_idx" ON "mail_jobs"("userId");
+
+-- CreateIndex
+CREATE INDEX "mail_dead_jobs_failedAt_idx" ON "mail_dead_jobs"("failedAt");
+
+-- CreateIndex
+CREATE INDEX "mail_dead_jobs_userId_idx" ON "mail_dead_jobs"("userId");
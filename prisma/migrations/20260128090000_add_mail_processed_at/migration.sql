@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "mailProcessedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "mail_accounts" ADD COLUMN     "mailProcessedAt" TIMESTAMP(3);
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "watchError" TEXT,
+ADD COLUMN     "watchExpiration" TIMESTAMP(3),
+ADD COLUMN     "watchNotifiedAt" TIMESTAMP(3),
+ADD COLUMN     "watchRenewedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "mail_accounts" ADD COLUMN     "watchError" TEXT,
+ADD COLUMN     "watchExpiration" TIMESTAMP(3),
+ADD COLUMN     "watchNotifiedAt" TIMESTAMP(3),
+ADD COLUMN     "watchRenewedAt" TIMESTAMP(3);
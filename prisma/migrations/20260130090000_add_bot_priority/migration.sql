@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "bots" ADD COLUMN     "priority" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "processed_messages" ADD COLUMN     "botActions" JSONB,
+ADD COLUMN     "repliedBotId" TEXT;
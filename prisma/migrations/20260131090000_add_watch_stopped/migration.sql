@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "watchStopped" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "mail_accounts" ADD COLUMN     "watchStopped" BOOLEAN NOT NULL DEFAULT false;
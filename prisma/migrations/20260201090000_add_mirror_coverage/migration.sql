@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "mailbox_syncs" ADD COLUMN     "coveredSince" TIMESTAMP(3);
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "processed_messages" ADD COLUMN     "replyJobId" TEXT,
+ADD COLUMN     "replyClaimedAt" TIMESTAMP(3),
+ADD COLUMN     "repliedAt" TIMESTAMP(3);
+
+-- Claims taken before this migration were replies already sent
+UPDATE "processed_messages" SET "repliedAt" = "updatedAt" WHERE "repliedBotId" IS NOT NULL;
@@ -0,0 +1,233 @@
+/**
+ * Offline check of the IMAP/SMTP mail provider
+ *
+ * Drives createImapProvider (and the IDLE watcher) through a full round trip:
+ * send over SMTP, new-mail notification over IDLE, history, read, search, flags
+ * and labels, reply threading, drafts, trash. No database and no network:
+ * by default it runs against a local stand-in (hoodiecrow IMAP server + an
+ * smtp-server that delivers every message into the stand-in INBOX).
+ *
+ * Set IMAP_CHECK_HOST to run against another local server instead (e.g. GreenMail),
+ * with IMAP_CHECK_IMAP_PORT, IMAP_CHECK_SMTP_PORT, IMAP_CHECK_USER, IMAP_CHECK_PASSWORD
+ * and IMAP_CHECK_EMAIL. That server must deliver mail sent to IMAP_CHECK_EMAIL to its INBOX.
+ *
+ * Usage: npm run check:imap (after npm run build; the Prisma client is loaded but never connects)
+ */
+const assert = require('assert');
+const { createImapProvider } = require('../src/services/mailProviders/imapProvider');
+const { toBase64Url, headerValue } = require('../src/services/mailProviders/mimeParser');
+const imapIdle = require('../src/services/imapIdle');
+
+const EMAIL = process.env.IMAP_CHECK_EMAIL || 'alice@example.test';
+const USERNAME = process.env.IMAP_CHECK_USER || 'alice';
+const PASSWORD = process.env.IMAP_CHECK_PASSWORD || 'secret';
+const NOTIFY_TIMEOUT_MS = 15 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Poll until fn returns a truthy value (delivery and IDLE are asynchronous)
+async function waitFor(what, fn, timeoutMs = NOTIFY_TIMEOUT_MS) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = await fn();
+    if (value) return value;
+    await sleep(250);
+  }
+  throw new Error(`Timed out waiting for ${what}`);
+}
+
+function listen(server, port = 0) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => resolve(server.server ? server.server.address().port : server.address().port));
+  });
+}
+
+// Local IMAP + SMTP servers; mail accepted over SMTP lands in the IMAP INBOX
+async function startStandIn() {
+  const hoodiecrow = require('hoodiecrow-imap');
+  const { SMTPServer } = require('smtp-server');
+
+  const imap = hoodiecrow({
+    plugins: ['ID', 'IDLE', 'UNSELECT', 'ENABLE', 'CONDSTORE', 'SPECIAL-USE', 'UIDPLUS', 'MOVE'],
+    users: { [USERNAME]: { password: PASSWORD } },
+    storage: {
+      INBOX: { messages: [] },
+      '': {
+        separator: '/',
+        folders: {
+          Sent: { 'special-use': '\\Sent' },
+          Drafts: { 'special-use': '\\Drafts' },
+          Archive: { 'special-use': '\\Archive' },
+          Junk: { 'special-use': '\\Junk' },
+          Trash: { 'special-use': '\\Trash' }
+        }
+      }
+    }
+  });
+
+  const smtp = new SMTPServer({
+    disabledCommands: ['STARTTLS'],
+    allowInsecureAuth: true,
+    logger: false,
+    onAuth(auth, session, callback) {
+      if (auth.username === USERNAME && auth.password === PASSWORD) return callback(null, { user: USERNAME });
+      return callback(new Error('Invalid username or password'));
+    },
+    onData(stream, session, callback) {
+      const chunks = [];
+      stream.on('data', (chunk) => chunks.push(chunk));
+      stream.on('end', () => {
+        const local = session.envelope.rcptTo.some((rcpt) => rcpt.address.toLowerCase() === EMAIL);
+        if (local) imap.appendMessage('INBOX', [], new Date(), Buffer.concat(chunks).toString('binary'));
+        callback();
+      });
+    }
+  });
+
+  const imapPort = await listen(imap);
+  const smtpPort = await listen(smtp);
+  return {
+    imapPort,
+    smtpPort,
+    close: () => Promise.all([
+      new Promise((resolve) => imap.close(resolve)),
+      new Promise((resolve) => smtp.close(resolve))
+    ])
+  };
+}
+
+// Raw RFC 822 message, base64url like the Gmail API takes it
+function rawMessage({ to, subject, body, inReplyTo }) {
+  const headers = [`To: ${to}`, `Subject: ${subject}`, 'Content-Type: text/plain; charset=utf-8'];
+  if (inReplyTo) headers.push(`In-Reply-To: ${inReplyTo}`, `References: ${inReplyTo}`);
+  return toBase64Url(Buffer.from(`${headers.join('\r\n')}\r\n\r\n${body}\r\n`));
+}
+
+async function run(provider, user) {
+  const steps = [];
+  const step = async (name, fn) => {
+    await fn();
+    steps.push(name);
+    console.log(`✅ ${name}`);
+  };
+
+  const notifications = [];
+  imapIdle.setNewMailHandler(async (notifiedUser, historyId) => {
+    notifications.push({ userId: notifiedUser.id, historyId });
+  });
+
+  let startHistoryId;
+  let messageId;
+  let message;
+
+  await step('watch starts an IDLE watcher', async () => {
+    ({ historyId: startHistoryId } = await provider.watch());
+    assert.ok(imapIdle.isIdling(user.id), 'watcher is running');
+  });
+
+  await step('sendMessage goes out over SMTP and keeps a Sent copy', async () => {
+    const sent = await provider.sendMessage({ raw: rawMessage({ to: EMAIL, subject: 'Check 1', body: 'Hello from the IMAP check' }) });
+    assert.deepStrictEqual(sent.labelIds, ['SENT']);
+    assert.ok(sent.id, 'Sent copy has an id');
+  });
+
+  await step('IDLE reports the new message', async () => {
+    await waitFor('the IDLE notification', () => notifications.length > 0);
+    assert.strictEqual(notifications[0].userId, user.id);
+  });
+
+  await step('listHistory returns the message added since the watch', async () => {
+    const history = await provider.listHistory({ startHistoryId });
+    const added = (history.history || []).flatMap((entry) => entry.messagesAdded.map((m) => m.message));
+    assert.strictEqual(added.length, 1);
+    assert.ok(Number(history.historyId) > Number(startHistoryId || 0), 'history ID moved forward');
+    messageId = added[0].id;
+  });
+
+  await step('getMessage returns a Gmail-shaped message', async () => {
+    message = await provider.getMessage(messageId);
+    assert.strictEqual(headerValue(message.payload.headers, 'Subject'), 'Check 1');
+    assert.ok(message.snippet.includes('Hello from the IMAP check'));
+    assert.ok(message.labelIds.includes('INBOX') && message.labelIds.includes('UNREAD'));
+  });
+
+  await step('listMessages searches the inbox', async () => {
+    const found = await provider.listMessages({ q: 'subject:"Check 1"' });
+    assert.ok(found.messages.some((m) => m.id === messageId));
+    const none = await provider.listMessages({ q: 'subject:"No such subject"' });
+    assert.strictEqual(none.messages.length, 0);
+  });
+
+  await step('modifyMessage maps labels onto flags and keywords', async () => {
+    const created = await provider.createLabel({ name: 'Work' });
+    const modified = await provider.modifyMessage(messageId, { addLabelIds: ['STARRED', created.id], removeLabelIds: ['UNREAD'] });
+    assert.ok(modified.labelIds.includes('STARRED') && modified.labelIds.includes(created.id));
+    assert.ok(!modified.labelIds.includes('UNREAD'));
+  });
+
+  await step('a reply joins the thread of the original', async () => {
+    const original = headerValue(message.payload.headers, 'Message-ID');
+    await provider.sendMessage({ raw: rawMessage({ to: EMAIL, subject: 'Re: Check 1', body: 'A reply', inReplyTo: original }) });
+    await waitFor('the reply to arrive', async () => (await provider.listMessages({ q: 'subject:"Re: Check 1"' })).messages.length > 0);
+
+    const thread = await provider.getThread(message.threadId);
+    const subjects = thread.messages.map((m) => headerValue(m.payload.headers, 'Subject'));
+    assert.ok(subjects.includes('Check 1') && subjects.includes('Re: Check 1'));
+  });
+
+  await step('drafts can be created, listed and sent', async () => {
+    const draft = await provider.createDraft({ raw: rawMessage({ to: EMAIL, subject: 'Check draft', body: 'Draft body' }) });
+    const { drafts } = await provider.listDrafts();
+    assert.ok(drafts.some((d) => d.id === draft.id));
+
+    await provider.sendDraft(draft.id);
+    const after = await provider.listDrafts();
+    assert.ok(!after.drafts.some((d) => d.id === draft.id), 'sent draft is gone');
+  });
+
+  await step('trash and untrash move the message between folders', async () => {
+    const trashed = await provider.trashMessage(messageId);
+    assert.ok(trashed.labelIds.includes('TRASH'));
+    const restored = await provider.untrashMessage(trashed.id);
+    assert.ok(restored.labelIds.includes('INBOX'));
+  });
+
+  await step('stopWatch stops the IDLE watcher', async () => {
+    await provider.stopWatch();
+    assert.ok(!imapIdle.isIdling(user.id));
+  });
+
+  return steps.length;
+}
+
+async function main() {
+  const external = process.env.IMAP_CHECK_HOST;
+  const standIn = external ? null : await startStandIn();
+
+  const account = {
+    imapHost: external || '127.0.0.1',
+    imapPort: standIn ? standIn.imapPort : parseInt(process.env.IMAP_CHECK_IMAP_PORT, 10) || 3143,
+    imapSecure: false,
+    smtpHost: external || '127.0.0.1',
+    smtpPort: standIn ? standIn.smtpPort : parseInt(process.env.IMAP_CHECK_SMTP_PORT, 10) || 3025,
+    smtpSecure: false,
+    username: USERNAME,
+    password: PASSWORD,
+    allowSelfSigned: true
+  };
+  const user = { id: 'imap-check', email: EMAIL, accountType: 'imap' };
+
+  try {
+    const passed = await run(createImapProvider(user, { account }), user);
+    console.log(`IMAP provider check passed (${passed} steps)`);
+  } finally {
+    await imapIdle.stopIdle(user.id);
+    if (standIn) await standIn.close();
+  }
+}
+
+main().then(() => process.exit(0), (error) => {
+  console.error('❌ IMAP provider check failed:', error);
+  process.exit(1);
+});
@@ -5,6 +5,19 @@ module.exports = {
   PORT: process.env.PORT || 3000,
   JWT_SECRET: process.env.JWT_SECRET || 'your-secret-key',
   JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '1d',
+  CREDENTIALS_SECRET: process.env.CREDENTIALS_SECRET || process.env.JWT_SECRET || 'your-secret-key',
   GEMINI_API_KEY: process.env.GEMINI_API_KEY,
+  // Pub/Sub push authentication (see middlewares/pubsubAuthMiddleware.js)
+  PUBSUB_VERIFY: process.env.PUBSUB_VERIFY !== 'false',
+  PUBSUB_AUDIENCE: process.env.PUBSUB_AUDIENCE,
+  PUBSUB_SERVICE_ACCOUNT: process.env.PUBSUB_SERVICE_ACCOUNT,
+  PUBSUB_TEST_KEY: process.env.PUBSUB_TEST_KEY,
+  // Users allowed on /api/admin (comma-separated emails)
+  ADMIN_EMAILS: (process.env.ADMIN_EMAILS || '').split(',').map((e) => e.trim().toLowerCase()).filter(Boolean),
+  // Secret of scheduled calls to the GET /api/admin background task routes (Vercel Cron sends it as a Bearer token)
+  CRON_SECRET: process.env.CRON_SECRET,
+  // IMAP/SMTP servers of extra email domains, as JSON:
+  // {"example.com": {"imapHost": "imap.example.com", "smtpHost": "smtp.example.com", "smtpPort": 587, "smtpSecure": false}}
+  IMAP_PROVIDERS: process.env.IMAP_PROVIDERS ? JSON.parse(process.env.IMAP_PROVIDERS) : {},
   SYSTEM_PROMPT: process.env.SYSTEM_PROMPT || 'أنت مساعد افتراضي مفيد.'
 };
\ No newline at end of file
@@ -0,0 +1,256 @@
+const prisma = require('../config/database');
+const { processMailJobs, getQueueStats, retryDeadJob } = require('../services/jobQueue');
+const { renewExpiringWatches } = require('../services/gmailPubSub');
+const { processDueOutbox } = require('../services/outbox');
+const { processDueSnoozes } = require('../services/snooze');
+const { syncAllMirrors } = require('../services/mailMirror');
+const { ok, created, fail } = require('../utils/response');
+
+// Most dead jobs queued again by one bulk retry
+const MAX_BULK_RETRY = 500;
+
+// Helper: job row without the (possibly long) message body of its payload
+function formatJob(job) {
+  const { body, ...payload } = job.payload || {};
+  return { ...job, payload };
+}
+
+// Helper: page and limit from the query
+function getPaging(query) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+  return { page, limit };
+}
+
+/**
+ * GET /api/admin/jobs/stats
+ * Queued and running mail jobs by type, and the number of dead jobs
+ */
+const getJobStats = async (req, res) => {
+  try {
+    return ok(res, await getQueueStats(), 'Job queue stats fetched successfully');
+  } catch (error) {
+    console.error('Error fetching job queue stats:', error);
+    return fail(res, 500, 'Failed to fetch job queue stats: ' + (error?.message || ''));
+  }
+};
+
+/**
+ * GET /api/admin/jobs
+ * Mail jobs waiting in the queue, next due first. Query: status (queued | running), type, userId, page, limit
+ */
+const getJobs = async (req, res) => {
+  try {
+    const { status, type, userId } = req.query;
+    if (status && !['queued', 'running'].includes(status)) {
+      return fail(res, 400, 'status must be queued or running');
+    }
+
+    const whereClause = {};
+    if (status) whereClause.status = status;
+    if (type) whereClause.type = type;
+    if (userId) whereClause.userId = userId;
+
+    const { page, limit } = getPaging(req.query);
+    const [jobs, total] = await Promise.all([
+      prisma.mailJob.findMany({
+        where: whereClause,
+        orderBy: { runAt: 'asc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.mailJob.count({ where: whereClause }),
+    ]);
+
+    return ok(res, jobs.map(formatJob), 'Jobs fetched successfully', {
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    return fail(res, 500, 'Failed to fetch jobs: ' + (error?.message || ''));
+  }
+};
+
+/**
+ * GET /api/admin/jobs/dead
+ * Jobs that ran out of attempts, most recent failure first. Query: type, userId, page, limit
+ */
+const getDeadJobs = async (req, res) => {
+  try {
+    const { type, userId } = req.query;
+
+    const whereClause = {};
+    if (type) whereClause.type = type;
+    if (userId) whereClause.userId = userId;
+
+    const { page, limit } = getPaging(req.query);
+    const [jobs, total] = await Promise.all([
+      prisma.deadMailJob.findMany({
+        where: whereClause,
+        orderBy: { failedAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.deadMailJob.count({ where: whereClause }),
+    ]);
+
+    return ok(res, jobs.map(formatJob), 'Dead jobs fetched successfully', {
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    console.error('Error fetching dead jobs:', error);
+    return fail(res, 500, 'Failed to fetch dead jobs: ' + (error?.message || ''));
+  }
+};
+
+/**
+ * GET /api/admin/jobs/dead/:id
+ * A dead job with its full payload
+ */
+const getDeadJob = async (req, res) => {
+  try {
+    const job = await prisma.deadMailJob.findUnique({ where: { id: req.params.id } });
+    if (!job) return fail(res, 404, 'Dead job not found');
+
+    return ok(res, job, 'Dead job fetched successfully');
+  } catch (error) {
+    console.error('Error fetching dead job:', error);
+    return fail(res, 500, 'Failed to fetch dead job: ' + (error?.message || ''));
+  }
+};
+
+/**
+ * POST /api/admin/jobs/dead/:id/retry
+ * Queue a dead job again with a fresh set of attempts
+ */
+const retryDeadJobById = async (req, res) => {
+  try {
+    const job = await retryDeadJob(req.params.id);
+    if (!job) return fail(res, 404, 'Dead job not found');
+
+    return created(res, formatJob(job), 'Job queued again');
+  } catch (error) {
+    console.error('Error retrying dead job:', error);
+    return fail(res, 500, 'Failed to retry dead job: ' + (error?.message || ''));
+  }
+};
+
+/**
+ * POST /api/admin/jobs/dead/retry
+ * Queue dead jobs again, oldest failure first (up to 500 per call)
+ * Body: type, userId (optional filters)
+ */
+const retryDeadJobs = async (req, res) => {
+  try {
+    const { type, userId } = req.body || {};
+
+    const whereClause = {};
+    if (type) whereClause.type = type;
+    if (userId) whereClause.userId = userId;
+
+    const dead = await prisma.deadMailJob.findMany({
+      where: whereClause,
+      orderBy: { failedAt: 'asc' },
+      take: MAX_BULK_RETRY,
+      select: { id: true },
+    });
+
+    let retried = 0;
+    for (const { id } of dead) {
+      if (await retryDeadJob(id)) retried++;
+    }
+
+    return ok(res, { retried }, `${retried} job(s) queued again`);
+  } catch (error) {
+    console.error('Error retrying dead jobs:', error);
+    return fail(res, 500, 'Failed to retry dead jobs: ' + (error?.message || ''));
+  }
+};
+
+/**
+ * DELETE /api/admin/jobs/dead/:id
+ * Discard a dead job
+ */
+const deleteDeadJob = async (req, res) => {
+  try {
+    const job = await prisma.deadMailJob.findUnique({ where: { id: req.params.id } });
+    if (!job) return fail(res, 404, 'Dead job not found');
+
+    await prisma.deadMailJob.delete({ where: { id: job.id } });
+    return ok(res, { id: job.id }, 'Dead job deleted successfully');
+  } catch (error) {
+    console.error('Error deleting dead job:', error);
+    return fail(res, 500, 'Failed to delete dead job: ' + (error?.message || ''));
+  }
+};
+
+/**
+ * POST /api/admin/jobs/run (admins), GET /api/admin/jobs/run (scheduler, CRON_SECRET)
+ * Run the jobs that are due now (for deployments without a long-running worker, e.g. Vercel)
+ */
+const runDueJobs = async (req, res) => {
+  try {
+    const result = await processMailJobs();
+    return ok(res, result, 'Due jobs run');
+  } catch (error) {
+    console.error('Error running due jobs:', error);
+    return fail(res, 500, 'Failed to run due jobs: ' + (error?.message || ''));
+  }
+};
+
+// Helper: handler running one background task now (the work of a job in src/jobs)
+function runTask(task, label) {
+  return async (req, res) => {
+    try {
+      return ok(res, await task(), `${label} run`);
+    } catch (error) {
+      console.error(`Error running ${label.toLowerCase()}:`, error);
+      return fail(res, 500, `Failed to run ${label.toLowerCase()}: ` + (error?.message || ''));
+    }
+  };
+}
+
+/**
+ * POST /api/admin/watches/renew (admins), GET /api/admin/watches/renew (scheduler, CRON_SECRET)
+ * Renew the Gmail watches that expire within a day
+ */
+const renewWatches = runTask(renewExpiringWatches, 'Watch renewal');
+
+/**
+ * POST /api/admin/outbox/run (admins), GET /api/admin/outbox/run (scheduler, CRON_SECRET)
+ * Send the scheduled emails that are due
+ */
+const runOutbox = runTask(processDueOutbox, 'Outbox');
+
+/**
+ * POST /api/admin/snoozes/run (admins), GET /api/admin/snoozes/run (scheduler, CRON_SECRET)
+ * Put the snoozed emails that are due back in the inbox
+ */
+const runSnoozes = runTask(processDueSnoozes, 'Snooze wake-up');
+
+/**
+ * POST /api/admin/mirrors/sync (admins), GET /api/admin/mirrors/sync (scheduler, CRON_SECRET)
+ * Bring every mailbox mirror up to date
+ */
+const syncMirrors = runTask(syncAllMirrors, 'Mirror sync');
+
+module.exports = {
+  getJobStats,
+  getJobs,
+  getDeadJobs,
+  getDeadJob,
+  retryDeadJobById,
+  retryDeadJobs,
+  deleteDeadJob,
+  runDueJobs,
+  renewWatches,
+  runOutbox,
+  runSnoozes,
+  syncMirrors,
+};
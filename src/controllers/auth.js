@@ -1,32 +1,111 @@
 const prisma = require("../config/database");
 const {google} = require("googleapis");
 const jwt = require('jsonwebtoken');
-const oauth2Client = require("../services/googleClint");
+const crypto = require('crypto');
+const { createOAuthClient } = require("../services/googleClint");
+const { getMailProvider, listMailboxes, getAccountId, PRIMARY_ACCOUNT_ID } = require("../services/mailProviders");
+const { verifyImapAccount } = require("../services/mailProviders/imapConnection");
+const { imapSettingsFor, assertPublicHost } = require("../services/mailProviders/imapHosts");
+const { encrypt } = require("../utils/encryption");
+const { watchIfBotsActive } = require("../services/gmailPubSub");
+const { ok, fail } = require("../utils/response");
+// Link flow: an authenticated POST starts it. The OAuth `state` is a short-lived
+// token naming the user and a nonce; the same nonce goes into an httpOnly cookie
+// on the browser that started the flow, and the callback only links when both match
+const LINK_COOKIE = "mailbox_link";
+const LINK_COOKIE_OPTIONS = {
+  httpOnly: true,
+  sameSite: "lax",
+  secure: process.env.NODE_ENV === "production",
+  path: "/api/auth",
+};
+
+const signLinkState = (userId, nonce) =>
+  jwt.sign({ linkTo: userId, nonce }, process.env.JWT_SECRET, { expiresIn: "10m" });
+
+const readLinkState = (state) => {
+  try {
+    const { linkTo, nonce } = jwt.verify(state, process.env.JWT_SECRET);
+    return linkTo && nonce ? { linkTo, nonce } : null;
+  } catch {
+    return null;
+  }
+};
+
+const readCookie = (req, name) => {
+  const pair = (req.headers.cookie || "")
+    .split(";")
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+};
+
+const sameNonce = (a, b) => {
+  const left = Buffer.from(String(a || ""));
+  const right = Buffer.from(String(b || ""));
+  return left.length > 0 && left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const consentUrl = (state) =>
+  createOAuthClient().generateAuthUrl({
+    access_type: "offline",
+    prompt: "consent",
+    state,
+    // نحتاج صلاحيات لقراءة البريد + بيانات المستخدم (الايميل والاسم)
+    scope: [
+      "https://www.googleapis.com/auth/gmail.readonly",
+      "https://www.googleapis.com/auth/userinfo.email",
+      "https://www.googleapis.com/auth/userinfo.profile",
+      "https://mail.google.com/",
+      "https://www.googleapis.com/auth/calendar",
+      "https://www.googleapis.com/auth/calendar.events",
+      "openid",
+    ],
+  });
+
+/**
+ * GET /api/auth/login
+ * Redirect to Google consent to log in
+ */
 const login =(req, res) => {
-    const url = oauth2Client.generateAuthUrl({
-      access_type: "offline",
-      prompt: "consent",
-      // نحتاج صلاحيات لقراءة البريد + بيانات المستخدم (الايميل والاسم)
-      scope: [
-        "https://www.googleapis.com/auth/gmail.readonly",
-        "https://www.googleapis.com/auth/userinfo.email",
-        "https://www.googleapis.com/auth/userinfo.profile",
-        "https://mail.google.com/",
-        "https://www.googleapis.com/auth/calendar",
-        "https://www.googleapis.com/auth/calendar.events",
-        "openid",
-      ],
-    });
+    const url = consentUrl();
     console.log("url",url)
     res.redirect(url);
   }
 
+  /**
+   * POST /api/auth/accounts/link
+   * Start linking another Google account as an additional mailbox. Returns the
+   * consent URL to open in the same browser; send the request with credentials
+   * so the browser keeps the httpOnly link cookie the callback checks.
+   */
+  const startLink = (req, res) => {
+    const user = req.user;
+    if (!user) return fail(res, 401, 'Unauthorized');
+
+    const nonce = crypto.randomBytes(32).toString("base64url");
+    res.cookie(LINK_COOKIE, nonce, { ...LINK_COOKIE_OPTIONS, maxAge: 10 * 60 * 1000 });
+    return ok(res, { url: consentUrl(signLinkState(user.id, nonce)) }, 'Open the URL to link a mailbox');
+  }
+
 
   const callback = async (req, res) => {
     try {
       const code = req.query.code;
       if (!code) return res.status(400).send("Missing code");
+
+      // A `state` means a link flow: it must come back to the browser that started it
+      let link = null;
+      if (req.query.state) {
+        link = readLinkState(req.query.state);
+        const nonce = readCookie(req, LINK_COOKIE);
+        res.clearCookie(LINK_COOKIE, LINK_COOKIE_OPTIONS);
+        if (!link || !sameNonce(link.nonce, nonce)) {
+          return res.status(400).send("Invalid or expired mailbox link request");
+        }
+      }
   
+      const oauth2Client = createOAuthClient();
       const { tokens } = await oauth2Client.getToken(code);
       oauth2Client.setCredentials(tokens);
   
@@ -42,8 +121,46 @@ const login =(req, res) => {
           .send("تعذر الحصول على بريد المستخدم. تأكد من الصلاحيات (scopes).");
       }
   
-      // حفظ/تحديث المستخدم في قاعدة البيانات باستخدام Prisma
       const tokenExpiry = tokens.expiry_date ? new Date(tokens.expiry_date) : null;
+
+      // Linking an additional mailbox to an already logged-in user
+      if (link) {
+        const owner = await prisma.user.findUnique({ where: { id: link.linkTo } });
+        if (!owner) {
+          return res.status(400).send("User to link the mailbox to was not found");
+        }
+        if (owner.email === email) {
+          return res.status(400).send("This Google account is already the primary mailbox");
+        }
+
+        const account = await prisma.mailAccount.upsert({
+          where: { userId_email: { userId: owner.id, email } },
+          update: {
+            name,
+            accessToken: tokens.access_token ?? null,
+            refreshToken: tokens.refresh_token ?? null,
+            tokenExpiry,
+            needsReconsent: false,
+          },
+          create: {
+            userId: owner.id,
+            email,
+            name,
+            accessToken: tokens.access_token ?? null,
+            refreshToken: tokens.refresh_token ?? null,
+            tokenExpiry,
+          },
+        });
+        console.log("Mailbox linked:", { user: owner.email, mailbox: email });
+
+        // Not awaited: the bots start getting this mailbox's mail without a manual watch setup
+        watchIfBotsActive(owner, account.id).catch((error) => console.error("Auto watch setup failed:", error?.message));
+
+        const redirectUrl = `http://localhost:3001/inbox?status=linked&email=${encodeURIComponent(email)}`;
+        return res.redirect(302, redirectUrl);
+      }
+
+      // حفظ/تحديث المستخدم في قاعدة البيانات باستخدام Prisma
       const user = await prisma.user.upsert({
         where: { email },
         update: {
@@ -51,6 +168,7 @@ const login =(req, res) => {
           accessToken: tokens.access_token ?? null,
           refreshToken: tokens.refresh_token ?? null,
           tokenExpiry,
+          needsReconsent: false,
         },
         create: {
           email,
@@ -63,6 +181,9 @@ const login =(req, res) => {
       console.log("tokens",tokens)
   
       console.log("User upserted:", tokens);
+
+      // Not awaited: users with bots get their watch (re)started on every login
+      watchIfBotsActive(user).catch((error) => console.error("Auto watch setup failed:", error?.message));
       const serverToken = jwt.sign({ email }, process.env.JWT_SECRET);
       const redirectUrl = `http://localhost:3001/inbox?token=${encodeURIComponent(serverToken)}&status=success&email=${encodeURIComponent(email)}&name=${encodeURIComponent(name)}`;
       return res.redirect(302, redirectUrl);
@@ -72,4 +193,127 @@ const login =(req, res) => {
       return res.redirect(302, redirectUrl);
     }
   }
-module.exports = {login,callback};
\ No newline at end of file
+
+  /**
+   * POST /api/auth/imap/login
+   * Log in with a non-Google mailbox (IMAP for reading, SMTP for sending)
+   * Body: email, password and optionally name. The mail server is the one that
+   * hosts the email's domain (see services/mailProviders/imapHosts.js); logins
+   * against any other server would not prove the caller owns the address.
+   */
+  const imapLogin = async (req, res) => {
+    try {
+      const { email, password, name } = req.body;
+
+      if (!email || !password) {
+        return fail(res, 400, 'Required fields: email, password');
+      }
+
+      const settings = imapSettingsFor(email);
+      if (!settings) {
+        return fail(res, 400, 'Signing in with this email domain is not supported');
+      }
+
+      const existingUser = await prisma.user.findUnique({ where: { email } });
+      if (existingUser && existingUser.accountType !== 'imap') {
+        return fail(res, 409, 'This email is linked to a Google account. Please login with Google.');
+      }
+
+      try {
+        await assertPublicHost(settings.imapHost);
+        await assertPublicHost(settings.smtpHost);
+        await verifyImapAccount({ ...settings, username: email, password });
+      } catch (error) {
+        console.error("IMAP/SMTP login failed:", { email, error: error.message });
+        return fail(res, 401, 'Invalid email or password');
+      }
+
+      const user = await prisma.user.upsert({
+        where: { email },
+        update: { name: name || existingUser?.name || null },
+        create: { email, name: name || null, accountType: 'imap' },
+      });
+
+      const account = { ...settings, username: email, password: encrypt(password) };
+      await prisma.imapAccount.upsert({
+        where: { userId: user.id },
+        update: account,
+        create: { ...account, userId: user.id },
+      });
+
+      const serverToken = jwt.sign({ email }, process.env.JWT_SECRET);
+      return ok(res, { token: serverToken, email, name: user.name }, 'Logged in successfully');
+    } catch (err) {
+      console.error("IMAP login error:", err);
+      return fail(res, 500, 'Failed to login');
+    }
+  }
+  const describeMailbox = (mailbox) => ({
+    accountId: getAccountId(mailbox),
+    email: mailbox.email,
+    name: mailbox.name || null,
+    provider: mailbox.accountType || "google",
+    isPrimary: getAccountId(mailbox) === PRIMARY_ACCOUNT_ID,
+    needsReconsent: Boolean(mailbox.needsReconsent),
+    watching: Boolean(mailbox.gmailHistoryId),
+    createdAt: mailbox.createdAt,
+  });
+
+  /**
+   * GET /api/auth/accounts
+   * List the user's mailboxes: their own (accountId "primary") and linked ones
+   * Link another Google account with POST /api/auth/accounts/link
+   */
+  const getAccounts = async (req, res) => {
+    try {
+      const user = req.user;
+      if (!user) return fail(res, 401, 'Unauthorized');
+
+      const mailboxes = await listMailboxes(user);
+      return ok(res, mailboxes.map(describeMailbox), 'Accounts fetched successfully', {
+        count: mailboxes.length,
+      });
+    } catch (err) {
+      console.error("Error fetching accounts:", err);
+      return fail(res, 500, 'Failed to fetch accounts: ' + (err?.message || ''));
+    }
+  }
+
+  /**
+   * DELETE /api/auth/accounts/:accountId
+   * Unlink an additional mailbox (the primary mailbox cannot be unlinked)
+   */
+  const unlinkAccount = async (req, res) => {
+    try {
+      const user = req.user;
+      if (!user) return fail(res, 401, 'Unauthorized');
+
+      const { accountId } = req.params;
+      if (accountId === PRIMARY_ACCOUNT_ID || accountId === user.id) {
+        return fail(res, 400, 'The primary mailbox cannot be unlinked');
+      }
+
+      const account = await prisma.mailAccount.findFirst({
+        where: { id: accountId, userId: user.id },
+      });
+      if (!account) return fail(res, 404, 'Mail account not found');
+
+      // Stop push notifications for the mailbox; the grant may already be gone
+      if (account.gmailHistoryId) {
+        try {
+          await getMailProvider(account).stopWatch();
+        } catch (error) {
+          console.warn("Could not stop watch for unlinked mailbox:", account.email, error.message);
+        }
+      }
+
+      await prisma.mailAccount.delete({ where: { id: account.id } });
+      await prisma.mirroredMessage.deleteMany({ where: { userId: user.id, accountId: account.id } });
+      await prisma.mailboxSync.deleteMany({ where: { userId: user.id, accountId: account.id } });
+      return ok(res, { accountId: account.id, email: account.email }, 'Account unlinked successfully');
+    } catch (err) {
+      console.error("Error unlinking account:", err);
+      return fail(res, 500, 'Failed to unlink account: ' + (err?.message || ''));
+    }
+  }
+module.exports = {login,callback,startLink,imapLogin,getAccounts,unlinkAccount};
\ No newline at end of file
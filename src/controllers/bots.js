@@ -1,5 +1,20 @@
 const prisma = require('../config/database');
 const { ok, created, fail } = require('../utils/response');
+const { MAX_HOLD_SECONDS } = require('../services/outbox');
+
+// Helper: replyHoldSeconds must be a whole number of seconds within the undo window limit
+function isValidHoldSeconds(value) {
+  return Number.isInteger(value) && value >= 0 && value <= MAX_HOLD_SECONDS;
+}
+
+// Priority is stored in a Postgres INTEGER column
+const MIN_PRIORITY = -2147483648;
+const MAX_PRIORITY = 2147483647;
+
+// Helper: priority orders bots matching the same sender (highest first), any 32-bit integer
+function isValidPriority(value) {
+  return Number.isInteger(value) && value >= MIN_PRIORITY && value <= MAX_PRIORITY;
+}
 
 /**
  * GET /api/bots
@@ -98,6 +113,8 @@ const getBotById = async (req, res) => {
 /**
  * POST /api/bots
  * Create a new bot
+ * When several bots match a sender, each feature (summary, extraction, auto-reply)
+ * runs once, for the bot with the highest `priority` (the oldest one on a tie)
  */
 const createBot = async (req, res) => {
   try {
@@ -115,7 +132,9 @@ const createBot = async (req, res) => {
       userPrompet,
       isautoSummarize,
       isautoExtractTaskes,
-      isautoExtractMettengs
+      isautoExtractMettengs,
+      replyHoldSeconds,
+      priority
     } = req.body;
 
     // Validate required fields
@@ -129,6 +148,14 @@ const createBot = async (req, res) => {
       return fail(res, 400, `Invalid replayTony. Must be one of: ${validTones.join(', ')}`);
     }
 
+    if (replyHoldSeconds !== undefined && !isValidHoldSeconds(replyHoldSeconds)) {
+      return fail(res, 400, `replyHoldSeconds must be an integer between 0 and ${MAX_HOLD_SECONDS}`);
+    }
+
+    if (priority !== undefined && !isValidPriority(priority)) {
+      return fail(res, 400, `priority must be an integer between ${MIN_PRIORITY} and ${MAX_PRIORITY}`);
+    }
+
     const bot = await prisma.bots.create({
       data: {
         emails,
@@ -140,7 +167,9 @@ const createBot = async (req, res) => {
         userPrompet,
         isautoSummarize: isautoSummarize !== undefined ? isautoSummarize : false,
         isautoExtractTaskes: isautoExtractTaskes !== undefined ? isautoExtractTaskes : false,
-        isautoExtractMettengs: isautoExtractMettengs !== undefined ? isautoExtractMettengs : false
+        isautoExtractMettengs: isautoExtractMettengs !== undefined ? isautoExtractMettengs : false,
+        replyHoldSeconds: replyHoldSeconds !== undefined ? replyHoldSeconds : 0,
+        priority: priority !== undefined ? priority : 0
       }
     });
 
@@ -189,7 +218,9 @@ const updateBot = async (req, res) => {
       isautoSummarize,
       isautoExtractTaskes,
       isautoExtractMettengs,
-      templete
+      templete,
+      replyHoldSeconds,
+      priority
     } = req.body;
 
     // Validate replayTony if provided
@@ -200,6 +231,14 @@ const updateBot = async (req, res) => {
       }
     }
 
+    if (replyHoldSeconds !== undefined && !isValidHoldSeconds(replyHoldSeconds)) {
+      return fail(res, 400, `replyHoldSeconds must be an integer between 0 and ${MAX_HOLD_SECONDS}`);
+    }
+
+    if (priority !== undefined && !isValidPriority(priority)) {
+      return fail(res, 400, `priority must be an integer between ${MIN_PRIORITY} and ${MAX_PRIORITY}`);
+    }
+
     // Build update data object (only include provided fields)
     const updateData = {};
     if (emails !== undefined) updateData.emails = emails;
@@ -212,6 +251,8 @@ const updateBot = async (req, res) => {
     if (isautoExtractTaskes !== undefined) updateData.isautoExtractTaskes = isautoExtractTaskes;
     if (isautoExtractMettengs !== undefined) updateData.isautoExtractMettengs = isautoExtractMettengs;
     if (templete !== undefined) updateData.templete = templete;
+    if (replyHoldSeconds !== undefined) updateData.replyHoldSeconds = replyHoldSeconds;
+    if (priority !== undefined) updateData.priority = priority;
 
     const updatedBot = await prisma.bots.update({
       where: { id: id },
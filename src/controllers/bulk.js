@@ -0,0 +1,146 @@
+const prisma = require('../config/database');
+const { getMailProvider, resolveMailbox, hasMailAccess, getAccountId } = require('../services/mailProviders');
+const { resolveLabelIds } = require('../services/labels');
+const {
+  BULK_ACTIONS,
+  DESTRUCTIVE_ACTIONS,
+  MAX_INLINE_IDS,
+  getLabelChange,
+  applyToMessages,
+  collectMessageIds,
+  createBulkJob,
+} = require('../services/bulkActions');
+const { issueConfirmToken, verifyConfirmToken } = require('../services/confirmTokens');
+const { ok, created, fail } = require('../utils/response');
+
+// Helper: job row with progress, without the (possibly long) list of message IDs
+function formatBulkJob(job) {
+  const { messageIds, ...rest } = job;
+  return {
+    ...rest,
+    percent: job.total ? Math.round((job.processed / job.total) * 100) : job.status === 'completed' ? 100 : 0,
+  };
+}
+
+/**
+ * POST /api/gmail/emails/bulk
+ * Apply an action to many messages
+ * Body:
+ * - action: archive | trash | untrash | markRead | markUnread | star | unstar | addLabel | removeLabel | spam
+ * - label: label ID or name (addLabel / removeLabel)
+ * - ids: message IDs (up to 1000), handled right away with a per-message report
+ * - query: Gmail search instead of ids; runs as a background job polled with GET /api/gmail/emails/bulk/:jobId
+ * - confirmToken: trash and spam on a query need one; the first call answers 428 with a token
+ *   bound to the action, the query and the match count, and the job only runs when it comes back
+ *   while the query still matches that many messages
+ * - accountId (optional)
+ */
+const bulkEmails = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) {
+      return fail(res, 401, 'Unauthorized');
+    }
+
+    const { action, label, ids, query } = req.body;
+
+    if (!BULK_ACTIONS[action]) {
+      return fail(res, 400, `action must be one of: ${Object.keys(BULK_ACTIONS).join(', ')}`);
+    }
+    if ((ids === undefined) === (query === undefined)) {
+      return fail(res, 400, 'Provide either ids or query');
+    }
+    if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0 || ids.some((id) => typeof id !== 'string' || !id))) {
+      return fail(res, 400, 'ids must be a non-empty array of message IDs');
+    }
+    if (ids !== undefined && ids.length > MAX_INLINE_IDS) {
+      return fail(res, 400, `At most ${MAX_INLINE_IDS} ids per request; use query for larger selections`);
+    }
+    if (query !== undefined && (typeof query !== 'string' || !query.trim())) {
+      return fail(res, 400, 'query must be a non-empty Gmail search');
+    }
+    const needsLabel = action === 'addLabel' || action === 'removeLabel';
+    if (needsLabel && !label) {
+      return fail(res, 400, `label is required for ${action}`);
+    }
+
+    const mailbox = await resolveMailbox(user, req.query.accountId || req.body.accountId);
+    if (!mailbox) {
+      return fail(res, 404, 'Mail account not found');
+    }
+    if (!hasMailAccess(mailbox)) {
+      return fail(res, 400, 'No Google tokens found for this mailbox. Please login with Google first.');
+    }
+
+    const [labelId] = needsLabel ? await resolveLabelIds(getMailProvider(mailbox), [label]) : [];
+
+    if (query !== undefined) {
+      const search = query.trim();
+      let messageIds = null;
+
+      if (DESTRUCTIVE_ACTIONS.includes(action)) {
+        messageIds = await collectMessageIds(getMailProvider(mailbox), search);
+        const accountId = getAccountId(mailbox);
+        const scope = { query: search, matchCount: messageIds.length };
+        const token = req.body.confirmToken || req.query.confirmToken;
+
+        if (messageIds.length > 0 && !verifyConfirmToken(token, user.id, accountId, `bulk:${action}`, scope)) {
+          return fail(res, 428, token ? 'Confirmation token is invalid or expired, or the matches changed' : 'Confirmation required',
+            'CONFIRMATION_REQUIRED', { action, ...scope, ...issueConfirmToken(user.id, accountId, `bulk:${action}`, scope) });
+        }
+      }
+
+      const job = await createBulkJob(user, mailbox, { action, labelId, query: search, messageIds });
+      return created(res, formatBulkJob(job), 'Bulk job started');
+    }
+
+    const uniqueIds = [...new Set(ids)];
+    const report = await applyToMessages(user, mailbox, uniqueIds, getLabelChange(action, labelId));
+
+    return ok(res, {
+      action,
+      labelId: labelId || null,
+      total: uniqueIds.length,
+      ...report,
+    }, `${report.succeeded} of ${uniqueIds.length} email(s) updated`);
+  } catch (error) {
+    console.error('Error running bulk action:', error);
+    if (error?.code === 401) {
+      return fail(res, 401, 'Token expired or invalid. Please re-authenticate.');
+    }
+    if (error?.code === 400) {
+      return fail(res, 400, error.message);
+    }
+    return fail(res, 500, 'Failed to run bulk action: ' + (error?.message || ''));
+  }
+};
+
+/**
+ * GET /api/gmail/emails/bulk/:jobId
+ * Progress of a query bulk job: status, total, processed, succeeded, failed, percent, errors
+ */
+const getBulkJob = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) {
+      return fail(res, 401, 'Unauthorized');
+    }
+
+    const job = await prisma.bulkJob.findFirst({
+      where: { id: req.params.jobId, userId: user.id },
+    });
+    if (!job) {
+      return fail(res, 404, 'Bulk job not found');
+    }
+
+    return ok(res, formatBulkJob(job), 'Bulk job fetched successfully');
+  } catch (error) {
+    console.error('Error fetching bulk job:', error);
+    return fail(res, 500, 'Failed to fetch bulk job: ' + (error?.message || ''));
+  }
+};
+
+module.exports = {
+  bulkEmails,
+  getBulkJob,
+};
@@ -1,15 +1,17 @@
-const { google } = require('googleapis');
+const crypto = require('crypto');
 const prisma = require('../config/database');
 const agent = require('../services/agent');
-const oauth2Client = require('../services/googleClint');
+const { getMailProvider, hasMailAccess, resolveMailbox, listMailboxes, getAccountId } = require('../services/mailProviders');
 const { ok, created, fail } = require('../utils/response');
-
-// Helper: decode Gmail's base64url-encoded body
-function decodeBase64Url(data) {
-  if (!data) return '';
-  const buff = Buffer.from(data.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
-  return buff.toString('utf8');
-}
+const { extractBodies, collectAttachmentParts, parseAddressList } = require('../utils/gmailMessage');
+const { ensureMirror, syncMailbox, getMirrorState, getMirroredMessages, applyLabelChange, markMirrorStale } = require('../services/mailMirror');
+const { getAttachmentContent, parseRange, resolveOutgoingAttachments } = require('../services/attachments');
+const { buildRawMessage } = require('../utils/mimeBuilder');
+const { getReplyContext, sendOutgoingMail, composeForward } = require('../services/outgoingMail');
+const { parseHoldSeconds, toAddressList, holdOutgoingMail } = require('../services/outbox');
+const { resolveLabelIds } = require('../services/labels');
+const { issueConfirmToken, verifyConfirmToken } = require('../services/confirmTokens');
+const { prepareSender, pickSignature, appendSignature } = require('../services/signatures');
 
 // Helper: safely parse agent JSON responses (handles escaped JSON and code fences)
 function safeParseAgentJson(raw) {
@@ -57,57 +59,239 @@ function safeParseAgentJson(raw) {
   }
 }
 
-// Helper: recursively extract text/plain and text/html from payload
-function extractBodies(payload) {
-  let text = '';
-  let html = '';
+// Helper: resolve the mailbox picked by `accountId` (query or body), defaulting to the
+// user's own mailbox. Sends the error response itself and returns null on failure.
+async function getRequestMailbox(req, res) {
+  const accountId = req.query.accountId || req.body?.accountId;
+  const mailbox = await resolveMailbox(req.user, accountId);
+  if (!mailbox) {
+    fail(res, 404, 'Mail account not found');
+    return null;
+  }
+  if (!hasMailAccess(mailbox)) {
+    fail(res, 400, 'No Google tokens found for this mailbox. Please login with Google first.');
+    return null;
+  }
+  return mailbox;
+}
 
-  const walk = (part) => {
-    if (!part) return;
-    const mimeType = part.mimeType || '';
-    if (part.body && part.body.data && (mimeType === 'text/plain' || mimeType === 'text/html')) {
-      const decoded = decodeBase64Url(part.body.data);
-      if (mimeType === 'text/plain') text += decoded;
-      if (mimeType === 'text/html') html += decoded;
-    }
+// Helper: guard for destructive bulk operations. Without a valid confirmToken (body or query)
+// answers 428 with a fresh token and `details`, and returns false.
+function requireConfirmation(req, res, user, mailbox, action, details) {
+  const accountId = getAccountId(mailbox);
+  const token = req.body?.confirmToken || req.query.confirmToken;
+  if (verifyConfirmToken(token, user.id, accountId, action)) return true;
 
-    // Some messages have no parts; the body is directly on payload
-    if (!part.parts && part.body && part.body.data && !mimeType) {
-      // try to treat as text
-      text += decodeBase64Url(part.body.data);
-    }
+  fail(res, 428, token ? 'Confirmation token is invalid or expired' : 'Confirmation required',
+    'CONFIRMATION_REQUIRED', { ...details, ...issueConfirmToken(user.id, accountId, action) });
+  return false;
+}
 
-    if (Array.isArray(part.parts)) {
-      part.parts.forEach(walk);
+// Messages hidden from every list (Gmail's default search skips them too)
+const HIDDEN_LABELS = [{ labelIds: { has: 'TRASH' } }, { labelIds: { has: 'SPAM' } }];
+
+// Labels shown with their counts in the unread-count response, besides user labels
+const COUNTED_SYSTEM_LABELS = ['INBOX', 'STARRED', 'IMPORTANT'];
+
+// Helper: shape a mirrored message the way the list endpoints return emails
+function formatMirroredEmail(row) {
+  return {
+    id: row.gmailId,
+    threadId: row.threadId,
+    snippet: row.snippet || null,
+    internalDate: String(new Date(row.internalDate).getTime()),
+    isRead: !row.labelIds.includes('UNREAD'),
+    isStarred: row.labelIds.includes('STARRED'),
+    isImportant: row.labelIds.includes('IMPORTANT'),
+    from: row.from,
+    to: row.to,
+    subject: row.subject,
+    date: row.date,
+    textBody: row.textBody,
+    htmlBody: row.htmlBody,
+    attachments: row.attachments || [],
+    labels: row.labelIds,
+  };
+}
+
+// Helper: everyone on a thread (From/To/Cc of every message), first seen first
+function getThreadParticipants(rows) {
+  const participants = new Map();
+  for (const row of rows) {
+    for (const address of [row.from, row.to, row.cc].flatMap(parseAddressList)) {
+      const known = participants.get(address.email);
+      if (!known) participants.set(address.email, address);
+      else if (!known.name && address.name) known.name = address.name;
     }
+  }
+  return [...participants.values()];
+}
+
+// Helper: shape mirrored messages of one thread (oldest first) like Gmail thread lists
+function formatMirroredThread(threadId, rows) {
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  return {
+    id: threadId,
+    historyId: rows.reduce((max, row) => (Number(row.historyId) > Number(max || 0) ? row.historyId : max), null),
+    snippet: last.snippet || null,
+    messageCount: rows.length,
+    // Count unread messages not sent by current user
+    unreadNum: rows.filter((row) => row.labelIds.includes('UNREAD') && !row.fromMe).length,
+    subject: first.subject,
+    from: first.from,
+    to: first.to,
+    firstDate: first.date,
+    lastDate: last.date,
+    participants: getThreadParticipants(rows),
+    lastSender: parseAddressList(last.from)[0] || null,
+    hasAttachment: rows.some((row) => row.hasAttachment),
+    labels: [...new Set(rows.flatMap((row) => row.labelIds))],
+    messages: rows.map((row) => ({
+      id: row.gmailId,
+      threadId: row.threadId,
+      snippet: row.snippet || null,
+      internalDate: String(new Date(row.internalDate).getTime()),
+      from: row.from,
+      to: row.to,
+      subject: row.subject,
+      date: row.date,
+    })),
+  };
+}
+
+// Helper: one page of mirrored messages, newest first; pageToken is an offset
+async function listMirrorPage(where, pageToken, pageSize) {
+  const offset = Math.max(parseInt(pageToken, 10) || 0, 0);
+  const [rows, total] = await Promise.all([
+    prisma.mirroredMessage.findMany({ where, orderBy: { internalDate: 'desc' }, skip: offset, take: pageSize }),
+    prisma.mirroredMessage.count({ where }),
+  ]);
+  return {
+    rows,
+    nextPageToken: offset + rows.length < total ? String(offset + rows.length) : null,
+    resultSizeEstimate: total,
   };
+}
 
-  walk(payload);
-  return { text: text || null, html: html || null };
+// Helper: Gmail search syntax only runs on the provider, so `q` searches ask the
+// provider for matching IDs and read the messages themselves from the mirror
+async function searchMirrorPage(user, mailbox, query, pageToken, pageSize, labelIds) {
+  const mail = getMailProvider(mailbox);
+  const listRes = await mail.listMessages({ maxResults: pageSize, pageToken, q: query, labelIds });
+  const ids = (listRes.messages || []).map((m) => m.id);
+  return {
+    rows: await getMirroredMessages(user, mailbox, ids),
+    nextPageToken: listRes.nextPageToken || null,
+    resultSizeEstimate: listRes.resultSizeEstimate ?? null,
+  };
 }
 
-// Helper: collect attachment parts metadata recursively
-function collectAttachmentParts(payload, list = []) {
-  if (!payload) return list;
-  const hasFilename = !!payload.filename;
-  const hasAttachmentId = !!payload?.body?.attachmentId;
-  if (hasFilename && hasAttachmentId) {
-    list.push({
-      filename: payload.filename,
-      mimeType: payload.mimeType || null,
-      size: payload.body?.size || null,
-      attachmentId: payload.body.attachmentId,
-      partId: payload.partId || null,
-    });
+// Page tokens of a mirror listing that went on through the provider start with this
+const PROVIDER_PAGE = 'provider:';
+
+// Helper: Gmail search for messages older than the mirrored window (before: takes Unix seconds)
+function olderThan(coveredSince) {
+  return `before:${Math.floor(new Date(coveredSince).getTime() / 1000)}`;
+}
+
+// Helper: one page of a mailbox listing. The mirror only holds the newest messages
+// when the mailbox is large (`coveredSince`, see mailMirror.js); past them the listing
+// goes on through the provider with the equivalent search, `{ q, labelIds }`
+async function listMailboxPage(user, mailbox, where, search, pageToken, pageSize) {
+  const accountId = await ensureMirror(user, mailbox);
+  const coveredSince = (await getMirrorState(user.id, accountId))?.coveredSince || null;
+
+  if (String(pageToken || '').startsWith(PROVIDER_PAGE)) {
+    // A full resync since the previous page mirrored the whole mailbox, which was all listed already
+    if (!coveredSince) return { rows: [], nextPageToken: null, resultSizeEstimate: null };
+
+    const query = [search.q, olderThan(coveredSince)].filter(Boolean).join(' ');
+    const page = await searchMirrorPage(
+      user, mailbox, query, pageToken.slice(PROVIDER_PAGE.length) || undefined, pageSize, search.labelIds
+    );
+    return { ...page, nextPageToken: page.nextPageToken ? PROVIDER_PAGE + page.nextPageToken : null, resultSizeEstimate: null };
+  }
+
+  const page = await listMirrorPage(
+    { ...where, userId: user.id, accountId, ...(coveredSince ? { internalDate: { gte: coveredSince } } : {}) },
+    pageToken,
+    pageSize
+  );
+  if (!coveredSince) return page;
+
+  // Only part of the mailbox is mirrored, so the mirror's count is not the total
+  if (page.nextPageToken) return { ...page, resultSizeEstimate: null };
+  if (page.rows.length === 0) return listMailboxPage(user, mailbox, where, search, PROVIDER_PAGE, pageSize);
+  return { ...page, nextPageToken: PROVIDER_PAGE, resultSizeEstimate: null };
+}
+
+// Helper: load whole threads from the mirror, keeping the order of threadIds.
+// Threads the mirror does not know yet are resolved through the provider.
+async function loadMirroredThreads(user, mailbox, threadIds) {
+  const accountId = getAccountId(mailbox);
+  const rows = await prisma.mirroredMessage.findMany({
+    where: { userId: user.id, accountId, threadId: { in: threadIds } },
+    orderBy: { internalDate: 'asc' },
+  });
+
+  const byThread = new Map();
+  rows.forEach((row) => {
+    if (!byThread.has(row.threadId)) byThread.set(row.threadId, []);
+    byThread.get(row.threadId).push(row);
+  });
+
+  const missing = threadIds.filter((id) => !byThread.has(id));
+  if (missing.length > 0) {
+    const mail = getMailProvider(mailbox);
+    for (const threadId of missing) {
+      try {
+        const threadRes = await mail.getThread(threadId, { format: 'minimal' });
+        const messageRows = await getMirroredMessages(user, mailbox, (threadRes.messages || []).map((m) => m.id));
+        if (messageRows.length > 0) {
+          byThread.set(threadId, messageRows.sort((a, b) => new Date(a.internalDate) - new Date(b.internalDate)));
+        }
+      } catch (e) {
+        if (e?.code !== 404) throw e;
+      }
+    }
   }
-  if (Array.isArray(payload.parts)) {
-    payload.parts.forEach((p) => collectAttachmentParts(p, list));
+
+  return threadIds.filter((id) => byThread.has(id)).map((id) => ({ id, rows: byThread.get(id) }));
+}
+
+// Helper: mirror a label change made on a whole thread (optionally only on rows matching `where`)
+async function applyThreadLabelChange(user, mailbox, threadId, change, where = {}) {
+  const accountId = getAccountId(mailbox);
+  const rows = await prisma.mirroredMessage.findMany({
+    where: { userId: user.id, accountId, threadId, ...where },
+    select: { gmailId: true },
+  });
+  await applyLabelChange(user.id, accountId, rows.map((row) => row.gmailId), change);
+}
+
+// Helper: latest AI summary of each thread (summaries are stored per message), by thread ID
+async function loadThreadSummaries(user, threads) {
+  const threadOf = new Map();
+  threads.forEach(({ id, rows }) => rows.forEach((row) => threadOf.set(row.gmailId, id)));
+  if (threadOf.size === 0) return new Map();
+
+  const summaries = await prisma.aiSummarys.findMany({
+    where: { userId: user.id, gmailId: { in: [...threadOf.keys()] } },
+    orderBy: { createdAt: 'desc' },
+  });
+
+  const byThread = new Map();
+  for (const summary of summaries) {
+    const threadId = threadOf.get(summary.gmailId);
+    if (!byThread.has(threadId)) byThread.set(threadId, summary);
   }
-  return list;
+  return byThread;
 }
 
 /**
  * GET /api/gmail/emails
+ * Served from the local mailbox mirror; `q` searches go through the provider
  * Requires authMiddleware to attach req.user
  */
 const getEmails = async (req, res) => {
@@ -117,140 +301,31 @@ const getEmails = async (req, res) => {
       return fail(res, 401, 'Unauthorized');
     }
 
-    if (!user.accessToken && !user.refreshToken) {
-      return fail(res, 400, 'No Google tokens found for this user. Please login with Google first.');
-    }
-
-    // Set credentials on the shared OAuth client. Clone if concurrency becomes an issue.
-    oauth2Client.setCredentials({
-      access_token: user.accessToken || undefined,
-      refresh_token: user.refreshToken || undefined,
-    });
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
 
     // Pagination (10 by 10) and optional query filter
     const { pageToken, q } = req.query;
     const maxResults = 10;
-    
-    // Build query to exclude sent emails
-    let query = q || '';
-    if (user.email) {
-      // Exclude emails from the user (sen
-      // t emails)
-      const excludeFrom = `-from:${user.email}`;
-      query = query ? `${query} ${excludeFrom}` : excludeFrom;
-    }
-    const listRes = await gmail.users.messages.list({
-      userId: 'me',
-      maxResults,
-      pageToken,
-      q: query,
-    });
-
-    const messages = listRes.data.messages || [];
-    const nextPageToken = listRes.data.nextPageToken || null;
-    const resultSizeEstimate = listRes.data.resultSizeEstimate ?? null;
-
-    // Fetch metadata for each message in parallel, but cap concurrency to avoid rate limits
-    const concurrency = 10;
-    const chunks = [];
-    for (let i = 0; i < messages.length; i += concurrency) {
-      chunks.push(messages.slice(i, i + concurrency));
-    }
 
-    const results = [];
-    for (const chunk of chunks) {
-      const details = await Promise.all(
-        chunk.map(async (m) => {
-          try {
-            const msgRes = await gmail.users.messages.get({
-              userId: 'me',
-              id: m.id,
-              format: 'full',
-            });
-            const payload = msgRes.data.payload || {};
-            const headers = payload.headers || [];
-            const getHeader = (name) => headers.find((h) => h.name === name)?.value || null;
-            const bodies = extractBodies(payload);
-
-            // Collect and fetch attachments
-            const attachmentParts = collectAttachmentParts(payload);
-            const MAX_ATTACHMENT_COUNT = 10;
-            const MAX_INLINE_SIZE = 5 * 1024 * 1024; // 5MB
-            const selected = attachmentParts.slice(0, MAX_ATTACHMENT_COUNT);
-            const attachments = await Promise.all(
-              selected.map(async (att) => {
-                try {
-                  if (att.size && att.size > MAX_INLINE_SIZE) {
-                    return {
-                      filename: att.filename,
-                      mimeType: att.mimeType,
-                      size: att.size,
-                      attachmentId: att.attachmentId,
-                      data: null,
-                      tooLarge: true,
-                    };
-                  }
-                  const attRes = await gmail.users.messages.attachments.get({
-                    userId: 'me',
-                    messageId: msgRes.data.id,
-                    id: att.attachmentId,
-                  });
-                  const data = attRes.data?.data || null; // base64url
-                  return {
-                    filename: att.filename,
-                    mimeType: att.mimeType,
-                    size: att.size,
-                    attachmentId: att.attachmentId,
-                    data,
-                    tooLarge: false,
-                  };
-                } catch (e) {
-                  return {
-                    filename: att.filename,
-                    mimeType: att.mimeType,
-                    size: att.size,
-                    attachmentId: att.attachmentId,
-                    data: null,
-                    error: e?.message || 'Failed to fetch attachment',
-                  };
-                }
-              })
-            );
-
-            // Check if email is read (UNREAD label not present)
-            const isRead = !msgRes.data.labelIds?.includes('UNREAD');
-
-            return {
-              id: msgRes.data.id,
-              threadId: msgRes.data.threadId,
-              snippet: msgRes.data.snippet || null,
-              internalDate: msgRes.data.internalDate || null,
-              isRead,
-              from: getHeader('From'),
-              to: getHeader('To'),
-              subject: getHeader('Subject'),
-              date: getHeader('Date'),
-              textBody: bodies.text,
-              htmlBody: bodies.html,
-              attachments,
-              labels: msgRes.data.labelIds || [],
-            };
-          } catch (e) {
-            return { id: m.id, error: e?.message || 'Failed to fetch message' };
-          }
-        })
+    // Exclude emails from the user (sent emails)
+    let page;
+    if (q) {
+      page = await searchMirrorPage(user, mailbox, `${q} -from:${mailbox.email}`, pageToken, maxResults);
+    } else {
+      page = await listMailboxPage(
+        user, mailbox, { fromMe: false, NOT: HIDDEN_LABELS }, { q: `-from:${mailbox.email}` }, pageToken, maxResults
       );
-      results.push(...details);
     }
 
+    const results = page.rows.map(formatMirroredEmail);
+
     return ok(res, results, 'Emails fetched successfully', {
       count: results.length,
       pageSize: maxResults,
-      nextPageToken,
-      hasMore: Boolean(nextPageToken),
-      resultSizeEstimate,
+      nextPageToken: page.nextPageToken,
+      hasMore: Boolean(page.nextPageToken),
+      resultSizeEstimate: page.resultSizeEstimate,
       q: q || null,
     });
   } catch (error) {
@@ -262,7 +337,136 @@ const getEmails = async (req, res) => {
   }
 };
 
+/**
+ * GET /api/gmail/inbox/unified
+ * Inbox of every linked mailbox merged and sorted by internalDate (newest first),
+ * served from the local mirror
+ */
+const getUnifiedInbox = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) {
+      return fail(res, 401, 'Unauthorized');
+    }
+
+    const { pageToken, q } = req.query;
+    const maxResults = 10;
+
+    const mailboxes = (await listMailboxes(user)).filter(hasMailAccess);
+    const failedAccounts = [];
+    const results = [];
+    let nextPageToken = null;
+    let resultSizeEstimate = null;
+
+    // Searches run per mailbox through the provider (`q`, or past the mirrored window);
+    // their page token carries one page token per mailbox that still has results
+    const providerPage = q || String(pageToken || '').startsWith(PROVIDER_PAGE);
+    const cursorToken = q ? pageToken : String(pageToken || '').slice(PROVIDER_PAGE.length);
+    let cursors = null;
+    if (providerPage && cursorToken) {
+      try {
+        cursors = JSON.parse(Buffer.from(cursorToken, 'base64url').toString('utf8'));
+      } catch {
+        return fail(res, 400, 'Invalid pageToken');
+      }
+    }
+
+    const searchMailboxes = async (searchable, queryFor) => {
+      const nextCursors = {};
+      for (const mailbox of searchable) {
+        const accountId = getAccountId(mailbox);
+        // Past the first page, only mailboxes that still have messages are read
+        if (cursors && !cursors[accountId]) continue;
+
+        try {
+          const page = await searchMirrorPage(user, mailbox, queryFor(mailbox), cursors?.[accountId], maxResults);
+          if (page.nextPageToken) nextCursors[accountId] = page.nextPageToken;
+          results.push(...page.rows);
+        } catch (e) {
+          console.error('Error searching unified inbox for mailbox:', mailbox.email, e?.message);
+          failedAccounts.push({ accountId, email: mailbox.email, error: e?.message || 'Failed to fetch emails' });
+        }
+      }
+
+      results.sort((a, b) => new Date(b.internalDate) - new Date(a.internalDate));
+      return Object.keys(nextCursors).length > 0
+        ? Buffer.from(JSON.stringify(nextCursors)).toString('base64url')
+        : null;
+    };
+
+    if (q) {
+      nextPageToken = await searchMailboxes(mailboxes, (mailbox) => `${q} -from:${mailbox.email}`);
+    } else {
+      // All mirrors live in one table, so the merge is a single sorted query
+      const accountIds = [];
+      for (const mailbox of mailboxes) {
+        try {
+          accountIds.push(await ensureMirror(user, mailbox));
+        } catch (e) {
+          console.error('Error syncing unified inbox for mailbox:', mailbox.email, e?.message);
+          failedAccounts.push({ accountId: getAccountId(mailbox), email: mailbox.email, error: e?.message || 'Failed to fetch emails' });
+        }
+      }
+
+      // Mailboxes mirrored only in part (see mailMirror.js) go on through the provider past their window
+      const states = await prisma.mailboxSync.findMany({ where: { userId: user.id, accountId: { in: accountIds } } });
+      const coveredSince = new Map(states.filter((state) => state.coveredSince).map((state) => [state.accountId, state.coveredSince]));
+      const partial = mailboxes.filter((mailbox) => coveredSince.has(getAccountId(mailbox)));
+      const olderQuery = (mailbox) => `-from:${mailbox.email} ${olderThan(coveredSince.get(getAccountId(mailbox)))}`;
+
+      if (providerPage) {
+        nextPageToken = await searchMailboxes(partial, olderQuery);
+        if (nextPageToken) nextPageToken = PROVIDER_PAGE + nextPageToken;
+      } else {
+        const page = await listMirrorPage(
+          {
+            userId: user.id,
+            fromMe: false,
+            NOT: HIDDEN_LABELS,
+            OR: accountIds.map((accountId) => ({
+              accountId,
+              ...(coveredSince.has(accountId) ? { internalDate: { gte: coveredSince.get(accountId) } } : {}),
+            })),
+          },
+          pageToken,
+          maxResults
+        );
+        results.push(...page.rows);
+        nextPageToken = page.nextPageToken || (partial.length > 0 ? PROVIDER_PAGE : null);
+        resultSizeEstimate = partial.length > 0 ? null : page.resultSizeEstimate;
+      }
+    }
+
+    const emailByAccount = new Map(mailboxes.map((mailbox) => [getAccountId(mailbox), mailbox.email]));
+    const emails = results.map((row) => ({
+      ...formatMirroredEmail(row),
+      accountId: row.accountId,
+      accountEmail: emailByAccount.get(row.accountId) || null,
+    }));
+
+    return ok(res, emails, 'Unified inbox fetched successfully', {
+      count: emails.length,
+      pageSize: maxResults,
+      accounts: mailboxes.length,
+      failedAccounts,
+      nextPageToken,
+      hasMore: Boolean(nextPageToken),
+      resultSizeEstimate,
+      q: q || null,
+    });
+  } catch (error) {
+    console.error('Error fetching unified inbox:', error);
+    return fail(res, 500, 'Failed to fetch unified inbox: ' + (error?.message || ''));
+  }
+};
+
+// Helper: whether a fetch endpoint should mark what it returns as read (`markAsRead=false` keeps previews unread)
+function shouldMarkAsRead(req) {
+  return String(req.query.markAsRead ?? 'true').toLowerCase() !== 'false';
+}
+
 // GET /api/gmail/emails/:id
+// Query: markAsRead=false to leave the read state untouched (e.g. previews)
 const getEmailById = async (req, res) => {
   try {
     const user = req.user;
@@ -270,80 +474,29 @@ const getEmailById = async (req, res) => {
       return fail(res, 401, 'Unauthorized');
     }
 
-    if (!user.accessToken && !user.refreshToken) {
-      return fail(res, 400, 'No Google tokens found for this user. Please login with Google first.');
-    }
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
 
     const { id } = req.params;
     if (!id) return fail(res, 400, 'Message id is required');
 
-    oauth2Client.setCredentials({
-      access_token: user.accessToken || undefined,
-      refresh_token: user.refreshToken || undefined,
-    });
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const mail = getMailProvider(mailbox);
 
-    const msgRes = await gmail.users.messages.get({
-      userId: 'me',
-      id,
-      format: 'full',
-    });
+    const msgRes = await mail.getMessage(id, { format: 'full' });
 
-    const payload = msgRes.data.payload || {};
+    const payload = msgRes.payload || {};
     const headers = payload.headers || [];
     const getHeader = (name) => headers.find((h) => h.name === name)?.value || null;
     const bodies = extractBodies(payload);
 
-    const attachmentParts = collectAttachmentParts(payload);
-    const MAX_ATTACHMENT_COUNT = 10;
-    const MAX_INLINE_SIZE = 5 * 1024 * 1024; // 5MB
-    const selected = attachmentParts.slice(0, MAX_ATTACHMENT_COUNT);
-    const attachments = await Promise.all(
-      selected.map(async (att) => {
-        try {
-          if (att.size && att.size > MAX_INLINE_SIZE) {
-            return {
-              filename: att.filename,
-              mimeType: att.mimeType,
-              size: att.size,
-              attachmentId: att.attachmentId,
-              data: null,
-              tooLarge: true,
-            };
-          }
-          const attRes = await gmail.users.messages.attachments.get({
-            userId: 'me',
-            messageId: msgRes.data.id,
-            id: att.attachmentId,
-          });
-          const data = attRes.data?.data || null; // base64url
-          return {
-            filename: att.filename,
-            mimeType: att.mimeType,
-            size: att.size,
-            attachmentId: att.attachmentId,
-            data,
-            tooLarge: false,
-          };
-        } catch (e) {
-          return {
-            filename: att.filename,
-            mimeType: att.mimeType,
-            size: att.size,
-            attachmentId: att.attachmentId,
-            data: null,
-            error: e?.message || 'Failed to fetch attachment',
-          };
-        }
-      })
-    );
+    // Metadata only; the bytes are served by GET /api/gmail/emails/:id/attachments/:attachmentId
+    const attachments = collectAttachmentParts(payload);
 
     const email = {
-      id: msgRes.data.id,
-      threadId: msgRes.data.threadId,
-      snippet: msgRes.data.snippet || null,
-      internalDate: msgRes.data.internalDate || null,
+      id: msgRes.id,
+      threadId: msgRes.threadId,
+      snippet: msgRes.snippet || null,
+      internalDate: msgRes.internalDate || null,
       from: getHeader('From'),
       to: getHeader('To'),
       subject: getHeader('Subject'),
@@ -351,6 +504,8 @@ const getEmailById = async (req, res) => {
       textBody: bodies.text,
       htmlBody: bodies.html,
       attachments,
+      labels: msgRes.labelIds || [],
+      isRead: !(msgRes.labelIds || []).includes('UNREAD'),
     };
 
     // Fetch last calendar task for this gmail
@@ -366,17 +521,16 @@ const getEmailById = async (req, res) => {
     });
 
     // Mark email as read after successfully fetching it
-    try {
-      await gmail.users.messages.modify({
-        userId: 'me',
-        id: id,
-        requestBody: {
-          removeLabelIds: ['UNREAD']
-        }
-      });
-    } catch (modifyError) {
-      console.warn('Failed to mark email as read:', modifyError.message);
-      // Continue with response even if marking as read fails
+    if (shouldMarkAsRead(req) && !email.isRead) {
+      try {
+        await mail.modifyMessage(id, { removeLabelIds: ['UNREAD'] });
+        await applyLabelChange(user.id, getAccountId(mailbox), [id], { removeLabelIds: ['UNREAD'] });
+        email.labels = email.labels.filter((label) => label !== 'UNREAD');
+        email.isRead = true;
+      } catch (modifyError) {
+        console.warn('Failed to mark email as read:', modifyError.message);
+        // Continue with response even if marking as read fails
+      }
     }
 
     return ok(res, {
@@ -392,87 +546,105 @@ const getEmailById = async (req, res) => {
     return fail(res, 500, 'Failed to fetch email' + (error?.message || ''));
   }
 };
-const getreplayByGmailId = async (req, res) => {
+// Helper: Content-Disposition with an ASCII fallback and the UTF-8 filename (RFC 6266)
+function contentDisposition(type, filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+/**
+ * GET /api/gmail/emails/:id/attachments/:attachmentId
+ * Stream an attachment's decoded bytes
+ * Supports single HTTP ranges and conditional requests (ETag); `?inline=true` to display instead of download
+ */
+const getAttachment = async (req, res) => {
   try {
     const user = req.user;
     if (!user) {
       return fail(res, 401, 'Unauthorized');
     }
 
-    if (!user.accessToken && !user.refreshToken) {
-      return fail(res, 400, 'No Google tokens found for this user. Please login with Google first.');
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
+
+    const { id, attachmentId } = req.params;
+    if (!id || !attachmentId) return fail(res, 400, 'Message id and attachment id are required');
+
+    const { buffer, filename, mimeType } = await getAttachmentContent(user, mailbox, id, attachmentId);
+    const etag = `"${crypto.createHash('md5').update(buffer).digest('hex')}"`;
+
+    res.set({
+      'Content-Type': mimeType,
+      'Content-Disposition': contentDisposition(req.query.inline === 'true' ? 'inline' : 'attachment', filename),
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'private, max-age=86400',
+      ETag: etag,
+    });
+
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+
+    // Ranges only apply while the client still holds the same version
+    const ifRange = req.headers['if-range'];
+    const range = ifRange && ifRange !== etag ? null : parseRange(req.headers.range, buffer.length);
+    if (range === false) {
+      res.set('Content-Range', `bytes */${buffer.length}`);
+      return fail(res, 416, 'Requested range not satisfiable');
+    }
+
+    const body = range ? buffer.subarray(range.start, range.end + 1) : buffer;
+    if (range) {
+      res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${buffer.length}`);
+    }
+    res.set('Content-Length', String(body.length));
+    return res.end(req.method === 'HEAD' ? undefined : body);
+  } catch (error) {
+    console.error('Error fetching attachment:', error);
+    if (error?.code === 401) {
+      return fail(res, 401, 'Token expired or invalid. Please re-authenticate.');
+    }
+    if (error?.code === 404) {
+      return fail(res, 404, 'Attachment not found');
+    }
+    return fail(res, 500, 'Failed to fetch attachment: ' + (error?.message || ''));
+  }
+};
+
+/**
+ * POST /api/gmail/emails/reply/:id
+ * Generate an AI reply to an email. Body: prompet, saveAsDraft (store the reply as a draft in the thread)
+ */
+const getreplayByGmailId = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) {
+      return fail(res, 401, 'Unauthorized');
     }
 
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
+
     const { id } = req.params;
     if (!id) return fail(res, 400, 'Message id is required');
 
-    oauth2Client.setCredentials({
-      access_token: user.accessToken || undefined,
-      refresh_token: user.refreshToken || undefined,
-    });
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const mail = getMailProvider(mailbox);
 
-    const msgRes = await gmail.users.messages.get({
-      userId: 'me',
-      id,
-      format: 'full',
-    });
+    const msgRes = await mail.getMessage(id, { format: 'full' });
 
-    const payload = msgRes.data.payload || {};
+    const payload = msgRes.payload || {};
     const headers = payload.headers || [];
     const getHeader = (name) => headers.find((h) => h.name === name)?.value || null;
     const bodies = extractBodies(payload);
 
-    const attachmentParts = collectAttachmentParts(payload);
-    const MAX_ATTACHMENT_COUNT = 10;
-    const MAX_INLINE_SIZE = 5 * 1024 * 1024; // 5MB
-    const selected = attachmentParts.slice(0, MAX_ATTACHMENT_COUNT);
-    const attachments = await Promise.all(
-      selected.map(async (att) => {
-        try {
-          if (att.size && att.size > MAX_INLINE_SIZE) {
-            return {
-              filename: att.filename,
-              mimeType: att.mimeType,
-              size: att.size,
-              attachmentId: att.attachmentId,
-              data: null,
-              tooLarge: true,
-            };
-          }
-          const attRes = await gmail.users.messages.attachments.get({
-            userId: 'me',
-            messageId: msgRes.data.id,
-            id: att.attachmentId,
-          });
-          const data = attRes.data?.data || null; // base64url
-          return {
-            filename: att.filename,
-            mimeType: att.mimeType,
-            size: att.size,
-            attachmentId: att.attachmentId,
-            data,
-            tooLarge: false,
-          };
-        } catch (e) {
-          return {
-            filename: att.filename,
-            mimeType: att.mimeType,
-            size: att.size,
-            attachmentId: att.attachmentId,
-            data: null,
-            error: e?.message || 'Failed to fetch attachment',
-          };
-        }
-      })
-    );
+    // Metadata only; the bytes are served by GET /api/gmail/emails/:id/attachments/:attachmentId
+    const attachments = collectAttachmentParts(payload);
 
     const email = {
-      id: msgRes.data.id,
-      threadId: msgRes.data.threadId,
-      snippet: msgRes.data.snippet || null,
-      internalDate: msgRes.data.internalDate || null,
+      id: msgRes.id,
+      threadId: msgRes.threadId,
+      snippet: msgRes.snippet || null,
+      internalDate: msgRes.internalDate || null,
       from: getHeader('From'),
       to: getHeader('To'),
       subject: getHeader('Subject'),
@@ -483,7 +655,26 @@ const getreplayByGmailId = async (req, res) => {
     };
     const agentResponse = await agent(process.env.SYSTEM_PROMPET_FOR_GENERATE_MESSAGE,[],`the email is : ${email.textBody || email.htmlBody || ''}. and the user prompet is : ${req.body.prompet}`);
     console.log("agentResponse", agentResponse);
-    return ok(res, {reply:JSON.parse(agentResponse) }, 'Email fetched successfully');
+    const reply = JSON.parse(agentResponse);
+
+    // saveAsDraft: keep the reply as a draft in the thread so it can be edited and sent later
+    let draft = null;
+    if (req.body.saveAsDraft) {
+      const replyBody = typeof reply === 'string'
+        ? reply
+        : reply?.body || reply?.reply || reply?.message || reply?.html || reply?.content || '';
+      const signature = await pickSignature(user.id, getAccountId(mailbox), String(mailbox.email || '').toLowerCase());
+      const { raw, threadId } = await composeDraft(user, mailbox, mail, {
+        gmailId: id,
+        subject: typeof reply === 'object' && reply?.subject ? reply.subject : undefined,
+        body: appendSignature(String(replyBody), signature),
+      });
+      const saved = await mail.createDraft({ raw, threadId });
+      await markMirrorStale(user.id, getAccountId(mailbox));
+      draft = formatDraft(await mail.getDraft(saved.id, { format: 'full' }));
+    }
+
+    return ok(res, { reply, draft }, draft ? 'Reply saved as draft' : 'Email fetched successfully');
   } catch (error) {
     console.error('Error fetching email by id:', error);
     if (error?.code === 401) {
@@ -493,6 +684,16 @@ const getreplayByGmailId = async (req, res) => {
   }
 };
 
+/**
+ * POST /api/gmail/send
+ * Body: to, subject, body (HTML), cc, bcc, text (optional plain version), gmailId (reply to)
+ * attachments: [{ filename, mimeType, content (base64), cid? } | { gmailId, attachmentId, cid? }]
+ * Attachments with a cid are sent inline and can be referenced from the HTML as <img src="cid:...">
+ * undoSeconds (0-30, default UNDO_SEND_SECONDS): hold the email that long; returns { pendingId, deadline }
+ * and the send can be cancelled with POST /api/gmail/send/:pendingId/undo
+ * from: send-as alias (see GET /api/gmail/send-as); signature: signature ID, or false for none
+ * (default: the signature set as default for the alias)
+ */
 const sendEmail = async (req, res) => {
   try {
     const user = req.user;
@@ -500,98 +701,64 @@ const sendEmail = async (req, res) => {
       return fail(res, 401, 'Unauthorized');
     }
 
-    if (!user.accessToken && !user.refreshToken) {
-      return fail(res, 400, 'No Google tokens found for this user. Please login with Google first.');
-    }
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
 
-    const { to, subject, gmailId, body, cc, bcc } = req.body;
+    const { to, subject, gmailId, body, cc, bcc, text } = req.body;
 
-    if (!to || !subject || !body) {
+    if (!toAddressList(to) || !subject || !body) {
       return fail(res, 400, 'Required fields: to, subject, body');
     }
 
-    oauth2Client.setCredentials({
-      access_token: user.accessToken || undefined,
-      refresh_token: user.refreshToken || undefined,
+    const holdSeconds = parseHoldSeconds(req.body.undoSeconds);
+    if (holdSeconds === null) {
+      return fail(res, 400, 'undoSeconds must be an integer between 0 and 30');
+    }
+
+    const sender = await prepareSender(user, mailbox, { from: req.body.from, body, signature: req.body.signature });
+
+    // Undo window: hold the email in the outbox and send it once the deadline passes
+    if (holdSeconds > 0) {
+      // Check the attachments now rather than failing at send time
+      await resolveOutgoingAttachments(user, mailbox, req.body.attachments);
+
+      const { pendingId, deadline } = await holdOutgoingMail(user, mailbox, {
+        from: sender.from,
+        to,
+        cc,
+        bcc,
+        subject,
+        body: sender.body,
+        text,
+        gmailId,
+        attachments: req.body.attachments,
+      }, holdSeconds);
+
+      return ok(res, {
+        pendingId,
+        deadline,
+        status: 'pending',
+      }, `Email will be sent in ${holdSeconds} seconds`);
+    }
+
+    const response = await sendOutgoingMail(user, mailbox, {
+      from: sender.from,
+      to,
+      cc,
+      bcc,
+      subject,
+      body: sender.body,
+      text,
+      gmailId,
+      attachments: req.body.attachments,
     });
 
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
-
-    let threadId = null;
-    let messageId = null;
-    let references = null;
-
-    // If gmailId exists, fetch the original email to get threadId and Message-ID
-    if (gmailId) {
-      try {
-        const originalEmail = await gmail.users.messages.get({
-          userId: 'me',
-          id: gmailId,
-          format: 'metadata',
-          metadataHeaders: ['Message-ID', 'References'],
-        });
-
-        threadId = originalEmail.data.threadId;
-        const headers = originalEmail.data.payload?.headers || [];
-        messageId = headers.find(h => h.name === 'Message-ID')?.value;
-        references = headers.find(h => h.name === 'References')?.value;
-      } catch (error) {
-        console.error('Error fetching original email:', error);
-        // Continue without threading if original email can't be fetched
-      }
-    }
-
-    // Create email message
-    const emailLines = [];
-    emailLines.push(`To: ${to}`);
-    if (cc) emailLines.push(`Cc: ${cc}`);
-    if (bcc) emailLines.push(`Bcc: ${bcc}`);
-    emailLines.push(`Subject: ${subject}`);
-
-    // Add threading headers if replying to an existing email
-    if (messageId) {
-      emailLines.push(`In-Reply-To: ${messageId}`);
-      if (references) {
-        emailLines.push(`References: ${references} ${messageId}`);
-      } else {
-        emailLines.push(`References: ${messageId}`);
-      }
-    }
-
-    emailLines.push('MIME-Version: 1.0');
-    emailLines.push(`Content-Type: text/html; charset=UTF-8`);
-    emailLines.push(''); // Empty line between headers and body
-    emailLines.push(body);
-
-    const emailMessage = emailLines.join('\r\n');
-
-    // Encode message in base64url
-    const encodedMessage = Buffer.from(emailMessage)
-      .toString('base64')
-      .replace(/\+/g, '-')
-      .replace(/\//g, '_')
-      .replace(/=+$/, '');
-
-    // Send email with threadId if available
-    const sendRequest = {
-      userId: 'me',
-      requestBody: {
-        raw: encodedMessage
-      }
-    };
-
-    if (threadId) {
-      sendRequest.requestBody.threadId = threadId;
-    }
-
-    const response = await gmail.users.messages.send(sendRequest);
-
     // Save sent email to database
     // try {
     //   await prisma.sendedEmail.create({
     //     data: {
-    //       emailId: response.data.id,
-    //       theridedId: response.data.threadId,
+    //       emailId: response.id,
+    //       theridedId: response.threadId,
     //       userId: user.id
     //     }
     //   });
@@ -601,8 +768,8 @@ const sendEmail = async (req, res) => {
     // }
 
     return ok(res, {
-      id: response.data.id,
-      threadId: response.data.threadId,
+      id: response.id,
+      threadId: response.threadId,
       message: gmailId ? 'Reply sent successfully in same thread' : 'Email sent successfully'
     }, gmailId ? 'Reply sent successfully in same thread' : 'Email sent successfully');
   } catch (error) {
@@ -610,213 +777,549 @@ const sendEmail = async (req, res) => {
     if (error?.code === 401) {
       return fail(res, 401, 'Token expired or invalid. Please re-authenticate.');
     }
+    if (error?.code === 400 || error?.code === 404) {
+      return fail(res, error.code, error.message);
+    }
     return fail(res, 500, 'Failed to send email: ' + (error?.message || ''));
   }
 };
 
-const deleteEmail = async (req, res) => {
+// Helper: ask the agent for a short note introducing a forwarded email (HTML). Throws code 502 when it fails.
+async function writeForwardNote(original, instruction, recipients) {
+  const systemPrompt = process.env.SYSTEM_PROMPT_FOR_FORWARD_NOTE
+    || 'You write the short note a person adds above an email they forward. Write 1-3 sentences telling the recipient why they are receiving it and what, if anything, they should do. Return only the note as simple HTML (<p> tags), with no greeting line, no signature and no subject.';
+  const response = await agent(systemPrompt, [], [
+    `Forwarding to: ${recipients}`,
+    `Original from: ${original.from || 'unknown'}`,
+    `Original subject: ${original.subject || '(no subject)'}`,
+    `Original message: ${String(original.text).slice(0, 4000)}`,
+    instruction ? `Instructions from the user: ${instruction}` : ''
+  ].filter(Boolean).join('\n'));
+
+  if (!response || /^Error:/.test(response)) {
+    const error = new Error('Could not write the forwarding note');
+    error.code = 502;
+    throw error;
+  }
+  return response.trim().replace(/^```(?:html)?/i, '').replace(/```$/, '').trim();
+}
+
+/**
+ * POST /api/gmail/emails/:id/forward
+ * Forward an email with its header block, original body and attachments (fetched server-side)
+ * Body: to (required), cc, bcc, comment (plain text above the forwarded message),
+ * aiNote (true, or an instruction string: add an AI-written note), includeAttachments (default true),
+ * undoSeconds (0-30, same undo window as POST /api/gmail/send), from and signature (as in POST /api/gmail/send)
+ */
+const forwardEmail = async (req, res) => {
   try {
     const user = req.user;
     if (!user) {
       return fail(res, 401, 'Unauthorized');
     }
 
-    if (!user.accessToken && !user.refreshToken) {
-      return fail(res, 400, 'No Google tokens found for this user. Please login with Google first.');
+    const { to, cc, bcc, comment, aiNote, includeAttachments = true } = req.body;
+
+    if (!toAddressList(to)) {
+      return fail(res, 400, 'Required fields: to');
+    }
+    if (comment !== undefined && typeof comment !== 'string') {
+      return fail(res, 400, 'comment must be a string');
+    }
+    if (aiNote !== undefined && typeof aiNote !== 'boolean' && typeof aiNote !== 'string') {
+      return fail(res, 400, 'aiNote must be true or an instruction string');
     }
-    
-    const { id } = req.params;
-    if (!id) return fail(res, 400, 'Message id is required');
 
-    oauth2Client.setCredentials({
-      access_token: user.accessToken || undefined,
-      refresh_token: user.refreshToken || undefined,
-    });
+    const holdSeconds = parseHoldSeconds(req.body.undoSeconds);
+    if (holdSeconds === null) {
+      return fail(res, 400, 'undoSeconds must be an integer between 0 and 30');
+    }
 
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
 
-    // Delete the email (moves to trash)
-    await gmail.users.messages.trash({
-      userId: 'me',
-      id: id
+    const recipients = toAddressList(to);
+    // The signature goes under the note/comment, above the forwarded message
+    const sender = await prepareSender(user, mailbox, { from: req.body.from, body: '', signature: req.body.signature });
+    const forward = await composeForward(getMailProvider(mailbox), req.params.id, {
+      comment,
+      signature: sender.body,
+      includeAttachments: includeAttachments !== false,
+      writeNote: aiNote
+        ? (original) => writeForwardNote(original, typeof aiNote === 'string' ? aiNote : null, recipients)
+        : undefined,
     });
 
-    return ok(res, { id, message: 'Email moved to trash successfully' }, 'Email moved to trash successfully');
+    const message = {
+      from: sender.from,
+      to,
+      cc,
+      bcc,
+      subject: forward.subject,
+      body: forward.body,
+      attachments: forward.attachments,
+    };
+
+    if (holdSeconds > 0) {
+      const { pendingId, deadline } = await holdOutgoingMail(user, mailbox, message, holdSeconds);
+      return ok(res, {
+        pendingId,
+        deadline,
+        status: 'pending',
+        subject: forward.subject,
+        attachmentCount: forward.attachments.length,
+        note: forward.note,
+      }, `Email will be forwarded in ${holdSeconds} seconds`);
+    }
+
+    const response = await sendOutgoingMail(user, mailbox, message);
+
+    return ok(res, {
+      id: response.id,
+      threadId: response.threadId,
+      subject: forward.subject,
+      attachmentCount: forward.attachments.length,
+      note: forward.note,
+    }, 'Email forwarded successfully');
   } catch (error) {
-    console.error('Error deleting email:', error);
+    console.error('Error forwarding email:', error);
     if (error?.code === 401) {
       return fail(res, 401, 'Token expired or invalid. Please re-authenticate.');
     }
     if (error?.code === 404) {
       return fail(res, 404, 'Email not found');
     }
-    return fail(res, 500, 'Failed to delete email: ' + (error?.message || ''));
+    if (error?.code === 400 || error?.code === 502) {
+      return fail(res, error.code, error.message);
+    }
+    return fail(res, 500, 'Failed to forward email: ' + (error?.message || ''));
   }
 };
 
-const getThreads = async (req, res) => {
+// Helper: shape a draft (format full) for the drafts endpoints
+function formatDraft(draft) {
+  const message = draft.message || {};
+  const payload = message.payload || {};
+  const headers = payload.headers || [];
+  const header = (name) => headers.find((h) => h.name.toLowerCase() === name.toLowerCase())?.value || null;
+  const bodies = extractBodies(payload);
+
+  return {
+    id: draft.id,
+    messageId: message.id,
+    threadId: message.threadId,
+    to: header('To'),
+    cc: header('Cc'),
+    bcc: header('Bcc'),
+    subject: header('Subject'),
+    body: bodies.html,
+    text: bodies.text,
+    snippet: message.snippet || null,
+    internalDate: message.internalDate || null,
+    inReplyTo: header('In-Reply-To'),
+    references: header('References'),
+    attachments: collectAttachmentParts(payload),
+  };
+}
+
+// Helper: build the raw message of a draft from request fields, falling back to the
+// current draft (on update) and to the original message for reply drafts
+async function composeDraft(user, mailbox, mail, input, current = null) {
+  const reply = input.gmailId ? await getReplyContext(mail, input.gmailId) : null;
+  if (input.gmailId && !reply) {
+    const error = new Error('Original email not found');
+    error.code = 404;
+    throw error;
+  }
+
+  const pick = (field) => (input[field] !== undefined ? input[field] : current?.[field]);
+  // The stored References already end with In-Reply-To, which the builder appends again
+  const currentReferences = current?.references?.replace(current.inReplyTo || '', '').trim() || null;
+  const replySubject = reply?.subject && !/^re:/i.test(reply.subject) ? `Re: ${reply.subject}` : reply?.subject;
+
+  // Without new attachments the current ones are carried over from the stored draft message
+  const attachmentInput = input.attachments !== undefined
+    ? input.attachments
+    : (current?.attachments || []).map((att) => ({ gmailId: current.messageId, attachmentId: att.attachmentId, filename: att.filename }));
+
+  const raw = buildRawMessage({
+    to: pick('to') ?? reply?.replyTo,
+    cc: pick('cc'),
+    bcc: pick('bcc'),
+    subject: pick('subject') ?? replySubject ?? '',
+    html: pick('body') ?? '',
+    text: input.body !== undefined ? input.text : pick('text'),
+    inReplyTo: reply ? reply.inReplyTo : current?.inReplyTo,
+    references: reply ? reply.references : currentReferences,
+    attachments: await resolveOutgoingAttachments(user, mailbox, attachmentInput),
+  });
+
+  return { raw, threadId: reply?.threadId || current?.threadId || undefined };
+}
+
+/**
+ * GET /api/gmail/drafts
+ * Query: q, pageToken, limit
+ */
+const getDrafts = async (req, res) => {
   try {
     const user = req.user;
     if (!user) {
       return fail(res, 401, 'Unauthorized');
     }
 
-    if (!user.accessToken && !user.refreshToken) {
-      return fail(res, 400, 'No Google tokens found for this user. Please login with Google first.');
-    }
-
-    // Set credentials on the shared OAuth client
-    oauth2Client.setCredentials({
-      access_token: user.accessToken || undefined,
-      refresh_token: user.refreshToken || undefined,
-    });
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
-
-    // Pagination and optional query filter
-    const { pageToken, q } = req.query;
-    const maxResults = 10;
-    
-    const listRes = await gmail.users.threads.list({
-      userId: 'me',
-      maxResults,
-      pageToken,
-      q,
-    });
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
 
-    const threads = listRes.data.threads || [];
-    const nextPageToken = listRes.data.nextPageToken || null;
-    const resultSizeEstimate = listRes.data.resultSizeEstimate ?? null;
+    const { q, pageToken } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
 
-    // Fetch details for each thread in parallel
-    const concurrency = 10;
-    const chunks = [];
-    for (let i = 0; i < threads.length; i += concurrency) {
-      chunks.push(threads.slice(i, i + concurrency));
-    }
+    const mail = getMailProvider(mailbox);
+    const listRes = await mail.listDrafts({ q, pageToken, maxResults: limit });
 
-    const results = [];
-    for (const chunk of chunks) {
-      const details = await Promise.all(
-        chunk.map(async (thread) => {
-          try {
-            const threadRes = await gmail.users.threads.get({
-              userId: 'me',
-              id: thread.id,
-              format: 'metadata',
-              metadataHeaders: ['Subject', 'From', 'To', 'Date'],
-            });
-
-            const messages = threadRes.data.messages || [];
-            const firstMessage = messages[0];
-            const lastMessage = messages[messages.length - 1];
-            
-            const getHeader = (headers, name) => headers.find((h) => h.name === name)?.value || null;
-            const firstHeaders = firstMessage?.payload?.headers || [];
-            const lastHeaders = lastMessage?.payload?.headers || [];
-
-            // Count unread messages not sent by current user
-            const unreadNum = messages.filter(msg => {
-              const isUnread = msg.labelIds?.includes('UNREAD') || false;
-              const fromHeader = getHeader(msg?.payload?.headers || [], 'From');
-              const isNotFromMe = fromHeader && !fromHeader.includes(user.email);
-              return isUnread && isNotFromMe;
-            }).length;
-
-            return {
-              id: threadRes.data.id,
-              historyId: threadRes.data.historyId,
-              snippet: threadRes.data.snippet || null,
-              messageCount: messages.length,
-              unreadNum,
-              subject: getHeader(firstHeaders, 'Subject'),
-              from: getHeader(firstHeaders, 'From'),
-              to: getHeader(firstHeaders, 'To'),
-              firstDate: getHeader(firstHeaders, 'Date'),
-              lastDate: getHeader(lastHeaders, 'Date'),
-              messages: messages.map(msg => ({
-                id: msg.id,
-                threadId: msg.threadId,
-                snippet: msg.snippet || null,
-                internalDate: msg.internalDate || null,
-                from: getHeader(msg?.payload?.headers || [], 'From'),
-                to: getHeader(msg?.payload?.headers || [], 'To'),
-                subject: getHeader(msg?.payload?.headers || [], 'Subject'),
-                date: getHeader(msg?.payload?.headers || [], 'Date'),
-              }))
-            };
-          } catch (e) {
-            return { id: thread.id, error: e?.message || 'Failed to fetch thread' };
-          }
-        })
-      );
-      results.push(...details);
-    }
+    const drafts = (await Promise.all(
+      (listRes.drafts || []).map(async ({ id }) => {
+        try {
+          return formatDraft(await mail.getDraft(id, { format: 'full' }));
+        } catch (error) {
+          // Deleted or sent in the meantime
+          if (error?.code === 404) return null;
+          throw error;
+        }
+      })
+    )).filter(Boolean);
 
-    return ok(res, results, 'Threads fetched successfully', {
-      count: results.length,
-      pageSize: maxResults,
-      nextPageToken,
-      hasMore: Boolean(nextPageToken),
-      resultSizeEstimate,
-      q: q || null,
+    return ok(res, drafts, 'Drafts fetched successfully', {
+      count: drafts.length,
+      nextPageToken: listRes.nextPageToken || null,
+      hasMore: Boolean(listRes.nextPageToken),
+      resultSizeEstimate: listRes.resultSizeEstimate || drafts.length,
     });
   } catch (error) {
-    console.error('Error fetching threads:', error);
+    console.error('Error fetching drafts:', error);
     if (error?.code === 401) {
       return fail(res, 401, 'Token expired or invalid. Please re-authenticate.');
     }
-    return fail(res, 500, 'Failed to fetch threads: ' + error.message);
+    return fail(res, 500, 'Failed to fetch drafts: ' + (error?.message || ''));
   }
 };
 
 /**
- * GET /api/gmail/sended
- * Get all sent emails from Google Gmail API (not from database)
+ * GET /api/gmail/drafts/:id
  */
-const getSendedEmails = async (req, res) => {
+const getDraftById = async (req, res) => {
   try {
     const user = req.user;
     if (!user) {
       return fail(res, 401, 'Unauthorized');
     }
 
-    if (!user.accessToken && !user.refreshToken) {
-      return fail(res, 400, 'No Google tokens found for this user. Please login with Google first.');
-    }
-
-    // Set credentials on the shared OAuth client
-    oauth2Client.setCredentials({
-      access_token: user.accessToken || undefined,
-      refresh_token: user.refreshToken || undefined,
-    });
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
 
-    // Pagination and optional query filter
+    const draft = await getMailProvider(mailbox).getDraft(req.params.id, { format: 'full' });
+    return ok(res, formatDraft(draft), 'Draft fetched successfully');
+  } catch (error) {
+    console.error('Error fetching draft:', error);
+    if (error?.code === 401) {
+      return fail(res, 401, 'Token expired or invalid. Please re-authenticate.');
+    }
+    if (error?.code === 404) {
+      return fail(res, 404, 'Draft not found');
+    }
+    return fail(res, 500, 'Failed to fetch draft: ' + (error?.message || ''));
+  }
+};
+
+/**
+ * POST /api/gmail/drafts
+ * Body: to, cc, bcc, subject, body (HTML), text, attachments (same format as /send),
+ * gmailId to start a reply draft in that message's thread (to/subject default to the original)
+ */
+const createDraft = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) {
+      return fail(res, 401, 'Unauthorized');
+    }
+
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
+
+    const mail = getMailProvider(mailbox);
+    const { raw, threadId } = await composeDraft(user, mailbox, mail, req.body || {});
+    const saved = await mail.createDraft({ raw, threadId });
+    await markMirrorStale(user.id, getAccountId(mailbox));
+
+    const draft = await mail.getDraft(saved.id, { format: 'full' });
+    return created(res, formatDraft(draft), 'Draft created successfully');
+  } catch (error) {
+    console.error('Error creating draft:', error);
+    if (error?.code === 401) {
+      return fail(res, 401, 'Token expired or invalid. Please re-authenticate.');
+    }
+    if (error?.code === 400 || error?.code === 404) {
+      return fail(res, error.code, error.message);
+    }
+    return fail(res, 500, 'Failed to create draft: ' + (error?.message || ''));
+  }
+};
+
+/**
+ * PUT /api/gmail/drafts/:id
+ * Body: any field of POST /api/gmail/drafts; omitted fields keep their current value.
+ * IMAP mailboxes give the draft a new id on every update (returned in the response).
+ */
+const updateDraft = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) {
+      return fail(res, 401, 'Unauthorized');
+    }
+
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
+
+    const mail = getMailProvider(mailbox);
+    const current = formatDraft(await mail.getDraft(req.params.id, { format: 'full' }));
+    const { raw, threadId } = await composeDraft(user, mailbox, mail, req.body || {}, current);
+    const saved = await mail.updateDraft(req.params.id, { raw, threadId });
+    await markMirrorStale(user.id, getAccountId(mailbox));
+
+    const draft = await mail.getDraft(saved.id, { format: 'full' });
+    return ok(res, formatDraft(draft), 'Draft updated successfully');
+  } catch (error) {
+    console.error('Error updating draft:', error);
+    if (error?.code === 401) {
+      return fail(res, 401, 'Token expired or invalid. Please re-authenticate.');
+    }
+    if (error?.code === 400) {
+      return fail(res, 400, error.message);
+    }
+    if (error?.code === 404) {
+      return fail(res, 404, error.message === 'Original email not found' ? error.message : 'Draft not found');
+    }
+    return fail(res, 500, 'Failed to update draft: ' + (error?.message || ''));
+  }
+};
+
+/**
+ * POST /api/gmail/drafts/:id/send
+ */
+const sendDraft = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) {
+      return fail(res, 401, 'Unauthorized');
+    }
+
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
+
+    const mail = getMailProvider(mailbox);
+    const draft = formatDraft(await mail.getDraft(req.params.id, { format: 'metadata' }));
+    if (!draft.to && !draft.cc && !draft.bcc) {
+      return fail(res, 400, 'Draft has no recipients');
+    }
+
+    const response = await mail.sendDraft(req.params.id);
+    await markMirrorStale(user.id, getAccountId(mailbox));
+
+    return ok(res, {
+      id: response.id,
+      threadId: response.threadId,
+    }, 'Draft sent successfully');
+  } catch (error) {
+    console.error('Error sending draft:', error);
+    if (error?.code === 401) {
+      return fail(res, 401, 'Token expired or invalid. Please re-authenticate.');
+    }
+    if (error?.code === 404) {
+      return fail(res, 404, 'Draft not found');
+    }
+    return fail(res, 500, 'Failed to send draft: ' + (error?.message || ''));
+  }
+};
+
+/**
+ * DELETE /api/gmail/drafts/:id
+ */
+const deleteDraft = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) {
+      return fail(res, 401, 'Unauthorized');
+    }
+
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
+
+    await getMailProvider(mailbox).deleteDraft(req.params.id);
+    await markMirrorStale(user.id, getAccountId(mailbox));
+
+    return ok(res, { id: req.params.id }, 'Draft deleted successfully');
+  } catch (error) {
+    console.error('Error deleting draft:', error);
+    if (error?.code === 401) {
+      return fail(res, 401, 'Token expired or invalid. Please re-authenticate.');
+    }
+    if (error?.code === 404) {
+      return fail(res, 404, 'Draft not found');
+    }
+    return fail(res, 500, 'Failed to delete draft: ' + (error?.message || ''));
+  }
+};
+
+const deleteEmail = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) {
+      return fail(res, 401, 'Unauthorized');
+    }
+
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
+    
+    const { id } = req.params;
+    if (!id) return fail(res, 400, 'Message id is required');
+
+    const mail = getMailProvider(mailbox);
+
+    // Delete the email (moves to trash)
+    await mail.trashMessage(id);
+    await applyLabelChange(user.id, getAccountId(mailbox), [id], { addLabelIds: ['TRASH'], removeLabelIds: ['INBOX'] });
+
+    return ok(res, { id, message: 'Email moved to trash successfully' }, 'Email moved to trash successfully');
+  } catch (error) {
+    console.error('Error deleting email:', error);
+    if (error?.code === 401) {
+      return fail(res, 401, 'Token expired or invalid. Please re-authenticate.');
+    }
+    if (error?.code === 404) {
+      return fail(res, 404, 'Email not found');
+    }
+    return fail(res, 500, 'Failed to delete email: ' + (error?.message || ''));
+  }
+};
+
+/**
+ * GET /api/gmail/threads
+ * Conversation list: each thread carries its participants, last sender, attachment flag,
+ * labels and latest AI summary. Query: pageToken, q
+ */
+const getThreads = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) {
+      return fail(res, 401, 'Unauthorized');
+    }
+
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
+
+    // Pagination and optional query filter
     const { pageToken, q } = req.query;
     const maxResults = 10;
-    
-    // Build query to get only sent emails
-    let query = q || '';
-    if (user.email) {
-      // Only show emails sent by the user
-      const fromUser = `from:${user.email}`;
-      query = query ? `${query} ${fromUser}` : fromUser;
+
+    let threadIds;
+    let nextPageToken = null;
+    let resultSizeEstimate = null;
+
+    if (q) {
+      const listRes = await getMailProvider(mailbox).listThreads({ maxResults, pageToken, q });
+      threadIds = (listRes.threads || []).map((thread) => thread.id);
+      nextPageToken = listRes.nextPageToken || null;
+      resultSizeEstimate = listRes.resultSizeEstimate ?? null;
+    } else {
+      // Threads ordered by their latest visible message
+      const accountId = await ensureMirror(user, mailbox);
+      const coveredSince = (await getMirrorState(user.id, accountId))?.coveredSince || null;
+      const groups = (await prisma.mirroredMessage.groupBy({
+        by: ['threadId'],
+        where: { userId: user.id, accountId, NOT: HIDDEN_LABELS },
+        _max: { internalDate: true },
+        orderBy: { _max: { internalDate: 'desc' } },
+      })).filter((group) => !coveredSince || group._max.internalDate >= coveredSince);
+
+      if (String(pageToken || '').startsWith(PROVIDER_PAGE)) {
+        // Past the mirrored window: older threads from the provider, minus the ones listed from the mirror
+        if (coveredSince) {
+          const listRes = await getMailProvider(mailbox).listThreads({
+            maxResults,
+            pageToken: pageToken.slice(PROVIDER_PAGE.length) || undefined,
+            q: olderThan(coveredSince),
+          });
+          const listed = new Set(groups.map((group) => group.threadId));
+          threadIds = (listRes.threads || []).map((thread) => thread.id).filter((id) => !listed.has(id));
+          nextPageToken = listRes.nextPageToken ? PROVIDER_PAGE + listRes.nextPageToken : null;
+        } else {
+          threadIds = [];
+        }
+      } else {
+        const offset = Math.max(parseInt(pageToken, 10) || 0, 0);
+        threadIds = groups.slice(offset, offset + maxResults).map((group) => group.threadId);
+        nextPageToken = offset + threadIds.length < groups.length ? String(offset + threadIds.length) : null;
+        if (!nextPageToken && coveredSince) nextPageToken = PROVIDER_PAGE;
+        resultSizeEstimate = coveredSince ? null : groups.length;
+      }
     }
-    
-    const listRes = await gmail.users.messages.list({
-      userId: 'me',
-      maxResults,
-      pageToken,
-      q: query,
+
+    const threads = await loadMirroredThreads(user, mailbox, threadIds);
+    const summaries = await loadThreadSummaries(user, threads);
+    const results = threads.map(({ id, rows }) => ({
+      ...formatMirroredThread(id, rows),
+      aiSummary: summaries.get(id) || null,
+    }));
+
+    return ok(res, results, 'Threads fetched successfully', {
+      count: results.length,
+      pageSize: maxResults,
+      nextPageToken,
+      hasMore: Boolean(nextPageToken),
+      resultSizeEstimate,
+      q: q || null,
     });
+  } catch (error) {
+    console.error('Error fetching threads:', error);
+    if (error?.code === 401) {
+      return fail(res, 401, 'Token expired or invalid. Please re-authenticate.');
+    }
+    return fail(res, 500, 'Failed to fetch threads: ' + error.message);
+  }
+};
+
+/**
+ * GET /api/gmail/sended
+ * Get all sent emails from the local mailbox mirror
+ */
+const getSendedEmails = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) {
+      return fail(res, 401, 'Unauthorized');
+    }
+
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
+
+    // Pagination and optional query filter
+    const { pageToken, q } = req.query;
+    const maxResults = 10;
+
+    // Only show emails sent by the user
+    const fromUser = `from:${mailbox.email}`;
+    const query = q ? `${q} ${fromUser}` : fromUser;
 
-    const messages = listRes.data.messages || [];
-    const nextPageToken = listRes.data.nextPageToken;
-    const resultSizeEstimate = listRes.data.resultSizeEstimate;
+    let page;
+    if (q) {
+      page = await searchMirrorPage(user, mailbox, query, pageToken, maxResults);
+    } else {
+      page = await listMailboxPage(user, mailbox, { fromMe: true, NOT: HIDDEN_LABELS }, { q: fromUser }, pageToken, maxResults);
+    }
 
-    if (messages.length === 0) {
+    const { nextPageToken, resultSizeEstimate } = page;
+
+    if (page.rows.length === 0) {
       return ok(res, [], 'No sent emails found', {
         count: 0,
         pageSize: maxResults,
@@ -827,79 +1330,10 @@ const getSendedEmails = async (req, res) => {
       });
     }
 
-    // Fetch full message details for each message
-    const concurrency = 5; // Process 5 messages at a time
-    const chunks = [];
-    for (let i = 0; i < messages.length; i += concurrency) {
-      chunks.push(messages.slice(i, i + concurrency));
-    }
-
-    const results = [];
-    for (const chunk of chunks) {
-      const details = await Promise.all(
-        chunk.map(async (message) => {
-          try {
-            const messageRes = await gmail.users.messages.get({
-              userId: 'me',
-              id: message.id,
-              format: 'full',
-            });
-
-            const payload = messageRes.data.payload;
-            const headers = payload?.headers || [];
-            
-            const getHeader = (headers, name) => headers.find((h) => h.name === name)?.value || null;
-
-            // Helper function to extract body content from message parts
-            const extractBodyContent = (payload) => {
-              let textBody = '';
-              let htmlBody = '';
-              
-              const processPart = (part) => {
-                if (part.mimeType === 'text/plain' && part.body.data) {
-                  textBody = decodeBase64Url(part.body.data);
-                } else if (part.mimeType === 'text/html' && part.body.data) {
-                  htmlBody = decodeBase64Url(part.body.data);
-                } else if (part.parts) {
-                  part.parts.forEach(processPart);
-                }
-              };
-              
-              if (payload.parts) {
-                payload.parts.forEach(processPart);
-              } else if (payload.body && payload.body.data) {
-                if (payload.mimeType === 'text/plain') {
-                  textBody = decodeBase64Url(payload.body.data);
-                } else if (payload.mimeType === 'text/html') {
-                  htmlBody = decodeBase64Url(payload.body.data);
-                }
-              }
-              
-              return { textBody, htmlBody };
-            };
-
-            const { textBody, htmlBody } = extractBodyContent(payload);
-
-            return {
-              id: messageRes.data.id,
-              threadId: messageRes.data.threadId,
-              snippet: messageRes.data.snippet || null,
-              internalDate: messageRes.data.internalDate,
-              from: getHeader(headers, 'From'),
-              to: getHeader(headers, 'To'),
-              subject: getHeader(headers, 'Subject'),
-              date: getHeader(headers, 'Date'),
-              textBody: textBody,
-              htmlBody: htmlBody,
-              attachments: []
-            };
-          } catch (e) {
-            return { id: message.id, error: e?.message || 'Failed to fetch message' };
-          }
-        })
-      );
-      results.push(...details);
-    }
+    const results = page.rows.map((row) => {
+      const { isRead, labels, ...email } = formatMirroredEmail(row);
+      return { ...email, textBody: row.textBody || '', htmlBody: row.htmlBody || '' };
+    });
 
     return ok(res, results, 'Sent emails fetched successfully', {
       count: results.length,
@@ -960,36 +1394,36 @@ const getUnreadEmailCount = async (req, res) => {
     const user = req.user;
     if (!user) return fail(res, 401, 'Unauthorized');
 
-    if (!user.accessToken && !user.refreshToken) {
-      return fail(res, 400, 'Please login with Google first.');
-    }
-
-    oauth2Client.setCredentials({
-      access_token: user.accessToken || undefined,
-      refresh_token: user.refreshToken || undefined,
-    });
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
 
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const mail = getMailProvider(mailbox);
 
     // Get counts for different email categories in parallel
-    const [unreadLabelRes, sentLabelRes, archivedLabelRes, trashLabelRes] = await Promise.all([
+    const [unreadLabelRes, sentLabelRes, archivedLabelRes, trashLabelRes, labelListRes] = await Promise.all([
       // Unread emails (excluding sent)
-      gmail.users.labels.get({ userId: 'me', id: 'UNREAD' }),
+      mail.getLabel('UNREAD'),
       // Sent emails
-      gmail.users.labels.get({ userId: 'me', id: 'SENT' }),
+      mail.getLabel('SENT'),
       // Archived emails (no INBOX label, excluding sent and spam)
-      gmail.users.messages.list({
-        userId: 'me',
-        q: '-label:INBOX -label:SENT -label:SPAM -label:TRASH'
-      }),
+      mail.listMessages({ q: '-label:INBOX -label:SENT -label:SPAM -label:TRASH' }),
       // Trash
-      gmail.users.labels.get({ userId: 'me', id: 'TRASH' })
+      mail.getLabel('TRASH'),
+      // User labels, counted below
+      mail.listLabels()
     ]);
 
-    const unreadCount = unreadLabelRes.data.messagesUnread || 0;
-    const sentCount = sentLabelRes.data.messagesTotal || 0;
-    const archivedCount = archivedLabelRes.data.resultSizeEstimate || 0;
-    const trashCount = trashLabelRes.data.messagesTotal || 0;
+    // Per-label counts: the main system labels plus every user label
+    const countedLabelIds = [
+      ...COUNTED_SYSTEM_LABELS,
+      ...(labelListRes.labels || []).filter((label) => label.type === 'user').map((label) => label.id)
+    ];
+    const labelCounts = await Promise.all(countedLabelIds.map((id) => mail.getLabel(id)));
+
+    const unreadCount = unreadLabelRes.messagesUnread || 0;
+    const sentCount = sentLabelRes.messagesTotal || 0;
+    const archivedCount = archivedLabelRes.resultSizeEstimate || 0;
+    const trashCount = trashLabelRes.messagesTotal || 0;
 
     // Get count of incomplete tasks
     const incompleteTasksCount = await prisma.task.count({
@@ -1014,7 +1448,14 @@ const getUnreadEmailCount = async (req, res) => {
       trash: trashCount,
       incompleteTasks: incompleteTasksCount,
       incompletedCalendarTasks: completedCalendarTasksCount,
-      total: unreadCount + sentCount + archivedCount + trashCount
+      total: unreadCount + sentCount + archivedCount + trashCount,
+      labels: labelCounts.map((label) => ({
+        id: label.id,
+        name: label.name,
+        type: label.type || 'user',
+        unread: label.messagesUnread || 0,
+        total: label.messagesTotal || 0
+      }))
     }, 'Email counts fetched successfully');
 
   } catch (error) {
@@ -1032,28 +1473,17 @@ const archiveEmail = async (req, res) => {
     const user = req.user;
     if (!user) return fail(res, 401, 'Unauthorized');
 
-    if (!user.accessToken && !user.refreshToken) {
-      return fail(res, 400, 'Please login with Google first.');
-    }
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
 
     const { id } = req.params;
     if (!id) return fail(res, 400, 'Message id is required');
 
-    oauth2Client.setCredentials({
-      access_token: user.accessToken || undefined,
-      refresh_token: user.refreshToken || undefined,
-    });
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const mail = getMailProvider(mailbox);
 
     // Archive email by removing INBOX label
-    await gmail.users.messages.modify({
-      userId: 'me',
-      id: id,
-      requestBody: {
-        removeLabelIds: ['INBOX']
-      }
-    });
+    await mail.modifyMessage(id, { removeLabelIds: ['INBOX'] });
+    await applyLabelChange(user.id, getAccountId(mailbox), [id], { removeLabelIds: ['INBOX'] });
 
     return ok(res, { id, archived: true }, 'Email archived successfully');
   } catch (error) {
@@ -1069,53 +1499,128 @@ const archiveEmail = async (req, res) => {
 };
 
 
+// Helper: error response shared by the thread action endpoints
+function threadActionError(res, error, action) {
+  console.error(`Error ${action} thread:`, error);
+  if (error?.code === 401) {
+    return fail(res, 401, 'Token expired or invalid. Please re-authenticate.');
+  }
+  if (error?.code === 404) {
+    return fail(res, 404, 'Thread not found');
+  }
+  return fail(res, 500, `Failed ${action} thread: ` + (error?.message || ''));
+}
 
-const getArchivedEmails = async (req, res) => {
+/**
+ * PATCH /api/gmail/threads/:id/archive
+ * Archive every message of a thread
+ */
+const archiveThread = async (req, res) => {
   try {
     const user = req.user;
     if (!user) return fail(res, 401, 'Unauthorized');
 
-    if (!user.accessToken && !user.refreshToken) {
-      return fail(res, 400, 'Please login with Google first.');
-    }
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
 
-    // Set credentials on the shared OAuth client
-    oauth2Client.setCredentials({
-      access_token: user.accessToken || undefined,
-      refresh_token: user.refreshToken || undefined,
-    });
+    const { id } = req.params;
+    const thread = await getMailProvider(mailbox).modifyThread(id, { removeLabelIds: ['INBOX'] });
+    await applyThreadLabelChange(user, mailbox, id, { removeLabelIds: ['INBOX'] });
+
+    return ok(res, {
+      id,
+      archived: true,
+      messageCount: (thread.messages || []).length,
+    }, 'Thread archived successfully');
+  } catch (error) {
+    return threadActionError(res, error, 'archiving');
+  }
+};
+
+/**
+ * DELETE /api/gmail/threads/:id
+ * Move every message of a thread to the trash
+ */
+const trashThread = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) return fail(res, 401, 'Unauthorized');
+
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
+
+    const { id } = req.params;
+    const thread = await getMailProvider(mailbox).trashThread(id);
+    await applyThreadLabelChange(user, mailbox, id, { addLabelIds: ['TRASH'], removeLabelIds: ['INBOX'] });
+
+    return ok(res, {
+      id,
+      trashed: true,
+      messageCount: (thread.messages || []).length,
+    }, 'Thread moved to trash successfully');
+  } catch (error) {
+    return threadActionError(res, error, 'trashing');
+  }
+};
+
+/**
+ * POST /api/gmail/threads/:id/untrash
+ * Restore a trashed thread; received messages go back to the inbox
+ */
+const untrashThread = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) return fail(res, 401, 'Unauthorized');
+
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
+
+    const { id } = req.params;
+    const thread = await getMailProvider(mailbox).untrashThread(id);
+    await applyThreadLabelChange(user, mailbox, id, { addLabelIds: ['INBOX'], removeLabelIds: ['TRASH'] }, { fromMe: false });
+    await applyThreadLabelChange(user, mailbox, id, { removeLabelIds: ['TRASH'] }, { fromMe: true });
+
+    return ok(res, {
+      id,
+      messages: (thread.messages || []).map((m) => ({ id: m.id, labels: m.labelIds || [] })),
+    }, 'Thread restored from trash successfully');
+  } catch (error) {
+    return threadActionError(res, error, 'restoring');
+  }
+};
 
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+
+
+const getArchivedEmails = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) return fail(res, 401, 'Unauthorized');
+
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
 
     // Pagination and optional query filter
     const { pageToken, q } = req.query;
     const maxResults = 10;
-    
-    // Build query to get archived emails (no INBOX label) and exclude sent emails
-    let query = '-label:INBOX';
-    if (user.email) {
-      // Exclude emails from the user (sent emails)
-      const excludeFrom = `-from:${user.email}`;
-      query = `${query} ${excludeFrom}`;
-    }
-    
-    // Add any additional query parameters
+
+    // Archived emails have no INBOX label; sent emails are excluded
+    let page;
     if (q) {
-      query = `${query} ${q}`;
+      page = await searchMirrorPage(user, mailbox, `-label:INBOX -from:${mailbox.email} ${q}`, pageToken, maxResults);
+    } else {
+      page = await listMailboxPage(
+        user,
+        mailbox,
+        { fromMe: false, NOT: [...HIDDEN_LABELS, { labelIds: { has: 'INBOX' } }] },
+        { q: `-label:INBOX -from:${mailbox.email}` },
+        pageToken,
+        maxResults
+      );
     }
 
-    const listRes = await gmail.users.messages.list({
-      userId: 'me',
-      maxResults,
-      pageToken,
-      q: query,
-    });
-
-    const messages = listRes.data.messages || [];
-    const nextPageToken = listRes.data.nextPageToken || null;
-    const resultSizeEstimate = listRes.data.resultSizeEstimate ?? null;
+    const { nextPageToken, resultSizeEstimate } = page;
 
-    if (messages.length === 0) {
+    if (page.rows.length === 0) {
       return ok(res, [], 'No archived emails found', {
         count: 0,
         pageSize: maxResults,
@@ -1126,99 +1631,10 @@ const getArchivedEmails = async (req, res) => {
       });
     }
 
-    // Fetch metadata for each message in parallel, but cap concurrency to avoid rate limits
-    const concurrency = 10;
-    const chunks = [];
-    for (let i = 0; i < messages.length; i += concurrency) {
-      chunks.push(messages.slice(i, i + concurrency));
-    }
-
-    const results = [];
-    for (const chunk of chunks) {
-      const details = await Promise.all(
-        chunk.map(async (m) => {
-          try {
-            const msgRes = await gmail.users.messages.get({
-              userId: 'me',
-              id: m.id,
-              format: 'full',
-            });
-            const payload = msgRes.data.payload || {};
-            const headers = payload.headers || [];
-            const getHeader = (name) => headers.find((h) => h.name === name)?.value || null;
-            const bodies = extractBodies(payload);
-
-            // Collect and fetch attachments
-            const attachmentParts = collectAttachmentParts(payload);
-            const MAX_ATTACHMENT_COUNT = 10;
-            const MAX_INLINE_SIZE = 5 * 1024 * 1024; // 5MB
-            const selected = attachmentParts.slice(0, MAX_ATTACHMENT_COUNT);
-            const attachments = await Promise.all(
-              selected.map(async (att) => {
-                try {
-                  if (att.size && att.size > MAX_INLINE_SIZE) {
-                    return {
-                      filename: att.filename,
-                      mimeType: att.mimeType,
-                      size: att.size,
-                      attachmentId: att.attachmentId,
-                      data: null,
-                      tooLarge: true,
-                    };
-                  }
-                  const attRes = await gmail.users.messages.attachments.get({
-                    userId: 'me',
-                    messageId: msgRes.data.id,
-                    id: att.attachmentId,
-                  });
-                  const data = attRes.data?.data || null; // base64url
-                  return {
-                    filename: att.filename,
-                    mimeType: att.mimeType,
-                    size: att.size,
-                    attachmentId: att.attachmentId,
-                    data,
-                    tooLarge: false,
-                  };
-                } catch (e) {
-                  return {
-                    filename: att.filename,
-                    mimeType: att.mimeType,
-                    size: att.size,
-                    attachmentId: att.attachmentId,
-                    data: null,
-                    error: e?.message || 'Failed to fetch attachment',
-                  };
-                }
-              })
-            );
-
-            // Check if email is read (UNREAD label not present)
-            const isRead = !msgRes.data.labelIds?.includes('UNREAD');
-
-            return {
-              id: msgRes.data.id,
-              threadId: msgRes.data.threadId,
-              snippet: msgRes.data.snippet || null,
-              internalDate: msgRes.data.internalDate || null,
-              isRead,
-              from: getHeader('From'),
-              to: getHeader('To'),
-              subject: getHeader('Subject'),
-              date: getHeader('Date'),
-              textBody: bodies.text,
-              htmlBody: bodies.html,
-              attachments,
-              labels: msgRes.data.labelIds || [],
-              isArchived: true, // Explicitly mark as archived
-            };
-          } catch (e) {
-            return { id: m.id, error: e?.message || 'Failed to fetch message' };
-          }
-        })
-      );
-      results.push(...details);
-    }
+    const results = page.rows.map((row) => ({
+      ...formatMirroredEmail(row),
+      isArchived: true, // Explicitly mark as archived
+    }));
 
     return ok(res, results, 'Archived emails fetched successfully', {
       count: results.length,
@@ -1237,159 +1653,65 @@ const getArchivedEmails = async (req, res) => {
   }
 };
 
+// GET /api/gmail/threads/:id
+// Query: markAsRead=false to leave the read state untouched (e.g. previews)
 const getThreadById = async (req, res) => {
   try {
     const user = req.user;
     if (!user) return fail(res, 401, 'Unauthorized');
 
-    if (!user.accessToken && !user.refreshToken) {
-      return fail(res, 400, 'Please login with Google first.');
-    }
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
 
     const { id } = req.params;
     if (!id) return fail(res, 400, 'Thread id is required');
 
-    oauth2Client.setCredentials({
-      access_token: user.accessToken || undefined,
-      refresh_token: user.refreshToken || undefined,
-    });
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const accountId = await ensureMirror(user, mailbox);
+    const [thread] = await loadMirroredThreads(user, mailbox, [id]);
+    if (!thread) return fail(res, 404, 'Thread not found');
 
-    const threadRes = await gmail.users.threads.get({
-      userId: 'me',
-      id: id,
-      format: 'full',
-    });
-
-    const messages = threadRes.data.messages || [];
-    
-    // Process each message in the thread
-    const processedMessages = await Promise.all(
-      messages.map(async (msg) => {
-        try {
-          const payload = msg.payload || {};
-          const headers = payload.headers || [];
-          const getHeader = (name) => headers.find((h) => h.name === name)?.value || null;
-          const bodies = extractBodies(payload);
-
-          // Collect and fetch attachments
-          const attachmentParts = collectAttachmentParts(payload);
-          const MAX_ATTACHMENT_COUNT = 10;
-          const MAX_INLINE_SIZE = 5 * 1024 * 1024; // 5MB
-          const selected = attachmentParts.slice(0, MAX_ATTACHMENT_COUNT);
-          const attachments = await Promise.all(
-            selected.map(async (att) => {
-              try {
-                if (att.size && att.size > MAX_INLINE_SIZE) {
-                  return {
-                    filename: att.filename,
-                    mimeType: att.mimeType,
-                    size: att.size,
-                    attachmentId: att.attachmentId,
-                    data: null,
-                    tooLarge: true,
-                  };
-                }
-                const attRes = await gmail.users.messages.attachments.get({
-                  userId: 'me',
-                  messageId: msg.id,
-                  id: att.attachmentId,
-                });
-                const data = attRes.data?.data || null; // base64url
-                return {
-                  filename: att.filename,
-                  mimeType: att.mimeType,
-                  size: att.size,
-                  attachmentId: att.attachmentId,
-                  data,
-                  tooLarge: false,
-                };
-              } catch (e) {
-                return {
-                  filename: att.filename,
-                  mimeType: att.mimeType,
-                  size: att.size,
-                  attachmentId: att.attachmentId,
-                  data: null,
-                  error: e?.message || 'Failed to fetch attachment',
-                };
-              }
-            })
-          );
-
-          // Check if email is read (UNREAD label not present)
-          const isRead = !msg.labelIds?.includes('UNREAD');
-
-          return {
-            id: msg.id,
-            threadId: msg.threadId,
-            snippet: msg.snippet || null,
-            internalDate: msg.internalDate || null,
-            isRead,
-            labels: msg.labelIds || [],
-            from: getHeader('From'),
-            to: getHeader('To'),
-            cc: getHeader('Cc'),
-            bcc: getHeader('Bcc'),
-            subject: getHeader('Subject'),
-            date: getHeader('Date'),
-            textBody: bodies.text,
-            htmlBody: bodies.html,
-            attachments,
-          };
-        } catch (e) {
-          return { 
-            id: msg.id, 
-            threadId: msg.threadId,
-            error: e?.message || 'Failed to fetch message in thread' 
-          };
-        }
-      })
-    );
-
-    const firstMessage = messages[0];
-    const lastMessage = messages[messages.length - 1];
-    
-    const getHeader = (headers, name) => headers.find((h) => h.name === name)?.value || null;
-    const firstHeaders = firstMessage?.payload?.headers || [];
-    const lastHeaders = lastMessage?.payload?.headers || [];
+    const rows = thread.rows;
+    const summary = formatMirroredThread(id, rows);
+    const aiSummaries = await loadThreadSummaries(user, [thread]);
 
     // Mark all messages not from current user as read
-    try {
-      const messagesToMarkAsRead = messages.filter(msg => {
-        const fromHeader = getHeader(msg?.payload?.headers || [], 'From');
-        return fromHeader && !fromHeader.includes(user.email) && msg.labelIds?.includes('UNREAD');
-      });
-
-      // Mark messages as read in parallel
-      await Promise.allSettled(
-        messagesToMarkAsRead.map(async (msg) => {
-          await gmail.users.messages.modify({
-            userId: 'me',
-            id: msg.id,
-            requestBody: {
-              removeLabelIds: ['UNREAD']
-            }
-          });
-        })
-      );
-    } catch (modifyError) {
-      console.warn('Failed to mark some messages as read:', modifyError.message);
-      // Continue with response even if marking as read fails
+    const toMarkAsRead = shouldMarkAsRead(req)
+      ? rows.filter((row) => !row.fromMe && row.labelIds.includes('UNREAD')).map((row) => row.gmailId)
+      : [];
+    if (toMarkAsRead.length > 0) {
+      try {
+        const mail = getMailProvider(mailbox);
+        const results = await Promise.allSettled(
+          toMarkAsRead.map((messageId) => mail.modifyMessage(messageId, { removeLabelIds: ['UNREAD'] }))
+        );
+        const marked = toMarkAsRead.filter((_, i) => results[i].status === 'fulfilled');
+        await applyLabelChange(user.id, accountId, marked, { removeLabelIds: ['UNREAD'] });
+      } catch (modifyError) {
+        console.warn('Failed to mark some messages as read:', modifyError.message);
+        // Continue with response even if marking as read fails
+      }
     }
 
     return ok(res, {
-      id: threadRes.data.id,
-      historyId: threadRes.data.historyId,
-      snippet: threadRes.data.snippet || null,
-      messageCount: messages.length,
-      subject: getHeader(firstHeaders, 'Subject'),
-      from: getHeader(firstHeaders, 'From'),
-      to: getHeader(firstHeaders, 'To'),
-      firstDate: getHeader(firstHeaders, 'Date'),
-      lastDate: getHeader(lastHeaders, 'Date'),
-      messages: processedMessages,
+      id,
+      historyId: summary.historyId,
+      snippet: summary.snippet,
+      messageCount: summary.messageCount,
+      subject: summary.subject,
+      from: summary.from,
+      to: summary.to,
+      firstDate: summary.firstDate,
+      lastDate: summary.lastDate,
+      participants: summary.participants,
+      lastSender: summary.lastSender,
+      hasAttachment: summary.hasAttachment,
+      labels: summary.labels,
+      aiSummary: aiSummaries.get(id) || null,
+      messages: rows.map((row) => ({
+        ...formatMirroredEmail(row),
+        cc: row.cc,
+        bcc: row.bcc,
+      })),
     }, 'Thread fetched successfully');
   } catch (error) {
     console.error(error);
@@ -1407,6 +1729,7 @@ const getThreadById = async (req, res) => {
  * DELETE /api/gmail/emails/all
  * Delete all INBOX emails (move to trash) for the authenticated user
  * Only deletes emails in INBOX, not sent or archived emails
+ * Needs a confirmToken: the first call answers 428 with one and the inbox message count
  */
 const deleteAllEmails = async (req, res) => {
   try {
@@ -1415,32 +1738,29 @@ const deleteAllEmails = async (req, res) => {
       return fail(res, 401, 'Unauthorized');
     }
 
-    if (!user.accessToken && !user.refreshToken) {
-      return fail(res, 400, 'No Google tokens found for this user. Please login with Google first.');
-    }
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
 
-    oauth2Client.setCredentials({
-      access_token: user.accessToken || undefined,
-      refresh_token: user.refreshToken || undefined,
-    });
+    const mail = getMailProvider(mailbox);
 
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    if (!requireConfirmation(req, res, user, mailbox, 'deleteAllEmails', {
+      messageCount: (await mail.getLabel('INBOX')).messagesTotal || 0,
+    })) return;
 
     // Get only INBOX message IDs
     let allMessageIds = [];
     let pageToken = null;
 
     do {
-      const listRes = await gmail.users.messages.list({
-        userId: 'me',
+      const listRes = await mail.listMessages({
         maxResults: 500,
         pageToken: pageToken,
         labelIds: ['INBOX'], // Only get INBOX messages
       });
 
-      const messages = listRes.data.messages || [];
+      const messages = listRes.messages || [];
       allMessageIds = allMessageIds.concat(messages.map(m => m.id));
-      pageToken = listRes.data.nextPageToken;
+      pageToken = listRes.nextPageToken;
     } while (pageToken);
 
     if (allMessageIds.length === 0) {
@@ -1455,13 +1775,13 @@ const deleteAllEmails = async (req, res) => {
       const chunk = allMessageIds.slice(i, i + chunkSize);
 
       // Use batch modify to move emails to trash
-      await gmail.users.messages.batchModify({
-        userId: 'me',
-        requestBody: {
-          ids: chunk,
-          addLabelIds: ['TRASH'],
-          removeLabelIds: ['INBOX']
-        }
+      await mail.batchModifyMessages(chunk, {
+        addLabelIds: ['TRASH'],
+        removeLabelIds: ['INBOX']
+      });
+      await applyLabelChange(user.id, getAccountId(mailbox), chunk, {
+        addLabelIds: ['TRASH'],
+        removeLabelIds: ['INBOX']
       });
 
       deletedCount += chunk.length;
@@ -1480,11 +1800,552 @@ const deleteAllEmails = async (req, res) => {
   }
 };
 
+/**
+ * GET /api/gmail/trash
+ * Emails in the trash, newest first. Query: pageToken, q
+ */
+const getTrash = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) return fail(res, 401, 'Unauthorized');
+
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
+
+    const { pageToken, q } = req.query;
+    const maxResults = 10;
+
+    let page;
+    if (q) {
+      page = await searchMirrorPage(user, mailbox, `in:trash ${q}`, pageToken, maxResults);
+    } else {
+      page = await listMailboxPage(user, mailbox, { labelIds: { has: 'TRASH' } }, { q: 'in:trash' }, pageToken, maxResults);
+    }
+
+    const results = page.rows.map(formatMirroredEmail);
+
+    return ok(res, results, 'Trash fetched successfully', {
+      count: results.length,
+      pageSize: maxResults,
+      nextPageToken: page.nextPageToken,
+      hasMore: Boolean(page.nextPageToken),
+      resultSizeEstimate: page.resultSizeEstimate,
+      q: q || null,
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    if (error?.code === 401) {
+      return fail(res, 401, 'Token expired or invalid. Please re-authenticate.');
+    }
+    return fail(res, 500, 'Failed to fetch trash: ' + (error?.message || ''));
+  }
+};
+
+/**
+ * POST /api/gmail/emails/:id/untrash
+ * Restore an email from the trash
+ */
+const untrashEmail = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) return fail(res, 401, 'Unauthorized');
+
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
+
+    const { id } = req.params;
+    const message = await getMailProvider(mailbox).untrashMessage(id);
+    // The provider decides where the message goes back to (INBOX for received mail)
+    await applyLabelChange(user.id, getAccountId(mailbox), [id], {
+      addLabelIds: (message.labelIds || []).filter((label) => label !== 'TRASH'),
+      removeLabelIds: ['TRASH'],
+    });
+
+    return ok(res, {
+      id: message.id || id,
+      threadId: message.threadId || null,
+      labels: message.labelIds || [],
+    }, 'Email restored from trash successfully');
+  } catch (error) {
+    console.error('Error restoring email:', error);
+    if (error?.code === 401) {
+      return fail(res, 401, 'Token expired or invalid. Please re-authenticate.');
+    }
+    if (error?.code === 404) {
+      return fail(res, 404, 'Email not found');
+    }
+    return fail(res, 500, 'Failed to restore email: ' + (error?.message || ''));
+  }
+};
+
+/**
+ * DELETE /api/gmail/emails/:id/permanent
+ * Delete an email for good. Only emails already in the trash can be deleted permanently.
+ */
+const deleteEmailPermanently = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) return fail(res, 401, 'Unauthorized');
+
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
+
+    const { id } = req.params;
+    const mail = getMailProvider(mailbox);
+
+    const message = await mail.getMessage(id, { format: 'minimal' });
+    if (!(message.labelIds || []).includes('TRASH')) {
+      return fail(res, 409, 'Move the email to trash before deleting it permanently');
+    }
+
+    await mail.deleteMessage(id);
+    await prisma.mirroredMessage.deleteMany({ where: { userId: user.id, accountId: getAccountId(mailbox), gmailId: id } });
+
+    return ok(res, { id, deleted: true }, 'Email deleted permanently');
+  } catch (error) {
+    console.error('Error deleting email permanently:', error);
+    if (error?.code === 401) {
+      return fail(res, 401, 'Token expired or invalid. Please re-authenticate.');
+    }
+    if (error?.code === 404) {
+      return fail(res, 404, 'Email not found');
+    }
+    return fail(res, 500, 'Failed to delete email: ' + (error?.message || ''));
+  }
+};
+
+/**
+ * DELETE /api/gmail/trash
+ * Empty the trash (permanent). Needs a confirmToken: the first call answers 428 with one and the trash size
+ */
+const emptyTrash = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) return fail(res, 401, 'Unauthorized');
+
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
+
+    const mail = getMailProvider(mailbox);
+
+    if (!requireConfirmation(req, res, user, mailbox, 'emptyTrash', {
+      messageCount: (await mail.getLabel('TRASH')).messagesTotal || 0,
+    })) return;
+
+    let trashIds = [];
+    let pageToken = null;
+    do {
+      const listRes = await mail.listMessages({ maxResults: 500, pageToken, labelIds: ['TRASH'] });
+      trashIds = trashIds.concat((listRes.messages || []).map((m) => m.id));
+      pageToken = listRes.nextPageToken;
+    } while (pageToken);
+
+    // batchDelete takes up to 1000 IDs per call
+    const chunkSize = 1000;
+    const accountId = getAccountId(mailbox);
+    for (let i = 0; i < trashIds.length; i += chunkSize) {
+      const chunk = trashIds.slice(i, i + chunkSize);
+      await mail.batchDeleteMessages(chunk);
+      await prisma.mirroredMessage.deleteMany({ where: { userId: user.id, accountId, gmailId: { in: chunk } } });
+    }
+
+    return ok(res, { deletedCount: trashIds.length }, `Permanently deleted ${trashIds.length} email(s) from trash`);
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    if (error?.code === 401) {
+      return fail(res, 401, 'Token expired or invalid. Please re-authenticate.');
+    }
+    return fail(res, 500, 'Failed to empty trash: ' + (error?.message || ''));
+  }
+};
+
+/**
+ * POST /api/gmail/sync
+ * Sync the local mirror of a mailbox now; `full: true` re-downloads it
+ */
+const syncMirror = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) return fail(res, 401, 'Unauthorized');
+
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
+
+    const result = await syncMailbox(user, mailbox, { full: req.body?.full === true });
+    const state = await getMirrorState(user.id, getAccountId(mailbox));
+
+    return ok(res, {
+      accountId: getAccountId(mailbox),
+      historyId: result.historyId,
+      fullResync: result.full,
+      changed: result.changed ?? null,
+      lastSyncedAt: state?.lastSyncedAt || null,
+      lastFullSyncAt: state?.lastFullSyncAt || null,
+      // Set when only the newest messages are mirrored; older ones are listed from the provider
+      coveredSince: state?.coveredSince || null,
+    }, 'Mailbox synced successfully');
+  } catch (error) {
+    console.error('Error syncing mailbox:', error);
+    if (error?.code === 401) {
+      return fail(res, 401, 'Token expired, please re-authenticate.');
+    }
+    return fail(res, 500, 'Failed to sync mailbox: ' + (error?.message || ''));
+  }
+};
+
+// Helper: shape a provider label (counts are only present when the label was fetched with getLabel)
+function formatLabel(label) {
+  return {
+    id: label.id,
+    name: label.name,
+    type: label.type || 'user',
+    color: label.color || null,
+    messagesTotal: label.messagesTotal ?? null,
+    messagesUnread: label.messagesUnread ?? null,
+    threadsTotal: label.threadsTotal ?? null,
+    threadsUnread: label.threadsUnread ?? null,
+  };
+}
+
+// Helper: error response shared by the label endpoints
+function labelError(res, error, action) {
+  console.error(`Error ${action}:`, error);
+  if (error?.code === 401) {
+    return fail(res, 401, 'Token expired or invalid. Please re-authenticate.');
+  }
+  if (error?.code === 400 || error?.code === 404 || error?.code === 409) {
+    return fail(res, error.code, error.message);
+  }
+  return fail(res, 500, `Failed ${action}: ` + (error?.message || ''));
+}
+
+/**
+ * GET /api/gmail/labels
+ * System and user labels of the mailbox. Query: withCounts=true to include message/unread counts
+ */
+const getLabels = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) return fail(res, 401, 'Unauthorized');
+
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
+
+    const mail = getMailProvider(mailbox);
+    let { labels = [] } = await mail.listLabels();
+
+    // labels.list has no counts; each label has to be fetched on its own
+    if (req.query.withCounts === 'true') {
+      labels = await Promise.all(labels.map((label) => mail.getLabel(label.id)));
+    }
+
+    const results = labels
+      .map(formatLabel)
+      .sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : a.type === 'system' ? -1 : 1));
+
+    return ok(res, results, 'Labels fetched successfully', { count: results.length });
+  } catch (error) {
+    return labelError(res, error, 'fetching labels');
+  }
+};
+
+/**
+ * POST /api/gmail/labels
+ * Create a user label. Body: name, color ({ backgroundColor, textColor }, optional)
+ */
+const createLabel = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) return fail(res, 401, 'Unauthorized');
+
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
+
+    const { name, color } = req.body;
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return fail(res, 400, 'Label name is required');
+    }
+
+    const label = await getMailProvider(mailbox).createLabel({ name: name.trim(), color });
+    return created(res, formatLabel(label), 'Label created successfully');
+  } catch (error) {
+    return labelError(res, error, 'creating label');
+  }
+};
+
+/**
+ * PATCH /api/gmail/labels/:id
+ * Rename and/or recolor a user label. Body: name, color
+ */
+const updateLabel = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) return fail(res, 401, 'Unauthorized');
+
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
+
+    const { name, color } = req.body;
+    if (name === undefined && color === undefined) {
+      return fail(res, 400, 'Nothing to update: provide name and/or color');
+    }
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return fail(res, 400, 'Label name cannot be empty');
+    }
+
+    const label = await getMailProvider(mailbox).updateLabel(req.params.id, {
+      name: name === undefined ? undefined : name.trim(),
+      color,
+    });
+
+    // Providers that re-tag messages on rename (IMAP) change the label ID
+    if (label.id !== req.params.id) {
+      await markMirrorStale(user.id, getAccountId(mailbox));
+    }
+
+    return ok(res, formatLabel(label), 'Label updated successfully');
+  } catch (error) {
+    return labelError(res, error, 'updating label');
+  }
+};
+
+/**
+ * DELETE /api/gmail/labels/:id
+ * Delete a user label; messages keep existing without it
+ */
+const deleteLabel = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) return fail(res, 401, 'Unauthorized');
+
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
+
+    const { id } = req.params;
+    await getMailProvider(mailbox).deleteLabel(id);
+
+    // Label deletion does not show up in the mailbox history, so drop it from the mirror here
+    const accountId = getAccountId(mailbox);
+    const rows = await prisma.mirroredMessage.findMany({
+      where: { userId: user.id, accountId, labelIds: { has: id } },
+      select: { gmailId: true },
+    });
+    await applyLabelChange(user.id, accountId, rows.map((row) => row.gmailId), { removeLabelIds: [id] });
+
+    return ok(res, { id, deleted: true }, 'Label deleted successfully');
+  } catch (error) {
+    return labelError(res, error, 'deleting label');
+  }
+};
+
+/**
+ * GET /api/gmail/labels/:id/messages
+ * Messages carrying a label, newest first, from the mirror. Query: pageToken, maxResults (default 10, max 100)
+ */
+const getLabelMessages = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) return fail(res, 401, 'Unauthorized');
+
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
+
+    const { id } = req.params;
+    const { pageToken } = req.query;
+    const maxResults = Math.min(Math.max(parseInt(req.query.maxResults, 10) || 10, 1), 100);
+
+    const where = { labelIds: { has: id } };
+    // Trash and spam only show up when browsing those labels
+    if (!['TRASH', 'SPAM'].includes(id)) where.NOT = HIDDEN_LABELS;
+
+    const page = await listMailboxPage(user, mailbox, where, { labelIds: [id] }, pageToken, maxResults);
+    const results = page.rows.map(formatMirroredEmail);
+
+    return ok(res, results, 'Label messages fetched successfully', {
+      labelId: id,
+      count: results.length,
+      pageSize: maxResults,
+      nextPageToken: page.nextPageToken,
+      hasMore: Boolean(page.nextPageToken),
+      resultSizeEstimate: page.resultSizeEstimate,
+    });
+  } catch (error) {
+    return labelError(res, error, 'fetching label messages');
+  }
+};
+
+/**
+ * POST /api/gmail/emails/:id/labels
+ * Add/remove labels on a message. Body: addLabelIds, removeLabelIds (label IDs or names)
+ */
+const modifyEmailLabels = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) return fail(res, 401, 'Unauthorized');
+
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
+
+    const mail = getMailProvider(mailbox);
+    const addLabelIds = await resolveLabelIds(mail, req.body.addLabelIds);
+    const removeLabelIds = await resolveLabelIds(mail, req.body.removeLabelIds);
+    if (addLabelIds.length === 0 && removeLabelIds.length === 0) {
+      return fail(res, 400, 'Provide addLabelIds and/or removeLabelIds');
+    }
+
+    const { id } = req.params;
+    const message = await mail.modifyMessage(id, { addLabelIds, removeLabelIds });
+    await applyLabelChange(user.id, getAccountId(mailbox), [id], { addLabelIds, removeLabelIds });
+
+    return ok(res, {
+      id: message.id || id,
+      threadId: message.threadId || null,
+      labels: message.labelIds || [],
+    }, 'Email labels updated successfully');
+  } catch (error) {
+    return labelError(res, error, 'updating email labels');
+  }
+};
+
+/**
+ * POST /api/gmail/threads/:id/labels
+ * Add/remove labels on every message of a thread. Body: addLabelIds, removeLabelIds (label IDs or names)
+ */
+const modifyThreadLabels = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) return fail(res, 401, 'Unauthorized');
+
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
+
+    const mail = getMailProvider(mailbox);
+    const addLabelIds = await resolveLabelIds(mail, req.body.addLabelIds);
+    const removeLabelIds = await resolveLabelIds(mail, req.body.removeLabelIds);
+    if (addLabelIds.length === 0 && removeLabelIds.length === 0) {
+      return fail(res, 400, 'Provide addLabelIds and/or removeLabelIds');
+    }
+
+    const { id } = req.params;
+    const thread = await mail.modifyThread(id, { addLabelIds, removeLabelIds });
+    await applyThreadLabelChange(user, mailbox, id, { addLabelIds, removeLabelIds });
+
+    return ok(res, {
+      id,
+      messages: (thread.messages || []).map((m) => ({ id: m.id, labels: m.labelIds || [] })),
+    }, 'Thread labels updated successfully');
+  } catch (error) {
+    return labelError(res, error, 'updating thread labels');
+  }
+};
+
+// Flags that can be toggled with PATCH .../flags, and the label behind each (read is the absence of UNREAD)
+const MESSAGE_FLAGS = {
+  starred: { labelId: 'STARRED', when: true },
+  important: { labelId: 'IMPORTANT', when: true },
+  read: { labelId: 'UNREAD', when: false },
+};
+
+// Helper: label change for a flags body like { starred: true, read: false }. Throws code 400 on invalid input.
+function getFlagChange(body = {}) {
+  const change = { addLabelIds: [], removeLabelIds: [] };
+  for (const [flag, { labelId, when }] of Object.entries(MESSAGE_FLAGS)) {
+    const value = body[flag];
+    if (value === undefined) continue;
+    if (typeof value !== 'boolean') {
+      const error = new Error(`${flag} must be true or false`);
+      error.code = 400;
+      throw error;
+    }
+    (value === when ? change.addLabelIds : change.removeLabelIds).push(labelId);
+  }
+  if (change.addLabelIds.length === 0 && change.removeLabelIds.length === 0) {
+    const error = new Error(`Provide at least one of: ${Object.keys(MESSAGE_FLAGS).join(', ')}`);
+    error.code = 400;
+    throw error;
+  }
+  return change;
+}
+
+// Helper: flags of a message from its labels
+function getFlags(labelIds = []) {
+  return {
+    starred: labelIds.includes('STARRED'),
+    important: labelIds.includes('IMPORTANT'),
+    read: !labelIds.includes('UNREAD'),
+  };
+}
+
+/**
+ * PATCH /api/gmail/emails/:id/flags
+ * Star/unstar, mark important/not important and read/unread. Body: starred, important, read (booleans, any subset)
+ */
+const setEmailFlags = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) return fail(res, 401, 'Unauthorized');
+
+    const change = getFlagChange(req.body);
+
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
+
+    const { id } = req.params;
+    const message = await getMailProvider(mailbox).modifyMessage(id, change);
+    await applyLabelChange(user.id, getAccountId(mailbox), [id], change);
+
+    return ok(res, {
+      id: message.id || id,
+      threadId: message.threadId || null,
+      labels: message.labelIds || [],
+      ...getFlags(message.labelIds),
+    }, 'Email updated successfully');
+  } catch (error) {
+    return labelError(res, error, 'updating email flags');
+  }
+};
+
+/**
+ * PATCH /api/gmail/threads/:id/flags
+ * Same flags as PATCH /api/gmail/emails/:id/flags, applied to every message of the thread
+ */
+const setThreadFlags = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) return fail(res, 401, 'Unauthorized');
+
+    const change = getFlagChange(req.body);
+
+    const mailbox = await getRequestMailbox(req, res);
+    if (!mailbox) return;
+
+    const { id } = req.params;
+    const thread = await getMailProvider(mailbox).modifyThread(id, change);
+    await applyThreadLabelChange(user, mailbox, id, change);
+
+    return ok(res, {
+      id,
+      messages: (thread.messages || []).map((m) => ({ id: m.id, labels: m.labelIds || [], ...getFlags(m.labelIds) })),
+    }, 'Thread updated successfully');
+  } catch (error) {
+    return labelError(res, error, 'updating thread flags');
+  }
+};
+
 module.exports = {
   getEmails,
+  getUnifiedInbox,
   getEmailById,
   getreplayByGmailId,
+  getAttachment,
   sendEmail,
+  forwardEmail,
+  getDrafts,
+  getDraftById,
+  createDraft,
+  updateDraft,
+  sendDraft,
+  deleteDraft,
   deleteEmail,
   deleteAllEmails,
   getThreads,
@@ -1493,5 +2354,22 @@ module.exports = {
   saveGmailSummary,
   getUnreadEmailCount,
   archiveEmail,
+  archiveThread,
+  trashThread,
+  untrashThread,
   getArchivedEmails,
+  syncMirror,
+  getTrash,
+  untrashEmail,
+  deleteEmailPermanently,
+  emptyTrash,
+  getLabels,
+  createLabel,
+  updateLabel,
+  deleteLabel,
+  getLabelMessages,
+  modifyEmailLabels,
+  modifyThreadLabels,
+  setEmailFlags,
+  setThreadFlags,
 };
@@ -1,9 +1,13 @@
+const prisma = require('../config/database');
 const { setupGmailWatch, stopGmailWatch } = require('../services/gmailPubSub');
+const { resolveMailbox, getAccountId } = require('../services/mailProviders');
+const { isIdling } = require('../services/imapIdle');
 const { ok, fail } = require('../utils/response');
 
 /**
  * Setup Gmail watch for authenticated user
  * Call this endpoint after user authenticates with Google
+ * Optional `accountId` (query or body) watches a linked mailbox instead
  */
 const setupWatch = async (req, res) => {
   try {
@@ -12,14 +16,19 @@ const setupWatch = async (req, res) => {
       return fail(res, 401, 'Unauthorized');
     }
 
-    // Get topic name from environment or request
+    // Get topic name from environment or request (IMAP accounts use IDLE instead of Pub/Sub)
     const topicName = process.env.GMAIL_PUBSUB_TOPIC;
 
-    if (!topicName) {
+    const mailbox = await resolveMailbox(user, req.query.accountId || req.body?.accountId);
+    if (!mailbox) {
+      return fail(res, 404, 'Mail account not found');
+    }
+
+    if (!topicName && mailbox.accountType !== 'imap') {
       return fail(res, 500, 'GMAIL_PUBSUB_TOPIC not configured in environment');
     }
 
-    const watchResponse = await setupGmailWatch(user.id, topicName);
+    const watchResponse = await setupGmailWatch(user.id, topicName, getAccountId(mailbox));
 
     return ok(res, {
       historyId: watchResponse.historyId,
@@ -41,7 +50,12 @@ const stopWatch = async (req, res) => {
       return fail(res, 401, 'Unauthorized');
     }
 
-    await stopGmailWatch(user.id);
+    const mailbox = await resolveMailbox(user, req.query.accountId || req.body?.accountId);
+    if (!mailbox) {
+      return fail(res, 404, 'Mail account not found');
+    }
+
+    await stopGmailWatch(user.id, getAccountId(mailbox));
 
     return ok(res, null, 'Gmail watch stopped successfully');
   } catch (error) {
@@ -50,7 +64,52 @@ const stopWatch = async (req, res) => {
   }
 };
 
+/**
+ * GET /api/gmail/watch/status
+ * Watch state of a mailbox: whether push notifications are on, when the watch expires
+ * (and is renewed), the last notification received and the last setup error
+ * Query: accountId (optional)
+ */
+const getWatchStatus = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) {
+      return fail(res, 401, 'Unauthorized');
+    }
+
+    const mailbox = await resolveMailbox(user, req.query.accountId);
+    if (!mailbox) {
+      return fail(res, 404, 'Mail account not found');
+    }
+
+    const activeBots = await prisma.bots.count({ where: { userId: user.id, isactive: true } });
+    const isImap = mailbox.accountType === 'imap';
+    const expiration = mailbox.watchExpiration ? new Date(mailbox.watchExpiration) : null;
+
+    return ok(res, {
+      accountId: getAccountId(mailbox),
+      email: mailbox.email,
+      // IMAP mailboxes are watched with IDLE instead of Gmail push notifications
+      method: isImap ? 'imap-idle' : 'gmail-push',
+      // The requested mailbox's own watcher (mailbox.id is the user ID for the primary mailbox)
+      active: isImap ? isIdling(mailbox.id) : Boolean(expiration && expiration > new Date()),
+      expiration,
+      stopped: Boolean(mailbox.watchStopped),
+      autoRenew: !isImap && !mailbox.watchStopped && activeBots > 0 && Boolean(process.env.GMAIL_PUBSUB_TOPIC),
+      renewedAt: mailbox.watchRenewedAt || null,
+      lastNotificationAt: mailbox.watchNotifiedAt || null,
+      lastError: mailbox.watchError || null,
+      historyId: mailbox.gmailHistoryId || null,
+      activeBots
+    }, 'Gmail watch status fetched successfully');
+  } catch (error) {
+    console.error('Error fetching Gmail watch status:', error);
+    return fail(res, 500, 'Failed to fetch Gmail watch status: ' + (error?.message || ''));
+  }
+};
+
 module.exports = {
   setupWatch,
-  stopWatch
+  stopWatch,
+  getWatchStatus
 };
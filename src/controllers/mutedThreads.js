@@ -0,0 +1,113 @@
+const prisma = require('../config/database');
+const { resolveMailbox, hasMailAccess, getAccountId } = require('../services/mailProviders');
+const mutedThreads = require('../services/mutedThreads');
+const { ok, created, fail } = require('../utils/response');
+
+/**
+ * POST /api/gmail/threads/:id/mute
+ * Archive a thread and keep its new messages out of the inbox (unless you are directly in To)
+ * Body: accountId (optional)
+ */
+const muteThread = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) {
+      return fail(res, 401, 'Unauthorized');
+    }
+
+    const mailbox = await resolveMailbox(user, req.query.accountId || req.body.accountId);
+    if (!mailbox) {
+      return fail(res, 404, 'Mail account not found');
+    }
+    if (!hasMailAccess(mailbox)) {
+      return fail(res, 400, 'No Google tokens found for this mailbox. Please login with Google first.');
+    }
+
+    const muted = await mutedThreads.muteThread(user, mailbox, req.params.id);
+    return created(res, muted, 'Thread muted successfully');
+  } catch (error) {
+    console.error('Error muting thread:', error);
+    if (error?.code === 401) {
+      return fail(res, 401, 'Token expired or invalid. Please re-authenticate.');
+    }
+    if (error?.code === 404) {
+      return fail(res, 404, 'Thread not found');
+    }
+    return fail(res, 500, 'Failed to mute thread: ' + (error?.message || ''));
+  }
+};
+
+/**
+ * DELETE /api/gmail/threads/:id/mute
+ * Unmute a thread. Query: accountId (optional)
+ */
+const unmuteThread = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) {
+      return fail(res, 401, 'Unauthorized');
+    }
+
+    const mailbox = await resolveMailbox(user, req.query.accountId || req.body?.accountId);
+    if (!mailbox) {
+      return fail(res, 404, 'Mail account not found');
+    }
+
+    const removed = await mutedThreads.unmuteThread(user.id, getAccountId(mailbox), req.params.id);
+    if (!removed) {
+      return fail(res, 404, 'Thread is not muted');
+    }
+
+    return ok(res, { threadId: req.params.id, muted: false }, 'Thread unmuted successfully');
+  } catch (error) {
+    console.error('Error unmuting thread:', error);
+    return fail(res, 500, 'Failed to unmute thread: ' + (error?.message || ''));
+  }
+};
+
+/**
+ * GET /api/gmail/muted
+ * Muted threads, most recently muted first. Query: accountId, page, limit
+ */
+const getMutedThreads = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) {
+      return fail(res, 401, 'Unauthorized');
+    }
+
+    const { accountId, page = 1, limit = 20 } = req.query;
+
+    const whereClause = { userId: user.id };
+    if (accountId) whereClause.accountId = accountId;
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [threads, total] = await Promise.all([
+      prisma.mutedThread.findMany({
+        where: whereClause,
+        orderBy: { createdAt: 'desc' },
+        skip: (pageNum - 1) * limitNum,
+        take: limitNum,
+      }),
+      prisma.mutedThread.count({ where: whereClause }),
+    ]);
+
+    return ok(res, threads, 'Muted threads fetched successfully', {
+      total,
+      page: pageNum,
+      limit: limitNum,
+      totalPages: Math.ceil(total / limitNum),
+    });
+  } catch (error) {
+    console.error('Error fetching muted threads:', error);
+    return fail(res, 500, 'Failed to fetch muted threads: ' + (error?.message || ''));
+  }
+};
+
+module.exports = {
+  muteThread,
+  unmuteThread,
+  getMutedThreads,
+};
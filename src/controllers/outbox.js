@@ -0,0 +1,243 @@
+const prisma = require('../config/database');
+const { resolveMailbox, hasMailAccess, getAccountId } = require('../services/mailProviders');
+const { resolveOutgoingAttachments } = require('../services/attachments');
+const { cancelPendingSend, toAddressList } = require('../services/outbox');
+const { prepareSender } = require('../services/signatures');
+const { ok, created, fail } = require('../utils/response');
+
+const OUTBOX_STATUSES = ['scheduled', 'sending', 'sent', 'failed', 'cancelled'];
+
+// Helper: outbox row without the (possibly large) uploaded attachment content
+function formatOutboxItem(item) {
+  return {
+    ...item,
+    attachments: (Array.isArray(item.attachments) ? item.attachments : []).map((att) => ({
+      filename: att.filename || null,
+      mimeType: att.mimeType || null,
+      gmailId: att.gmailId || null,
+      attachmentId: att.attachmentId || null,
+      cid: att.cid || null,
+    })),
+  };
+}
+
+// Helper: parse sendAt, which must be in the future. Returns null when invalid.
+function parseSendAt(value) {
+  const sendAt = value ? new Date(value) : null;
+  if (!sendAt || isNaN(sendAt) || sendAt.getTime() <= Date.now()) return null;
+  return sendAt;
+}
+
+/**
+ * POST /api/gmail/outbox
+ * Schedule an email. Body: same fields as POST /api/gmail/send plus sendAt (ISO date, in the future)
+ */
+const scheduleEmail = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) {
+      return fail(res, 401, 'Unauthorized');
+    }
+
+    const { to, cc, bcc, subject, body, text, gmailId, attachments, accountId } = req.body;
+
+    if (!toAddressList(to) || !subject || !body) {
+      return fail(res, 400, 'Required fields: to, subject, body, sendAt');
+    }
+
+    const sendAt = parseSendAt(req.body.sendAt);
+    if (!sendAt) {
+      return fail(res, 400, 'sendAt must be a valid date in the future');
+    }
+
+    const mailbox = await resolveMailbox(user, accountId);
+    if (!mailbox) {
+      return fail(res, 404, 'Mail account not found');
+    }
+    if (!hasMailAccess(mailbox)) {
+      return fail(res, 400, 'No Google tokens found for this mailbox. Please login with Google first.');
+    }
+
+    // Check the attachments now rather than failing at send time
+    await resolveOutgoingAttachments(user, mailbox, attachments);
+    const sender = await prepareSender(user, mailbox, { from: req.body.from, body, signature: req.body.signature });
+
+    const item = await prisma.outbox.create({
+      data: {
+        userId: user.id,
+        accountId: getAccountId(mailbox),
+        from: sender.from,
+        to: toAddressList(to),
+        cc: toAddressList(cc),
+        bcc: toAddressList(bcc),
+        subject,
+        body: sender.body,
+        text: text || null,
+        gmailId: gmailId || null,
+        attachments: attachments || undefined,
+        sendAt,
+      },
+    });
+
+    return created(res, formatOutboxItem(item), 'Email scheduled successfully');
+  } catch (error) {
+    console.error('Error scheduling email:', error);
+    if (error?.code === 400 || error?.code === 404) {
+      return fail(res, error.code, error.message);
+    }
+    return fail(res, 500, 'Failed to schedule email: ' + (error?.message || ''));
+  }
+};
+
+/**
+ * GET /api/gmail/outbox
+ * Query: status (default scheduled), accountId, page, limit
+ */
+const getOutbox = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) {
+      return fail(res, 401, 'Unauthorized');
+    }
+
+    const { status = 'scheduled', accountId, page = 1, limit = 20 } = req.query;
+
+    if (status !== 'all' && !OUTBOX_STATUSES.includes(status)) {
+      return fail(res, 400, `status must be one of: all, ${OUTBOX_STATUSES.join(', ')}`);
+    }
+
+    const whereClause = { userId: user.id };
+    if (status !== 'all') whereClause.status = status;
+    if (accountId) whereClause.accountId = accountId;
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [items, total] = await Promise.all([
+      prisma.outbox.findMany({
+        where: whereClause,
+        orderBy: { sendAt: status === 'scheduled' ? 'asc' : 'desc' },
+        skip: (pageNum - 1) * limitNum,
+        take: limitNum,
+      }),
+      prisma.outbox.count({ where: whereClause }),
+    ]);
+
+    return ok(res, items.map(formatOutboxItem), 'Outbox fetched successfully', {
+      total,
+      page: pageNum,
+      limit: limitNum,
+      totalPages: Math.ceil(total / limitNum),
+    });
+  } catch (error) {
+    console.error('Error fetching outbox:', error);
+    return fail(res, 500, 'Failed to fetch outbox: ' + (error?.message || ''));
+  }
+};
+
+/**
+ * PATCH /api/gmail/outbox/:id
+ * Reschedule a scheduled (or failed) email. Body: sendAt
+ */
+const rescheduleEmail = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) {
+      return fail(res, 401, 'Unauthorized');
+    }
+
+    const sendAt = parseSendAt(req.body.sendAt);
+    if (!sendAt) {
+      return fail(res, 400, 'sendAt must be a valid date in the future');
+    }
+
+    const item = await prisma.outbox.findFirst({
+      where: { id: req.params.id, userId: user.id },
+    });
+    if (!item) {
+      return fail(res, 404, 'Scheduled email not found');
+    }
+
+    // Only rows nobody is sending right now; a failed email gets a fresh set of attempts
+    const { count } = await prisma.outbox.updateMany({
+      where: { id: item.id, status: { in: ['scheduled', 'failed'] } },
+      data: { sendAt, status: 'scheduled', attempts: 0, lastError: null },
+    });
+    if (count === 0) {
+      return fail(res, 409, `Email cannot be rescheduled (status: ${item.status})`);
+    }
+
+    const updated = await prisma.outbox.findUnique({ where: { id: item.id } });
+    return ok(res, formatOutboxItem(updated), 'Email rescheduled successfully');
+  } catch (error) {
+    console.error('Error rescheduling email:', error);
+    return fail(res, 500, 'Failed to reschedule email: ' + (error?.message || ''));
+  }
+};
+
+/**
+ * DELETE /api/gmail/outbox/:id
+ * Cancel a scheduled email (kept in the outbox with status cancelled)
+ */
+const cancelScheduledEmail = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) {
+      return fail(res, 401, 'Unauthorized');
+    }
+
+    const item = await prisma.outbox.findFirst({
+      where: { id: req.params.id, userId: user.id },
+    });
+    if (!item) {
+      return fail(res, 404, 'Scheduled email not found');
+    }
+
+    const { count } = await prisma.outbox.updateMany({
+      where: { id: item.id, status: { in: ['scheduled', 'failed'] } },
+      data: { status: 'cancelled' },
+    });
+    if (count === 0) {
+      return fail(res, 409, `Email cannot be cancelled (status: ${item.status})`);
+    }
+
+    return ok(res, { id: item.id, status: 'cancelled' }, 'Scheduled email cancelled successfully');
+  } catch (error) {
+    console.error('Error cancelling scheduled email:', error);
+    return fail(res, 500, 'Failed to cancel scheduled email: ' + (error?.message || ''));
+  }
+};
+
+/**
+ * POST /api/gmail/send/:pendingId/undo
+ * Cancel an email held by the undo-send window (pendingId from POST /api/gmail/send)
+ */
+const undoSend = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) {
+      return fail(res, 401, 'Unauthorized');
+    }
+
+    const result = await cancelPendingSend(user.id, req.params.pendingId);
+    if (!result) {
+      return fail(res, 404, 'Pending email not found');
+    }
+    if (!result.cancelled) {
+      return fail(res, 409, `Too late to undo, email is ${result.status}`);
+    }
+
+    return ok(res, { id: req.params.pendingId, status: 'cancelled' }, 'Send undone successfully');
+  } catch (error) {
+    console.error('Error undoing send:', error);
+    return fail(res, 500, 'Failed to undo send: ' + (error?.message || ''));
+  }
+};
+
+module.exports = {
+  scheduleEmail,
+  getOutbox,
+  rescheduleEmail,
+  cancelScheduledEmail,
+  undoSend,
+};
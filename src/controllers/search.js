@@ -0,0 +1,89 @@
+const prisma = require('../config/database');
+const { ok, fail } = require('../utils/response');
+const { SOURCE_TYPES, search: runSearch } = require('../services/search');
+
+const SEARCH_MODES = ['fulltext', 'semantic', 'hybrid'];
+
+/**
+ * GET /api/search
+ * Search mail, AI summaries and tasks
+ * Query: q (required), types (comma list of message|summary|task), mode (fulltext|semantic|hybrid),
+ *        from, to, sender, hasAttachment, label, botId, accountId, page, limit
+ */
+const search = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) {
+      return fail(res, 401, 'Unauthorized');
+    }
+
+    const { q, types, mode = 'fulltext', from, to, sender, hasAttachment, label, botId, accountId, page = 1, limit = 20 } = req.query;
+
+    if (!q || !String(q).trim()) {
+      return fail(res, 400, 'q is required');
+    }
+
+    if (!SEARCH_MODES.includes(mode)) {
+      return fail(res, 400, `mode must be one of: ${SEARCH_MODES.join(', ')}`);
+    }
+
+    const typeList = types ? String(types).split(',').map((t) => t.trim()).filter(Boolean) : SOURCE_TYPES;
+    const unknownType = typeList.find((t) => !SOURCE_TYPES.includes(t));
+    if (unknownType || typeList.length === 0) {
+      return fail(res, 400, `types must be a comma list of: ${SOURCE_TYPES.join(', ')}`);
+    }
+
+    const filters = {};
+    if (from) filters.from = new Date(from);
+    if (to) filters.to = new Date(to);
+    if ((filters.from && isNaN(filters.from)) || (filters.to && isNaN(filters.to))) {
+      return fail(res, 400, 'from and to must be valid dates');
+    }
+    if (sender) filters.sender = sender;
+    if (hasAttachment !== undefined) filters.hasAttachment = hasAttachment === 'true';
+    if (label) filters.label = label;
+    if (accountId) filters.accountId = accountId;
+
+    if (botId) {
+      const bot = await prisma.bots.findFirst({
+        where: { id: botId, userId: user.id },
+        select: { id: true, emails: true }
+      });
+      if (!bot) {
+        return fail(res, 404, 'Bot not found');
+      }
+      filters.bot = bot;
+    }
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const result = await runSearch(user.id, {
+      q: String(q).trim(),
+      types: typeList,
+      mode,
+      filters,
+      limit: limitNum,
+      offset: (pageNum - 1) * limitNum
+    });
+
+    return ok(res, result.hits, 'Search results fetched successfully', {
+      q,
+      page: pageNum,
+      limit: limitNum,
+      hasMore: result.hasMore,
+      mode: result.mode,
+      embeddingModel: result.embeddingModel
+    });
+  } catch (error) {
+    console.error('Error searching:', error);
+    if (error?.code === 400) {
+      return fail(res, 400, error.message);
+    }
+    return fail(res, 500, 'Failed to search: ' + (error?.message || ''));
+  }
+};
+
+module.exports = {
+  search
+};
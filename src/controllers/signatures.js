@@ -0,0 +1,211 @@
+const prisma = require('../config/database');
+const { resolveMailbox, hasMailAccess, getAccountId } = require('../services/mailProviders');
+const { listAliases, setDefaultSignature, unsetDefaultSignature, syncSignatures } = require('../services/signatures');
+const { ok, created, fail } = require('../utils/response');
+
+// Helper: resolve the mailbox of the request, answering the error itself. Returns null on failure.
+async function getSignatureMailbox(req, res) {
+  const mailbox = await resolveMailbox(req.user, req.query.accountId || req.body?.accountId);
+  if (!mailbox) {
+    fail(res, 404, 'Mail account not found');
+    return null;
+  }
+  if (!hasMailAccess(mailbox)) {
+    fail(res, 400, 'No Google tokens found for this mailbox. Please login with Google first.');
+    return null;
+  }
+  return mailbox;
+}
+
+// Helper: error response shared by the signature endpoints
+function signatureError(res, error, action) {
+  console.error(`Error ${action}:`, error);
+  if (error?.code === 401) {
+    return fail(res, 401, 'Token expired or invalid. Please re-authenticate.');
+  }
+  if (error?.code === 'P2002') {
+    return fail(res, 409, 'A signature with this name already exists');
+  }
+  if (error?.code === 400 || error?.code === 404) {
+    return fail(res, error.code, error.message);
+  }
+  return fail(res, 500, `Failed ${action}: ` + (error?.message || ''));
+}
+
+/**
+ * GET /api/gmail/send-as
+ * Send-as aliases of the mailbox (usable as `from` on send) and the default signature of each
+ */
+const getSendAsAliases = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) return fail(res, 401, 'Unauthorized');
+
+    const mailbox = await getSignatureMailbox(req, res);
+    if (!mailbox) return;
+
+    const aliases = await listAliases(mailbox);
+    const defaults = await prisma.signature.findMany({
+      where: { userId: user.id, accountId: getAccountId(mailbox), sendAsEmail: { in: aliases.map((a) => a.email) } },
+      select: { id: true, sendAsEmail: true },
+    });
+
+    return ok(res, aliases.map((alias) => ({
+      ...alias,
+      defaultSignatureId: defaults.find((s) => s.sendAsEmail === alias.email)?.id || null,
+    })), 'Send-as aliases fetched successfully');
+  } catch (error) {
+    return signatureError(res, error, 'fetching send-as aliases');
+  }
+};
+
+/**
+ * GET /api/gmail/signatures
+ * Signatures of the mailbox. Query: accountId (optional)
+ */
+const getSignatures = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) return fail(res, 401, 'Unauthorized');
+
+    const mailbox = await resolveMailbox(user, req.query.accountId);
+    if (!mailbox) return fail(res, 404, 'Mail account not found');
+
+    const signatures = await prisma.signature.findMany({
+      where: { userId: user.id, accountId: getAccountId(mailbox) },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    return ok(res, signatures, 'Signatures fetched successfully');
+  } catch (error) {
+    return signatureError(res, error, 'fetching signatures');
+  }
+};
+
+/**
+ * POST /api/gmail/signatures
+ * Body: name, html, sendAsEmail (optional: make it the default of that alias, also in Gmail), accountId
+ */
+const createSignature = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) return fail(res, 401, 'Unauthorized');
+
+    const { name, html, sendAsEmail } = req.body;
+    if (!name || typeof name !== 'string' || typeof html !== 'string') {
+      return fail(res, 400, 'Required fields: name, html');
+    }
+
+    const mailbox = await getSignatureMailbox(req, res);
+    if (!mailbox) return;
+
+    let signature = await prisma.signature.create({
+      data: { userId: user.id, accountId: getAccountId(mailbox), name: name.trim(), html },
+    });
+
+    let syncedToGmail = null;
+    if (sendAsEmail) {
+      ({ signature, syncedToGmail } = await setDefaultSignature(mailbox, signature, sendAsEmail));
+    }
+
+    return created(res, { ...signature, syncedToGmail }, 'Signature created successfully');
+  } catch (error) {
+    return signatureError(res, error, 'creating signature');
+  }
+};
+
+/**
+ * PUT /api/gmail/signatures/:id
+ * Body: name, html, sendAsEmail (alias to make it the default of, or null to stop being a default)
+ */
+const updateSignature = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) return fail(res, 401, 'Unauthorized');
+
+    const current = await prisma.signature.findFirst({ where: { id: req.params.id, userId: user.id } });
+    if (!current) return fail(res, 404, 'Signature not found');
+
+    const { name, html, sendAsEmail } = req.body;
+    if ((name !== undefined && (!name || typeof name !== 'string')) || (html !== undefined && typeof html !== 'string')) {
+      return fail(res, 400, 'name must be a non-empty string and html a string');
+    }
+
+    const mailbox = await resolveMailbox(user, current.accountId);
+    if (!mailbox || !hasMailAccess(mailbox)) return fail(res, 404, 'Mail account not found');
+
+    let signature = await prisma.signature.update({
+      where: { id: current.id },
+      data: {
+        ...(name !== undefined ? { name: name.trim() } : {}),
+        ...(html !== undefined ? { html } : {}),
+      },
+    });
+
+    let syncedToGmail = null;
+    if (sendAsEmail) {
+      ({ signature, syncedToGmail } = await setDefaultSignature(mailbox, signature, sendAsEmail));
+    } else if (sendAsEmail === null && current.sendAsEmail) {
+      ({ signature, syncedToGmail } = await unsetDefaultSignature(mailbox, signature));
+    } else if (html !== undefined && current.sendAsEmail) {
+      // Keep the alias signature in Gmail up to date
+      ({ signature, syncedToGmail } = await setDefaultSignature(mailbox, signature, current.sendAsEmail));
+    }
+
+    return ok(res, { ...signature, syncedToGmail }, 'Signature updated successfully');
+  } catch (error) {
+    return signatureError(res, error, 'updating signature');
+  }
+};
+
+/**
+ * DELETE /api/gmail/signatures/:id
+ * Deleting an alias default also clears the alias signature in Gmail
+ */
+const deleteSignature = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) return fail(res, 401, 'Unauthorized');
+
+    const signature = await prisma.signature.findFirst({ where: { id: req.params.id, userId: user.id } });
+    if (!signature) return fail(res, 404, 'Signature not found');
+
+    if (signature.sendAsEmail) {
+      const mailbox = await resolveMailbox(user, signature.accountId);
+      if (mailbox && hasMailAccess(mailbox)) await unsetDefaultSignature(mailbox, signature);
+    }
+    await prisma.signature.delete({ where: { id: signature.id } });
+
+    return ok(res, { id: signature.id }, 'Signature deleted successfully');
+  } catch (error) {
+    return signatureError(res, error, 'deleting signature');
+  }
+};
+
+/**
+ * POST /api/gmail/signatures/sync
+ * Import the alias signatures set in Gmail (aliases that already have a default here are kept)
+ */
+const syncGmailSignatures = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) return fail(res, 401, 'Unauthorized');
+
+    const mailbox = await getSignatureMailbox(req, res);
+    if (!mailbox) return;
+
+    const result = await syncSignatures(user, mailbox);
+    return ok(res, result, `${result.imported} signature(s) imported from Gmail`);
+  } catch (error) {
+    return signatureError(res, error, 'syncing signatures');
+  }
+};
+
+module.exports = {
+  getSendAsAliases,
+  getSignatures,
+  createSignature,
+  updateSignature,
+  deleteSignature,
+  syncGmailSignatures,
+};
@@ -0,0 +1,141 @@
+const prisma = require('../config/database');
+const { resolveMailbox, hasMailAccess } = require('../services/mailProviders');
+const { snoozeMessages, wakeSnooze } = require('../services/snooze');
+const { ok, created, fail } = require('../utils/response');
+
+// Helper: parse the wake-up time, which must be in the future. Returns null when invalid.
+function parseSnoozeUntil(value) {
+  const until = value ? new Date(value) : null;
+  if (!until || isNaN(until) || until.getTime() <= Date.now()) return null;
+  return until;
+}
+
+// Helper: shared body of the email and thread snooze endpoints
+async function snoozeTarget(req, res, target, label) {
+  try {
+    const user = req.user;
+    if (!user) {
+      return fail(res, 401, 'Unauthorized');
+    }
+
+    const until = parseSnoozeUntil(req.body.until);
+    if (!until) {
+      return fail(res, 400, 'until must be a valid date in the future');
+    }
+
+    const mailbox = await resolveMailbox(user, req.query.accountId || req.body.accountId);
+    if (!mailbox) {
+      return fail(res, 404, 'Mail account not found');
+    }
+    if (!hasMailAccess(mailbox)) {
+      return fail(res, 400, 'No Google tokens found for this mailbox. Please login with Google first.');
+    }
+
+    const snooze = await snoozeMessages(user, mailbox, target, until);
+    return created(res, snooze, `${label} snoozed until ${until.toISOString()}`);
+  } catch (error) {
+    console.error(`Error snoozing ${label.toLowerCase()}:`, error);
+    if (error?.code === 401) {
+      return fail(res, 401, 'Token expired or invalid. Please re-authenticate.');
+    }
+    if (error?.code === 404) {
+      return fail(res, 404, `${label} not found`);
+    }
+    if (error?.code === 400) {
+      return fail(res, 400, error.message);
+    }
+    return fail(res, 500, `Failed to snooze ${label.toLowerCase()}: ` + (error?.message || ''));
+  }
+}
+
+/**
+ * POST /api/gmail/emails/:id/snooze
+ * Move an email out of the inbox until a given time. Body: until (ISO date), accountId (optional)
+ */
+const snoozeEmail = async (req, res) => snoozeTarget(req, res, { gmailId: req.params.id }, 'Email');
+
+/**
+ * POST /api/gmail/threads/:id/snooze
+ * Snooze every received message of a thread. Body: until (ISO date), accountId (optional)
+ */
+const snoozeThread = async (req, res) => snoozeTarget(req, res, { threadId: req.params.id }, 'Thread');
+
+/**
+ * GET /api/gmail/snoozed
+ * Emails currently snoozed, soonest wake-up first. Query: accountId, page, limit
+ */
+const getSnoozed = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) {
+      return fail(res, 401, 'Unauthorized');
+    }
+
+    const { accountId, page = 1, limit = 20 } = req.query;
+
+    const whereClause = { userId: user.id, status: 'snoozed' };
+    if (accountId) whereClause.accountId = accountId;
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [snoozes, total] = await Promise.all([
+      prisma.snooze.findMany({
+        where: whereClause,
+        orderBy: { snoozeUntil: 'asc' },
+        skip: (pageNum - 1) * limitNum,
+        take: limitNum,
+      }),
+      prisma.snooze.count({ where: whereClause }),
+    ]);
+
+    return ok(res, snoozes, 'Snoozed emails fetched successfully', {
+      total,
+      page: pageNum,
+      limit: limitNum,
+      totalPages: Math.ceil(total / limitNum),
+    });
+  } catch (error) {
+    console.error('Error fetching snoozed emails:', error);
+    return fail(res, 500, 'Failed to fetch snoozed emails: ' + (error?.message || ''));
+  }
+};
+
+/**
+ * DELETE /api/gmail/snoozed/:id
+ * Unsnooze now: put the messages back in the inbox without waiting for the wake-up time
+ */
+const unsnooze = async (req, res) => {
+  try {
+    const user = req.user;
+    if (!user) {
+      return fail(res, 401, 'Unauthorized');
+    }
+
+    const snooze = await prisma.snooze.findFirst({
+      where: { id: req.params.id, userId: user.id },
+    });
+    if (!snooze) {
+      return fail(res, 404, 'Snooze not found');
+    }
+    if (snooze.status !== 'snoozed') {
+      return fail(res, 409, `Email is no longer snoozed (status: ${snooze.status})`);
+    }
+
+    const updated = await wakeSnooze(snooze, { status: 'cancelled' });
+    return ok(res, updated, 'Email unsnoozed successfully');
+  } catch (error) {
+    console.error('Error unsnoozing email:', error);
+    if (error?.code === 401) {
+      return fail(res, 401, 'Token expired or invalid. Please re-authenticate.');
+    }
+    return fail(res, 500, 'Failed to unsnooze email: ' + (error?.message || ''));
+  }
+};
+
+module.exports = {
+  snoozeEmail,
+  snoozeThread,
+  getSnoozed,
+  unsnooze,
+};
@@ -1,273 +1,266 @@
 const prisma = require('../config/database');
-const { getNewMessages, getSenderEmail, isFromSpecificEmail, getMessageDetails, sendAutoReply } = require('../services/gmailPubSub');
-const { getSmartInboxAnalysis, analyzeActionItems, generateAutoReply } = require('../services/aiAgents');
-const { createMeetingEvent } = require('../services/calendarService');
+const { getNewMessages, getMessagesSince, getCatchUpStart, getSenderEmail, getMessageDetails, saveHistoryId, recordWatchNotification } = require('../services/gmailPubSub');
+const { markMirrorStale, applyLabelChange } = require('../services/mailMirror');
+const { getMailProvider, getAccountId } = require('../services/mailProviders');
+const { isMutedForMailbox } = require('../services/mutedThreads');
+const { recordDelivery, releaseDelivery, claimMessage, finishMessage, releaseMessage } = require('../services/webhookLedger');
+const { enqueueMailJobs, processMailJobs } = require('../services/jobQueue');
+const { BOT_PRECEDENCE, planBotJobs } = require('../services/inboundMailJobs');
 
 /**
  * Handle Gmail push notification webhook from Google Cloud Pub/Sub
  * This endpoint receives notifications when new emails arrive
+ * The push is authenticated by pubsubAuthMiddleware; redeliveries (same Pub/Sub messageId) are ignored.
+ * It is only acknowledged once the new messages are claimed and their bot work is queued
+ * (a serverless function can be frozen as soon as it answers); on failure it answers 500
+ * so Pub/Sub delivers it again.
  */
 const handleGmailWebhook = async (req, res) => {
+    // Decode the Pub/Sub message
+    const pubsubMessage = req.body?.message;
+    let data;
     try {
-        // Acknowledge receipt immediately (Google requires 200 response within 30 seconds)
-        res.status(200).json({ message: 'Webhook received' });
-
-        // Decode the Pub/Sub message
-        const pubsubMessage = req.body.message;
-        if (!pubsubMessage || !pubsubMessage.data) {
-            console.log('Invalid Pub/Sub message format');
-            return;
-        }
+        data = JSON.parse(Buffer.from(pubsubMessage.data, 'base64').toString('utf-8'));
+    } catch (error) {
+        console.log('Invalid Pub/Sub message format');
+        // Acknowledged anyway: a redelivery would be just as invalid
+        return res.status(200).json({ message: 'Invalid message ignored' });
+    }
 
-        // Decode base64 data
-        const decodedData = Buffer.from(pubsubMessage.data, 'base64').toString('utf-8');
-        const data = JSON.parse(decodedData);
+    console.log('Gmail notification received:', {
+        emailAddress: data.emailAddress,
+        historyId: data.historyId
+    });
 
-        console.log('Gmail notification received:', {
-            emailAddress: data.emailAddress,
-            historyId: data.historyId
-        });
+    const deliveryId = pubsubMessage.messageId || pubsubMessage.message_id;
+    try {
+        // Pub/Sub delivers at least once: handle each push a single time
+        if (deliveryId && !(await recordDelivery(deliveryId, data))) {
+            console.log('Duplicate Pub/Sub delivery ignored:', deliveryId);
+            return res.status(200).json({ message: 'Duplicate delivery ignored' });
+        }
 
         // Find user by email
         const user = await prisma.user.findUnique({
             where: { email: data.emailAddress }
         });
 
-        if (!user) {
-            console.log('User not found for email:', data.emailAddress);
-            return;
+        if (user) {
+            await recordWatchNotification(user.id);
+            await processNewMail(user, data.historyId);
+            return res.status(200).json({ message: 'Webhook received' });
         }
 
-        // Get user's last history ID (you need to store this)
-        const lastHistoryId = user.gmailHistoryId || data.historyId;
-
-        // Get new messages since last history
-        const newMessages = await getNewMessages(user.id, lastHistoryId);
-
-        console.log(`Found ${newMessages.length} new messages for user ${user.email}`);
-
-        // Process all messages
-        for (const message of newMessages) {
-            const senderEmail = getSenderEmail(message);
-            console.log('New message from:', senderEmail);
+        // Otherwise the notification is for a mailbox linked to another user
+        const accounts = await prisma.mailAccount.findMany({
+            where: { email: data.emailAddress }
+        });
 
-            // Log the message
-            console.log('📧 New message received:', {
-                from: senderEmail,
-                message: message
-            });
+        if (accounts.length === 0) {
+            console.log('User not found for email:', data.emailAddress);
+        }
 
-            const user = await prisma.user.findFirst({
-                where: { email: data.emailAddress }
+        for (const account of accounts) {
+            const owner = await prisma.user.findUnique({
+                where: { id: account.userId }
             });
-            if (!user) {
-                console.log('User not found for email:', data.emailAddress);
-                continue;
+            if (owner) {
+                await recordWatchNotification(owner.id, account.id);
+                await processNewMail(owner, data.historyId, account);
             }
+        }
 
-            const bots = await prisma.bots.findMany({
-                where: {
-                    userId: user.id,
-                    emails: {
-                        has: senderEmail
-                    },
-                    isactive: true
-                }
+        return res.status(200).json({ message: 'Webhook received' });
+    } catch (error) {
+        console.error('Error handling Gmail webhook:', error);
+        // Forget the delivery so the redelivery this 500 triggers is processed
+        if (deliveryId) {
+            await releaseDelivery(deliveryId).catch((releaseError) => {
+                console.error('Error releasing Pub/Sub delivery:', releaseError?.message);
             });
+        }
+        return res.status(500).json({ error: 'Failed to process notification' });
+    }
+};
 
-            console.log('Found bots:', bots);
-             const fullMessage = await getMessageDetails(user.id, message.id);
-             const subjectHeader = fullMessage.payload.headers.find(
-                        header => header.name.toLowerCase() === 'subject'
-                    );
-                    const emailSubject = subjectHeader ? subjectHeader.value : '';
-
-                    // Extract email body (text or HTML)
-                    const extractBody = (payload) => {
-                        let body = '';
-
-                        if (payload.parts) {
-                            for (const part of payload.parts) {
-                                if (part.mimeType === 'text/plain' || part.mimeType === 'text/html') {
-                                    if (part.body.data) {
-                                        body = Buffer.from(part.body.data, 'base64').toString('utf-8');
-                                        break;
-                                    }
-                                }
-                                // Handle nested parts
-                                if (part.parts) {
-                                    body = extractBody(part);
-                                    if (body) break;
-                                }
-                            }
-                        } else if (payload.body.data) {
-                            body = Buffer.from(payload.body.data, 'base64').toString('utf-8');
-                        }
-
-                        return body;
-                    };
-                    const emailBody = extractBody(fullMessage.payload) || fullMessage.snippet || '';
-
-            // Check if auto-summarize is enabled for the first bot
-            if (bots.length > 0 ) {
-                if( bots[0].isautoSummarize === true){
-                      try {
-                    // Get AI summarization
-                    console.log('🤖 Auto-summarizing email...');
-                    const summary = await getSmartInboxAnalysis(emailBody, emailSubject);
-                    console.log('📊 Email Summary:', summary);
-
-                    // Save summary to database
-                    await prisma.aiSummarys.create({
-                        data: {
-                            summary: summary.summary || '',
-                            priority: summary.priorityScore || 50,
-                            userId: user.id,
-                            gmailId: message.id
-
-                        }
-                    });
-                    console.log('✅ Summary saved to database');
-
-                } catch (error) {
-                    console.error('Error during auto-summarization:', error);
-                }
-            }
-            if(bots[0].isautoExtractTaskes === true  || bots[0].isautoExtractMettengs === true){
-                try {
-                    console.log('📋 Auto-extracting tasks and meetings...');
-                    const actionItems = await analyzeActionItems(emailBody, emailSubject);
-                    console.log('📊 Extracted Action Items:', actionItems);
-
-                    // Save tasks to database
-                    if (actionItems.tasks && actionItems.tasks.length > 0 && bots[0].isautoExtractTaskes === true) {
-                        for (const task of actionItems.tasks) {
-                            await prisma.task.create({
-                                data: {
-                                    task: task.description,
-                                    taskDate: task.deadline ? new Date(task.deadline) : null,
-                                    priority: task.priority.toLowerCase(),
-                                    userId: user.id,
-                                    gmailId: message.id,
-                                    isDoneTask: false,
-                                    isCreatedByBot: true,
-                                    botId: bots[0].id
-                                }
-                            });
-                        }
-                        console.log(`✅ ${actionItems.tasks.length} task(s) saved to database`);
-                    }
-
-                    // Save meeting to calendar tasks and Google Calendar
-                    if (actionItems.meeting && bots[0].isautoExtractMettengs === true) {
-                        const meeting = actionItems.meeting;
-
-                        // Combine date and time into a DateTime
-                        let meetingDateTime;
-                        if (meeting.date && meeting.time) {
-                            meetingDateTime = new Date(`${meeting.date}T${meeting.time}:00`);
-                        } else if (meeting.date) {
-                            meetingDateTime = new Date(meeting.date);
-                        } else {
-                            meetingDateTime = new Date();
-                        }
+/**
+ * Run the bot pipeline on one claimed message: archive it when its thread is muted,
+ * otherwise queue the merged mail jobs of every matching bot
+ * @param {Object} user - User record
+ * @param {Object} mailbox - User or MailAccount record the message arrived in
+ * @param {string} [accountId] - Linked MailAccount ID (undefined for the primary mailbox)
+ * @param {Object} message - Message with its headers
+ * @param {Object} claim - ProcessedMessage row of the message (claimMessage)
+ * @returns {Promise<number>} - Mail jobs queued
+ */
+const processMessage = async (user, mailbox, accountId, message, claim) => {
+    const actions = [];
+
+    const senderEmail = getSenderEmail(message);
+    console.log(`📧 New message received: ${message.id}`);
+
+    const bots = await prisma.bots.findMany({
+        where: {
+            userId: user.id,
+            emails: {
+                has: senderEmail
+            },
+            isactive: true
+        },
+        orderBy: BOT_PRECEDENCE
+    });
+
+    console.log(`Found ${bots.length} bot(s) for message ${message.id}:`, bots.map((bot) => bot.id));
+    let fullMessage;
+    try {
+        fullMessage = await getMessageDetails(user.id, message.id, accountId);
+    } catch (error) {
+        if (error?.code !== 404) throw error;
+        // Deleted before we got to it: nothing to do
+        await finishMessage(claim, { actions });
+        return 0;
+    }
 
-                        // First, add the meeting to Google Calendar
-                        let googleEventId = null;
-                        try {
-                            console.log('📅 Adding meeting to Google Calendar...');
-                            const calendarEvent = await createMeetingEvent(user.id, meeting);
-                            googleEventId = calendarEvent.id;
-                            console.log('✅ Meeting added to Google Calendar:', calendarEvent.htmlLink);
-                        } catch (calendarError) {
-                            console.error('⚠️ Error adding to Google Calendar:', calendarError.message);
-                            // Continue to save in database even if calendar addition fails
-                        }
+    // Muted thread: archive the new message and leave it alone (no bot actions)
+    if (await isMutedForMailbox(user.id, getAccountId(mailbox), fullMessage, mailbox.email)) {
+        try {
+            await getMailProvider(mailbox).modifyMessage(message.id, { removeLabelIds: ['INBOX'] });
+            await applyLabelChange(user.id, getAccountId(mailbox), [message.id], { removeLabelIds: ['INBOX'] });
+            console.log(`🔇 Message ${message.id} archived (muted thread ${fullMessage.threadId})`);
+        } catch (error) {
+            console.error('Error archiving message of muted thread:', error);
+        }
+        await finishMessage(claim, { status: 'muted' });
+        return 0;
+    }
 
-                        // Then save to database with the Google Calendar event ID
-                        await prisma.calendarTask.create({
-                            data: {
-                                title: meeting.title || 'Meeting',
-                                description: `${meeting.agenda || ''}\nDuration: ${meeting.duration || 'Not specified'}`,
-                                dueDate: meetingDateTime,
-                                status: 'pending',
-                                priority: 'high',
-                                userId: user.id,
-                                gmailId: message.id,
-                                googleEventId: googleEventId,
-                                isCreatedByBot: true,
-                                botId: bots[0].id
-                            }
-                        });
-                        console.log('✅ Meeting saved to database');
+    const subjectHeader = fullMessage.payload.headers.find(
+        header => header.name.toLowerCase() === 'subject'
+    );
+    const emailSubject = subjectHeader ? subjectHeader.value : '';
+
+    // Extract email body (text or HTML)
+    const extractBody = (payload) => {
+        let body = '';
+
+        if (payload.parts) {
+            for (const part of payload.parts) {
+                if (part.mimeType === 'text/plain' || part.mimeType === 'text/html') {
+                    if (part.body.data) {
+                        body = Buffer.from(part.body.data, 'base64').toString('utf-8');
+                        break;
                     }
-
-                } catch (error) {
-                    console.error('Error during task extraction:', error);
+                }
+                // Handle nested parts
+                if (part.parts) {
+                    body = extractBody(part);
+                    if (body) break;
                 }
             }
+        } else if (payload.body.data) {
+            body = Buffer.from(payload.body.data, 'base64').toString('utf-8');
+        }
 
-            if(bots[0].isAutoReply === true){
-                try {
-                    console.log('✉️ Auto-reply is enabled, generating response...');
-
-                    // Prepare email data for AI
-                    const emailData = {
-                        from: senderEmail,
-                        subject: emailSubject,
-                        date: new Date().toISOString(),
-                        body: emailBody,
-                        snippet: fullMessage.snippet
-                    };
-
-                    // Generate auto-reply using AI with user's custom prompt and tone
-                    const replyBody = await generateAutoReply(
-                        emailData,
-                        bots[0].userPrompet,
-                        bots[0].replayTony,
-                        bots[0].templete
-                    );
-
-                    console.log('🤖 AI-generated reply:', replyBody.substring(0, 100) + '...');
+        return body;
+    };
+    const emailBody = extractBody(fullMessage.payload) || fullMessage.snippet || '';
+
+    // The bot work runs in the job queue: one job per feature, merged across all matching bots
+    const { jobs, botActions } = planBotJobs(bots);
+    actions.push(...jobs.map((job) => job.type));
+
+    // Jobs and ledger are written together: a message is never closed without its jobs,
+    // nor are jobs left behind for a claim that gets released and processed again
+    await prisma.$transaction(async (tx) => {
+        await enqueueMailJobs(jobs.map((job) => ({
+            type: job.type,
+            userId: user.id,
+            accountId: getAccountId(mailbox),
+            gmailId: message.id,
+            botId: job.botId,
+            payload: { from: senderEmail, subject: emailSubject, body: emailBody, snippet: fullMessage.snippet || '', ...job.assign }
+        })), tx);
+        await finishMessage(claim, { botId: bots[0]?.id || null, actions, botActions }, tx);
+    });
+    return actions.length;
+};
 
-                    // Prepare reply subject (Re: original subject)
-                    const replySubject = emailSubject.startsWith('Re:')
-                        ? emailSubject
-                        : `Re: ${emailSubject}`;
+/**
+ * Run the bot pipeline on the messages a user received since their stored history ID.
+ * Summaries, task/meeting extraction and auto-replies are queued as mail jobs
+ * (services/jobQueue) and run by the worker, with retries.
+ * When the stored history ID has expired, the inbox messages received since the
+ * last successful run are read instead. The history ID only moves forward once
+ * every message went through, so a failure is retried by the next notification.
+ * Shared by the Gmail Pub/Sub webhook and the IMAP IDLE watchers.
+ * @param {Object} user - User record
+ * @param {string} notifiedHistoryId - Latest history ID reported by the mailbox
+ * @param {Object} [account] - Linked MailAccount the mail arrived in (defaults to the user's own mailbox)
+ * @returns {Promise<void>} - Rejects when a message could not be claimed or queued
+ */
+const processNewMail = async (user, notifiedHistoryId, account = null) => {
+    const mailbox = account || user;
+    const accountId = account ? account.id : undefined;
+    const startedAt = new Date();
 
-                    // Send the auto-reply
-                    await sendAutoReply(
-                        user.id,
-                        message.id,
-                        senderEmail,
-                        replySubject,
-                        replyBody
-                    );
+    // Get mailbox's last history ID
+    const lastHistoryId = mailbox.gmailHistoryId || notifiedHistoryId;
 
-                    console.log('✅ Auto-reply sent successfully to:', senderEmail);
+    // Get new messages since last history
+    let batch;
+    try {
+        batch = await getNewMessages(user.id, lastHistoryId, accountId);
+    } catch (error) {
+        if (error?.code !== 404) throw error;
+        // History ID too old for the mailbox: catch up on what arrived since the last run
+        const since = getCatchUpStart(mailbox);
+        console.warn(`History ID ${lastHistoryId} expired for mailbox ${mailbox.email}, catching up on mail since ${since.toISOString()}`);
+        batch = await getMessagesSince(user.id, since, accountId);
+    }
+    const newMessages = batch.messages;
+
+    console.log(`Found ${newMessages.length} new messages for mailbox ${mailbox.email}`);
+    let queued = 0;
+    let inProgress = 0;
+
+    // Process all messages
+    for (const message of newMessages) {
+        // Each message runs through the pipeline once, whichever notification brings it
+        const result = await claimMessage(user.id, getAccountId(mailbox), message.id);
+        if (!result.claim) {
+            if (result.inProgress) inProgress++;
+            console.log(`Message ${message.id} ${result.inProgress ? 'is being processed by another run' : 'already processed'}, skipping`);
+            continue;
+        }
 
-                } catch (error) {
-                    console.error('Error during auto-reply:', error);
-                    // Continue processing even if auto-reply fails
-                }
-            }
-                }
-                
+        try {
+            queued += await processMessage(user, mailbox, accountId, message, result.claim);
+        } catch (error) {
+            // Keep the stored history ID: the next notification picks this message up again
+            await releaseMessage(result.claim);
+            throw error;
         }
+    }
 
-        // Update user's history ID
-        await prisma.user.update({
-            where: { id: user.id },
-            data: { gmailHistoryId: String(data.historyId) }
-        });
+    // Everything went through: move the mailbox's history ID forward. Not past a message
+    // another run still holds: if that run died, a later notification takes its stale claim over
+    if (inProgress === 0) {
+        await saveHistoryId(user.id, accountId, batch.historyId || notifiedHistoryId, startedAt);
+    }
 
-    } catch (error) {
-        console.error('Error handling Gmail webhook:', error);
-        // Don't throw error - we already sent 200 response
+    // New mail: the next read of the mirror syncs first
+    await markMirrorStale(user.id, getAccountId(mailbox));
+
+    // Not awaited: a long-running server starts on the jobs right away. The jobs are already
+    // stored, so where this process may be frozen (serverless) the mail job worker or the
+    // scheduled call of /api/admin/jobs/run runs them instead
+    if (queued > 0) {
+        processMailJobs().catch((error) => console.error('❌ Mail jobs run crashed:', error?.message));
     }
 };
 
 module.exports = {
     handleWebhook: handleGmailWebhook,
-    handleGmailWebhook
-};
\ No newline at end of file
+    handleGmailWebhook,
+    processNewMail
+};
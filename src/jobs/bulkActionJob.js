@@ -0,0 +1,31 @@
+const cron = require('node-cron');
+const { processPendingBulkJobs } = require('../services/bulkActions');
+
+/**
+ * Run bulk jobs that did not start right away and resume the ones a restart interrupted
+ * Schedule: every minute
+ */
+const startBulkActionJob = () => {
+  let running = false;
+
+  cron.schedule('* * * * *', async () => {
+    // A slow run must not overlap with the next tick
+    if (running) return;
+    running = true;
+
+    try {
+      const run = await processPendingBulkJobs();
+      if (run > 0) {
+        console.log(`📦 Bulk action job: ${run} job(s) run`);
+      }
+    } catch (error) {
+      console.error('❌ Error in bulk action job:', error);
+    } finally {
+      running = false;
+    }
+  });
+
+  console.log('✅ Bulk action job started - checking for pending bulk jobs every minute');
+};
+
+module.exports = { startBulkActionJob };
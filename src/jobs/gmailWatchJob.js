@@ -0,0 +1,31 @@
+const cron = require('node-cron');
+const { renewExpiringWatches } = require('../services/gmailPubSub');
+
+/**
+ * Renew Gmail watches a day before they expire, for every user with active bots
+ * Schedule: every hour
+ */
+const startGmailWatchJob = () => {
+  let running = false;
+
+  cron.schedule('15 * * * *', async () => {
+    // A slow run must not overlap with the next tick
+    if (running) return;
+    running = true;
+
+    try {
+      const { renewed, failed } = await renewExpiringWatches();
+      if (renewed + failed > 0) {
+        console.log(`👀 Gmail watch job: ${renewed} watch(es) renewed, ${failed} failed`);
+      }
+    } catch (error) {
+      console.error('❌ Error in Gmail watch job:', error);
+    } finally {
+      running = false;
+    }
+  });
+
+  console.log('✅ Gmail watch job started - renewing expiring watches every hour');
+};
+
+module.exports = { startGmailWatchJob };
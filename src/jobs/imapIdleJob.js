@@ -0,0 +1,56 @@
+const cron = require('node-cron');
+const prisma = require('../config/database');
+const { setNewMailHandler, startIdle, isIdling } = require('../services/imapIdle');
+const { setupGmailWatch, recordWatchNotification } = require('../services/gmailPubSub');
+const { processNewMail } = require('../controllers/webhooks');
+
+/**
+ * Start IDLE watchers for IMAP users with active bots (unless they stopped their watch)
+ * Runs once at startup and then every 5 minutes to pick up new bots / dropped connections
+ */
+const startImapIdleJob = () => {
+  setNewMailHandler(async (user, historyId) => {
+    // Re-read the user so the stored history ID is current
+    const freshUser = await prisma.user.findUnique({ where: { id: user.id } });
+    if (!freshUser) return;
+    await recordWatchNotification(freshUser.id);
+    await processNewMail(freshUser, historyId);
+  });
+
+  const ensureWatchers = async () => {
+    try {
+      const users = await prisma.user.findMany({
+        where: { accountType: 'imap', watchStopped: false }
+      });
+
+      for (const user of users) {
+        if (isIdling(user.id)) continue;
+
+        const activeBots = await prisma.bots.count({
+          where: { userId: user.id, isactive: true }
+        });
+        if (activeBots === 0) continue;
+
+        try {
+          if (user.gmailHistoryId) {
+            await startIdle(user);
+          } else {
+            // First watch: also records the starting history ID
+            await setupGmailWatch(user.id, null);
+          }
+        } catch (error) {
+          console.error(`❌ Failed to start IMAP IDLE for ${user.email}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error in IMAP IDLE job:', error);
+    }
+  };
+
+  ensureWatchers();
+  cron.schedule('*/5 * * * *', ensureWatchers);
+
+  console.log('✅ IMAP IDLE job started - checking watchers every 5 minutes');
+};
+
+module.exports = { startImapIdleJob };
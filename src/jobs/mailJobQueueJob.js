@@ -0,0 +1,31 @@
+const cron = require('node-cron');
+const { processMailJobs } = require('../services/jobQueue');
+
+/**
+ * Worker of the inbound mail job queue: runs due jobs and retries
+ * Schedule: every 10 seconds
+ */
+const startMailJobQueueJob = () => {
+  let running = false;
+
+  cron.schedule('*/10 * * * * *', async () => {
+    // A slow run must not overlap with the next tick
+    if (running) return;
+    running = true;
+
+    try {
+      const { completed, retried, dead } = await processMailJobs();
+      if (completed + retried + dead > 0) {
+        console.log(`🧵 Mail job queue: ${completed} completed, ${retried} to retry, ${dead} dead`);
+      }
+    } catch (error) {
+      console.error('❌ Error in mail job queue job:', error);
+    } finally {
+      running = false;
+    }
+  });
+
+  console.log('✅ Mail job queue job started - running queued mail jobs every 10 seconds');
+};
+
+module.exports = { startMailJobQueueJob };
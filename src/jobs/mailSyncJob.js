@@ -0,0 +1,32 @@
+const cron = require('node-cron');
+const { syncAllMirrors } = require('../services/mailMirror');
+
+/**
+ * Keep local mailbox mirrors fresh in the background
+ * Only mailboxes that were read at least once (have a mailbox_syncs row) are synced
+ * Schedule: every 2 minutes
+ */
+const startMailSyncJob = () => {
+  let running = false;
+
+  cron.schedule('*/2 * * * *', async () => {
+    // A slow sync must not overlap with the next tick
+    if (running) return;
+    running = true;
+
+    try {
+      const { synced } = await syncAllMirrors();
+      if (synced > 0) {
+        console.log(`📥 Mail sync job: ${synced} mailbox mirror(s) synced`);
+      }
+    } catch (error) {
+      console.error('❌ Error in mail sync job:', error);
+    } finally {
+      running = false;
+    }
+  });
+
+  console.log('✅ Mail sync job started - syncing mailbox mirrors every 2 minutes');
+};
+
+module.exports = { startMailSyncJob };
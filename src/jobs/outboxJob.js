@@ -0,0 +1,31 @@
+const cron = require('node-cron');
+const { processDueOutbox } = require('../services/outbox');
+
+/**
+ * Send scheduled emails once their sendAt has passed
+ * Schedule: every minute
+ */
+const startOutboxJob = () => {
+  let running = false;
+
+  cron.schedule('* * * * *', async () => {
+    // A slow run must not overlap with the next tick
+    if (running) return;
+    running = true;
+
+    try {
+      const { sent, retried, failed } = await processDueOutbox();
+      if (sent + retried + failed > 0) {
+        console.log(`📤 Outbox job: ${sent} sent, ${retried} to retry, ${failed} failed`);
+      }
+    } catch (error) {
+      console.error('❌ Error in outbox job:', error);
+    } finally {
+      running = false;
+    }
+  });
+
+  console.log('✅ Outbox job started - sending scheduled emails every minute');
+};
+
+module.exports = { startOutboxJob };
@@ -0,0 +1,97 @@
+const cron = require('node-cron');
+const prisma = require('../config/database');
+const { getEmbeddingProvider } = require('../services/embeddings');
+
+// Rows embedded per source type and run, to keep each run short
+const BATCH_SIZE = 100;
+// Characters of a text sent to the embedding model
+const MAX_TEXT_LENGTH = 2000;
+
+const trimText = (text) => String(text || '').replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT_LENGTH);
+
+// Rows without an embedding for the model; summaries and tasks also when edited since
+const pendingQueries = {
+  message: (model) => prisma.$queryRaw`
+    SELECT m.id, m."userId", m.subject, m."from", coalesce(m."textBody", m.snippet, '') AS body
+    FROM mirrored_messages m
+    LEFT JOIN search_embeddings e ON e."sourceType" = 'message' AND e."sourceId" = m.id AND e.model = ${model}
+    WHERE e.id IS NULL
+    ORDER BY m."internalDate" DESC
+    LIMIT ${BATCH_SIZE}`,
+  summary: (model) => prisma.$queryRaw`
+    SELECT s.id, s."userId", s.summary AS body
+    FROM ai_summarys s
+    LEFT JOIN search_embeddings e ON e."sourceType" = 'summary' AND e."sourceId" = s.id AND e.model = ${model}
+    WHERE e.id IS NULL OR e."updatedAt" < s."updatedAt"
+    ORDER BY s."createdAt" DESC
+    LIMIT ${BATCH_SIZE}`,
+  task: (model) => prisma.$queryRaw`
+    SELECT t.id, t."userId", t.task AS body
+    FROM tasks t
+    LEFT JOIN search_embeddings e ON e."sourceType" = 'task' AND e."sourceId" = t.id AND e.model = ${model}
+    WHERE e.id IS NULL OR e."updatedAt" < t."updatedAt"
+    ORDER BY t."createdAt" DESC
+    LIMIT ${BATCH_SIZE}`
+};
+
+const toText = (row) => trimText([row.subject, row.from, row.body].filter(Boolean).join('\n'));
+
+/**
+ * Embed mail, summaries and tasks for semantic search
+ * Disabled when EMBEDDING_PROVIDER=none
+ * Schedule: every 5 minutes
+ */
+const startSearchIndexJob = () => {
+  const provider = getEmbeddingProvider();
+  if (!provider) {
+    console.log('ℹ️ Search index job disabled (EMBEDDING_PROVIDER=none)');
+    return;
+  }
+
+  let running = false;
+
+  cron.schedule('*/5 * * * *', async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      let embedded = 0;
+
+      for (const [sourceType, pending] of Object.entries(pendingQueries)) {
+        const rows = await pending(provider.model);
+        if (rows.length === 0) continue;
+
+        const vectors = await provider.embed(rows.map(toText));
+        for (let i = 0; i < rows.length; i++) {
+          if (!vectors[i]) continue;
+          const key = { sourceType, sourceId: rows[i].id, model: provider.model };
+          await prisma.searchEmbedding.upsert({
+            where: { sourceType_sourceId_model: key },
+            update: { vector: vectors[i] },
+            create: { ...key, userId: rows[i].userId, vector: vectors[i] }
+          });
+          embedded++;
+        }
+      }
+
+      // Drop embeddings whose source row is gone
+      const removed = await prisma.$executeRaw`
+        DELETE FROM search_embeddings e
+        WHERE (e."sourceType" = 'message' AND NOT EXISTS (SELECT 1 FROM mirrored_messages m WHERE m.id = e."sourceId"))
+           OR (e."sourceType" = 'summary' AND NOT EXISTS (SELECT 1 FROM ai_summarys s WHERE s.id = e."sourceId"))
+           OR (e."sourceType" = 'task' AND NOT EXISTS (SELECT 1 FROM tasks t WHERE t.id = e."sourceId"))`;
+
+      if (embedded > 0 || removed > 0) {
+        console.log(`🔎 Search index job: ${embedded} embedded, ${removed} removed (${provider.model})`);
+      }
+    } catch (error) {
+      console.error('❌ Error in search index job:', error);
+    } finally {
+      running = false;
+    }
+  });
+
+  console.log(`✅ Search index job started - embedding new content every 5 minutes (${provider.model})`);
+};
+
+module.exports = { startSearchIndexJob };
@@ -0,0 +1,31 @@
+const cron = require('node-cron');
+const { processDueSnoozes } = require('../services/snooze');
+
+/**
+ * Put snoozed emails back in the inbox once their wake-up time has passed
+ * Schedule: every minute
+ */
+const startSnoozeJob = () => {
+  let running = false;
+
+  cron.schedule('* * * * *', async () => {
+    // A slow run must not overlap with the next tick
+    if (running) return;
+    running = true;
+
+    try {
+      const { woken, failed } = await processDueSnoozes();
+      if (woken + failed > 0) {
+        console.log(`⏰ Snooze job: ${woken} woken, ${failed} failed`);
+      }
+    } catch (error) {
+      console.error('❌ Error in snooze job:', error);
+    } finally {
+      running = false;
+    }
+  });
+
+  console.log('✅ Snooze job started - waking snoozed emails every minute');
+};
+
+module.exports = { startSnoozeJob };
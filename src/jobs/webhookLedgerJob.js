@@ -0,0 +1,30 @@
+const cron = require('node-cron');
+const { pruneLedger } = require('../services/webhookLedger');
+
+/**
+ * Drop webhook ledger rows (Pub/Sub deliveries, processed messages) past their retention
+ * Schedule: daily at 03:30
+ */
+const startWebhookLedgerJob = () => {
+  let running = false;
+
+  cron.schedule('30 3 * * *', async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const { deliveries, messages } = await pruneLedger();
+      if (deliveries + messages > 0) {
+        console.log(`🧹 Webhook ledger job: ${deliveries} deliveries, ${messages} messages pruned`);
+      }
+    } catch (error) {
+      console.error('❌ Error in webhook ledger job:', error);
+    } finally {
+      running = false;
+    }
+  });
+
+  console.log('✅ Webhook ledger job started - pruning the ledger daily');
+};
+
+module.exports = { startWebhookLedgerJob };
@@ -0,0 +1,13 @@
+// src/middlewares/adminMiddleware.js
+// Restrict a route to the users listed in ADMIN_EMAILS (runs after authMiddleware)
+const config = require('../config/config');
+
+const adminMiddleware = (req, res, next) => {
+  const email = String(req.user?.email || '').toLowerCase();
+  if (!email || !config.ADMIN_EMAILS.includes(email)) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
+module.exports = { adminMiddleware };
@@ -0,0 +1,20 @@
+// src/middlewares/cronAuthMiddleware.js
+// Authenticate scheduled calls (e.g. Vercel Cron) by the shared CRON_SECRET (Authorization: Bearer <secret>)
+const crypto = require('crypto');
+const config = require('../config/config');
+
+const cronAuthMiddleware = (req, res, next) => {
+  if (!config.CRON_SECRET) {
+    return res.status(503).json({ error: 'Scheduled calls are not configured' });
+  }
+
+  const authHeader = req.headers.authorization || '';
+  const expected = Buffer.from(`Bearer ${config.CRON_SECRET}`);
+  const received = Buffer.from(authHeader);
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+};
+
+module.exports = { cronAuthMiddleware };
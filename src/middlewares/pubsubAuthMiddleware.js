@@ -0,0 +1,65 @@
+// src/middlewares/pubsubAuthMiddleware.js
+// Authenticate Pub/Sub push requests by their OIDC token (Authorization: Bearer <JWT>)
+//
+// Google signs the token for the subscription's service account; we check the
+// signature, the audience (PUBSUB_AUDIENCE) and the service account email
+// (PUBSUB_SERVICE_ACCOUNT). With PUBSUB_TEST_KEY set, HS256 tokens signed with
+// that key are accepted instead, so the webhook can be exercised offline.
+// PUBSUB_VERIFY=false turns the check off (local development only).
+const jwt = require('jsonwebtoken');
+const { google } = require('googleapis');
+const config = require('../config/config');
+
+const GOOGLE_ISSUERS = ['https://accounts.google.com', 'accounts.google.com'];
+
+let oidcClient = null;
+
+// Verify a token and return its claims; throws when it is invalid
+async function verifyPushToken(token) {
+  if (config.PUBSUB_TEST_KEY) {
+    return jwt.verify(token, config.PUBSUB_TEST_KEY, {
+      algorithms: ['HS256'],
+      audience: config.PUBSUB_AUDIENCE,
+    });
+  }
+
+  if (!oidcClient) oidcClient = new google.auth.OAuth2();
+  const ticket = await oidcClient.verifyIdToken({ idToken: token, audience: config.PUBSUB_AUDIENCE });
+  const claims = ticket.getPayload();
+  if (!GOOGLE_ISSUERS.includes(claims.iss)) {
+    throw new Error(`Unexpected token issuer: ${claims.iss}`);
+  }
+  return claims;
+}
+
+const pubsubAuthMiddleware = async (req, res, next) => {
+  if (!config.PUBSUB_VERIFY) return next();
+
+  if (!config.PUBSUB_AUDIENCE) {
+    console.error('Pub/Sub push rejected: PUBSUB_AUDIENCE is not configured');
+    return res.status(500).json({ error: 'Webhook authentication is not configured' });
+  }
+
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    const claims = await verifyPushToken(authHeader.split(' ')[1]);
+
+    if (config.PUBSUB_SERVICE_ACCOUNT
+      && (claims.email !== config.PUBSUB_SERVICE_ACCOUNT || claims.email_verified === false)) {
+      console.warn('Pub/Sub push rejected: unexpected service account', claims.email);
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    req.pubsub = { email: claims.email || null };
+    next();
+  } catch (error) {
+    console.warn('Pub/Sub push rejected:', error.message);
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+};
+
+module.exports = { pubsubAuthMiddleware };
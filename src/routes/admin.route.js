@@ -0,0 +1,66 @@
+const router = require('express').Router();
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const { adminMiddleware } = require('../middlewares/adminMiddleware');
+const { cronAuthMiddleware } = require('../middlewares/cronAuthMiddleware');
+const {
+  getJobStats,
+  getJobs,
+  getDeadJobs,
+  getDeadJob,
+  retryDeadJobById,
+  retryDeadJobs,
+  deleteDeadJob,
+  runDueJobs,
+  renewWatches,
+  runOutbox,
+  runSnoozes,
+  syncMirrors
+} = require('../controllers/admin');
+
+// GET /api/admin/jobs/stats - Mail job queue size and dead job count
+router.get('/jobs/stats', authMiddleware, adminMiddleware, getJobStats);
+
+// GET /api/admin/jobs - Queued and running mail jobs
+router.get('/jobs', authMiddleware, adminMiddleware, getJobs);
+
+// POST /api/admin/jobs/run - Run due mail jobs now
+router.post('/jobs/run', authMiddleware, adminMiddleware, runDueJobs);
+
+// GET /api/admin/jobs/run - Same, for the scheduler (CRON_SECRET; see vercel.json crons)
+router.get('/jobs/run', cronAuthMiddleware, runDueJobs);
+
+// GET /api/admin/jobs/dead - Dead-lettered mail jobs
+router.get('/jobs/dead', authMiddleware, adminMiddleware, getDeadJobs);
+
+// POST /api/admin/jobs/dead/retry - Queue dead jobs again
+router.post('/jobs/dead/retry', authMiddleware, adminMiddleware, retryDeadJobs);
+
+// GET /api/admin/jobs/dead/:id - Dead job with its payload
+router.get('/jobs/dead/:id', authMiddleware, adminMiddleware, getDeadJob);
+
+// POST /api/admin/jobs/dead/:id/retry - Queue one dead job again
+router.post('/jobs/dead/:id/retry', authMiddleware, adminMiddleware, retryDeadJobById);
+
+// DELETE /api/admin/jobs/dead/:id - Discard a dead job
+router.delete('/jobs/dead/:id', authMiddleware, adminMiddleware, deleteDeadJob);
+
+// Background tasks for deployments without a long-running process (see vercel.json crons):
+// POST for admins, GET for the scheduler (CRON_SECRET)
+
+// POST|GET /api/admin/watches/renew - Renew expiring Gmail watches
+router.post('/watches/renew', authMiddleware, adminMiddleware, renewWatches);
+router.get('/watches/renew', cronAuthMiddleware, renewWatches);
+
+// POST|GET /api/admin/outbox/run - Send due scheduled emails
+router.post('/outbox/run', authMiddleware, adminMiddleware, runOutbox);
+router.get('/outbox/run', cronAuthMiddleware, runOutbox);
+
+// POST|GET /api/admin/snoozes/run - Wake due snoozed emails
+router.post('/snoozes/run', authMiddleware, adminMiddleware, runSnoozes);
+router.get('/snoozes/run', cronAuthMiddleware, runSnoozes);
+
+// POST|GET /api/admin/mirrors/sync - Sync every mailbox mirror
+router.post('/mirrors/sync', authMiddleware, adminMiddleware, syncMirrors);
+router.get('/mirrors/sync', cronAuthMiddleware, syncMirrors);
+
+module.exports = router;
@@ -1,6 +1,18 @@
 const router = require("express").Router();
-const { login, callback } = require("../controllers/auth");
+const { login, callback, startLink, imapLogin, getAccounts, unlinkAccount } = require("../controllers/auth");
+const { authMiddleware } = require("../middlewares/authMiddleware");
 
 router.get("/login", login);
 router.get("/oauth2callback", callback);
+router.post("/imap/login", imapLogin);
+
+// GET /api/auth/accounts
+router.get("/accounts", authMiddleware, getAccounts);
+
+// POST /api/auth/accounts/link
+router.post("/accounts/link", authMiddleware, startLink);
+
+// DELETE /api/auth/accounts/:accountId
+router.delete("/accounts/:accountId", authMiddleware, unlinkAccount);
+
 module.exports = router;
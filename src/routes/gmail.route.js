@@ -1,35 +1,127 @@
 const router = require('express').Router();
 const { authMiddleware } = require('../middlewares/authMiddleware');
-const { getEmails, getEmailById, getreplayByGmailId, sendEmail, deleteEmail, deleteAllEmails, getThreads, getThreadById, getSendedEmails, saveGmailSummary, getUnreadEmailCount, archiveEmail, getArchivedEmails } = require('../controllers/gmail');
-const { setupWatch, stopWatch } = require('../controllers/gmailWatch');
+const { getEmails, getUnifiedInbox, getEmailById, getAttachment, getreplayByGmailId, sendEmail, forwardEmail, getDrafts, getDraftById, createDraft, updateDraft, sendDraft, deleteDraft, deleteEmail, deleteAllEmails, getThreads, getThreadById, getSendedEmails, saveGmailSummary, getUnreadEmailCount, archiveEmail, archiveThread, trashThread, untrashThread, getArchivedEmails, syncMirror, getTrash, untrashEmail, deleteEmailPermanently, emptyTrash, getLabels, createLabel, updateLabel, deleteLabel, getLabelMessages, modifyEmailLabels, modifyThreadLabels, setEmailFlags, setThreadFlags } = require('../controllers/gmail');
+const { setupWatch, stopWatch, getWatchStatus } = require('../controllers/gmailWatch');
+const { scheduleEmail, getOutbox, rescheduleEmail, cancelScheduledEmail, undoSend } = require('../controllers/outbox');
+const { snoozeEmail, snoozeThread, getSnoozed, unsnooze } = require('../controllers/snooze');
+const { bulkEmails, getBulkJob } = require('../controllers/bulk');
+const { muteThread, unmuteThread, getMutedThreads } = require('../controllers/mutedThreads');
+const { getSendAsAliases, getSignatures, createSignature, updateSignature, deleteSignature, syncGmailSignatures } = require('../controllers/signatures');
 
 // GET /api/gmail/emails
 router.get('/emails', authMiddleware, getEmails);
 
-// GET /api/gmail/emails/:id
+// GET /api/gmail/inbox/unified - Inbox of all linked mailboxes
+router.get('/inbox/unified', authMiddleware, getUnifiedInbox);
+
+// POST /api/gmail/emails/bulk - Bulk actions on IDs or a query (must be before /:id)
+router.post('/emails/bulk', authMiddleware, bulkEmails);
+
+// GET /api/gmail/emails/bulk/:jobId - Progress of a query bulk job
+router.get('/emails/bulk/:jobId', authMiddleware, getBulkJob);
+
+// GET /api/gmail/emails/:id - ?markAsRead=false keeps it unread
 router.get('/emails/:id', authMiddleware, getEmailById);
 
+// GET /api/gmail/emails/:id/attachments/:attachmentId - Download (supports Range)
+router.get('/emails/:id/attachments/:attachmentId', authMiddleware, getAttachment);
+
 // POST /api/gmail/emails/reply/:id
 router.post('/emails/reply/:id', authMiddleware, getreplayByGmailId);
 
+// POST /api/gmail/emails/:id/forward - Forward with the original attachments
+router.post('/emails/:id/forward', authMiddleware, forwardEmail);
+
 // POST /api/gmail/send
 router.post('/send', authMiddleware, sendEmail);
 
+// POST /api/gmail/send/:pendingId/undo - Cancel a held send (undo window)
+router.post('/send/:pendingId/undo', authMiddleware, undoSend);
+
+// GET /api/gmail/send-as - Aliases usable as `from` on send
+router.get('/send-as', authMiddleware, getSendAsAliases);
+
+// GET /api/gmail/signatures
+router.get('/signatures', authMiddleware, getSignatures);
+
+// POST /api/gmail/signatures
+router.post('/signatures', authMiddleware, createSignature);
+
+// POST /api/gmail/signatures/sync - Import alias signatures from Gmail (must be before /:id)
+router.post('/signatures/sync', authMiddleware, syncGmailSignatures);
+
+// PUT /api/gmail/signatures/:id
+router.put('/signatures/:id', authMiddleware, updateSignature);
+
+// DELETE /api/gmail/signatures/:id
+router.delete('/signatures/:id', authMiddleware, deleteSignature);
+
+// GET /api/gmail/drafts
+router.get('/drafts', authMiddleware, getDrafts);
+
+// POST /api/gmail/drafts
+router.post('/drafts', authMiddleware, createDraft);
+
+// GET /api/gmail/drafts/:id
+router.get('/drafts/:id', authMiddleware, getDraftById);
+
+// PUT /api/gmail/drafts/:id
+router.put('/drafts/:id', authMiddleware, updateDraft);
+
+// POST /api/gmail/drafts/:id/send
+router.post('/drafts/:id/send', authMiddleware, sendDraft);
+
+// DELETE /api/gmail/drafts/:id
+router.delete('/drafts/:id', authMiddleware, deleteDraft);
+
+// POST /api/gmail/outbox - Schedule an email (send later)
+router.post('/outbox', authMiddleware, scheduleEmail);
+
+// GET /api/gmail/outbox
+router.get('/outbox', authMiddleware, getOutbox);
+
+// PATCH /api/gmail/outbox/:id - Reschedule
+router.patch('/outbox/:id', authMiddleware, rescheduleEmail);
+
+// DELETE /api/gmail/outbox/:id - Cancel
+router.delete('/outbox/:id', authMiddleware, cancelScheduledEmail);
+
 // GET /api/gmail/sended
 router.get('/sended', authMiddleware, getSendedEmails);
 
 // GET /api/gmail/threads
 router.get('/threads', authMiddleware, getThreads);
 
-// GET /api/gmail/threads/:id
+// GET /api/gmail/threads/:id - ?markAsRead=false keeps it unread
 router.get('/threads/:id', authMiddleware, getThreadById);
 
-// DELETE /api/gmail/emails/all - Delete all emails (must be before /:id)
+// PATCH /api/gmail/threads/:id/archive
+router.patch('/threads/:id/archive', authMiddleware, archiveThread);
+
+// DELETE /api/gmail/threads/:id - Move the whole thread to trash
+router.delete('/threads/:id', authMiddleware, trashThread);
+
+// POST /api/gmail/threads/:id/untrash
+router.post('/threads/:id/untrash', authMiddleware, untrashThread);
+
+// DELETE /api/gmail/emails/all - Delete all emails (must be before /:id, needs confirmToken)
 router.delete('/emails/all', authMiddleware, deleteAllEmails);
 
 // DELETE /api/gmail/emails/:id
 router.delete('/emails/:id', authMiddleware, deleteEmail);
 
+// DELETE /api/gmail/emails/:id/permanent - Delete a trashed email for good
+router.delete('/emails/:id/permanent', authMiddleware, deleteEmailPermanently);
+
+// POST /api/gmail/emails/:id/untrash
+router.post('/emails/:id/untrash', authMiddleware, untrashEmail);
+
+// GET /api/gmail/trash
+router.get('/trash', authMiddleware, getTrash);
+
+// DELETE /api/gmail/trash - Empty the trash (needs confirmToken)
+router.delete('/trash', authMiddleware, emptyTrash);
+
 // POST /api/gmail/summary
 router.post('/summary', authMiddleware, saveGmailSummary);
 
@@ -42,6 +134,57 @@ router.patch('/emails/:id/archive', authMiddleware, archiveEmail);
 // GET /api/gmail/archived
 router.get('/archived', authMiddleware, getArchivedEmails);
 
+// GET /api/gmail/labels
+router.get('/labels', authMiddleware, getLabels);
+
+// POST /api/gmail/labels
+router.post('/labels', authMiddleware, createLabel);
+
+// PATCH /api/gmail/labels/:id - Rename / recolor
+router.patch('/labels/:id', authMiddleware, updateLabel);
+
+// DELETE /api/gmail/labels/:id
+router.delete('/labels/:id', authMiddleware, deleteLabel);
+
+// GET /api/gmail/labels/:id/messages
+router.get('/labels/:id/messages', authMiddleware, getLabelMessages);
+
+// POST /api/gmail/emails/:id/labels - Add/remove labels on a message
+router.post('/emails/:id/labels', authMiddleware, modifyEmailLabels);
+
+// PATCH /api/gmail/emails/:id/flags - Star, important, read/unread
+router.patch('/emails/:id/flags', authMiddleware, setEmailFlags);
+
+// POST /api/gmail/threads/:id/labels - Add/remove labels on a thread
+router.post('/threads/:id/labels', authMiddleware, modifyThreadLabels);
+
+// PATCH /api/gmail/threads/:id/flags - Star, important, read/unread on every message
+router.patch('/threads/:id/flags', authMiddleware, setThreadFlags);
+
+// POST /api/gmail/emails/:id/snooze
+router.post('/emails/:id/snooze', authMiddleware, snoozeEmail);
+
+// POST /api/gmail/threads/:id/snooze
+router.post('/threads/:id/snooze', authMiddleware, snoozeThread);
+
+// POST /api/gmail/threads/:id/mute - Archive the thread and keep new replies out of the inbox
+router.post('/threads/:id/mute', authMiddleware, muteThread);
+
+// DELETE /api/gmail/threads/:id/mute
+router.delete('/threads/:id/mute', authMiddleware, unmuteThread);
+
+// GET /api/gmail/muted
+router.get('/muted', authMiddleware, getMutedThreads);
+
+// GET /api/gmail/snoozed
+router.get('/snoozed', authMiddleware, getSnoozed);
+
+// DELETE /api/gmail/snoozed/:id - Unsnooze now
+router.delete('/snoozed/:id', authMiddleware, unsnooze);
+
+// POST /api/gmail/sync - Sync the local mailbox mirror now
+router.post('/sync', authMiddleware, syncMirror);
+
 // Gmail Watch (Push Notifications)
 // POST /api/gmail/watch/setup
 router.post('/watch/setup', authMiddleware, setupWatch);
@@ -49,4 +192,7 @@ router.post('/watch/setup', authMiddleware, setupWatch);
 // POST /api/gmail/watch/stop
 router.post('/watch/stop', authMiddleware, stopWatch);
 
+// GET /api/gmail/watch/status
+router.get('/watch/status', authMiddleware, getWatchStatus);
+
 module.exports = router;
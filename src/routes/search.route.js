@@ -0,0 +1,8 @@
+const router = require('express').Router();
+const { authMiddleware } = require('../middlewares/authMiddleware');
+const { search } = require('../controllers/search');
+
+// GET /api/search
+router.get('/', authMiddleware, search);
+
+module.exports = router;
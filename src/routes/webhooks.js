@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const { handleWebhook } = require('../controllers/webhooks');
+const { pubsubAuthMiddleware } = require('../middlewares/pubsubAuthMiddleware');
 
-router.post('/gmail', handleWebhook);
+// POST /api/webhooks/gmail - Pub/Sub push (OIDC token verified)
+router.post('/gmail', pubsubAuthMiddleware, handleWebhook);
 
 module.exports = router;
\ No newline at end of file
@@ -15,7 +15,18 @@ const webhooksRoute = require('./routes/webhooks');
 const botsRoute = require('./routes/bots.route');
 const pdfRoute = require('./routes/pdf.route');
 const notificationRoute = require('./routes/notification.route');
+const searchRoute = require('./routes/search.route');
+const adminRoute = require('./routes/admin.route');
 const { startNotificationJob } = require('./jobs/notificationJob');
+const { startImapIdleJob } = require('./jobs/imapIdleJob');
+const { startMailSyncJob } = require('./jobs/mailSyncJob');
+const { startSearchIndexJob } = require('./jobs/searchIndexJob');
+const { startOutboxJob } = require('./jobs/outboxJob');
+const { startSnoozeJob } = require('./jobs/snoozeJob');
+const { startBulkActionJob } = require('./jobs/bulkActionJob');
+const { startWebhookLedgerJob } = require('./jobs/webhookLedgerJob');
+const { startMailJobQueueJob } = require('./jobs/mailJobQueueJob');
+const { startGmailWatchJob } = require('./jobs/gmailWatchJob');
 
 
 // Initialize Express app
@@ -25,10 +36,11 @@ const app = express();
 app.use(cors({
   origin: [ 'http://localhost:3001', 'http://127.0.0.1:3001'],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
-app.use(express.json());
+// Larger limit for base64 attachments in send requests
+app.use(express.json({ limit: "35mb" }));
 
 // Routes
 
@@ -41,6 +53,8 @@ app.use("/api/webhooks", webhooksRoute);
 app.use("/api/bots", botsRoute);
 app.use("/api/pdf", pdfRoute);
 app.use("/api/notifications", notificationRoute);
+app.use("/api/search", searchRoute);
+app.use("/api/admin", adminRoute);
 console.log('✅ Notification route registered at /api/notifications');
 
 
@@ -51,6 +65,15 @@ const PORT = config.PORT || 8080;
 
   // Start cron jobs
   startNotificationJob();
+  startImapIdleJob();
+  startMailSyncJob();
+  startSearchIndexJob();
+  startOutboxJob();
+  startSnoozeJob();
+  startBulkActionJob();
+  startWebhookLedgerJob();
+  startMailJobQueueJob();
+  startGmailWatchJob();
 });
 
 module.exports = app;
@@ -162,7 +162,7 @@ ${instruction}
 4. Address all points mentioned in the user's instructions
 5. Be concise but thorough
 6. Use proper HTML formatting: <p> for paragraphs, <br> for line breaks, <strong> for emphasis
-7. Include a professional email signature at the end
+7. End with a closing line (e.g. "Best regards,") but no signature block, name or contact details; the sender's signature is appended automatically
 8. If the original email asks questions, answer them clearly
 9. Maintain a friendly yet professional tone
 10. Do not include subject line or email headers in the response
@@ -220,7 +220,7 @@ ${toneInstruction}${templateSection}
 3. Address the user's custom instructions in your response${template ? '\n4. Use the provided template as a structural guide, adapting it to the specific email context' : ''}
 ${template ? '5' : '4'}. If the original email asks questions, provide appropriate answers based on the user's instructions
 ${template ? '6' : '5'}. Use proper HTML formatting: <p> for paragraphs, <br> for line breaks
-${template ? '7' : '6'}. Include an appropriate greeting and closing
+${template ? '7' : '6'}. Include an appropriate greeting and closing line, but no signature block, name or contact details (the sender's signature is appended automatically)
 ${template ? '8' : '7'}. Keep the response relevant to the original email
 ${template ? '9' : '8'}. Do not include subject line or email headers in the response
 ${template ? '10' : '9'}. Be helpful and constructive in your response
@@ -0,0 +1,181 @@
+const prisma = require('../config/database');
+const { getMailProvider, getAccountId } = require('./mailProviders');
+const { collectAttachmentParts } = require('../utils/gmailMessage');
+
+/**
+ * Attachment downloads
+ *
+ * Lists only carry attachment metadata; the bytes are fetched on demand and
+ * kept in a small in-memory LRU cache, since attachment content never changes
+ * for a given message. The cache is bounded by total size
+ * (ATTACHMENT_CACHE_MAX_MB, default 100) and items above a quarter of it are
+ * never cached.
+ */
+
+const CACHE_MAX_BYTES = (parseInt(process.env.ATTACHMENT_CACHE_MAX_MB, 10) || 100) * 1024 * 1024;
+const CACHE_MAX_ITEM_BYTES = Math.floor(CACHE_MAX_BYTES / 4);
+
+// key -> { buffer, filename, mimeType }; Map keeps insertion order, oldest first
+const cache = new Map();
+let cachedBytes = 0;
+
+function cacheGet(key) {
+  const entry = cache.get(key);
+  if (!entry) return null;
+  // Refresh recency
+  cache.delete(key);
+  cache.set(key, entry);
+  return entry;
+}
+
+function cacheSet(key, entry) {
+  if (entry.buffer.length > CACHE_MAX_ITEM_BYTES) return;
+  if (cache.has(key)) {
+    cachedBytes -= cache.get(key).buffer.length;
+    cache.delete(key);
+  }
+  cache.set(key, entry);
+  cachedBytes += entry.buffer.length;
+  for (const [oldKey, oldEntry] of cache) {
+    if (cachedBytes <= CACHE_MAX_BYTES) break;
+    cache.delete(oldKey);
+    cachedBytes -= oldEntry.buffer.length;
+  }
+}
+
+// Gmail may hand out a different attachmentId on every read of a message, so match on partId too
+function findPart(parts, attachmentId) {
+  return (parts || []).find((p) => p.attachmentId === attachmentId || p.partId === attachmentId) || null;
+}
+
+/**
+ * Load the metadata of one attachment, from the mirror when possible
+ * @returns {Promise<Object|null>} - { filename, mimeType, size, attachmentId, partId }
+ */
+async function findAttachmentMeta(mail, userId, accountId, messageId, attachmentId) {
+  const row = await prisma.mirroredMessage.findUnique({
+    where: { userId_accountId_gmailId: { userId, accountId, gmailId: messageId } },
+    select: { attachments: true }
+  });
+  const mirrored = findPart(row?.attachments, attachmentId);
+  if (mirrored) return mirrored;
+
+  const message = await mail.getMessage(messageId, { format: 'full' });
+  return findPart(collectAttachmentParts(message.payload), attachmentId);
+}
+
+/**
+ * Get the decoded content of an attachment
+ * @param {Object} user - User record (owner)
+ * @param {Object} mailbox - User or MailAccount record
+ * @param {string} messageId - Message ID
+ * @param {string} attachmentId - Attachment ID (or part ID) from the message metadata
+ * @returns {Promise<Object>} - { buffer, filename, mimeType }; throws code 404 if unknown
+ */
+async function getAttachmentContent(user, mailbox, messageId, attachmentId) {
+  const accountId = getAccountId(mailbox);
+  const key = `${user.id}:${accountId}:${messageId}:${attachmentId}`;
+  const cached = cacheGet(key);
+  if (cached) return cached;
+
+  const mail = getMailProvider(mailbox);
+  const meta = await findAttachmentMeta(mail, user.id, accountId, messageId, attachmentId);
+  if (!meta) {
+    const error = new Error('Attachment not found');
+    error.code = 404;
+    throw error;
+  }
+
+  const attRes = await mail.getAttachment(messageId, meta.attachmentId);
+  const entry = {
+    buffer: Buffer.from(attRes?.data || '', 'base64url'),
+    filename: meta.filename || 'attachment',
+    mimeType: meta.mimeType || 'application/octet-stream'
+  };
+  cacheSet(key, entry);
+  return entry;
+}
+
+/**
+ * Parse a single-range HTTP Range header
+ * @param {string} header - e.g. "bytes=0-1023", "bytes=1024-", "bytes=-500"
+ * @param {number} size - Total size in bytes
+ * @returns {Object|null|false} - { start, end } inclusive, null when absent/ignored, false when unsatisfiable
+ */
+function parseRange(header, size) {
+  if (!header) return null;
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+  // Multiple or malformed ranges: serve the whole file
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    start = Math.max(size - parseInt(match[2], 10), 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) return false;
+  return { start, end };
+}
+
+// Gmail rejects messages above 25MB; base64 adds about a third on top of the raw bytes
+const MAX_OUTGOING_BYTES = 18 * 1024 * 1024;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.code = 400;
+  return error;
+}
+
+/**
+ * Turn the attachments of a send request into buffers for the MIME builder
+ * Each item is either an upload { filename, mimeType, content (base64), cid? }
+ * or a reference to an existing message { gmailId, attachmentId, filename?, cid? }
+ * @param {Object} user - User record (owner)
+ * @param {Object} mailbox - Mailbox the referenced messages belong to
+ * @param {Array<Object>} items - Attachments from the request body
+ * @returns {Promise<Array>} - { filename, mimeType, content: Buffer, cid? }; throws code 400 on invalid input
+ */
+async function resolveOutgoingAttachments(user, mailbox, items) {
+  if (items === undefined || items === null) return [];
+  if (!Array.isArray(items)) throw badRequest('attachments must be an array');
+
+  const resolved = [];
+  for (const item of items) {
+    if (item?.gmailId && item?.attachmentId) {
+      const stored = await getAttachmentContent(user, mailbox, item.gmailId, item.attachmentId);
+      resolved.push({
+        filename: item.filename || stored.filename,
+        mimeType: item.mimeType || stored.mimeType,
+        content: stored.buffer,
+        cid: item.cid || undefined
+      });
+    } else if (item?.filename && typeof item.content === 'string') {
+      resolved.push({
+        filename: item.filename,
+        mimeType: item.mimeType || 'application/octet-stream',
+        // Accept data URLs as well as bare base64
+        content: Buffer.from(item.content.replace(/^data:[^,]*,/, ''), 'base64'),
+        cid: item.cid || undefined
+      });
+    } else {
+      throw badRequest('Each attachment needs either gmailId + attachmentId or filename + content (base64)');
+    }
+  }
+
+  const total = resolved.reduce((sum, a) => sum + a.content.length, 0);
+  if (total > MAX_OUTGOING_BYTES) {
+    throw badRequest(`Attachments are too large (max ${MAX_OUTGOING_BYTES / 1024 / 1024}MB in total)`);
+  }
+  return resolved;
+}
+
+module.exports = {
+  getAttachmentContent,
+  parseRange,
+  resolveOutgoingAttachments
+};
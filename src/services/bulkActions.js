@@ -0,0 +1,245 @@
+const prisma = require('../config/database');
+const { getMailProvider, resolveMailbox, hasMailAccess, getAccountId } = require('./mailProviders');
+const { applyLabelChange } = require('./mailMirror');
+
+/**
+ * Bulk message actions
+ *
+ * Every action is a label change applied with batchModifyMessages in chunks.
+ * When a chunk fails, its messages are retried one by one so the report can
+ * say which ones failed and why.
+ *
+ * Actions on an explicit list of IDs run inline. Actions on a Gmail query run
+ * as background jobs (`bulk_jobs`): the matching IDs are collected first, then
+ * processed chunk by chunk while the job row records the progress.
+ */
+
+const BULK_ACTIONS = {
+  archive: () => ({ removeLabelIds: ['INBOX'] }),
+  trash: () => ({ addLabelIds: ['TRASH'], removeLabelIds: ['INBOX'] }),
+  untrash: () => ({ addLabelIds: ['INBOX'], removeLabelIds: ['TRASH'] }),
+  markRead: () => ({ removeLabelIds: ['UNREAD'] }),
+  markUnread: () => ({ addLabelIds: ['UNREAD'] }),
+  star: () => ({ addLabelIds: ['STARRED'] }),
+  unstar: () => ({ removeLabelIds: ['STARRED'] }),
+  addLabel: (labelId) => ({ addLabelIds: [labelId] }),
+  removeLabel: (labelId) => ({ removeLabelIds: [labelId] }),
+  spam: () => ({ addLabelIds: ['SPAM'], removeLabelIds: ['INBOX'] })
+};
+
+// Query actions that take mail out of the inbox wholesale need a confirmation first
+const DESTRUCTIVE_ACTIONS = ['trash', 'spam'];
+
+const CHUNK_SIZE = 100;
+// Explicit ID lists larger than this have to go through a query job
+const MAX_INLINE_IDS = 1000;
+// Messages a query job may touch
+const MAX_JOB_MESSAGES = parseInt(process.env.BULK_MAX_MESSAGES, 10) || 10000;
+// Failures kept on a job row
+const MAX_REPORTED_ERRORS = 100;
+// A job left `running` this long belongs to a crashed process and is resumed
+const STUCK_RUNNING_MS = 10 * 60 * 1000;
+
+/**
+ * Label change of an action
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {string} [labelId] - Label of addLabel / removeLabel
+ * @returns {Object} - { addLabelIds, removeLabelIds }
+ */
+function getLabelChange(action, labelId) {
+  const change = BULK_ACTIONS[action](labelId);
+  return { addLabelIds: change.addLabelIds || [], removeLabelIds: change.removeLabelIds || [] };
+}
+
+/**
+ * Apply a label change to messages in chunks
+ * @param {Object} user - User record (owner)
+ * @param {Object} mailbox - User or MailAccount record
+ * @param {Array<string>} ids - Message IDs
+ * @param {Object} change - { addLabelIds, removeLabelIds }
+ * @param {Function} [onChunk] - async ({ processed, results }) => void, called after every chunk
+ * @returns {Promise<Object>} - { succeeded, failed, results: [{ id, ok, error? }] }
+ */
+async function applyToMessages(user, mailbox, ids, change, onChunk) {
+  const mail = getMailProvider(mailbox);
+  const accountId = getAccountId(mailbox);
+  const results = [];
+
+  for (let i = 0; i < ids.length; i += CHUNK_SIZE) {
+    const chunk = ids.slice(i, i + CHUNK_SIZE);
+    let chunkResults;
+
+    try {
+      await mail.batchModifyMessages(chunk, change);
+      chunkResults = chunk.map((id) => ({ id, ok: true }));
+    } catch (error) {
+      if (error?.code === 401) throw error;
+      // Find out which messages are to blame
+      chunkResults = [];
+      for (const id of chunk) {
+        try {
+          await mail.modifyMessage(id, change);
+          chunkResults.push({ id, ok: true });
+        } catch (itemError) {
+          if (itemError?.code === 401) throw itemError;
+          chunkResults.push({ id, ok: false, error: itemError?.code === 404 ? 'Message not found' : itemError?.message || 'Failed' });
+        }
+      }
+    }
+
+    const done = chunkResults.filter((r) => r.ok).map((r) => r.id);
+    if (done.length > 0) await applyLabelChange(user.id, accountId, done, change);
+
+    results.push(...chunkResults);
+    if (onChunk) await onChunk({ processed: i + chunk.length, results: chunkResults });
+  }
+
+  const succeeded = results.filter((r) => r.ok).length;
+  return { succeeded, failed: results.length - succeeded, results };
+}
+
+/**
+ * Collect the IDs of every message matching a query, up to MAX_JOB_MESSAGES
+ * @param {Object} mail - MailProvider
+ * @param {string} query - Gmail search
+ * @returns {Promise<Array<string>>}
+ */
+async function collectMessageIds(mail, query) {
+  const ids = [];
+  let pageToken;
+  do {
+    const listRes = await mail.listMessages({ q: query, maxResults: 500, pageToken });
+    ids.push(...(listRes.messages || []).map((m) => m.id));
+    pageToken = listRes.nextPageToken;
+  } while (pageToken && ids.length < MAX_JOB_MESSAGES);
+  return ids.slice(0, MAX_JOB_MESSAGES);
+}
+
+/**
+ * Run (or resume) a query bulk job
+ * @param {string} jobId - BulkJob ID
+ * @returns {Promise<Object|null>} - Finished job, or null when another run owns it
+ */
+async function runBulkJob(jobId) {
+  const job = await prisma.bulkJob.findUnique({ where: { id: jobId } });
+  if (!job) return null;
+
+  // Claim the job; a stuck `running` job is taken over
+  const { count } = await prisma.bulkJob.updateMany({
+    where: {
+      id: job.id,
+      OR: [
+        { status: 'queued' },
+        { status: 'running', updatedAt: { lt: new Date(Date.now() - STUCK_RUNNING_MS) } }
+      ]
+    },
+    data: { status: 'running', startedAt: job.startedAt || new Date() }
+  });
+  if (count === 0) return null;
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: job.userId } });
+    const mailbox = user ? await resolveMailbox(user, job.accountId) : null;
+    if (!mailbox || !hasMailAccess(mailbox)) throw new Error('Mailbox is no longer available');
+
+    // IDs are collected once, so resuming a job never re-runs the query (whose matches change as we go)
+    let { messageIds, total } = job;
+    if (total === null || total === undefined) {
+      messageIds = await collectMessageIds(getMailProvider(mailbox), job.query);
+      total = messageIds.length;
+      await prisma.bulkJob.update({ where: { id: job.id }, data: { messageIds, total } });
+    }
+
+    const errors = Array.isArray(job.errors) ? [...job.errors] : [];
+    let { processed, succeeded, failed } = job;
+
+    await applyToMessages(user, mailbox, messageIds.slice(processed), getLabelChange(job.action, job.labelId),
+      async ({ results }) => {
+        processed += results.length;
+        for (const result of results) {
+          if (result.ok) {
+            succeeded++;
+          } else {
+            failed++;
+            if (errors.length < MAX_REPORTED_ERRORS) errors.push({ id: result.id, error: result.error });
+          }
+        }
+        await prisma.bulkJob.update({
+          where: { id: job.id },
+          data: { processed, succeeded, failed, errors }
+        });
+      });
+
+    return await prisma.bulkJob.update({
+      where: { id: job.id },
+      data: { status: 'completed', finishedAt: new Date() }
+    });
+  } catch (error) {
+    console.error(`❌ Bulk job ${job.id} failed:`, error?.message);
+    return prisma.bulkJob.update({
+      where: { id: job.id },
+      data: { status: 'failed', lastError: error?.message || 'Bulk job failed', finishedAt: new Date() }
+    });
+  }
+}
+
+/**
+ * Queue a bulk action on every message matching a query and start it right away
+ * @param {Object} user - User record (owner)
+ * @param {Object} mailbox - User or MailAccount record
+ * @param {Object} params - { action, labelId, query, messageIds }; messageIds (already collected,
+ *   e.g. the matches a user confirmed) are used as they are instead of running the query again
+ * @returns {Promise<Object>} - BulkJob row
+ */
+async function createBulkJob(user, mailbox, { action, labelId, query, messageIds = null }) {
+  const job = await prisma.bulkJob.create({
+    data: {
+      userId: user.id,
+      accountId: getAccountId(mailbox),
+      action,
+      labelId: labelId || null,
+      query,
+      messageIds: messageIds || [],
+      total: messageIds ? messageIds.length : null
+    }
+  });
+
+  // Not awaited: the client polls the job; the bulk job cron picks it up if this process dies
+  runBulkJob(job.id).catch((error) => console.error(`❌ Bulk job ${job.id} crashed:`, error?.message));
+  return job;
+}
+
+/**
+ * Run queued jobs and resume the ones a crashed process left behind
+ * @returns {Promise<number>} - Jobs run
+ */
+async function processPendingBulkJobs() {
+  const jobs = await prisma.bulkJob.findMany({
+    where: {
+      OR: [
+        { status: 'queued' },
+        { status: 'running', updatedAt: { lt: new Date(Date.now() - STUCK_RUNNING_MS) } }
+      ]
+    },
+    orderBy: { createdAt: 'asc' },
+    take: 10
+  });
+
+  let run = 0;
+  for (const job of jobs) {
+    if (await runBulkJob(job.id)) run++;
+  }
+  return run;
+}
+
+module.exports = {
+  BULK_ACTIONS,
+  DESTRUCTIVE_ACTIONS,
+  MAX_INLINE_IDS,
+  getLabelChange,
+  applyToMessages,
+  collectMessageIds,
+  createBulkJob,
+  runBulkJob,
+  processPendingBulkJobs
+};
@@ -1,5 +1,5 @@
 const { google } = require('googleapis');
-const prisma = require('../config/database');
+const { getGoogleClientForUser } = require('./googleClint');
 
 /**
  * Get authenticated Google Calendar instance for a user
@@ -7,25 +7,7 @@ const prisma = require('../config/database');
  * @returns {Promise<Object>} - Calendar API instance
  */
 async function getCalendarInstance(userId) {
-  const user = await prisma.user.findUnique({
-    where: { id: userId }
-  });
-
-  if (!user || !user.accessToken) {
-    throw new Error('User not authenticated with Google');
-  }
-
-  const oauth2Client = new google.auth.OAuth2(
-    process.env.CLIENT_ID,
-    process.env.CLIENT_SECRET,
-    process.env.REDIRECT_URI
-  );
-
-  oauth2Client.setCredentials({
-    access_token: user.accessToken,
-    refresh_token: user.refreshToken,
-    expiry_date: user.tokenExpiry ? new Date(user.tokenExpiry).getTime() : null
-  });
+  const oauth2Client = await getGoogleClientForUser(userId);
 
   return google.calendar({ version: 'v3', auth: oauth2Client });
 }
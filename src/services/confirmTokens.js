@@ -0,0 +1,54 @@
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+
+/**
+ * Confirmation tokens for destructive bulk operations
+ *
+ * The first call of a guarded endpoint answers 428 with a short-lived token
+ * and what is about to be affected; the operation only runs when the token is
+ * sent back. Tokens are bound to the user, the mailbox and the operation, so
+ * one cannot be replayed elsewhere, and optionally to a scope (e.g. the search
+ * and the number of messages it matched) that must not change in between.
+ */
+
+const CONFIRM_TOKEN_TTL_SECONDS = 5 * 60;
+
+/**
+ * Issue a confirmation token
+ * @param {string} userId - User ID from database
+ * @param {string} accountId - "primary" or MailAccount ID
+ * @param {string} action - Operation name, e.g. "emptyTrash"
+ * @param {Object} [scope] - What the user confirmed, e.g. { query, matchCount }
+ * @returns {Object} - { confirmToken, expiresAt }
+ */
+function issueConfirmToken(userId, accountId, action, scope = null) {
+  const confirmToken = jwt.sign({ confirm: action, userId, accountId, scope }, config.JWT_SECRET, {
+    expiresIn: CONFIRM_TOKEN_TTL_SECONDS
+  });
+  return { confirmToken, expiresAt: new Date(Date.now() + CONFIRM_TOKEN_TTL_SECONDS * 1000) };
+}
+
+/**
+ * Check a confirmation token
+ * @param {string} token - Token sent back by the client
+ * @param {string} userId - User ID from database
+ * @param {string} accountId - "primary" or MailAccount ID
+ * @param {string} action - Operation name
+ * @param {Object} [scope] - Scope the token must have been issued for
+ * @returns {boolean}
+ */
+function verifyConfirmToken(token, userId, accountId, action, scope = null) {
+  if (!token) return false;
+  try {
+    const decoded = jwt.verify(token, config.JWT_SECRET);
+    return decoded.confirm === action && decoded.userId === userId && decoded.accountId === accountId &&
+      JSON.stringify(decoded.scope ?? null) === JSON.stringify(scope);
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  issueConfirmToken,
+  verifyConfirmToken
+};
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const { GoogleGenAI } = require('@google/genai');
+
+/**
+ * Embedding providers for semantic search
+ *
+ * Selected with EMBEDDING_PROVIDER:
+ * - stub (default): deterministic feature-hashing vectors, no network needed.
+ *   Only captures word overlap, but keeps semantic/hybrid search runnable offline.
+ * - gemini: Google embeddings (EMBEDDING_MODEL, default text-embedding-004), uses API_KEY
+ * - none: semantic search disabled
+ *
+ * Vectors are stored per model name, so switching providers never mixes vectors.
+ */
+
+const STUB_DIMENSIONS = 256;
+
+function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter((t) => t.length > 1);
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm > 0 ? vector.map((v) => v / norm) : vector;
+}
+
+function createStubProvider() {
+  const embedOne = (text) => {
+    const vector = new Array(STUB_DIMENSIONS).fill(0);
+    for (const token of tokenize(text)) {
+      const hash = crypto.createHash('md5').update(token).digest();
+      const index = hash.readUInt16BE(0) % STUB_DIMENSIONS;
+      vector[index] += hash[2] & 1 ? 1 : -1;
+    }
+    return normalize(vector);
+  };
+
+  return {
+    name: 'stub',
+    model: `stub-hash-${STUB_DIMENSIONS}`,
+    async embed(texts) {
+      return texts.map(embedOne);
+    }
+  };
+}
+
+function createGeminiProvider() {
+  const model = process.env.EMBEDDING_MODEL || 'text-embedding-004';
+
+  return {
+    name: 'gemini',
+    model,
+    async embed(texts) {
+      const ai = new GoogleGenAI({ apiKey: process.env.API_KEY });
+      const response = await ai.models.embedContent({ model, contents: texts });
+      return (response.embeddings || []).map((embedding) => normalize(embedding.values || []));
+    }
+  };
+}
+
+/**
+ * Get the configured embedding provider
+ * @returns {Object|null} - { name, model, embed(texts) -> Promise<number[][]> } or null when disabled
+ */
+function getEmbeddingProvider() {
+  const name = (process.env.EMBEDDING_PROVIDER || 'stub').toLowerCase();
+  if (name === 'none') return null;
+  if (name === 'gemini') return createGeminiProvider();
+  return createStubProvider();
+}
+
+module.exports = {
+  getEmbeddingProvider
+};
@@ -1,91 +1,170 @@
-const { google } = require('googleapis');
 const prisma = require('../config/database');
+const { getMailProviderForUser, hasMailAccess, resolveMailbox, listMailboxes, getAccountId, PRIMARY_ACCOUNT_ID } = require('./mailProviders');
+const { buildRawMessage } = require('../utils/mimeBuilder');
+
+// Messages the catch-up path looks back for at most
+const MAX_CATCH_UP_DAYS = parseInt(process.env.MAIL_CATCH_UP_MAX_DAYS, 10) || 7;
+// Look back a little before the last processed time, for clock skew and late deliveries
+const CATCH_UP_MARGIN_MS = 5 * 60 * 1000;
+// Gmail watches last 7 days; renew them once they expire within a day
+const WATCH_RENEW_BEFORE_MS = 24 * 60 * 60 * 1000;
+
+// Update the row of a mailbox: the MailAccount of a linked mailbox, the User for the primary one
+async function updateMailbox(userId, accountId, data) {
+  if (accountId && accountId !== PRIMARY_ACCOUNT_ID && accountId !== userId) {
+    await prisma.mailAccount.update({
+      where: { id: accountId },
+      data
+    });
+    return;
+  }
+
+  await prisma.user.update({
+    where: { id: userId },
+    data
+  });
+}
 
 /**
- * Get authenticated Gmail instance for a user
+ * Store the last processed history ID of a mailbox
  * @param {string} userId - User ID from database
- * @returns {Promise<Object>} - Gmail API instance and OAuth client
+ * @param {string} [accountId] - Linked MailAccount ID (defaults to the primary mailbox)
+ * @param {string} historyId - History ID to store
+ * @param {Date} [processedAt] - Start of the bot pipeline run that processed everything up to historyId
+ * @returns {Promise<void>}
  */
-async function getGmailInstance(userId) {
-  const user = await prisma.user.findUnique({
-    where: { id: userId }
-  });
+async function saveHistoryId(userId, accountId, historyId, processedAt) {
+  const data = { gmailHistoryId: String(historyId) };
+  if (processedAt) data.mailProcessedAt = processedAt;
 
-  if (!user || !user.accessToken) {
-    throw new Error('User not authenticated with Google');
-  }
-
-  const oauth2Client = new google.auth.OAuth2(
-    process.env.CLIENT_ID,
-    process.env.CLIENT_SECRET,
-    process.env.REDIRECT_URI
-  );
-
-  oauth2Client.setCredentials({
-    access_token: user.accessToken,
-    refresh_token: user.refreshToken,
-    expiry_date: user.tokenExpiry ? new Date(user.tokenExpiry).getTime() : null
-  });
-
-  return {
-    gmail: google.gmail({ version: 'v1', auth: oauth2Client }),
-    oauth2Client
-  };
+  await updateMailbox(userId, accountId, data);
 }
 
 /**
- * Setup Gmail push notifications (watch) for a user
+ * Setup (or renew) Gmail push notifications (watch) for a user
+ * The watch expiration is stored on the mailbox. The returned history ID only becomes
+ * the mailbox's starting point on the first watch, so a renewal never skips mail.
  * @param {string} userId - User ID from database
  * @param {string} topicName - Google Cloud Pub/Sub topic name (e.g., "projects/your-project-id/topics/gmail-notifications")
+ * @param {string} [accountId] - Linked MailAccount ID (defaults to the primary mailbox)
  * @returns {Promise<Object>} - Watch response with historyId and expiration
  */
-async function setupGmailWatch(userId, topicName) {
-  const { gmail } = await getGmailInstance(userId);
+async function setupGmailWatch(userId, topicName, accountId) {
+  const mail = await getMailProviderForUser(userId, accountId);
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  const mailbox = await resolveMailbox(user, accountId);
 
   try {
     // Set up watch on user's mailbox
-    const watchResponse = await gmail.users.watch({
-      userId: 'me',
-      requestBody: {
-        topicName: topicName,
-        labelIds: ['INBOX'], // Watch only INBOX, you can modify this
-        labelFilterAction: 'include'
-      }
+    const watchResponse = await mail.watch({
+      topicName: topicName,
+      labelIds: ['INBOX'], // Watch only INBOX, you can modify this
+      labelFilterAction: 'include'
     });
 
     console.log('Gmail watch setup successfully:', {
       userId,
-      historyId: watchResponse.data.historyId,
-      expiration: watchResponse.data.expiration
+      accountId: accountId || PRIMARY_ACCOUNT_ID,
+      historyId: watchResponse.historyId,
+      expiration: watchResponse.expiration
     });
 
-    // Store the historyId in database for the user
-    await prisma.user.update({
-      where: { id: userId },
-      data: {
-        gmailHistoryId: String(watchResponse.data.historyId)
-      }
+    await updateMailbox(userId, accountId, {
+      // Store the historyId in database for the mailbox, unless it already has one to continue from
+      ...(mailbox?.gmailHistoryId ? {} : { gmailHistoryId: String(watchResponse.historyId) }),
+      watchExpiration: watchResponse.expiration ? new Date(Number(watchResponse.expiration)) : null,
+      watchRenewedAt: new Date(),
+      watchError: null,
+      watchStopped: false
     });
 
-    return watchResponse.data;
+    return watchResponse;
   } catch (error) {
     console.error('Error setting up Gmail watch:', error);
+    await updateMailbox(userId, accountId, { watchError: error?.message || 'Watch setup failed' })
+      .catch((saveError) => console.error('Error saving watch error:', saveError.message));
     throw error;
   }
 }
 
+/**
+ * Set up the watch of a mailbox right after login, when its owner has active bots
+ * @param {Object} user - User record (owner)
+ * @param {string} [accountId] - Linked MailAccount ID (defaults to the primary mailbox)
+ * @returns {Promise<Object|null>} - Watch response, null when there is nothing to watch for
+ */
+async function watchIfBotsActive(user, accountId) {
+  const topicName = process.env.GMAIL_PUBSUB_TOPIC;
+  if (!topicName) return null;
+
+  const activeBots = await prisma.bots.count({ where: { userId: user.id, isactive: true } });
+  if (activeBots === 0) return null;
+
+  return setupGmailWatch(user.id, topicName, accountId);
+}
+
+/**
+ * Renew the Gmail watches that expire within a day (or already expired) for every user with active bots
+ * A mailbox without a stored expiration (watch set up before expirations were stored, or never set up)
+ * is watched right away. Watches the user stopped are left alone; IMAP mailboxes use IDLE instead
+ * @returns {Promise<Object>} - { renewed, failed }
+ */
+async function renewExpiringWatches() {
+  const result = { renewed: 0, failed: 0 };
+  const topicName = process.env.GMAIL_PUBSUB_TOPIC;
+  if (!topicName) return result;
+
+  const renewBefore = new Date(Date.now() + WATCH_RENEW_BEFORE_MS);
+  const owners = await prisma.bots.findMany({
+    where: { isactive: true },
+    distinct: ['userId'],
+    select: { userId: true }
+  });
+
+  for (const { userId } of owners) {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user) continue;
+
+    for (const mailbox of await listMailboxes(user)) {
+      if (mailbox.accountType === 'imap' || mailbox.watchStopped || !hasMailAccess(mailbox)) continue;
+      if (mailbox.watchExpiration && new Date(mailbox.watchExpiration) > renewBefore) continue;
+
+      try {
+        await setupGmailWatch(user.id, topicName, getAccountId(mailbox));
+        result.renewed++;
+      } catch (error) {
+        // Already logged and stored on the mailbox by setupGmailWatch
+        result.failed++;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Record that a push notification arrived for a mailbox
+ * @param {string} userId - User ID from database
+ * @param {string} [accountId] - Linked MailAccount ID (defaults to the primary mailbox)
+ * @returns {Promise<void>}
+ */
+async function recordWatchNotification(userId, accountId) {
+  await updateMailbox(userId, accountId, { watchNotifiedAt: new Date() });
+}
+
 /**
  * Stop Gmail push notifications for a user
  * @param {string} userId - User ID from database
+ * @param {string} [accountId] - Linked MailAccount ID (defaults to the primary mailbox)
  * @returns {Promise<void>}
  */
-async function stopGmailWatch(userId) {
-  const { gmail } = await getGmailInstance(userId);
+async function stopGmailWatch(userId, accountId) {
+  const mail = await getMailProviderForUser(userId, accountId);
 
   try {
-    await gmail.users.stop({
-      userId: 'me'
-    });
+    await mail.stopWatch();
+    // Stopped: the renewal job leaves the mailbox alone until the watch is set up again
+    await updateMailbox(userId, accountId, { watchExpiration: null, watchStopped: true });
     console.log('Gmail watch stopped for user:', userId);
   } catch (error) {
     console.error('Error stopping Gmail watch:', error);
@@ -97,75 +176,125 @@ async function stopGmailWatch(userId) {
  * Get message details from Gmail
  * @param {string} userId - User ID from database
  * @param {string} messageId - Gmail message ID
+ * @param {string} [accountId] - Linked MailAccount ID (defaults to the primary mailbox)
  * @returns {Promise<Object>} - Message details
  */
-async function getMessageDetails(userId, messageId) {
-  const { gmail } = await getGmailInstance(userId);
+async function getMessageDetails(userId, messageId, accountId) {
+  const mail = await getMailProviderForUser(userId, accountId);
 
   try {
-    const message = await gmail.users.messages.get({
-      userId: 'me',
-      id: messageId,
-      format: 'full'
-    });
-
-    return message.data;
+    return await mail.getMessage(messageId, { format: 'full' });
   } catch (error) {
     console.error('Error getting message details:', error);
     throw error;
   }
 }
 
+// Fetch the headers the bot pipeline needs; falls back to the bare reference if the fetch fails
+async function fetchMessageHeaders(mail, message) {
+  try {
+    return await mail.getMessage(message.id, {
+      format: 'metadata',
+      metadataHeaders: ['From', 'Subject', 'Date']
+    });
+  } catch (err) {
+    console.error('Error fetching message details:', err);
+    return message;
+  }
+}
+
 /**
- * Get new messages since last history ID
+ * Get new messages since last history ID, reading every page of the history
+ * A start history ID the mailbox no longer knows fails with code 404 (see getMessagesSince)
  * @param {string} userId - User ID from database
  * @param {string} startHistoryId - Start history ID to get changes from
- * @returns {Promise<Array>} - Array of new messages
+ * @param {string} [accountId] - Linked MailAccount ID (defaults to the primary mailbox)
+ * @returns {Promise<Object>} - { messages, historyId: latest history ID of the mailbox }
  */
-async function getNewMessages(userId, startHistoryId) {
-  const { gmail } = await getGmailInstance(userId);
+async function getNewMessages(userId, startHistoryId, accountId) {
+  const mail = await getMailProviderForUser(userId, accountId);
 
   try {
-    const historyResponse = await gmail.users.history.list({
-      userId: 'me',
-      startHistoryId: startHistoryId,
-      historyTypes: ['messageAdded'],
-      labelId: 'INBOX'
-    });
-
-    if (!historyResponse.data.history) {
-      return [];
-    }
-
     const messages = [];
-    for (const history of historyResponse.data.history) {
-      if (history.messagesAdded) {
-        for (const added of history.messagesAdded) {
-          // Fetch full message details to get headers
-          try {
-            const fullMessage = await gmail.users.messages.get({
-              userId: 'me',
-              id: added.message.id,
-              format: 'metadata',
-              metadataHeaders: ['From', 'Subject', 'Date']
-            });
-            messages.push(fullMessage.data);
-          } catch (err) {
-            console.error('Error fetching message details:', err);
-            // Include basic message info if full fetch fails
-            messages.push(added.message);
-          }
+    let historyId = startHistoryId;
+    let pageToken;
+
+    do {
+      const historyResponse = await mail.listHistory({
+        startHistoryId: startHistoryId,
+        historyTypes: ['messageAdded'],
+        labelId: 'INBOX',
+        pageToken
+      });
+
+      for (const history of historyResponse.history || []) {
+        for (const added of history.messagesAdded || []) {
+          messages.push(await fetchMessageHeaders(mail, added.message));
         }
       }
-    }
 
-    return messages;
+      historyId = historyResponse.historyId || historyId;
+      pageToken = historyResponse.nextPageToken;
+    } while (pageToken);
+
+    return { messages, historyId: String(historyId) };
   } catch (error) {
     console.error('Error getting new messages:', error);
     throw error;
   }
 }
 
+/**
+ * Where the catch-up path starts for a mailbox: shortly before its last processed
+ * bot pipeline run, but never more than MAIL_CATCH_UP_MAX_DAYS (default 7) back
+ * @param {Object} mailbox - User or MailAccount record
+ * @returns {Date}
+ */
+function getCatchUpStart(mailbox) {
+  const oldest = Date.now() - MAX_CATCH_UP_DAYS * 24 * 60 * 60 * 1000;
+  const last = mailbox.mailProcessedAt ? new Date(mailbox.mailProcessedAt).getTime() - CATCH_UP_MARGIN_MS : oldest;
+  if (last < oldest) {
+    console.warn(`⚠️ Catch-up for ${mailbox.email} limited to the last ${MAX_CATCH_UP_DAYS} day(s)`);
+  }
+  return new Date(Math.max(last, oldest));
+}
+
+/**
+ * Catch-up when the history ID expired: the inbox messages received since a date
+ * @param {string} userId - User ID from database
+ * @param {Date} since - Earliest receive time
+ * @param {string} [accountId] - Linked MailAccount ID (defaults to the primary mailbox)
+ * @returns {Promise<Object>} - { messages (oldest first), historyId: current history ID of the mailbox }
+ */
+async function getMessagesSince(userId, since, accountId) {
+  const mail = await getMailProviderForUser(userId, accountId);
+
+  // Read the history ID first, so nothing arriving during the listing falls between it and the next notification
+  const profile = await mail.getProfile();
+
+  const refs = [];
+  let pageToken;
+  do {
+    const listRes = await mail.listMessages({
+      q: `in:inbox after:${Math.floor(since.getTime() / 1000)}`,
+      maxResults: 500,
+      pageToken
+    });
+    refs.push(...(listRes.messages || []));
+    pageToken = listRes.nextPageToken;
+  } while (pageToken);
+
+  const messages = [];
+  for (const ref of refs.reverse()) {
+    const message = await fetchMessageHeaders(mail, ref);
+    // The search may round to the day (IMAP)
+    if (message.internalDate && Number(message.internalDate) < since.getTime()) continue;
+    messages.push(message);
+  }
+
+  return { messages, historyId: String(profile.historyId) };
+}
+
 /**
  * Extract sender email from message headers
  * @param {Object} message - Gmail message object
@@ -207,10 +336,11 @@ function isFromSpecificEmail(message, targetEmail) {
  * @param {string} to - Recipient email address
  * @param {string} subject - Email subject
  * @param {string} htmlBody - HTML body of the reply
+ * @param {string} [accountId] - Linked MailAccount ID the original message belongs to
  * @returns {Promise<Object>} - Sent message response
  */
-async function sendAutoReply(userId, originalMessageId, to, subject, htmlBody) {
-  const { gmail } = await getGmailInstance(userId);
+async function sendAutoReply(userId, originalMessageId, to, subject, htmlBody, accountId) {
+  const mail = await getMailProviderForUser(userId, accountId);
 
   try {
     let threadId = null;
@@ -218,64 +348,36 @@ async function sendAutoReply(userId, originalMessageId, to, subject, htmlBody) {
     let references = null;
 
     // Fetch the original email to get threadId and Message-ID for proper threading
-    const originalEmail = await gmail.users.messages.get({
-      userId: 'me',
-      id: originalMessageId,
+    const originalEmail = await mail.getMessage(originalMessageId, {
       format: 'metadata',
       metadataHeaders: ['Message-ID', 'References'],
     });
 
-    threadId = originalEmail.data.threadId;
-    const headers = originalEmail.data.payload?.headers || [];
+    threadId = originalEmail.threadId;
+    const headers = originalEmail.payload?.headers || [];
     messageId = headers.find(h => h.name === 'Message-ID')?.value;
     references = headers.find(h => h.name === 'References')?.value;
 
-    // Create email message with proper threading
-    const emailLines = [];
-    emailLines.push(`To: ${to}`);
-    emailLines.push(`Subject: ${subject}`);
-
-    // Add threading headers to keep the reply in the same conversation
-    if (messageId) {
-      emailLines.push(`In-Reply-To: ${messageId}`);
-      if (references) {
-        emailLines.push(`References: ${references} ${messageId}`);
-      } else {
-        emailLines.push(`References: ${messageId}`);
-      }
-    }
-
-    emailLines.push('MIME-Version: 1.0');
-    emailLines.push('Content-Type: text/html; charset=UTF-8');
-    emailLines.push(''); // Empty line between headers and body
-    emailLines.push(htmlBody);
-
-    const emailMessage = emailLines.join('\r\n');
-
-    // Encode message in base64url
-    const encodedMessage = Buffer.from(emailMessage)
-      .toString('base64')
-      .replace(/\+/g, '-')
-      .replace(/\//g, '_')
-      .replace(/=+$/, '');
+    const encodedMessage = buildRawMessage({
+      to,
+      subject,
+      html: htmlBody,
+      inReplyTo: messageId,
+      references
+    });
 
     // Send email with threadId for proper threading
-    const sendRequest = {
-      userId: 'me',
-      requestBody: {
-        raw: encodedMessage,
-        threadId: threadId
-      }
-    };
-
-    const response = await gmail.users.messages.send(sendRequest);
+    const response = await mail.sendMessage({
+      raw: encodedMessage,
+      threadId: threadId
+    });
 
     console.log('Auto-reply sent successfully:', {
-      messageId: response.data.id,
-      threadId: response.data.threadId
+      messageId: response.id,
+      threadId: response.threadId
     });
 
-    return response.data;
+    return response;
   } catch (error) {
     console.error('Error sending auto-reply:', error);
     throw error;
@@ -283,10 +385,16 @@ async function sendAutoReply(userId, originalMessageId, to, subject, htmlBody) {
 }
 
 module.exports = {
+  saveHistoryId,
   setupGmailWatch,
+  watchIfBotsActive,
+  renewExpiringWatches,
+  recordWatchNotification,
   stopGmailWatch,
   getMessageDetails,
   getNewMessages,
+  getCatchUpStart,
+  getMessagesSince,
   getSenderEmail,
   isFromSpecificEmail,
   sendAutoReply
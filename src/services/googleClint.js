@@ -1,14 +1,140 @@
 const {google} = require('googleapis');
 const dotenv = require('dotenv');
+const prisma = require('../config/database');
 dotenv.config();
 const CLIENT_ID = process.env.CLIENT_ID;
 const CLIENT_SECRET = process.env.CLIENT_SECRET;
 const REDIRECT_URI = process.env.REDIRECT_URI;
 
-const oauth2Client = new google.auth.OAuth2(
-  CLIENT_ID,
-  CLIENT_SECRET,
-  REDIRECT_URI
-);
+/**
+ * Create a fresh, credential-less OAuth2 client
+ * Used for the consent flow (generateAuthUrl / getToken)
+ * @returns {Object} - Google OAuth2 client
+ */
+function createOAuthClient() {
+  return new google.auth.OAuth2(
+    CLIENT_ID,
+    CLIENT_SECRET,
+    REDIRECT_URI
+  );
+}
 
-module.exports = oauth2Client;
\ No newline at end of file
+/**
+ * Check whether a Google error means the refresh token was revoked or expired
+ * @param {Object} error - Error thrown by googleapis / google-auth-library
+ * @returns {boolean}
+ */
+function isRevokedGrantError(error) {
+  return error?.response?.data?.error === 'invalid_grant' || error?.message === 'invalid_grant';
+}
+
+/**
+ * Get the table that stores the tokens of a mailbox owner
+ * Linked mailboxes (MailAccount rows carry a userId) keep their own tokens
+ * @param {Object} owner - User or MailAccount record
+ * @returns {Object} - Prisma delegate
+ */
+function tokenStore(owner) {
+  return owner.userId ? prisma.mailAccount : prisma.user;
+}
+
+/**
+ * Persist tokens refreshed by google-auth-library back to the owner row
+ * @param {Object} owner - User or MailAccount record
+ * @param {Object} tokens - Tokens emitted by the OAuth2 client
+ */
+async function persistTokens(owner, tokens) {
+  const data = { needsReconsent: false };
+  if (tokens.access_token) data.accessToken = tokens.access_token;
+  if (tokens.refresh_token) data.refreshToken = tokens.refresh_token;
+  if (tokens.expiry_date) data.tokenExpiry = new Date(tokens.expiry_date);
+
+  await tokenStore(owner).update({
+    where: { id: owner.id },
+    data
+  });
+}
+
+/**
+ * Flag an owner whose Google grant is no longer valid so the UI can ask for consent again
+ * @param {Object} owner - User or MailAccount record
+ */
+async function markNeedsReconsent(owner) {
+  await tokenStore(owner).update({
+    where: { id: owner.id },
+    data: { needsReconsent: true }
+  });
+  console.warn('Google grant revoked, mailbox needs to re-consent:', owner.email);
+}
+
+/**
+ * Build an isolated OAuth2 client for a user or one of their linked mailboxes
+ * - Refreshed access tokens are written back to the same row
+ * - A revoked refresh token marks the row as needing re-consent and
+ *   surfaces as a 401 error to the caller
+ * @param {Object} user - User or MailAccount record with Google tokens
+ * @returns {Object} - Authorized Google OAuth2 client
+ */
+function getGoogleClient(user) {
+  const client = createOAuthClient();
+
+  client.setCredentials({
+    access_token: user.accessToken || undefined,
+    refresh_token: user.refreshToken || undefined,
+    expiry_date: user.tokenExpiry ? new Date(user.tokenExpiry).getTime() : null
+  });
+
+  client.on('tokens', (tokens) => {
+    persistTokens(user, tokens).catch((error) => {
+      console.error('Failed to persist refreshed Google tokens:', error);
+    });
+  });
+
+  // Every googleapis call goes through client.request, including the implicit token refresh
+  const request = client.request.bind(client);
+  client.request = async (...args) => {
+    try {
+      return await request(...args);
+    } catch (error) {
+      if (isRevokedGrantError(error)) {
+        await markNeedsReconsent(user).catch((dbError) => {
+          console.error('Failed to flag user for re-consent:', dbError);
+        });
+        error.code = 401;
+      }
+      throw error;
+    }
+  };
+
+  return client;
+}
+
+/**
+ * Load a user and build their isolated OAuth2 client
+ * @param {string} userId - User ID from database
+ * @returns {Promise<Object>} - Authorized Google OAuth2 client
+ */
+async function getGoogleClientForUser(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId }
+  });
+
+  if (!user || (!user.accessToken && !user.refreshToken)) {
+    throw new Error('User not authenticated with Google');
+  }
+
+  if (user.needsReconsent) {
+    const error = new Error('Google access was revoked. Please login with Google again.');
+    error.code = 401;
+    throw error;
+  }
+
+  return getGoogleClient(user);
+}
+
+module.exports = {
+  createOAuthClient,
+  getGoogleClient,
+  getGoogleClientForUser,
+  isRevokedGrantError
+};
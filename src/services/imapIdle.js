@@ -0,0 +1,130 @@
+const { loadImapAccount, createImapClient } = require('./mailProviders/imapConnection');
+
+/**
+ * IMAP IDLE watchers: the IMAP equivalent of Gmail's users.watch + Pub/Sub push.
+ * One long-lived connection per watched user sits in IDLE on INBOX and calls the
+ * registered new-mail handler whenever the server announces new messages.
+ */
+
+const RECONNECT_DELAY_MS = 30 * 1000;
+const DEBOUNCE_MS = 2 * 1000;
+
+// userId -> { client, stopped, timer, running, pending }
+const watchers = new Map();
+let newMailHandler = null;
+
+/**
+ * Register the function that processes new mail for a user
+ * @param {Function} handler - async (user, historyId) => void
+ */
+function setNewMailHandler(handler) {
+  newMailHandler = handler;
+}
+
+async function notify(user, watcher) {
+  if (!newMailHandler) return;
+  if (watcher.running) {
+    watcher.pending = true;
+    return;
+  }
+
+  watcher.running = true;
+  try {
+    do {
+      watcher.pending = false;
+      const latest = await watcher.client.fetchOne('*', { uid: true }, { uid: true });
+      await newMailHandler(user, latest ? String(latest.uid) : null);
+    } while (watcher.pending && !watcher.stopped);
+  } catch (error) {
+    console.error('Error processing IMAP new mail for user:', user.id, error);
+  } finally {
+    watcher.running = false;
+  }
+}
+
+/**
+ * Start an IDLE watcher for a user (no-op if one is already running)
+ * @param {Object} user - User record
+ * @param {Object} [options]
+ * @param {Object} [options.account] - IMAP settings with plain password, instead of the stored ones
+ * @returns {Promise<void>}
+ */
+async function startIdle(user, options = {}) {
+  if (watchers.has(user.id)) return;
+
+  const account = options.account || await loadImapAccount(user.id);
+  const client = createImapClient(account);
+  const watcher = { client, stopped: false, timer: null, running: false, pending: false };
+  watchers.set(user.id, watcher);
+
+  client.on('exists', () => {
+    clearTimeout(watcher.timer);
+    watcher.timer = setTimeout(() => notify(user, watcher), DEBOUNCE_MS);
+  });
+
+  client.on('error', (error) => {
+    console.error('IMAP IDLE connection error for user:', user.id, error.message);
+  });
+
+  client.on('close', () => {
+    clearTimeout(watcher.timer);
+    if (watchers.get(user.id) !== watcher) return;
+    watchers.delete(user.id);
+    if (!watcher.stopped) {
+      // Servers drop idle connections (usually after ~30 minutes); reconnect
+      setTimeout(() => {
+        startIdle(user, options).catch((error) => {
+          console.error('Failed to restart IMAP IDLE for user:', user.id, error.message);
+        });
+      }, RECONNECT_DELAY_MS);
+    }
+  });
+
+  try {
+    await client.connect();
+    await client.mailboxOpen('INBOX');
+    // Enter IDLE right away; imapflow re-enters it on its own after every command we run
+    client.idle().catch((error) => {
+      console.error('IMAP IDLE failed for user:', user.id, error.message);
+    });
+    console.log('IMAP IDLE watcher started for user:', user.id);
+  } catch (error) {
+    watcher.stopped = true;
+    watchers.delete(user.id);
+    client.close();
+    throw error;
+  }
+}
+
+/**
+ * Stop the IDLE watcher of a user
+ * @param {string} userId - User ID from database
+ * @returns {Promise<void>}
+ */
+async function stopIdle(userId) {
+  const watcher = watchers.get(userId);
+  if (!watcher) return;
+
+  watcher.stopped = true;
+  clearTimeout(watcher.timer);
+  watchers.delete(userId);
+  await watcher.client.logout().catch(() => watcher.client.close());
+  console.log('IMAP IDLE watcher stopped for user:', userId);
+}
+
+/**
+ * Check whether a mailbox currently has an IDLE watcher
+ * Watchers run on users' own IMAP mailboxes and are keyed by the user ID
+ * @param {string} mailboxId - User ID for a user's own mailbox, MailAccount ID for a linked one
+ * @returns {boolean}
+ */
+function isIdling(mailboxId) {
+  return watchers.has(mailboxId);
+}
+
+module.exports = {
+  setNewMailHandler,
+  startIdle,
+  stopIdle,
+  isIdling
+};
@@ -0,0 +1,257 @@
+const prisma = require('../config/database');
+const { sendAutoReply } = require('./gmailPubSub');
+const { getSmartInboxAnalysis, analyzeActionItems, generateAutoReply } = require('./aiAgents');
+const { createMeetingEvent } = require('./calendarService');
+const { resolveMailbox, hasMailAccess } = require('./mailProviders');
+const { holdOutgoingMail } = require('./outbox');
+const { pickSignature, appendSignature } = require('./signatures');
+const { claimReply, markReplySent, releaseReply } = require('./webhookLedger');
+
+/**
+ * Bot work on received mail, run by the job queue (services/jobQueue)
+ *
+ * The webhook pipeline only decides what a new message needs: the features of
+ * every bot matching the sender are merged (planBotJobs) into at most one job per
+ * type, and each handler below does that piece of work. A handler throws to have
+ * its job retried. The received message travels in the job payload
+ * ({ from, subject, body, snippet }), so handlers never refetch it.
+ */
+
+// Order of precedence between bots matching the same sender
+const BOT_PRECEDENCE = [{ priority: 'desc' }, { createdAt: 'asc' }];
+
+function notFound(message) {
+  const error = new Error(message);
+  error.code = 404;
+  return error;
+}
+
+// Load the user, mailbox and bot a job runs for. Returns null when the bot is gone or turned off.
+async function loadJobContext(job) {
+  const user = await prisma.user.findUnique({ where: { id: job.userId } });
+  const mailbox = user ? await resolveMailbox(user, job.accountId) : null;
+  if (!mailbox || !hasMailAccess(mailbox)) throw notFound('Mailbox is no longer available');
+
+  const bot = await prisma.bots.findFirst({ where: { id: job.botId, userId: user.id } });
+  if (!bot || !bot.isactive) return null;
+
+  return { user, mailbox, bot };
+}
+
+// Bot a merged extraction files its tasks (or meeting) under. Jobs queued before bots were
+// merged carry no assignment and use the job's own bot when it has the feature on.
+async function getAssignedBot(job, bot, field, flag) {
+  if (!(field in job.payload)) return bot[flag] === true ? bot : null;
+
+  const botId = job.payload[field];
+  if (!botId) return null;
+  if (botId === bot.id) return bot;
+  return prisma.bots.findFirst({ where: { id: botId, userId: job.userId, isactive: true } });
+}
+
+/**
+ * Summarize the message and store the summary
+ * @param {Object} job - MailJob row
+ * @param {Object} context - { user, mailbox, bot }
+ */
+async function summarize(job, { user }) {
+  const { subject, body } = job.payload;
+  const summary = await getSmartInboxAnalysis(body, subject);
+  console.log('📊 Email Summary:', summary);
+
+  await prisma.aiSummarys.create({
+    data: {
+      summary: summary.summary || '',
+      priority: summary.priorityScore || 50,
+      userId: user.id,
+      gmailId: job.gmailId
+    }
+  });
+}
+
+/**
+ * Extract tasks and a meeting from the message (whichever the assigned bots ask for)
+ * The tasks and the meeting are saved together, and a retry skips what an earlier
+ * attempt already saved. A meeting that cannot be added to Google Calendar is still saved.
+ * @param {Object} job - MailJob row (payload.tasksBotId / payload.meetingsBotId: bots the results are filed under)
+ * @param {Object} context - { user, mailbox, bot }
+ */
+async function extract(job, { user, bot }) {
+  let tasksBot = await getAssignedBot(job, bot, 'tasksBotId', 'isautoExtractTaskes');
+  let meetingsBot = await getAssignedBot(job, bot, 'meetingsBotId', 'isautoExtractMettengs');
+
+  const filed = (botId) => ({ userId: user.id, gmailId: job.gmailId, botId, isCreatedByBot: true });
+  if (tasksBot && await prisma.task.count({ where: filed(tasksBot.id) }) > 0) tasksBot = null;
+  if (meetingsBot && await prisma.calendarTask.count({ where: filed(meetingsBot.id) }) > 0) meetingsBot = null;
+  if (!tasksBot && !meetingsBot) return;
+
+  const { subject, body } = job.payload;
+  const actionItems = await analyzeActionItems(body, subject);
+  console.log('📊 Extracted Action Items:', actionItems);
+
+  const tasks = tasksBot ? actionItems.tasks || [] : [];
+  const meeting = meetingsBot ? actionItems.meeting || null : null;
+  if (tasks.length === 0 && !meeting) return;
+
+  let meetingData = null;
+  if (meeting) {
+    // Combine date and time into a DateTime
+    let meetingDateTime;
+    if (meeting.date && meeting.time) {
+      meetingDateTime = new Date(`${meeting.date}T${meeting.time}:00`);
+    } else if (meeting.date) {
+      meetingDateTime = new Date(meeting.date);
+    } else {
+      meetingDateTime = new Date();
+    }
+
+    meetingData = {
+      title: meeting.title || 'Meeting',
+      description: `${meeting.agenda || ''}\nDuration: ${meeting.duration || 'Not specified'}`,
+      dueDate: meetingDateTime,
+      status: 'pending',
+      priority: 'high',
+      userId: user.id,
+      gmailId: job.gmailId,
+      isCreatedByBot: true,
+      botId: meetingsBot.id
+    };
+  }
+
+  const saved = await prisma.$transaction([
+    ...tasks.map((task) => prisma.task.create({
+      data: {
+        task: task.description,
+        taskDate: task.deadline ? new Date(task.deadline) : null,
+        priority: task.priority.toLowerCase(),
+        userId: user.id,
+        gmailId: job.gmailId,
+        isDoneTask: false,
+        isCreatedByBot: true,
+        botId: tasksBot.id
+      }
+    })),
+    ...(meetingData ? [prisma.calendarTask.create({ data: meetingData })] : [])
+  ]);
+  if (tasks.length > 0) console.log(`✅ ${tasks.length} task(s) saved to database`);
+  if (!meetingData) return;
+  console.log('✅ Meeting saved to database');
+
+  // After the save, so a retry never adds the same event to the calendar again
+  try {
+    const calendarEvent = await createMeetingEvent(user.id, meeting);
+    await prisma.calendarTask.update({
+      where: { id: saved[saved.length - 1].id },
+      data: { googleEventId: calendarEvent.id }
+    });
+    console.log('✅ Meeting added to Google Calendar:', calendarEvent.htmlLink);
+  } catch (calendarError) {
+    console.error('⚠️ Error adding to Google Calendar:', calendarError.message);
+  }
+}
+
+/**
+ * Generate the bot's reply and send it (or hold it for the bot's undo window)
+ * The reply is claimed on the message first, so the message never gets a second
+ * one; a run that dies before marking it sent leaves a claim its retry takes over
+ * @param {Object} job - MailJob row
+ * @param {Object} context - { user, mailbox, bot }
+ */
+async function autoReply(job, { user, mailbox, bot }) {
+  if (!(await claimReply(user.id, job.accountId, job.gmailId, bot.id, job.id))) {
+    console.log(`Message ${job.gmailId} already has an auto-reply, skipping`);
+    return;
+  }
+
+  try {
+    await sendBotReply(job, { user, mailbox, bot });
+  } catch (error) {
+    await releaseReply(user.id, job.accountId, job.gmailId, job.id);
+    throw error;
+  }
+  await markReplySent(user.id, job.accountId, job.gmailId, job.id);
+}
+
+// Generate, sign and send (or hold) the reply of a bot
+async function sendBotReply(job, { user, mailbox, bot }) {
+  const { from, subject, body, snippet } = job.payload;
+
+  const generatedReply = await generateAutoReply(
+    { from, subject, date: new Date().toISOString(), body, snippet },
+    bot.userPrompet,
+    bot.replayTony,
+    bot.templete
+  );
+
+  // The mailbox's own default signature, not one made up by the model
+  const signature = await pickSignature(user.id, job.accountId, String(mailbox.email || '').toLowerCase());
+  const replyBody = appendSignature(generatedReply, signature);
+  const replySubject = subject.startsWith('Re:') ? subject : `Re: ${subject}`;
+
+  if (bot.replyHoldSeconds > 0) {
+    // Undo window: hold the reply in the outbox so the user can cancel it
+    const { pendingId } = await holdOutgoingMail(user, mailbox, {
+      to: from,
+      subject: replySubject,
+      body: replyBody,
+      gmailId: job.gmailId
+    }, bot.replyHoldSeconds, { botId: bot.id });
+    console.log(`⏳ Auto-reply to ${from} held for ${bot.replyHoldSeconds}s (pending ${pendingId})`);
+  } else {
+    await sendAutoReply(user.id, job.gmailId, from, replySubject, replyBody, job.accountId);
+    console.log('✅ Auto-reply sent successfully to:', from);
+  }
+}
+
+const MAIL_JOB_HANDLERS = {
+  summarize,
+  extract,
+  autoReply
+};
+
+/**
+ * Merge the work of every bot matching a message into at most one job per type
+ * Each feature goes to the first bot (in precedence order) that has it on: the
+ * message is summarized once, analyzed once (tasks and meeting may be filed under
+ * different bots) and gets at most one auto-reply.
+ * @param {Array<Object>} bots - Active bots matching the sender, ordered by BOT_PRECEDENCE
+ * @returns {Object} - { jobs: [{ type, botId, assign }], botActions: [{ botId, botName, actions }] }
+ */
+function planBotJobs(bots) {
+  const first = (flag) => bots.find((bot) => bot[flag] === true) || null;
+  const jobs = [];
+
+  const summarizer = first('isautoSummarize');
+  if (summarizer) jobs.push({ type: 'summarize', botId: summarizer.id, assign: {} });
+
+  const tasksBot = first('isautoExtractTaskes');
+  const meetingsBot = first('isautoExtractMettengs');
+  if (tasksBot || meetingsBot) {
+    const owner = bots.find((bot) => bot === tasksBot || bot === meetingsBot);
+    jobs.push({
+      type: 'extract',
+      botId: owner.id,
+      assign: { tasksBotId: tasksBot?.id || null, meetingsBotId: meetingsBot?.id || null }
+    });
+  }
+
+  const replier = first('isAutoReply');
+  if (replier) jobs.push({ type: 'autoReply', botId: replier.id, assign: {} });
+
+  // Every matching bot is recorded, including the ones another bot took precedence over
+  const botActions = bots.map((bot) => ({
+    botId: bot.id,
+    botName: bot.botName,
+    actions: jobs.filter((job) => job.botId === bot.id || Object.values(job.assign).includes(bot.id))
+      .map((job) => job.type)
+  }));
+
+  return { jobs, botActions };
+}
+
+module.exports = {
+  MAIL_JOB_HANDLERS,
+  BOT_PRECEDENCE,
+  loadJobContext,
+  planBotJobs
+};
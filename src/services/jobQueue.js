@@ -0,0 +1,218 @@
+const prisma = require('../config/database');
+const { MAIL_JOB_HANDLERS, loadJobContext } = require('./inboundMailJobs');
+
+/**
+ * Postgres-backed job queue for inbound mail work
+ *
+ * Jobs wait in `mail_jobs` until their runAt. A worker claims a job by moving it
+ * to `running` with a visibility timeout (lockedUntil); a job whose worker died
+ * becomes claimable again once that timeout passes. A failed job goes back to
+ * `queued` with an exponential backoff, and after maxAttempts (or on an error
+ * retrying cannot fix) it moves to the `mail_dead_jobs` dead-letter table, from
+ * where an admin can inspect it and queue it again.
+ */
+
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_JOB_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MS = 30 * 1000;
+// A running job not finished within this window is handed to another worker
+const VISIBILITY_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Missing mailbox or bad input: the job would fail the same way every time
+const isPermanentError = (error) => error?.code === 400 || error?.code === 404;
+
+// Jobs a worker may take: due queued jobs, and running jobs past their visibility timeout
+function claimableWhere(now) {
+  return {
+    OR: [
+      { status: 'queued', runAt: { lte: now } },
+      { status: 'running', lockedUntil: { lt: now } }
+    ]
+  };
+}
+
+/**
+ * Queue inbound mail jobs
+ * @param {Array<Object>} jobs - [{ type, userId, accountId, gmailId, botId, payload }]
+ * @param {Object} [db] - Prisma client, or the transaction client to queue them in
+ * @returns {Promise<Array>} - MailJob rows
+ */
+async function enqueueMailJobs(jobs, db = prisma) {
+  const rows = [];
+  for (const job of jobs) {
+    if (!MAIL_JOB_HANDLERS[job.type]) throw new Error(`Unknown mail job type: ${job.type}`);
+    rows.push(await db.mailJob.create({
+      data: {
+        type: job.type,
+        userId: job.userId,
+        accountId: job.accountId,
+        gmailId: job.gmailId,
+        botId: job.botId || null,
+        payload: job.payload,
+        maxAttempts: MAX_ATTEMPTS
+      }
+    }));
+  }
+  return rows;
+}
+
+// Job as claimed by this worker: still running on the attempt it claimed. After the
+// visibility timeout another worker may have claimed (and even finished) it.
+const heldLease = (job, attempts) => ({ id: job.id, status: 'running', attempts });
+
+// Move a job to the dead-letter table. Returns false when the lease was lost.
+async function buryJob(job, attempts, error) {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.mailJob.deleteMany({ where: heldLease(job, attempts) });
+    if (count === 0) return false;
+
+    await tx.deadMailJob.create({
+      data: {
+        jobId: job.id,
+        type: job.type,
+        userId: job.userId,
+        accountId: job.accountId,
+        gmailId: job.gmailId,
+        botId: job.botId,
+        payload: job.payload,
+        attempts,
+        lastError: error?.message || 'Job failed',
+        enqueuedAt: job.createdAt
+      }
+    });
+    return true;
+  });
+}
+
+/**
+ * Claim and run one job, scheduling a retry or dead-lettering it on failure
+ * @param {Object} job - MailJob row
+ * @returns {Promise<string|null>} - completed | retried | dead, or null when another worker got it
+ *   first or took it over after the visibility timeout
+ */
+async function runMailJob(job) {
+  const now = new Date();
+  const attempts = job.attempts + 1;
+  const { count } = await prisma.mailJob.updateMany({
+    where: { id: job.id, ...claimableWhere(now) },
+    data: { status: 'running', attempts, lockedUntil: new Date(now.getTime() + VISIBILITY_TIMEOUT_MS) }
+  });
+  if (count === 0) return null;
+
+  const lostLease = () => {
+    console.warn(`⚠️ Mail job ${job.id} (${job.type}) was taken over by another worker`);
+    return null;
+  };
+
+  try {
+    const handler = MAIL_JOB_HANDLERS[job.type];
+    if (!handler) {
+      const error = new Error(`Unknown mail job type: ${job.type}`);
+      error.code = 400;
+      throw error;
+    }
+
+    const context = await loadJobContext(job);
+    // A bot deleted or turned off since the job was queued has nothing left to do
+    if (context) await handler(job, context);
+
+    const done = await prisma.mailJob.deleteMany({ where: heldLease(job, attempts) });
+    return done.count > 0 ? 'completed' : lostLease();
+  } catch (error) {
+    if (isPermanentError(error) || attempts >= job.maxAttempts) {
+      if (!(await buryJob(job, attempts, error))) return lostLease();
+      console.error(`❌ Mail job ${job.id} (${job.type}) moved to dead letters:`, error?.message);
+      return 'dead';
+    }
+
+    const retry = await prisma.mailJob.updateMany({
+      where: heldLease(job, attempts),
+      data: {
+        status: 'queued',
+        runAt: new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1)),
+        lockedUntil: null,
+        lastError: error?.message || 'Job failed'
+      }
+    });
+    if (retry.count === 0) return lostLease();
+    console.error(`❌ Mail job ${job.id} (${job.type}) will be retried:`, error?.message);
+    return 'retried';
+  }
+}
+
+/**
+ * Run every job that is due
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Jobs handled per run
+ * @returns {Promise<Object>} - { completed, retried, dead }
+ */
+async function processMailJobs({ limit = 20 } = {}) {
+  const result = { completed: 0, retried: 0, dead: 0 };
+
+  const due = await prisma.mailJob.findMany({
+    where: claimableWhere(new Date()),
+    orderBy: { runAt: 'asc' },
+    take: limit
+  });
+
+  for (const job of due) {
+    const outcome = await runMailJob(job);
+    if (outcome) result[outcome]++;
+  }
+
+  return result;
+}
+
+/**
+ * Queue size by type and status, and the number of dead jobs
+ * @returns {Promise<Object>} - { queued, running, dead, byType: { [type]: { queued, running } } }
+ */
+async function getQueueStats() {
+  const [groups, dead] = await Promise.all([
+    prisma.mailJob.groupBy({ by: ['type', 'status'], _count: { _all: true } }),
+    prisma.deadMailJob.count()
+  ]);
+
+  const stats = { queued: 0, running: 0, dead, byType: {} };
+  for (const group of groups) {
+    const count = group._count._all;
+    stats[group.status] += count;
+    stats.byType[group.type] = stats.byType[group.type] || { queued: 0, running: 0 };
+    stats.byType[group.type][group.status] += count;
+  }
+  return stats;
+}
+
+/**
+ * Queue a dead job again with a fresh set of attempts
+ * @param {string} id - DeadMailJob ID
+ * @returns {Promise<Object|null>} - New MailJob row, null if the dead job does not exist
+ */
+async function retryDeadJob(id) {
+  const dead = await prisma.deadMailJob.findUnique({ where: { id } });
+  if (!dead) return null;
+
+  const [job] = await prisma.$transaction([
+    prisma.mailJob.create({
+      data: {
+        type: dead.type,
+        userId: dead.userId,
+        accountId: dead.accountId,
+        gmailId: dead.gmailId,
+        botId: dead.botId,
+        payload: dead.payload,
+        maxAttempts: MAX_ATTEMPTS
+      }
+    }),
+    prisma.deadMailJob.delete({ where: { id: dead.id } })
+  ]);
+  return job;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  enqueueMailJobs,
+  runMailJob,
+  processMailJobs,
+  getQueueStats,
+  retryDeadJob
+};
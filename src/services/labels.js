@@ -0,0 +1,35 @@
+/**
+ * Label helpers shared by the label, bulk and thread endpoints
+ */
+
+/**
+ * Map label IDs or names (case-insensitive) to label IDs
+ * @param {Object} mail - MailProvider
+ * @param {Array<string>} [values] - Label IDs or names
+ * @returns {Promise<Array<string>>} - Label IDs (throws code 400 on unknown labels or bad input)
+ */
+async function resolveLabelIds(mail, values) {
+  if (values === undefined) return [];
+  if (!Array.isArray(values) || values.some((v) => typeof v !== 'string' || !v)) {
+    const error = new Error('Labels must be given as an array of label IDs or names');
+    error.code = 400;
+    throw error;
+  }
+  if (values.length === 0) return [];
+
+  const { labels = [] } = await mail.listLabels();
+  return values.map((value) => {
+    const label = labels.find((l) => l.id === value) ||
+      labels.find((l) => l.name.toLowerCase() === value.toLowerCase());
+    if (!label) {
+      const error = new Error(`Unknown label: ${value}`);
+      error.code = 400;
+      throw error;
+    }
+    return label.id;
+  });
+}
+
+module.exports = {
+  resolveLabelIds
+};
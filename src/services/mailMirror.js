@@ -0,0 +1,398 @@
+const prisma = require('../config/database');
+const { getMailProvider, getAccountId, resolveMailbox, hasMailAccess } = require('./mailProviders');
+const { getHeader, extractBodies, collectAttachmentParts } = require('../utils/gmailMessage');
+
+/**
+ * Local mailbox mirror
+ *
+ * Messages (headers, bodies, labels, attachment metadata) are copied into
+ * `mirrored_messages` so list/thread endpoints never have to download them
+ * from the provider. The copy is kept fresh from the mailbox history:
+ * - first sync, or a history ID the provider no longer knows (404): full resync
+ * - otherwise: replay history deltas since the stored cursor
+ *
+ * The mirror keeps its own cursor in `mailbox_syncs`, separate from the
+ * gmailHistoryId the bot pipeline advances.
+ *
+ * A full resync only downloads the newest MAX_MESSAGES messages. When the
+ * mailbox has more, `coveredSince` records where that window starts: the mirror
+ * is complete from there on, and listings that run past it continue through
+ * the provider (see listMailboxPage in controllers/gmail.js).
+ */
+
+// Most recent messages copied by a full resync
+const MAX_MESSAGES = parseInt(process.env.MAIL_MIRROR_MAX_MESSAGES, 10) || 500;
+// Reads older than this trigger an incremental sync first
+const MAX_AGE_MS = (parseInt(process.env.MAIL_MIRROR_MAX_AGE_SECONDS, 10) || 60) * 1000;
+const FETCH_CONCURRENCY = 10;
+// Periodic full resync; IMAP history only reports new INBOX mail, so flag changes need it
+const FULL_SYNC_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// `${userId}:${accountId}` -> in-flight sync promise, so concurrent reads share one sync
+const inFlight = new Map();
+
+/**
+ * Convert a full-format message into a mirror row
+ * @param {Object} message - Gmail-shaped message (format full)
+ * @param {string} ownEmail - Address of the mailbox, to flag messages sent from it
+ * @returns {Object} - MirroredMessage fields (without userId/accountId)
+ */
+function toMirrorRecord(message, ownEmail) {
+  const payload = message.payload || {};
+  const headers = payload.headers || [];
+  const bodies = extractBodies(payload);
+  const attachments = collectAttachmentParts(payload);
+  const from = getHeader(headers, 'From');
+
+  return {
+    gmailId: message.id,
+    threadId: message.threadId,
+    historyId: message.historyId ? String(message.historyId) : null,
+    from,
+    to: getHeader(headers, 'To'),
+    cc: getHeader(headers, 'Cc'),
+    bcc: getHeader(headers, 'Bcc'),
+    subject: getHeader(headers, 'Subject'),
+    date: getHeader(headers, 'Date'),
+    snippet: message.snippet || null,
+    textBody: bodies.text,
+    htmlBody: bodies.html,
+    labelIds: message.labelIds || [],
+    attachments,
+    hasAttachment: attachments.length > 0,
+    fromMe: Boolean(from && ownEmail && from.toLowerCase().includes(ownEmail.toLowerCase())),
+    internalDate: new Date(Number(message.internalDate) || Date.now())
+  };
+}
+
+async function upsertMessage(userId, accountId, record) {
+  return prisma.mirroredMessage.upsert({
+    where: { userId_accountId_gmailId: { userId, accountId, gmailId: record.gmailId } },
+    update: record,
+    create: { ...record, userId, accountId }
+  });
+}
+
+/**
+ * Download messages and store them in the mirror
+ * Messages that disappeared in the meantime (404) are skipped
+ * @returns {Promise<Array>} - Stored rows
+ */
+async function fetchAndStore(mail, mailbox, userId, accountId, ids) {
+  const stored = [];
+  for (let i = 0; i < ids.length; i += FETCH_CONCURRENCY) {
+    const chunk = ids.slice(i, i + FETCH_CONCURRENCY);
+    const rows = await Promise.all(
+      chunk.map(async (id) => {
+        try {
+          const message = await mail.getMessage(id, { format: 'full' });
+          return await upsertMessage(userId, accountId, toMirrorRecord(message, mailbox.email));
+        } catch (error) {
+          if (error?.code === 404) return null;
+          throw error;
+        }
+      })
+    );
+    stored.push(...rows.filter(Boolean));
+  }
+  return stored;
+}
+
+async function fullResync(mail, mailbox, userId, accountId) {
+  // Take the cursor first so changes made while we list are replayed next time
+  const profile = await mail.getProfile();
+
+  const ids = [];
+  let pageToken;
+  do {
+    // Trash and spam too: the mirror serves the trash listing and would otherwise drop those rows
+    const listRes = await mail.listMessages({ maxResults: 100, pageToken, includeSpamTrash: true });
+    ids.push(...(listRes.messages || []).map((m) => m.id));
+    pageToken = listRes.nextPageToken;
+  } while (pageToken && ids.length < MAX_MESSAGES);
+
+  const wanted = ids.slice(0, MAX_MESSAGES);
+  const stored = await fetchAndStore(mail, mailbox, userId, accountId, wanted);
+  const complete = !pageToken && ids.length <= MAX_MESSAGES;
+  const coveredSince = complete ? null : windowStart(stored);
+
+  // Rows inside the window the provider no longer lists are gone; older rows
+  // were simply not listed and stay until history says otherwise
+  await prisma.mirroredMessage.deleteMany({
+    where: {
+      userId,
+      accountId,
+      gmailId: { notIn: wanted },
+      ...(coveredSince ? { internalDate: { gte: coveredSince } } : {})
+    }
+  });
+
+  console.log(`📥 Mailbox mirror fully synced for ${mailbox.email}: ${wanted.length} message(s)${complete ? '' : ' (newest only)'}`);
+  return { historyId: String(profile.historyId), full: true, coveredSince };
+}
+
+// Start of the mirrored window, rounded up to a whole second so a provider
+// `before:<seconds>` search picks up exactly where the mirror stops
+function windowStart(rows) {
+  if (rows.length === 0) return new Date();
+  const oldest = Math.min(...rows.map((row) => new Date(row.internalDate).getTime()));
+  return new Date(Math.ceil(oldest / 1000) * 1000);
+}
+
+async function incrementalSync(mail, mailbox, userId, accountId, startHistoryId) {
+  const added = new Set();
+  const deleted = new Set();
+  const labelChanges = new Map(); // gmailId -> labelIds after the change
+  let historyId = startHistoryId;
+  let pageToken;
+
+  do {
+    const historyRes = await mail.listHistory({ startHistoryId, pageToken, maxResults: 500 });
+    for (const entry of historyRes.history || []) {
+      for (const item of entry.messagesAdded || []) {
+        added.add(item.message.id);
+        deleted.delete(item.message.id);
+      }
+      for (const item of entry.messagesDeleted || []) {
+        deleted.add(item.message.id);
+        added.delete(item.message.id);
+        labelChanges.delete(item.message.id);
+      }
+      for (const item of [...(entry.labelsAdded || []), ...(entry.labelsRemoved || [])]) {
+        labelChanges.set(item.message.id, item.message.labelIds || null);
+      }
+    }
+    historyId = historyRes.historyId || historyId;
+    pageToken = historyRes.nextPageToken;
+  } while (pageToken);
+
+  if (deleted.size > 0) {
+    await prisma.mirroredMessage.deleteMany({
+      where: { userId, accountId, gmailId: { in: [...deleted] } }
+    });
+  }
+
+  // Label-only changes are applied in place; unknown messages (e.g. restored from trash) are downloaded
+  const toFetch = new Set(added);
+  for (const [gmailId, labelIds] of labelChanges) {
+    if (added.has(gmailId)) continue;
+    const { count } = labelIds
+      ? await prisma.mirroredMessage.updateMany({
+          where: { userId, accountId, gmailId },
+          data: { labelIds }
+        })
+      : { count: 0 };
+    if (count === 0) toFetch.add(gmailId);
+  }
+
+  await fetchAndStore(mail, mailbox, userId, accountId, [...toFetch]);
+  return { historyId: String(historyId), full: false, changed: toFetch.size + deleted.size };
+}
+
+async function runSync(mailbox, userId, accountId, { full = false } = {}) {
+  const mail = getMailProvider(mailbox);
+  const state = await prisma.mailboxSync.findUnique({
+    where: { userId_accountId: { userId, accountId } }
+  });
+
+  let result;
+  try {
+    if (full || !state?.historyId) {
+      result = await fullResync(mail, mailbox, userId, accountId);
+    } else {
+      try {
+        result = await incrementalSync(mail, mailbox, userId, accountId, state.historyId);
+      } catch (error) {
+        if (error?.code !== 404) throw error;
+        // History ID expired (Gmail keeps about a week of history)
+        console.warn(`Mirror history expired for ${mailbox.email}, running full resync`);
+        result = await fullResync(mail, mailbox, userId, accountId);
+      }
+    }
+  } catch (error) {
+    await prisma.mailboxSync.upsert({
+      where: { userId_accountId: { userId, accountId } },
+      update: { lastError: error?.message || 'Sync failed' },
+      create: { userId, accountId, lastError: error?.message || 'Sync failed' }
+    });
+    throw error;
+  }
+
+  const now = new Date();
+  const data = {
+    historyId: result.historyId,
+    isStale: false,
+    lastSyncedAt: now,
+    lastError: null,
+    ...(result.full ? { lastFullSyncAt: now, coveredSince: result.coveredSince } : {})
+  };
+  await prisma.mailboxSync.upsert({
+    where: { userId_accountId: { userId, accountId } },
+    update: data,
+    create: { userId, accountId, ...data }
+  });
+
+  return result;
+}
+
+/**
+ * Bring the mirror of a mailbox up to date
+ * @param {Object} user - User record (owner)
+ * @param {Object} mailbox - User or MailAccount record to sync
+ * @param {Object} [options]
+ * @param {boolean} [options.full] - Force a full resync
+ * @returns {Promise<Object>} - { historyId, full, changed }
+ */
+async function syncMailbox(user, mailbox, options = {}) {
+  const accountId = getAccountId(mailbox);
+  const key = `${user.id}:${accountId}`;
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const promise = runSync(mailbox, user.id, accountId, options).finally(() => inFlight.delete(key));
+  inFlight.set(key, promise);
+  return promise;
+}
+
+/**
+ * Bring every mirror up to date (background sync)
+ * Only mailboxes that were read at least once (have a mailbox_syncs row) are synced;
+ * mirrors of unlinked mailboxes are dropped
+ * @returns {Promise<Object>} - { synced, failed }
+ */
+async function syncAllMirrors() {
+  const states = await prisma.mailboxSync.findMany();
+  const result = { synced: 0, failed: 0 };
+
+  for (const state of states) {
+    try {
+      const user = await prisma.user.findUnique({ where: { id: state.userId } });
+      const mailbox = user ? await resolveMailbox(user, state.accountId) : null;
+      if (!mailbox) {
+        await prisma.mirroredMessage.deleteMany({ where: { userId: state.userId, accountId: state.accountId } });
+        await prisma.mailboxSync.delete({ where: { id: state.id } });
+        continue;
+      }
+      if (!hasMailAccess(mailbox)) continue;
+
+      const full = !state.lastFullSyncAt ||
+        Date.now() - new Date(state.lastFullSyncAt).getTime() > FULL_SYNC_INTERVAL_MS;
+      await syncMailbox(user, mailbox, { full });
+      result.synced++;
+    } catch (error) {
+      console.error(`❌ Mirror sync failed for user ${state.userId} (${state.accountId}):`, error.message);
+      result.failed++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Sync a mailbox before reading it when the mirror is missing, stale or old
+ * @param {Object} user - User record (owner)
+ * @param {Object} mailbox - User or MailAccount record
+ * @returns {Promise<string>} - accountId of the mailbox
+ */
+async function ensureMirror(user, mailbox) {
+  const accountId = getAccountId(mailbox);
+  const state = await prisma.mailboxSync.findUnique({
+    where: { userId_accountId: { userId: user.id, accountId } }
+  });
+
+  const isFresh = state && !state.isStale && state.lastSyncedAt &&
+    Date.now() - new Date(state.lastSyncedAt).getTime() < MAX_AGE_MS;
+
+  if (!isFresh) {
+    try {
+      await syncMailbox(user, mailbox);
+    } catch (error) {
+      // A mirror that was synced before can still be served
+      if (!state?.lastSyncedAt) throw error;
+      console.error(`Mirror sync failed for ${mailbox.email}, serving last copy:`, error.message);
+    }
+  }
+
+  return accountId;
+}
+
+/**
+ * Flag a mailbox mirror so the next read syncs first (call after writes)
+ * @param {string} userId - User ID from database
+ * @param {string} accountId - "primary" or MailAccount ID
+ */
+async function markMirrorStale(userId, accountId) {
+  await prisma.mailboxSync.updateMany({
+    where: { userId, accountId },
+    data: { isStale: true }
+  });
+}
+
+/**
+ * Apply a label change to mirrored messages right away, ahead of the next history sync
+ * @param {string} userId - User ID from database
+ * @param {string} accountId - "primary" or MailAccount ID
+ * @param {Array<string>} gmailIds - Message IDs
+ * @param {Object} change - { addLabelIds, removeLabelIds }
+ */
+async function applyLabelChange(userId, accountId, gmailIds, { addLabelIds = [], removeLabelIds = [] }) {
+  const rows = await prisma.mirroredMessage.findMany({
+    where: { userId, accountId, gmailId: { in: gmailIds } },
+    select: { id: true, labelIds: true }
+  });
+
+  await Promise.all(rows.map((row) => {
+    const labelIds = row.labelIds
+      .filter((label) => !removeLabelIds.includes(label))
+      .concat(addLabelIds.filter((label) => !row.labelIds.includes(label)));
+    return prisma.mirroredMessage.update({ where: { id: row.id }, data: { labelIds } });
+  }));
+
+  await markMirrorStale(userId, accountId);
+}
+
+/**
+ * Load messages from the mirror by ID, downloading the ones not mirrored yet
+ * Keeps the order of `gmailIds` (e.g. provider search results)
+ * @param {Object} user - User record (owner)
+ * @param {Object} mailbox - User or MailAccount record
+ * @param {Array<string>} gmailIds - Message IDs
+ * @returns {Promise<Array>} - Mirror rows
+ */
+async function getMirroredMessages(user, mailbox, gmailIds) {
+  const accountId = getAccountId(mailbox);
+  const rows = await prisma.mirroredMessage.findMany({
+    where: { userId: user.id, accountId, gmailId: { in: gmailIds } }
+  });
+
+  const byId = new Map(rows.map((row) => [row.gmailId, row]));
+  const missing = gmailIds.filter((id) => !byId.has(id));
+  if (missing.length > 0) {
+    const fetched = await fetchAndStore(getMailProvider(mailbox), mailbox, user.id, accountId, missing);
+    fetched.forEach((row) => byId.set(row.gmailId, row));
+  }
+
+  return gmailIds.map((id) => byId.get(id)).filter(Boolean);
+}
+
+/**
+ * Get the sync state of a mailbox mirror
+ * @param {string} userId - User ID from database
+ * @param {string} accountId - "primary" or MailAccount ID
+ * @returns {Promise<Object|null>}
+ */
+async function getMirrorState(userId, accountId) {
+  return prisma.mailboxSync.findUnique({
+    where: { userId_accountId: { userId, accountId } }
+  });
+}
+
+module.exports = {
+  toMirrorRecord,
+  syncMailbox,
+  syncAllMirrors,
+  ensureMirror,
+  markMirrorStale,
+  applyLabelChange,
+  getMirroredMessages,
+  getMirrorState
+};
@@ -0,0 +1,295 @@
+const { google } = require('googleapis');
+
+/**
+ * Create a MailProvider backed by the Gmail REST API
+ * Every method returns the Gmail resource (`response.data`) unchanged so the
+ * controllers can keep parsing headers/payloads the way they always have.
+ * @param {Object} auth - Authorized Google OAuth2 client for the mailbox owner
+ * @returns {Object} - MailProvider implementation
+ */
+function createGmailProvider(auth) {
+  const gmail = google.gmail({ version: 'v1', auth });
+
+  return {
+    name: 'gmail',
+
+    async listMessages({ q, pageToken, maxResults, labelIds, includeSpamTrash } = {}) {
+      const response = await gmail.users.messages.list({
+        userId: 'me',
+        q,
+        pageToken,
+        maxResults,
+        labelIds,
+        includeSpamTrash
+      });
+      return response.data;
+    },
+
+    async getMessage(id, { format = 'full', metadataHeaders } = {}) {
+      const response = await gmail.users.messages.get({
+        userId: 'me',
+        id,
+        format,
+        metadataHeaders
+      });
+      return response.data;
+    },
+
+    async getAttachment(messageId, attachmentId) {
+      const response = await gmail.users.messages.attachments.get({
+        userId: 'me',
+        messageId,
+        id: attachmentId
+      });
+      return response.data;
+    },
+
+    async listThreads({ q, pageToken, maxResults, labelIds } = {}) {
+      const response = await gmail.users.threads.list({
+        userId: 'me',
+        q,
+        pageToken,
+        maxResults,
+        labelIds
+      });
+      return response.data;
+    },
+
+    async getThread(id, { format = 'full', metadataHeaders } = {}) {
+      const response = await gmail.users.threads.get({
+        userId: 'me',
+        id,
+        format,
+        metadataHeaders
+      });
+      return response.data;
+    },
+
+    async sendMessage({ raw, threadId } = {}) {
+      const requestBody = { raw };
+      if (threadId) {
+        requestBody.threadId = threadId;
+      }
+      const response = await gmail.users.messages.send({
+        userId: 'me',
+        requestBody
+      });
+      return response.data;
+    },
+
+    async modifyMessage(id, { addLabelIds, removeLabelIds } = {}) {
+      const response = await gmail.users.messages.modify({
+        userId: 'me',
+        id,
+        requestBody: { addLabelIds, removeLabelIds }
+      });
+      return response.data;
+    },
+
+    async batchModifyMessages(ids, { addLabelIds, removeLabelIds } = {}) {
+      await gmail.users.messages.batchModify({
+        userId: 'me',
+        requestBody: { ids, addLabelIds, removeLabelIds }
+      });
+    },
+
+    async modifyThread(id, { addLabelIds, removeLabelIds } = {}) {
+      const response = await gmail.users.threads.modify({
+        userId: 'me',
+        id,
+        requestBody: { addLabelIds, removeLabelIds }
+      });
+      return response.data;
+    },
+
+    async trashMessage(id) {
+      const response = await gmail.users.messages.trash({
+        userId: 'me',
+        id
+      });
+      return response.data;
+    },
+
+    async untrashMessage(id) {
+      const response = await gmail.users.messages.untrash({
+        userId: 'me',
+        id
+      });
+      return response.data;
+    },
+
+    async trashThread(id) {
+      const response = await gmail.users.threads.trash({
+        userId: 'me',
+        id
+      });
+      return response.data;
+    },
+
+    async untrashThread(id) {
+      const response = await gmail.users.threads.untrash({
+        userId: 'me',
+        id
+      });
+      return response.data;
+    },
+
+    async deleteMessage(id) {
+      await gmail.users.messages.delete({
+        userId: 'me',
+        id
+      });
+    },
+
+    async batchDeleteMessages(ids) {
+      await gmail.users.messages.batchDelete({
+        userId: 'me',
+        requestBody: { ids }
+      });
+    },
+
+    async getLabel(id) {
+      const response = await gmail.users.labels.get({
+        userId: 'me',
+        id
+      });
+      return response.data;
+    },
+
+    async listLabels() {
+      const response = await gmail.users.labels.list({
+        userId: 'me'
+      });
+      return response.data;
+    },
+
+    async createLabel({ name, color } = {}) {
+      const response = await gmail.users.labels.create({
+        userId: 'me',
+        requestBody: {
+          name,
+          color,
+          labelListVisibility: 'labelShow',
+          messageListVisibility: 'show'
+        }
+      });
+      return response.data;
+    },
+
+    async updateLabel(id, { name, color } = {}) {
+      const response = await gmail.users.labels.patch({
+        userId: 'me',
+        id,
+        requestBody: { name, color }
+      });
+      return response.data;
+    },
+
+    async deleteLabel(id) {
+      await gmail.users.labels.delete({
+        userId: 'me',
+        id
+      });
+    },
+
+    async listSendAs() {
+      const response = await gmail.users.settings.sendAs.list({ userId: 'me' });
+      return response.data;
+    },
+
+    async updateSendAs(sendAsEmail, { signature } = {}) {
+      const response = await gmail.users.settings.sendAs.patch({
+        userId: 'me',
+        sendAsEmail,
+        requestBody: { signature }
+      });
+      return response.data;
+    },
+
+    async getProfile() {
+      const response = await gmail.users.getProfile({
+        userId: 'me'
+      });
+      return response.data;
+    },
+
+    async listHistory({ startHistoryId, historyTypes, labelId, pageToken, maxResults } = {}) {
+      const response = await gmail.users.history.list({
+        userId: 'me',
+        startHistoryId,
+        historyTypes,
+        labelId,
+        pageToken,
+        maxResults
+      });
+      return response.data;
+    },
+
+    async watch({ topicName, labelIds, labelFilterAction } = {}) {
+      const response = await gmail.users.watch({
+        userId: 'me',
+        requestBody: { topicName, labelIds, labelFilterAction }
+      });
+      return response.data;
+    },
+
+    async stopWatch() {
+      await gmail.users.stop({
+        userId: 'me'
+      });
+    },
+
+    async listDrafts({ q, pageToken, maxResults } = {}) {
+      const response = await gmail.users.drafts.list({
+        userId: 'me',
+        q,
+        pageToken,
+        maxResults
+      });
+      return response.data;
+    },
+
+    async getDraft(id, { format = 'full' } = {}) {
+      const response = await gmail.users.drafts.get({
+        userId: 'me',
+        id,
+        format
+      });
+      return response.data;
+    },
+
+    async createDraft({ raw, threadId } = {}) {
+      const response = await gmail.users.drafts.create({
+        userId: 'me',
+        requestBody: { message: { raw, threadId } }
+      });
+      return response.data;
+    },
+
+    async updateDraft(id, { raw, threadId } = {}) {
+      const response = await gmail.users.drafts.update({
+        userId: 'me',
+        id,
+        requestBody: { id, message: { raw, threadId } }
+      });
+      return response.data;
+    },
+
+    async deleteDraft(id) {
+      await gmail.users.drafts.delete({
+        userId: 'me',
+        id
+      });
+    },
+
+    async sendDraft(id) {
+      const response = await gmail.users.drafts.send({
+        userId: 'me',
+        requestBody: { id }
+      });
+      return response.data;
+    }
+  };
+}
+
+module.exports = { createGmailProvider };
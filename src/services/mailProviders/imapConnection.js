@@ -0,0 +1,94 @@
+const { ImapFlow } = require('imapflow');
+const nodemailer = require('nodemailer');
+const prisma = require('../../config/database');
+const { decrypt } = require('../../utils/encryption');
+
+/**
+ * Load the IMAP/SMTP settings of a user, with the password decrypted
+ * @param {string} userId - User ID from database
+ * @returns {Promise<Object>} - Account settings
+ */
+async function loadImapAccount(userId) {
+  const account = await prisma.imapAccount.findUnique({
+    where: { userId }
+  });
+
+  if (!account) {
+    const error = new Error('No IMAP account configured for this user');
+    error.code = 401;
+    throw error;
+  }
+
+  return { ...account, password: decrypt(account.password) };
+}
+
+/**
+ * Create (but do not connect) an IMAP client for an account
+ * @param {Object} account - Account settings with plain password
+ * @returns {ImapFlow}
+ */
+function createImapClient(account) {
+  return new ImapFlow({
+    host: account.imapHost,
+    port: account.imapPort,
+    secure: account.imapSecure,
+    auth: {
+      user: account.username,
+      pass: account.password
+    },
+    tls: { rejectUnauthorized: !account.allowSelfSigned },
+    logger: false
+  });
+}
+
+/**
+ * Create an SMTP transport for an account
+ * @param {Object} account - Account settings with plain password
+ * @returns {Object} - nodemailer transport
+ */
+function createSmtpTransport(account) {
+  return nodemailer.createTransport({
+    host: account.smtpHost,
+    port: account.smtpPort,
+    secure: account.smtpSecure,
+    auth: {
+      user: account.username,
+      pass: account.password
+    },
+    tls: { rejectUnauthorized: !account.allowSelfSigned }
+  });
+}
+
+/**
+ * Open an IMAP connection, run `fn` and always log out afterwards
+ * @param {Object} account - Account settings with plain password
+ * @param {Function} fn - async (client) => result
+ * @returns {Promise<any>}
+ */
+async function withImapClient(account, fn) {
+  const client = createImapClient(account);
+  await client.connect();
+  try {
+    return await fn(client);
+  } finally {
+    await client.logout().catch(() => client.close());
+  }
+}
+
+/**
+ * Check that both IMAP and SMTP accept the given credentials
+ * @param {Object} account - Account settings with plain password
+ * @returns {Promise<void>} - Rejects with the server error when login fails
+ */
+async function verifyImapAccount(account) {
+  await withImapClient(account, async () => {});
+  await createSmtpTransport(account).verify();
+}
+
+module.exports = {
+  loadImapAccount,
+  createImapClient,
+  createSmtpTransport,
+  withImapClient,
+  verifyImapAccount
+};
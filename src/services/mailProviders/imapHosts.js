@@ -0,0 +1,87 @@
+const dns = require('dns').promises;
+const net = require('net');
+const config = require('../../config/config');
+
+/**
+ * IMAP/SMTP servers by email domain
+ *
+ * Users never choose the mail server: a login is only proof of owning an
+ * address when it succeeds against the server that hosts that domain.
+ * Extra domains come from config.IMAP_PROVIDERS and win over these.
+ */
+const OUTLOOK = { imapHost: 'outlook.office365.com', smtpHost: 'smtp-mail.outlook.com', smtpPort: 587, smtpSecure: false };
+const ICLOUD = { imapHost: 'imap.mail.me.com', smtpHost: 'smtp.mail.me.com', smtpPort: 587, smtpSecure: false };
+
+const KNOWN_PROVIDERS = {
+  'outlook.com': OUTLOOK,
+  'hotmail.com': OUTLOOK,
+  'live.com': OUTLOOK,
+  'msn.com': OUTLOOK,
+  'icloud.com': ICLOUD,
+  'me.com': ICLOUD,
+  'mac.com': ICLOUD,
+  'yahoo.com': { imapHost: 'imap.mail.yahoo.com', smtpHost: 'smtp.mail.yahoo.com' },
+  'aol.com': { imapHost: 'imap.aol.com', smtpHost: 'smtp.aol.com' },
+  'fastmail.com': { imapHost: 'imap.fastmail.com', smtpHost: 'smtp.fastmail.com' },
+  'zoho.com': { imapHost: 'imap.zoho.com', smtpHost: 'smtp.zoho.com' },
+  'gmx.com': { imapHost: 'imap.gmx.com', smtpHost: 'mail.gmx.com' }
+};
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Get the IMAP/SMTP settings of the server that hosts an email address
+ * @param {string} email - Email address
+ * @returns {Object|null} - Settings without credentials, or null for unsupported domains
+ */
+function imapSettingsFor(email) {
+  const domain = String(email || '').split('@').pop().trim().toLowerCase();
+  const provider = (config.IMAP_PROVIDERS || {})[domain] || KNOWN_PROVIDERS[domain];
+  if (!provider || !provider.imapHost || !provider.smtpHost) return null;
+
+  return {
+    imapHost: provider.imapHost,
+    imapPort: provider.imapPort || 993,
+    imapSecure: provider.imapSecure !== undefined ? Boolean(provider.imapSecure) : true,
+    smtpHost: provider.smtpHost,
+    smtpPort: provider.smtpPort || 465,
+    smtpSecure: provider.smtpSecure !== undefined ? Boolean(provider.smtpSecure) : true,
+    allowSelfSigned: false
+  };
+}
+
+/**
+ * Reject hosts that resolve to loopback, private or otherwise internal addresses
+ * @param {string} host - Host name or IP address
+ * @returns {Promise<void>} - Rejects with code 400 for internal or unresolvable hosts
+ */
+async function assertPublicHost(host) {
+  let addresses;
+  try {
+    addresses = await dns.lookup(host, { all: true });
+  } catch {
+    addresses = [];
+  }
+
+  const internal = addresses.some(({ address, family }) =>
+    BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+  if (addresses.length === 0 || internal) {
+    const error = new Error(`Mail server ${host} is not reachable from the public internet`);
+    error.code = 400;
+    throw error;
+  }
+}
+
+module.exports = {
+  imapSettingsFor,
+  assertPublicHost
+};
@@ -0,0 +1,809 @@
+const crypto = require('crypto');
+const { loadImapAccount, withImapClient, createSmtpTransport } = require('./imapConnection');
+const imapIdle = require('../imapIdle');
+const {
+  toBase64Url,
+  fromBase64Url,
+  splitHeaders,
+  headerValue,
+  buildPayload,
+  parseAddresses,
+  snippetOf,
+  selectFormat
+} = require('./mimeParser');
+
+/**
+ * MailProvider for plain IMAP (read, flags, folders) + SMTP (send) mailboxes.
+ *
+ * Gmail concepts are mapped onto IMAP so the controllers keep working unchanged:
+ * - message id  = base64url("<folder path>/<uid>")
+ * - thread id   = base64url(root Message-ID taken from References / In-Reply-To)
+ * - INBOX/SENT/TRASH/SPAM/DRAFT labels are folders, archive is the \Archive folder
+ * - UNREAD/STARRED/IMPORTANT labels are the \Seen (inverted), \Flagged and $Important flags
+ * - user labels are IMAP keywords (the label id is the keyword), so labelling never moves a message
+ * - history id  = highest INBOX UID, so history.list returns messages with a greater UID
+ * - drafts      = messages of the Drafts folder; the draft id is the message id, so it
+ *                 changes on every update (IMAP messages cannot be edited in place)
+ */
+
+const SPECIAL_USE = {
+  SENT: '\\Sent',
+  TRASH: '\\Trash',
+  SPAM: '\\Junk',
+  DRAFT: '\\Drafts',
+  ARCHIVE: '\\Archive'
+};
+
+const FALLBACK_NAMES = {
+  SENT: 'Sent',
+  TRASH: 'Trash',
+  SPAM: 'Junk',
+  DRAFT: 'Drafts',
+  ARCHIVE: 'Archive'
+};
+
+const FOLDER_LABELS = ['INBOX', 'SENT', 'TRASH', 'SPAM', 'DRAFT'];
+const FLAG_LABELS = ['UNREAD', 'STARRED', 'IMPORTANT'];
+
+// User labels are keywords; system flags start with \ and registered keywords ($Forwarded, ...) with $
+const isKeywordLabel = (label) => !FOLDER_LABELS.includes(label) && !FLAG_LABELS.includes(label) && !label.startsWith('CATEGORY_');
+const isKeywordFlag = (flag) => !flag.startsWith('\\') && !flag.startsWith('$');
+
+const FETCH_FULL = { uid: true, source: true, flags: true, internalDate: true, size: true };
+const THREAD_HEADERS = ['message-id', 'references', 'in-reply-to'];
+
+function notFound(message) {
+  const error = new Error(message);
+  error.code = 404;
+  return error;
+}
+
+function encodeId(path, uid) {
+  return toBase64Url(`${path}/${uid}`);
+}
+
+function decodeId(id) {
+  const decoded = fromBase64Url(id).toString('utf8');
+  const slash = decoded.lastIndexOf('/');
+  const uid = parseInt(decoded.slice(slash + 1), 10);
+  if (slash <= 0 || Number.isNaN(uid)) {
+    throw notFound('Invalid message id');
+  }
+  return { path: decoded.slice(0, slash), uid };
+}
+
+function threadIdOf(headers, fallbackId) {
+  const references = (headerValue(headers, 'References') || '').match(/<[^>]+>/g) || [];
+  const root = references[0] || headerValue(headers, 'In-Reply-To') || headerValue(headers, 'Message-ID');
+  return root ? toBase64Url(root.trim()) : fallbackId;
+}
+
+async function resolveFolders(client) {
+  const list = await client.list();
+  const folders = { INBOX: 'INBOX', existing: new Set(list.map((f) => f.path)) };
+  for (const [label, specialUse] of Object.entries(SPECIAL_USE)) {
+    const match = list.find((f) => f.specialUse === specialUse)
+      || list.find((f) => f.name.toLowerCase() === FALLBACK_NAMES[label].toLowerCase());
+    folders[label] = match ? match.path : FALLBACK_NAMES[label];
+  }
+  return folders;
+}
+
+async function ensureFolder(client, folders, path) {
+  if (!folders.existing.has(path)) {
+    await client.mailboxCreate(path);
+    folders.existing.add(path);
+  }
+}
+
+function labelsFor(folders, path, flags) {
+  const labelIds = FOLDER_LABELS.filter((label) => folders[label] === path);
+  if (!flags.has('\\Seen')) labelIds.push('UNREAD');
+  if (flags.has('\\Flagged')) labelIds.push('STARRED');
+  if (flags.has('$Important')) labelIds.push('IMPORTANT');
+  for (const flag of flags) {
+    if (isKeywordFlag(flag)) labelIds.push(flag);
+  }
+  return labelIds;
+}
+
+function toMessage(folders, path, fetched) {
+  const id = encodeId(path, fetched.uid);
+  const payload = buildPayload(fetched.source.toString('utf8'), (partId) => partId || 'root');
+  return {
+    id,
+    threadId: threadIdOf(payload.headers, id),
+    labelIds: labelsFor(folders, path, fetched.flags || new Set()),
+    snippet: snippetOf(payload),
+    internalDate: String(new Date(fetched.internalDate || Date.now()).getTime()),
+    sizeEstimate: fetched.size,
+    payload
+  };
+}
+
+// AND of several IMAP search conditions that may share keys: NOT(OR(NOT a, NOT b, ...))
+function allOf(conditions) {
+  if (conditions.length === 0) return { all: true };
+  if (conditions.length === 1) return conditions[0];
+  return { not: { or: conditions.map((c) => ({ not: c })) } };
+}
+
+function parseGmailDate(value) {
+  // Gmail also takes a Unix timestamp in seconds (after:1700000000)
+  if (/^\d+$/.test(value)) return new Date(Number(value) * 1000);
+  const [year, month, day] = value.split(/[/-]/).map((n) => parseInt(n, 10));
+  return new Date(year, (month || 1) - 1, day || 1);
+}
+
+/**
+ * Translate the subset of Gmail search syntax this API uses into a folder + IMAP search
+ */
+function translateQuery(q, labelIds, folders, ownAddress) {
+  let folder = null;
+  let hasAttachment = false;
+  const conditions = [];
+
+  for (const labelId of labelIds || []) {
+    if (FOLDER_LABELS.includes(labelId)) folder = folder || folders[labelId];
+    if (labelId === 'UNREAD') conditions.push({ seen: false });
+    if (labelId === 'STARRED') conditions.push({ flagged: true });
+    if (isKeywordLabel(labelId)) conditions.push({ keyword: labelId });
+  }
+
+  const tokens = (q || '').match(/-?\w+:"[^"]*"|-?\w+:\S+|"[^"]*"|\S+/g) || [];
+  for (const token of tokens) {
+    const negate = token.startsWith('-');
+    const raw = negate ? token.slice(1) : token;
+    const colon = raw.indexOf(':');
+    const key = colon > 0 ? raw.slice(0, colon).toLowerCase() : null;
+    const value = (colon > 0 ? raw.slice(colon + 1) : raw).replace(/^"|"$/g, '');
+
+    let condition = null;
+    switch (key) {
+      case 'from':
+        if (!negate && ownAddress && value.toLowerCase() === ownAddress.toLowerCase()) {
+          folder = folder || folders.SENT;
+        }
+        condition = { from: value };
+        break;
+      case 'to':
+      case 'cc':
+      case 'subject':
+        condition = { [key]: value };
+        break;
+      case 'label':
+      case 'in': {
+        const label = value.toUpperCase();
+        if (FOLDER_LABELS.includes(label)) {
+          if (!negate) folder = folders[label];
+          else if (label === 'INBOX') folder = folder || folders.ARCHIVE;
+        } else if (label === 'UNREAD') {
+          condition = { seen: negate };
+        } else if (label === 'STARRED') {
+          condition = { flagged: !negate };
+        } else if (isKeywordLabel(label)) {
+          condition = negate ? { unKeyword: value } : { keyword: value };
+        }
+        break;
+      }
+      case 'is':
+        if (value === 'unread') condition = { seen: negate };
+        else if (value === 'read') condition = { seen: !negate };
+        else if (value === 'starred') condition = { flagged: !negate };
+        else if (value === 'important') condition = negate ? { unKeyword: '$Important' } : { keyword: '$Important' };
+        break;
+      case 'has':
+        hasAttachment = value === 'attachment' && !negate;
+        break;
+      case 'after':
+        condition = { since: parseGmailDate(value) };
+        break;
+      case 'before':
+        condition = { before: parseGmailDate(value) };
+        break;
+      default:
+        condition = { or: [{ subject: value }, { body: value }] };
+        if (negate) {
+          condition = { not: condition };
+        }
+    }
+
+    if (condition && negate && ['from', 'to', 'cc', 'subject', 'after', 'before'].includes(key)) {
+      condition = { not: condition };
+    }
+    if (condition) conditions.push(condition);
+  }
+
+  return { folder: folder || folders.INBOX, criteria: allOf(conditions), hasAttachment };
+}
+
+function paginate(items, pageToken, maxResults) {
+  const offset = parseInt(pageToken, 10) || 0;
+  const page = items.slice(offset, offset + maxResults);
+  const nextPageToken = offset + maxResults < items.length ? String(offset + maxResults) : undefined;
+  return { page, nextPageToken };
+}
+
+function hasAttachmentStructure(node) {
+  if (!node) return false;
+  if (node.disposition === 'attachment' || node.dispositionParameters?.filename) return true;
+  return (node.childNodes || []).some(hasAttachmentStructure);
+}
+
+/**
+ * Create a MailProvider for a user whose accountType is `imap`
+ * @param {Object} user - User record
+ * @param {Object} [options]
+ * @param {Object} [options.account] - IMAP/SMTP settings with plain password, instead of the stored ones (offline checks)
+ * @returns {Object} - MailProvider implementation
+ */
+function createImapProvider(user, { account = null } = {}) {
+  let accountPromise = account ? Promise.resolve(account) : null;
+  const getAccount = () => {
+    if (!accountPromise) {
+      accountPromise = loadImapAccount(user.id).catch((error) => {
+        accountPromise = null;
+        throw error;
+      });
+    }
+    return accountPromise;
+  };
+
+  const withClient = async (fn) => withImapClient(await getAccount(), fn);
+
+  // Run fn with `path` selected; missing folders behave like empty ones
+  const inFolder = async (client, folders, path, fn, emptyValue) => {
+    if (!folders.existing.has(path)) return emptyValue;
+    const lock = await client.getMailboxLock(path);
+    try {
+      return await fn();
+    } finally {
+      lock.release();
+    }
+  };
+
+  const fetchThreadRefs = async (client, path, uids) => {
+    const refs = new Map();
+    if (uids.length === 0) return refs;
+    for await (const msg of client.fetch(uids, { uid: true, headers: THREAD_HEADERS }, { uid: true })) {
+      const { headers } = splitHeaders(msg.headers.toString('utf8'));
+      const id = encodeId(path, msg.uid);
+      refs.set(msg.uid, { id, threadId: threadIdOf(headers, id) });
+    }
+    return refs;
+  };
+
+  const listMessages = async ({ q, pageToken, maxResults = 100, labelIds } = {}) => withClient(async (client) => {
+    const folders = await resolveFolders(client);
+    const { folder, criteria, hasAttachment } = translateQuery(q, labelIds, folders, user.email);
+
+    return inFolder(client, folders, folder, async () => {
+      let uids = (await client.search(criteria, { uid: true })) || [];
+      uids.sort((a, b) => b - a);
+
+      if (hasAttachment && uids.length > 0) {
+        const withAttachments = new Set();
+        for await (const msg of client.fetch(uids, { uid: true, bodyStructure: true }, { uid: true })) {
+          if (hasAttachmentStructure(msg.bodyStructure)) withAttachments.add(msg.uid);
+        }
+        uids = uids.filter((uid) => withAttachments.has(uid));
+      }
+
+      const { page, nextPageToken } = paginate(uids, pageToken, maxResults);
+      const refs = await fetchThreadRefs(client, folder, page);
+      return {
+        messages: page.filter((uid) => refs.has(uid)).map((uid) => refs.get(uid)),
+        nextPageToken,
+        resultSizeEstimate: uids.length
+      };
+    }, { messages: [], resultSizeEstimate: 0 });
+  });
+
+  const getMessage = async (id, { format = 'full', metadataHeaders } = {}) => {
+    const { path, uid } = decodeId(id);
+    return withClient(async (client) => {
+      const folders = await resolveFolders(client);
+      const fetched = await inFolder(client, folders, path, () => client.fetchOne(uid, FETCH_FULL, { uid: true }), null);
+      if (!fetched) throw notFound('Requested entity was not found.');
+      return selectFormat(toMessage(folders, path, fetched), format, metadataHeaders);
+    });
+  };
+
+  const getThread = async (id, { format = 'full', metadataHeaders } = {}) => {
+    const root = fromBase64Url(id).toString('utf8');
+    if (!root.startsWith('<')) {
+      // Message without any Message-ID: the thread is just the message itself
+      const message = await getMessage(id, { format, metadataHeaders });
+      return { id, snippet: message.snippet, historyId: null, messages: [message] };
+    }
+
+    return withClient(async (client) => {
+      const folders = await resolveFolders(client);
+      const messages = [];
+      for (const path of new Set([folders.INBOX, folders.ARCHIVE, folders.SENT])) {
+        await inFolder(client, folders, path, async () => {
+          const uids = (await client.search({
+            or: [{ header: { 'message-id': root } }, { header: { references: root } }, { header: { 'in-reply-to': root } }]
+          }, { uid: true })) || [];
+          if (uids.length === 0) return;
+          for await (const fetched of client.fetch(uids, FETCH_FULL, { uid: true })) {
+            messages.push(selectFormat(toMessage(folders, path, fetched), format, metadataHeaders));
+          }
+        });
+      }
+
+      if (messages.length === 0) throw notFound('Requested entity was not found.');
+      messages.sort((a, b) => Number(a.internalDate) - Number(b.internalDate));
+      const last = messages[messages.length - 1];
+      return { id, snippet: last.snippet, historyId: null, messages };
+    });
+  };
+
+  const modifyMessage = async (id, { addLabelIds = [], removeLabelIds = [] } = {}) => {
+    const { path, uid } = decodeId(id);
+    return withClient(async (client) => {
+      const folders = await resolveFolders(client);
+      if (!folders.existing.has(path)) throw notFound('Requested entity was not found.');
+
+      let currentPath = path;
+      let currentUid = uid;
+      const lock = await client.getMailboxLock(path);
+      try {
+        const addFlags = [];
+        const removeFlags = [];
+        if (addLabelIds.includes('UNREAD')) removeFlags.push('\\Seen');
+        if (removeLabelIds.includes('UNREAD')) addFlags.push('\\Seen');
+        if (addLabelIds.includes('STARRED')) addFlags.push('\\Flagged');
+        if (removeLabelIds.includes('STARRED')) removeFlags.push('\\Flagged');
+        if (addLabelIds.includes('IMPORTANT')) addFlags.push('$Important');
+        if (removeLabelIds.includes('IMPORTANT')) removeFlags.push('$Important');
+        addFlags.push(...addLabelIds.filter(isKeywordLabel));
+        removeFlags.push(...removeLabelIds.filter(isKeywordLabel));
+        if (addFlags.length) await client.messageFlagsAdd(uid, addFlags, { uid: true });
+        if (removeFlags.length) await client.messageFlagsRemove(uid, removeFlags, { uid: true });
+
+        // Folder labels: adding one moves the message there, removing the current one
+        // moves it back to INBOX (or to the archive when leaving INBOX)
+        let target = null;
+        for (const label of ['TRASH', 'SPAM', 'SENT', 'DRAFT', 'INBOX']) {
+          if (addLabelIds.includes(label)) {
+            target = folders[label];
+            break;
+          }
+        }
+        if (!target && removeLabelIds.some((label) => FOLDER_LABELS.includes(label) && folders[label] === path)) {
+          target = path === folders.INBOX ? folders.ARCHIVE : folders.INBOX;
+        }
+
+        if (target && target !== path) {
+          await ensureFolder(client, folders, target);
+          const result = await client.messageMove(uid, target, { uid: true });
+          currentPath = target;
+          currentUid = result?.uidMap?.get(uid) || null;
+        }
+      } finally {
+        lock.release();
+      }
+
+      if (!currentUid) {
+        // Server without UIDPLUS: the new UID of the moved message is unknown
+        return { id: null, threadId: null, labelIds: FOLDER_LABELS.filter((l) => folders[l] === currentPath) };
+      }
+      const fetched = await inFolder(client, folders, currentPath,
+        () => client.fetchOne(currentUid, { uid: true, flags: true, headers: THREAD_HEADERS }, { uid: true }), null);
+      const newId = encodeId(currentPath, currentUid);
+      const { headers } = splitHeaders(fetched?.headers?.toString('utf8') || '');
+      return {
+        id: newId,
+        threadId: threadIdOf(headers, newId),
+        labelIds: labelsFor(folders, currentPath, fetched?.flags || new Set())
+      };
+    });
+  };
+
+  // Store a raw message in the Drafts folder
+  const appendDraft = async (raw) => withClient(async (client) => {
+    const folders = await resolveFolders(client);
+    await ensureFolder(client, folders, folders.DRAFT);
+
+    let text = fromBase64Url(raw).toString('utf8');
+    if (!headerValue(splitHeaders(text).headers, 'From')) text = `From: ${user.email}\r\n${text}`;
+    const appended = await client.append(folders.DRAFT, text, ['\\Draft', '\\Seen']);
+    if (!appended?.uid) throw new Error('IMAP server did not return the draft UID (UIDPLUS not supported)');
+
+    const id = encodeId(folders.DRAFT, appended.uid);
+    return { id, message: { id, threadId: threadIdOf(splitHeaders(text).headers, id), labelIds: ['DRAFT'] } };
+  });
+
+  const removeDraft = async (id) => {
+    const { path, uid } = decodeId(id);
+    return withClient(async (client) => {
+      const folders = await resolveFolders(client);
+      if (path !== folders.DRAFT || !folders.existing.has(path)) throw notFound('Requested entity was not found.');
+      await inFolder(client, folders, path, () => client.messageDelete(uid, { uid: true }));
+    });
+  };
+
+  // Run fn(uids) in every folder holding messages tagged with a keyword
+  const withKeyword = async (client, folders, keyword, fn) => {
+    for (const path of folders.existing) {
+      await inFolder(client, folders, path, async () => {
+        const uids = (await client.search({ keyword }, { uid: true })) || [];
+        if (uids.length > 0) await fn(uids);
+      });
+    }
+  };
+
+  const invalidLabel = (message) => {
+    const error = new Error(message);
+    error.code = 400;
+    return error;
+  };
+
+  const toKeyword = (name) => String(name || '').trim().replace(/[^A-Za-z0-9_.-]+/g, '_');
+
+  return {
+    name: 'imap',
+
+    listMessages,
+
+    getMessage,
+
+    async getAttachment(messageId, attachmentId) {
+      const { path, uid } = decodeId(messageId);
+      return withClient(async (client) => {
+        const folders = await resolveFolders(client);
+        const fetched = await inFolder(client, folders, path, () => client.fetchOne(uid, { uid: true, source: true }, { uid: true }), null);
+        if (!fetched) throw notFound('Requested entity was not found.');
+
+        let bytes = null;
+        buildPayload(fetched.source.toString('utf8'), (partId, data) => {
+          const id = partId || 'root';
+          if (id === attachmentId) bytes = data;
+          return id;
+        });
+        if (!bytes) throw notFound('Attachment not found');
+        return { attachmentId, size: bytes.length, data: toBase64Url(bytes) };
+      });
+    },
+
+    async listThreads({ q, pageToken, maxResults = 100, labelIds } = {}) {
+      const listRes = await listMessages({ q, pageToken, maxResults, labelIds });
+      const threads = new Map();
+      for (const message of listRes.messages) {
+        if (!threads.has(message.threadId)) {
+          threads.set(message.threadId, { id: message.threadId, snippet: null, historyId: null });
+        }
+      }
+      return {
+        threads: [...threads.values()],
+        nextPageToken: listRes.nextPageToken,
+        resultSizeEstimate: listRes.resultSizeEstimate
+      };
+    },
+
+    getThread,
+
+    async sendMessage({ raw } = {}) {
+      const account = await getAccount();
+      const text = fromBase64Url(raw).toString('utf8');
+      const separator = text.search(/\r?\n\r?\n/);
+      const { headers } = splitHeaders(text);
+
+      // Fill in the headers Gmail would add on its own
+      const extra = [];
+      if (!headerValue(headers, 'From')) extra.push(`From: ${user.email}`);
+      if (!headerValue(headers, 'Date')) extra.push(`Date: ${new Date().toUTCString()}`);
+      let messageIdHeader = headerValue(headers, 'Message-ID');
+      if (!messageIdHeader) {
+        messageIdHeader = `<${crypto.randomUUID()}@${user.email.split('@')[1] || 'localhost'}>`;
+        extra.push(`Message-ID: ${messageIdHeader}`);
+      }
+
+      // Bcc recipients go in the envelope only
+      const headerBlock = (separator === -1 ? text : text.slice(0, separator))
+        .replace(/^Bcc:.*(?:\r?\n[ \t].*)*(?:\r?\n|$)/im, '');
+      const bodyBlock = separator === -1 ? '' : text.slice(separator);
+      const outgoing = [...extra, headerBlock.replace(/\r?\n$/, '')].join('\r\n') + bodyBlock;
+
+      const recipients = [
+        ...parseAddresses(headerValue(headers, 'To')),
+        ...parseAddresses(headerValue(headers, 'Cc')),
+        ...parseAddresses(headerValue(headers, 'Bcc'))
+      ];
+
+      await createSmtpTransport(account).sendMail({
+        envelope: { from: user.email, to: recipients },
+        raw: outgoing
+      });
+
+      // Keep a copy in the Sent folder like Gmail does
+      const threadId = threadIdOf([...headers, { name: 'Message-ID', value: messageIdHeader }]);
+      return withImapClient(account, async (client) => {
+        const folders = await resolveFolders(client);
+        await ensureFolder(client, folders, folders.SENT);
+        const appended = await client.append(folders.SENT, outgoing, ['\\Seen']);
+        return {
+          id: appended?.uid ? encodeId(folders.SENT, appended.uid) : null,
+          threadId,
+          labelIds: ['SENT']
+        };
+      });
+    },
+
+    modifyMessage,
+
+    async batchModifyMessages(ids, { addLabelIds, removeLabelIds } = {}) {
+      for (const id of ids) {
+        await modifyMessage(id, { addLabelIds, removeLabelIds });
+      }
+    },
+
+    async modifyThread(id, { addLabelIds, removeLabelIds } = {}) {
+      const thread = await getThread(id, { format: 'minimal' });
+      const messages = [];
+      for (const message of thread.messages) {
+        messages.push(await modifyMessage(message.id, { addLabelIds, removeLabelIds }));
+      }
+      return { id, messages };
+    },
+
+    async trashMessage(id) {
+      return modifyMessage(id, { addLabelIds: ['TRASH'] });
+    },
+
+    async untrashMessage(id) {
+      // Leaving the trash folder moves the message back to INBOX
+      return modifyMessage(id, { removeLabelIds: ['TRASH'] });
+    },
+
+    async trashThread(id) {
+      const thread = await getThread(id, { format: 'minimal' });
+      const messages = [];
+      for (const message of thread.messages) {
+        messages.push(await modifyMessage(message.id, { addLabelIds: ['TRASH'] }));
+      }
+      return { id, messages };
+    },
+
+    async untrashThread(id) {
+      const thread = await getThread(id, { format: 'minimal' });
+      const messages = [];
+      for (const message of thread.messages.filter((m) => (m.labelIds || []).includes('TRASH'))) {
+        messages.push(await modifyMessage(message.id, { removeLabelIds: ['TRASH'] }));
+      }
+      return { id, messages };
+    },
+
+    async deleteMessage(id) {
+      const { path, uid } = decodeId(id);
+      return withClient(async (client) => {
+        const folders = await resolveFolders(client);
+        if (!folders.existing.has(path)) throw notFound('Requested entity was not found.');
+        await inFolder(client, folders, path, () => client.messageDelete(uid, { uid: true }));
+      });
+    },
+
+    async batchDeleteMessages(ids) {
+      // One connection; UIDs grouped by folder
+      const byFolder = new Map();
+      for (const id of ids) {
+        const { path, uid } = decodeId(id);
+        if (!byFolder.has(path)) byFolder.set(path, []);
+        byFolder.get(path).push(uid);
+      }
+      return withClient(async (client) => {
+        const folders = await resolveFolders(client);
+        for (const [path, uids] of byFolder) {
+          await inFolder(client, folders, path, () => client.messageDelete(uids, { uid: true }));
+        }
+      });
+    },
+
+    async getLabel(id) {
+      return withClient(async (client) => {
+        const folders = await resolveFolders(client);
+        if (isKeywordLabel(id)) {
+          let messagesTotal = 0;
+          let messagesUnread = 0;
+          await withKeyword(client, folders, id, async (uids) => {
+            messagesTotal += uids.length;
+            messagesUnread += ((await client.search({ keyword: id, seen: false }, { uid: true })) || []).length;
+          });
+          return { id, name: id, type: 'user', messagesTotal, messagesUnread, threadsTotal: messagesTotal, threadsUnread: messagesUnread };
+        }
+
+        const path = id === 'UNREAD' ? folders.INBOX : folders[id];
+        const status = path && folders.existing.has(path)
+          ? await client.status(path, { messages: true, unseen: true })
+          : { messages: 0, unseen: 0 };
+        return {
+          id,
+          name: id,
+          type: 'system',
+          messagesTotal: id === 'UNREAD' ? status.unseen : status.messages,
+          messagesUnread: status.unseen,
+          threadsTotal: id === 'UNREAD' ? status.unseen : status.messages,
+          threadsUnread: status.unseen
+        };
+      });
+    },
+
+    async listLabels() {
+      return withClient(async (client) => {
+        // Keywords the server has seen in INBOX (FLAGS response); fresh keywords appear once used
+        const lock = await client.getMailboxLock('INBOX');
+        let keywords;
+        try {
+          keywords = [...(client.mailbox.flags || [])].filter(isKeywordFlag);
+        } finally {
+          lock.release();
+        }
+        return {
+          labels: [
+            ...[...FOLDER_LABELS, ...FLAG_LABELS].map((id) => ({ id, name: id, type: 'system' })),
+            ...keywords.map((keyword) => ({ id: keyword, name: keyword, type: 'user' }))
+          ]
+        };
+      });
+    },
+
+    async createLabel({ name, color } = {}) {
+      // Keywords need no creation on the server; the name is reduced to a valid IMAP atom
+      const keyword = toKeyword(name);
+      if (!keyword || !isKeywordLabel(keyword.toUpperCase())) throw invalidLabel('Invalid label name');
+      if (color) throw invalidLabel('Label colors are not supported by IMAP mailboxes');
+      return { id: keyword, name: keyword, type: 'user' };
+    },
+
+    async updateLabel(id, { name, color } = {}) {
+      if (!isKeywordLabel(id)) throw invalidLabel('Invalid request: system labels cannot be changed');
+      if (color) throw invalidLabel('Label colors are not supported by IMAP mailboxes');
+      const keyword = name === undefined ? id : toKeyword(name);
+      if (!keyword || !isKeywordLabel(keyword.toUpperCase())) throw invalidLabel('Invalid label name');
+
+      // Renaming a keyword means re-tagging every message that carries it
+      if (keyword !== id) {
+        await withClient(async (client) => {
+          const folders = await resolveFolders(client);
+          await withKeyword(client, folders, id, async (uids) => {
+            await client.messageFlagsAdd(uids, [keyword], { uid: true });
+            await client.messageFlagsRemove(uids, [id], { uid: true });
+          });
+        });
+      }
+      return { id: keyword, name: keyword, type: 'user' };
+    },
+
+    async deleteLabel(id) {
+      if (!isKeywordLabel(id)) throw invalidLabel('Invalid request: system labels cannot be changed');
+      await withClient(async (client) => {
+        const folders = await resolveFolders(client);
+        await withKeyword(client, folders, id, (uids) => client.messageFlagsRemove(uids, [id], { uid: true }));
+      });
+    },
+
+    async listSendAs() {
+      // SMTP sends as the account address only; its signature lives in this app
+      return {
+        sendAs: [{
+          sendAsEmail: user.email.toLowerCase(),
+          displayName: user.name || '',
+          isPrimary: true,
+          isDefault: true,
+          signature: '',
+          verificationStatus: 'accepted'
+        }]
+      };
+    },
+
+    async updateSendAs() {
+      const error = new Error('IMAP mailboxes do not store signatures on the server');
+      error.code = 400;
+      throw error;
+    },
+
+    async getProfile() {
+      return withClient(async (client) => {
+        const status = await client.status('INBOX', { messages: true, uidNext: true });
+        return {
+          emailAddress: user.email,
+          messagesTotal: status.messages,
+          threadsTotal: status.messages,
+          historyId: String((status.uidNext || 1) - 1)
+        };
+      });
+    },
+
+    async listHistory({ startHistoryId, pageToken, maxResults = 100 } = {}) {
+      const start = parseInt(startHistoryId, 10) || 0;
+      return withClient(async (client) => {
+        const lock = await client.getMailboxLock('INBOX');
+        try {
+          const latest = (client.mailbox.uidNext || 1) - 1;
+          if (start > latest) {
+            // UIDVALIDITY changed or the mailbox was recreated: same as an expired Gmail history id
+            throw notFound('Start history id is no longer valid');
+          }
+
+          const uids = ((await client.search({ uid: `${start + 1}:*` }, { uid: true })) || [])
+            .filter((uid) => uid > start)
+            .sort((a, b) => a - b);
+          const { page, nextPageToken } = paginate(uids, pageToken, maxResults);
+          const refs = await fetchThreadRefs(client, 'INBOX', page);
+
+          const history = page.filter((uid) => refs.has(uid)).map((uid) => ({
+            id: String(uid),
+            messagesAdded: [{ message: { ...refs.get(uid), labelIds: ['INBOX'] } }]
+          }));
+          return {
+            history: history.length ? history : undefined,
+            historyId: String(latest),
+            nextPageToken
+          };
+        } finally {
+          lock.release();
+        }
+      });
+    },
+
+    async watch() {
+      await imapIdle.startIdle(user, { account });
+      return withClient(async (client) => {
+        const status = await client.status('INBOX', { uidNext: true });
+        return { historyId: String((status.uidNext || 1) - 1), expiration: null };
+      });
+    },
+
+    async stopWatch() {
+      await imapIdle.stopIdle(user.id);
+    },
+
+    async listDrafts({ q, pageToken, maxResults = 100 } = {}) {
+      const listRes = await listMessages({ q, pageToken, maxResults, labelIds: ['DRAFT'] });
+      return {
+        drafts: listRes.messages.map((m) => ({ id: m.id, message: m })),
+        nextPageToken: listRes.nextPageToken,
+        resultSizeEstimate: listRes.resultSizeEstimate
+      };
+    },
+
+    async getDraft(id, { format = 'full' } = {}) {
+      const message = await getMessage(id, { format });
+      if (!message.labelIds.includes('DRAFT')) throw notFound('Requested entity was not found.');
+      return { id, message };
+    },
+
+    async createDraft({ raw } = {}) {
+      return appendDraft(raw);
+    },
+
+    async updateDraft(id, { raw } = {}) {
+      // Append the new version first so a failure never loses the draft
+      const draft = await appendDraft(raw);
+      await removeDraft(id);
+      return draft;
+    },
+
+    async deleteDraft(id) {
+      await removeDraft(id);
+    },
+
+    async sendDraft(id) {
+      const { path, uid } = decodeId(id);
+      const source = await withClient(async (client) => {
+        const folders = await resolveFolders(client);
+        if (path !== folders.DRAFT) return null;
+        const fetched = await inFolder(client, folders, path, () => client.fetchOne(uid, { uid: true, source: true }, { uid: true }), null);
+        return fetched?.source || null;
+      });
+      if (!source) throw notFound('Requested entity was not found.');
+
+      const sent = await this.sendMessage({ raw: toBase64Url(source) });
+      await removeDraft(id);
+      return sent;
+    }
+  };
+}
+
+module.exports = { createImapProvider };
@@ -0,0 +1,158 @@
+const prisma = require('../../config/database');
+const { getGoogleClient } = require('../googleClint');
+const { createGmailProvider } = require('./gmailProvider');
+const { createMemoryProvider } = require('./memoryProvider');
+const { createImapProvider } = require('./imapProvider');
+
+/**
+ * MailProvider interface
+ *
+ * Every mailbox backend exposes the same async methods and returns
+ * Gmail-shaped resources (messages with id/threadId/labelIds/payload):
+ *
+ * - listMessages({ q, pageToken, maxResults, labelIds, includeSpamTrash }) -> { messages, nextPageToken, resultSizeEstimate }
+ *   (SPAM and TRASH are left out unless includeSpamTrash or the query names them;
+ *   IMAP lists a single folder, INBOX unless the query picks another)
+ * - getMessage(id, { format, metadataHeaders })           -> message
+ * - getAttachment(messageId, attachmentId)                -> { data, size }
+ * - listThreads({ q, pageToken, maxResults, labelIds })   -> { threads, nextPageToken, resultSizeEstimate }
+ * - getThread(id, { format, metadataHeaders })            -> thread
+ * - sendMessage({ raw, threadId })                        -> { id, threadId }
+ * - modifyMessage(id, { addLabelIds, removeLabelIds })    -> message
+ * - batchModifyMessages(ids, { addLabelIds, removeLabelIds })
+ * - modifyThread(id, { addLabelIds, removeLabelIds })     -> { id, messages }
+ * - trashMessage(id)                                      -> message
+ * - untrashMessage(id)                                    -> message
+ * - trashThread(id)                                       -> { id, messages }
+ * - untrashThread(id)                                     -> { id, messages }
+ * - deleteMessage(id)                                     (permanent)
+ * - batchDeleteMessages(ids)                              (permanent)
+ * - getLabel(id)                                          -> label with counts
+ * - listLabels()                                          -> { labels: [{ id, name, type }] }
+ * - createLabel({ name, color })                          -> { id, name, type, color }
+ * - updateLabel(id, { name, color })                      -> label (user labels only)
+ * - deleteLabel(id)                                       (user labels only; removes it from every message)
+ * - getProfile()                                         -> { emailAddress, messagesTotal, threadsTotal, historyId }
+ * - listSendAs()                                         -> { sendAs: [{ sendAsEmail, displayName, isPrimary, isDefault, signature, verificationStatus }] }
+ * - updateSendAs(sendAsEmail, { signature })             -> sendAs (400 where signatures are not stored server-side)
+ * - listHistory({ startHistoryId, historyTypes, labelId, pageToken }) -> { history, historyId, nextPageToken }
+ * - watch({ topicName, labelIds, labelFilterAction })    -> { historyId, expiration }
+ * - stopWatch()
+ * - listDrafts({ q, pageToken, maxResults })             -> { drafts: [{ id, message: { id, threadId } }], nextPageToken }
+ * - getDraft(id, { format })                             -> { id, message }
+ * - createDraft({ raw, threadId })                       -> { id, message }
+ * - updateDraft(id, { raw, threadId })                   -> { id, message }
+ * - deleteDraft(id)
+ * - sendDraft(id)                                        -> { id, threadId, labelIds } (the sent message)
+ *
+ * Errors carry an HTTP-like `code` (401, 404, ...) just like googleapis errors.
+ *
+ * The backend is selected with MAIL_PROVIDER (gmail | memory, default gmail);
+ * users with accountType `imap` always use the IMAP/SMTP provider outside memory mode.
+ *
+ * A "mailbox" is either the User row itself (the primary mailbox, accountId
+ * `primary`) or one of the Google MailAccount rows linked to that user.
+ */
+
+const PRIMARY_ACCOUNT_ID = 'primary';
+
+function getProviderName() {
+  return (process.env.MAIL_PROVIDER || 'gmail').toLowerCase();
+}
+
+/**
+ * Check whether a mailbox can be reached with the configured provider
+ * @param {Object} user - User or MailAccount record
+ * @returns {boolean}
+ */
+function hasMailAccess(user) {
+  if (!user) return false;
+  if (getProviderName() === 'memory') return true;
+  if (user.accountType === 'imap') return true;
+  return Boolean(user.accessToken || user.refreshToken) && !user.needsReconsent;
+}
+
+/**
+ * Get a MailProvider for a mailbox
+ * @param {Object} user - User or MailAccount record (needs email, accountType and Google tokens for Gmail)
+ * @returns {Object} - MailProvider implementation
+ */
+function getMailProvider(user) {
+  if (getProviderName() === 'memory') {
+    return createMemoryProvider(user.email);
+  }
+
+  if (user.accountType === 'imap') {
+    return createImapProvider(user);
+  }
+
+  return createGmailProvider(getGoogleClient(user));
+}
+
+/**
+ * Resolve the mailbox selected by an accountId
+ * @param {Object} user - User record
+ * @param {string} [accountId] - MailAccount ID; empty or `primary` selects the user's own mailbox
+ * @returns {Promise<Object|null>} - User or MailAccount record, null if the account is not linked to the user
+ */
+async function resolveMailbox(user, accountId) {
+  if (!accountId || accountId === PRIMARY_ACCOUNT_ID || accountId === user.id) {
+    return user;
+  }
+
+  return prisma.mailAccount.findFirst({
+    where: { id: accountId, userId: user.id }
+  });
+}
+
+/**
+ * List every mailbox of a user, primary first
+ * @param {Object} user - User record
+ * @returns {Promise<Array>} - User record followed by linked MailAccount records
+ */
+async function listMailboxes(user) {
+  const accounts = await prisma.mailAccount.findMany({
+    where: { userId: user.id },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  return [user, ...accounts];
+}
+
+/**
+ * Get the public accountId of a mailbox
+ * @param {Object} mailbox - User or MailAccount record
+ * @returns {string}
+ */
+function getAccountId(mailbox) {
+  return mailbox.userId ? mailbox.id : PRIMARY_ACCOUNT_ID;
+}
+
+/**
+ * Load a user and get the MailProvider of one of their mailboxes
+ * @param {string} userId - User ID from database
+ * @param {string} [accountId] - Linked MailAccount ID (defaults to the primary mailbox)
+ * @returns {Promise<Object>} - MailProvider implementation
+ */
+async function getMailProviderForUser(userId, accountId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId }
+  });
+
+  const mailbox = user ? await resolveMailbox(user, accountId) : null;
+  if (!mailbox || !hasMailAccess(mailbox)) {
+    throw new Error('User not authenticated with Google');
+  }
+
+  return getMailProvider(mailbox);
+}
+
+module.exports = {
+  PRIMARY_ACCOUNT_ID,
+  getMailProvider,
+  getMailProviderForUser,
+  hasMailAccess,
+  resolveMailbox,
+  listMailboxes,
+  getAccountId
+};
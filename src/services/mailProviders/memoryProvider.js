@@ -0,0 +1,633 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const {
+  toBase64Url,
+  fromBase64Url,
+  splitHeaders,
+  headerValue,
+  buildPayload,
+  parseAddresses,
+  hasAttachment,
+  plainText,
+  snippetOf,
+  selectFormat
+} = require('./mimeParser');
+
+/**
+ * In-memory MailProvider used for offline development and manual testing.
+ * Messages are stored as Gmail-shaped resources (id, threadId, labelIds,
+ * payload, ...) so the controllers cannot tell it apart from the Gmail API.
+ * State lives in the process and is lost on restart.
+ */
+
+const SYSTEM_LABELS = ['INBOX', 'SENT', 'UNREAD', 'STARRED', 'IMPORTANT', 'TRASH', 'SPAM', 'DRAFT'];
+// Left out of listings unless asked for
+const HIDDEN_LABELS = ['TRASH', 'SPAM'];
+
+// Mailboxes keyed by lower-cased owner address
+const mailboxes = new Map();
+
+function newId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+function notFound(message) {
+  const error = new Error(message);
+  error.code = 404;
+  return error;
+}
+
+function parseGmailDate(value) {
+  // Gmail also takes a Unix timestamp in seconds (after:1700000000)
+  if (/^\d+$/.test(value)) return new Date(Number(value) * 1000).getTime();
+  const [year, month, day] = value.split(/[/-]/).map((n) => parseInt(n, 10));
+  return new Date(year, (month || 1) - 1, day || 1).getTime();
+}
+
+// Very small subset of the Gmail search syntax, enough for the queries this API builds
+function matchesQuery(mailbox, message, q) {
+  if (!q) return true;
+  const tokens = q.match(/-?\w+:"[^"]*"|-?\w+:\S+|"[^"]*"|\S+/g) || [];
+  const headers = message.payload?.headers || [];
+
+  return tokens.every((token) => {
+    const negate = token.startsWith('-');
+    const raw = negate ? token.slice(1) : token;
+    const colon = raw.indexOf(':');
+    const key = colon > 0 ? raw.slice(0, colon).toLowerCase() : null;
+    const value = (colon > 0 ? raw.slice(colon + 1) : raw).replace(/^"|"$/g, '').toLowerCase();
+
+    let result;
+    switch (key) {
+      case 'from':
+      case 'to':
+      case 'cc':
+      case 'subject':
+        result = (headerValue(headers, key) || '').toLowerCase().includes(value);
+        break;
+      case 'label':
+      case 'in': {
+        const label = mailbox.resolveLabel(value);
+        result = Boolean(label) && message.labelIds.includes(label.id);
+        break;
+      }
+      case 'is':
+        result = message.labelIds.includes(value.toUpperCase());
+        break;
+      case 'has':
+        result = value === 'attachment' ? hasAttachment(message.payload) : false;
+        break;
+      case 'after':
+        result = Number(message.internalDate) >= parseGmailDate(value);
+        break;
+      case 'before':
+        result = Number(message.internalDate) < parseGmailDate(value);
+        break;
+      default: {
+        const haystack = [headerValue(headers, 'Subject'), headerValue(headers, 'From'), message.snippet, plainText(message.payload)]
+          .join(' ')
+          .toLowerCase();
+        result = haystack.includes(value);
+      }
+    }
+    return negate ? !result : result;
+  });
+}
+
+function paginate(items, pageToken, maxResults = 100) {
+  const offset = parseInt(pageToken, 10) || 0;
+  const page = items.slice(offset, offset + maxResults);
+  const next = offset + maxResults < items.length ? String(offset + maxResults) : undefined;
+  return { page, nextPageToken: next };
+}
+
+function createMailbox(address) {
+  const mailbox = {
+    address,
+    messages: new Map(),
+    attachments: new Map(),
+    drafts: new Map(), // draftId -> { messageId, raw, threadId }
+    labels: new Map(SYSTEM_LABELS.map((id) => [id, { id, name: id, type: 'system' }])),
+    history: [],
+    historyId: 1,
+    watching: null,
+    sendAs: [{ sendAsEmail: address, displayName: '', isPrimary: true, isDefault: true, signature: '', verificationStatus: 'accepted' }],
+
+    resolveLabel(nameOrId) {
+      const wanted = String(nameOrId).toLowerCase();
+      for (const label of this.labels.values()) {
+        if (label.id.toLowerCase() === wanted || label.name.toLowerCase() === wanted) return label;
+      }
+      return null;
+    },
+
+    record(entry) {
+      this.historyId += 1;
+      this.history.push({ id: String(this.historyId), ...entry });
+      return String(this.historyId);
+    },
+
+    insert({ raw, threadId, labelIds, internalDate }) {
+      const text = fromBase64Url(raw).toString('utf8');
+      const payload = buildPayload(text, (partId, bytes) => {
+        const attachmentId = newId();
+        this.attachments.set(attachmentId, bytes);
+        return attachmentId;
+      });
+      const headers = payload.headers;
+
+      // Thread on In-Reply-To when the caller did not pass a threadId
+      let resolvedThreadId = threadId;
+      if (!resolvedThreadId) {
+        const inReplyTo = headerValue(headers, 'In-Reply-To');
+        if (inReplyTo) {
+          for (const existing of this.messages.values()) {
+            if (headerValue(existing.payload.headers, 'Message-ID') === inReplyTo) {
+              resolvedThreadId = existing.threadId;
+              break;
+            }
+          }
+        }
+      }
+
+      const id = newId();
+      if (!headerValue(headers, 'Message-ID')) {
+        headers.push({ name: 'Message-ID', value: `<${id}@memory.local>` });
+      }
+      if (!headerValue(headers, 'Date')) {
+        headers.push({ name: 'Date', value: new Date(internalDate || Date.now()).toUTCString() });
+      }
+
+      const message = {
+        id,
+        threadId: resolvedThreadId || id,
+        labelIds: [...new Set(labelIds)],
+        snippet: snippetOf(payload),
+        internalDate: String(internalDate || Date.now()),
+        sizeEstimate: text.length,
+        payload
+      };
+      message.historyId = this.record({
+        messages: [{ id, threadId: message.threadId }],
+        messagesAdded: [{ message: { id, threadId: message.threadId, labelIds: message.labelIds } }]
+      });
+      this.messages.set(id, message);
+      return message;
+    },
+
+    modify(id, { addLabelIds = [], removeLabelIds = [] }) {
+      const message = this.messages.get(id);
+      if (!message) throw notFound('Requested entity was not found.');
+      const added = addLabelIds.filter((l) => !message.labelIds.includes(l));
+      const removed = removeLabelIds.filter((l) => message.labelIds.includes(l));
+      message.labelIds = message.labelIds.filter((l) => !removed.includes(l)).concat(added);
+      const ref = { id, threadId: message.threadId, labelIds: message.labelIds };
+      const entry = { messages: [{ id, threadId: message.threadId }] };
+      if (added.length) entry.labelsAdded = [{ message: ref, labelIds: added }];
+      if (removed.length) entry.labelsRemoved = [{ message: ref, labelIds: removed }];
+      if (added.length || removed.length) {
+        message.historyId = this.record(entry);
+      }
+      return message;
+    },
+
+    remove(id) {
+      const message = this.messages.get(id);
+      if (!message) throw notFound('Requested entity was not found.');
+      this.messages.delete(id);
+      this.record({
+        messages: [{ id, threadId: message.threadId }],
+        messagesDeleted: [{ message: { id, threadId: message.threadId, labelIds: message.labelIds } }]
+      });
+    },
+
+        sorted() {
+      return [...this.messages.values()].sort((a, b) => Number(b.internalDate) - Number(a.internalDate));
+    },
+
+    labelCounts(labelId) {
+      const messages = [...this.messages.values()].filter((m) => m.labelIds.includes(labelId));
+      const threads = new Set(messages.map((m) => m.threadId));
+      const unread = messages.filter((m) => m.labelIds.includes('UNREAD'));
+      return {
+        messagesTotal: messages.length,
+        messagesUnread: unread.length,
+        threadsTotal: threads.size,
+        threadsUnread: new Set(unread.map((m) => m.threadId)).size
+      };
+    }
+  };
+
+  return mailbox;
+}
+
+function getMailbox(address) {
+  const key = String(address || '').toLowerCase();
+  if (!mailboxes.has(key)) {
+    mailboxes.set(key, createMailbox(key));
+    seedMailbox(mailboxes.get(key));
+  }
+  return mailboxes.get(key);
+}
+
+/**
+ * Build a raw RFC 822 message (base64url) from a simple description
+ * @param {Object} message - { from, to, cc, subject, text, html, headers }
+ * @returns {string} - base64url encoded raw message
+ */
+function buildRaw({ from, to, cc, subject, text, html, headers = {} }) {
+  const lines = [];
+  if (from) lines.push(`From: ${from}`);
+  if (to) lines.push(`To: ${to}`);
+  if (cc) lines.push(`Cc: ${cc}`);
+  lines.push(`Subject: ${subject || ''}`);
+  for (const [name, value] of Object.entries(headers)) {
+    lines.push(`${name}: ${value}`);
+  }
+  lines.push('MIME-Version: 1.0');
+  lines.push(`Content-Type: ${html ? 'text/html' : 'text/plain'}; charset=UTF-8`);
+  lines.push('');
+  lines.push(html || text || '');
+  return toBase64Url(lines.join('\r\n'));
+}
+
+/**
+ * Deliver an inbound message to a mailbox (INBOX + UNREAD)
+ * @param {string} address - Mailbox owner address
+ * @param {Object} message - { from, to, subject, text, html, labelIds, internalDate }
+ * @returns {Object} - Stored Gmail-shaped message
+ */
+function deliverMessage(address, message) {
+  const mailbox = getMailbox(address);
+  return mailbox.insert({
+    raw: buildRaw({ to: address, ...message }),
+    labelIds: message.labelIds || ['INBOX', 'UNREAD'],
+    internalDate: message.internalDate
+  });
+}
+
+// Optional JSON seed file: [{ "to": "me@example.com", "from": "...", "subject": "...", "text": "..." }]
+let seedCache = null;
+function seedMailbox(mailbox) {
+  const seedPath = process.env.MEMORY_MAIL_SEED;
+  if (!seedPath) return;
+  try {
+    if (!seedCache) {
+      seedCache = JSON.parse(fs.readFileSync(seedPath, 'utf8'));
+    }
+    for (const entry of seedCache) {
+      if (String(entry.to || '').toLowerCase() === mailbox.address) {
+        mailbox.insert({
+          raw: buildRaw(entry),
+          labelIds: entry.labelIds || ['INBOX', 'UNREAD'],
+          internalDate: entry.internalDate ? new Date(entry.internalDate).getTime() : undefined
+        });
+      }
+    }
+  } catch (error) {
+    console.error('Failed to load in-memory mail seed:', error.message);
+  }
+}
+
+/**
+ * Create a MailProvider backed by an in-memory mailbox
+ * @param {string} address - Mailbox owner address
+ * @returns {Object} - MailProvider implementation
+ */
+function createMemoryProvider(address) {
+  const mailbox = getMailbox(address);
+
+  const getOrThrow = (id) => {
+    const message = mailbox.messages.get(id);
+    if (!message) throw notFound('Requested entity was not found.');
+    return message;
+  };
+
+  const checkLabelName = (name) => {
+    if (!name || mailbox.resolveLabel(name)) {
+      const error = new Error(name ? 'Label name exists or conflicts' : 'Invalid label name');
+      error.code = name ? 409 : 400;
+      throw error;
+    }
+  };
+
+  // System labels cannot be renamed or deleted
+  const getUserLabel = (id) => {
+    const label = mailbox.labels.get(id);
+    if (!label) throw notFound('Requested entity was not found.');
+    if (label.type === 'system') {
+      const error = new Error('Invalid request: system labels cannot be changed');
+      error.code = 400;
+      throw error;
+    }
+    return label;
+  };
+
+  return {
+    name: 'memory',
+    mailbox,
+
+    async listMessages({ q, pageToken, maxResults = 100, labelIds, includeSpamTrash = false } = {}) {
+      // Like Gmail, spam and trash only show up when asked for
+      const spamTrash = includeSpamTrash ||
+        (labelIds || []).some((l) => HIDDEN_LABELS.includes(l)) ||
+        /\b(in|label):(trash|spam)\b/i.test(q || '');
+      const matching = mailbox.sorted().filter((m) =>
+        (spamTrash || !m.labelIds.some((l) => HIDDEN_LABELS.includes(l))) &&
+        (labelIds || []).every((l) => m.labelIds.includes(l)) && matchesQuery(mailbox, m, q)
+      );
+      const { page, nextPageToken } = paginate(matching, pageToken, maxResults);
+      return {
+        messages: page.map((m) => ({ id: m.id, threadId: m.threadId })),
+        nextPageToken,
+        resultSizeEstimate: matching.length
+      };
+    },
+
+    async getMessage(id, { format = 'full', metadataHeaders } = {}) {
+      return selectFormat(getOrThrow(id), format, metadataHeaders);
+    },
+
+    async getAttachment(messageId, attachmentId) {
+      getOrThrow(messageId);
+      const bytes = mailbox.attachments.get(attachmentId);
+      if (!bytes) throw notFound('Attachment not found');
+      return { attachmentId, size: bytes.length, data: toBase64Url(bytes) };
+    },
+
+    async listThreads({ q, pageToken, maxResults = 100, labelIds } = {}) {
+      const seen = new Map();
+      for (const m of mailbox.sorted()) {
+        if ((labelIds || []).every((l) => m.labelIds.includes(l)) && matchesQuery(mailbox, m, q) && !seen.has(m.threadId)) {
+          seen.set(m.threadId, { id: m.threadId, snippet: m.snippet, historyId: m.historyId });
+        }
+      }
+      const threads = [...seen.values()];
+      const { page, nextPageToken } = paginate(threads, pageToken, maxResults);
+      return { threads: page, nextPageToken, resultSizeEstimate: threads.length };
+    },
+
+    async getThread(id, { format = 'full', metadataHeaders } = {}) {
+      const messages = [...mailbox.messages.values()]
+        .filter((m) => m.threadId === id)
+        .sort((a, b) => Number(a.internalDate) - Number(b.internalDate));
+      if (messages.length === 0) throw notFound('Requested entity was not found.');
+      const last = messages[messages.length - 1];
+      return {
+        id,
+        snippet: last.snippet,
+        historyId: last.historyId,
+        messages: messages.map((m) => selectFormat(m, format, metadataHeaders))
+      };
+    },
+
+    async sendMessage({ raw, threadId } = {}) {
+      let text = fromBase64Url(raw).toString('utf8');
+      if (!headerValue(splitHeaders(text).headers, 'From')) {
+        text = `From: ${mailbox.address}\r\n${text}`;
+      }
+      const encoded = toBase64Url(text);
+      const sent = mailbox.insert({ raw: encoded, threadId, labelIds: ['SENT'] });
+
+      // Loop the message back into any other in-memory mailbox it is addressed to
+      const headers = sent.payload.headers;
+      const recipients = new Set([
+        ...parseAddresses(headerValue(headers, 'To')),
+        ...parseAddresses(headerValue(headers, 'Cc')),
+        ...parseAddresses(headerValue(headers, 'Bcc'))
+      ]);
+      for (const recipient of recipients) {
+        const target = recipient === mailbox.address ? mailbox : getMailbox(recipient);
+        if (target === mailbox) {
+          mailbox.modify(sent.id, { addLabelIds: ['INBOX', 'UNREAD'] });
+        } else {
+          target.insert({ raw: encoded, labelIds: ['INBOX', 'UNREAD'] });
+        }
+      }
+
+      return { id: sent.id, threadId: sent.threadId, labelIds: sent.labelIds };
+    },
+
+    async modifyMessage(id, { addLabelIds, removeLabelIds } = {}) {
+      const message = mailbox.modify(id, { addLabelIds, removeLabelIds });
+      return { id: message.id, threadId: message.threadId, labelIds: message.labelIds };
+    },
+
+    async batchModifyMessages(ids, { addLabelIds, removeLabelIds } = {}) {
+      for (const id of ids) {
+        if (mailbox.messages.has(id)) {
+          mailbox.modify(id, { addLabelIds, removeLabelIds });
+        }
+      }
+    },
+
+    async modifyThread(id, { addLabelIds, removeLabelIds } = {}) {
+      const messages = [...mailbox.messages.values()].filter((m) => m.threadId === id);
+      if (messages.length === 0) throw notFound('Requested entity was not found.');
+      for (const message of messages) {
+        mailbox.modify(message.id, { addLabelIds, removeLabelIds });
+      }
+      return { id, messages: messages.map((m) => ({ id: m.id, threadId: m.threadId, labelIds: m.labelIds })) };
+    },
+
+    async trashMessage(id) {
+      const message = mailbox.modify(id, { addLabelIds: ['TRASH'], removeLabelIds: ['INBOX'] });
+      return { id: message.id, threadId: message.threadId, labelIds: message.labelIds };
+    },
+
+    async untrashMessage(id) {
+      const current = getOrThrow(id);
+      // Received mail goes back to the inbox; sent mail only leaves the trash
+      const addLabelIds = current.labelIds.includes('SENT') ? [] : ['INBOX'];
+      const message = mailbox.modify(id, { addLabelIds, removeLabelIds: ['TRASH'] });
+      return { id: message.id, threadId: message.threadId, labelIds: message.labelIds };
+    },
+
+    async trashThread(id) {
+      const messages = [...mailbox.messages.values()].filter((m) => m.threadId === id);
+      if (messages.length === 0) throw notFound('Requested entity was not found.');
+      for (const message of messages) {
+        mailbox.modify(message.id, { addLabelIds: ['TRASH'], removeLabelIds: ['INBOX'] });
+      }
+      return { id, messages: messages.map((m) => ({ id: m.id, threadId: m.threadId, labelIds: m.labelIds })) };
+    },
+
+    async untrashThread(id) {
+      const messages = [...mailbox.messages.values()].filter((m) => m.threadId === id);
+      if (messages.length === 0) throw notFound('Requested entity was not found.');
+      for (const message of messages.filter((m) => m.labelIds.includes('TRASH'))) {
+        const addLabelIds = message.labelIds.includes('SENT') ? [] : ['INBOX'];
+        mailbox.modify(message.id, { addLabelIds, removeLabelIds: ['TRASH'] });
+      }
+      return { id, messages: messages.map((m) => ({ id: m.id, threadId: m.threadId, labelIds: m.labelIds })) };
+    },
+
+    async deleteMessage(id) {
+      mailbox.remove(id);
+    },
+
+    async batchDeleteMessages(ids) {
+      for (const id of ids) {
+        if (mailbox.messages.has(id)) mailbox.remove(id);
+      }
+    },
+
+    async getLabel(id) {
+      const label = mailbox.labels.get(id);
+      if (!label) throw notFound('Requested entity was not found.');
+      return { ...label, ...mailbox.labelCounts(id) };
+    },
+
+    async listLabels() {
+      return { labels: [...mailbox.labels.values()].map((label) => ({ ...label })) };
+    },
+
+    async createLabel({ name, color } = {}) {
+      checkLabelName(name);
+      const label = { id: `Label_${newId()}`, name, type: 'user' };
+      if (color) label.color = color;
+      mailbox.labels.set(label.id, label);
+      return { ...label };
+    },
+
+    async updateLabel(id, { name, color } = {}) {
+      const label = getUserLabel(id);
+      if (name !== undefined && name !== label.name) {
+        checkLabelName(name);
+        label.name = name;
+      }
+      if (color !== undefined) label.color = color;
+      return { ...label };
+    },
+
+    async deleteLabel(id) {
+      getUserLabel(id);
+      for (const message of mailbox.messages.values()) {
+        if (message.labelIds.includes(id)) mailbox.modify(message.id, { removeLabelIds: [id] });
+      }
+      mailbox.labels.delete(id);
+    },
+
+    async listSendAs() {
+      return { sendAs: mailbox.sendAs.map((alias) => ({ ...alias })) };
+    },
+
+    async updateSendAs(sendAsEmail, { signature } = {}) {
+      const alias = mailbox.sendAs.find((a) => a.sendAsEmail === String(sendAsEmail).toLowerCase());
+      if (!alias) throw notFound('Requested entity was not found.');
+      if (signature !== undefined) alias.signature = signature;
+      return { ...alias };
+    },
+
+    async getProfile() {
+      return {
+        emailAddress: mailbox.address,
+        messagesTotal: mailbox.messages.size,
+        threadsTotal: new Set([...mailbox.messages.values()].map((m) => m.threadId)).size,
+        historyId: String(mailbox.historyId)
+      };
+    },
+
+    async listHistory({ startHistoryId, historyTypes, labelId, pageToken, maxResults = 100 } = {}) {
+      const start = parseInt(startHistoryId, 10) || 0;
+      if (start > mailbox.historyId) {
+        // Unknown history id: Gmail answers 404 and callers fall back to a full sync
+        throw notFound('Requested entity was not found.');
+      }
+      const keys = {
+        messageAdded: 'messagesAdded',
+        messageDeleted: 'messagesDeleted',
+        labelAdded: 'labelsAdded',
+        labelRemoved: 'labelsRemoved'
+      };
+      const wanted = (historyTypes || Object.keys(keys)).map((t) => keys[t]);
+
+      const entries = mailbox.history
+        .filter((h) => parseInt(h.id, 10) > start)
+        .map((h) => {
+          const entry = { id: h.id, messages: h.messages };
+          for (const key of wanted) {
+            const items = (h[key] || []).filter((item) => !labelId || item.message.labelIds?.includes(labelId));
+            if (items.length) entry[key] = items;
+          }
+          return entry;
+        })
+        .filter((h) => wanted.some((key) => h[key]));
+
+      const { page, nextPageToken } = paginate(entries, pageToken, maxResults);
+      return {
+        history: page.length ? page : undefined,
+        historyId: String(mailbox.historyId),
+        nextPageToken
+      };
+    },
+
+    async watch({ topicName, labelIds, labelFilterAction } = {}) {
+      mailbox.watching = { topicName, labelIds, labelFilterAction };
+      return {
+        historyId: String(mailbox.historyId),
+        expiration: String(Date.now() + 7 * 24 * 60 * 60 * 1000)
+      };
+    },
+
+    async stopWatch() {
+      mailbox.watching = null;
+    },
+
+    async listDrafts({ q, pageToken, maxResults = 100 } = {}) {
+      const drafts = [...mailbox.drafts.entries()]
+        .map(([id, draft]) => ({ id, message: mailbox.messages.get(draft.messageId) }))
+        .filter((draft) => draft.message && matchesQuery(mailbox, draft.message, q))
+        .sort((a, b) => Number(b.message.internalDate) - Number(a.message.internalDate));
+      const { page, nextPageToken } = paginate(drafts, pageToken, maxResults);
+      return {
+        drafts: page.map((d) => ({ id: d.id, message: { id: d.message.id, threadId: d.message.threadId } })),
+        nextPageToken,
+        resultSizeEstimate: drafts.length
+      };
+    },
+
+    async getDraft(id, { format = 'full' } = {}) {
+      const draft = mailbox.drafts.get(id);
+      if (!draft) throw notFound('Requested entity was not found.');
+      return { id, message: selectFormat(getOrThrow(draft.messageId), format) };
+    },
+
+    async createDraft({ raw, threadId } = {}) {
+      const id = newId();
+      const message = mailbox.insert({ raw, threadId, labelIds: ['DRAFT'] });
+      mailbox.drafts.set(id, { messageId: message.id, raw, threadId: message.threadId });
+      return { id, message: { id: message.id, threadId: message.threadId, labelIds: message.labelIds } };
+    },
+
+    async updateDraft(id, { raw, threadId } = {}) {
+      const draft = mailbox.drafts.get(id);
+      if (!draft) throw notFound('Requested entity was not found.');
+      mailbox.remove(draft.messageId);
+      const message = mailbox.insert({ raw, threadId: threadId || draft.threadId, labelIds: ['DRAFT'] });
+      mailbox.drafts.set(id, { messageId: message.id, raw, threadId: message.threadId });
+      return { id, message: { id: message.id, threadId: message.threadId, labelIds: message.labelIds } };
+    },
+
+    async deleteDraft(id) {
+      const draft = mailbox.drafts.get(id);
+      if (!draft) throw notFound('Requested entity was not found.');
+      mailbox.drafts.delete(id);
+      mailbox.remove(draft.messageId);
+    },
+
+    async sendDraft(id) {
+      const draft = mailbox.drafts.get(id);
+      if (!draft) throw notFound('Requested entity was not found.');
+      mailbox.drafts.delete(id);
+      mailbox.remove(draft.messageId);
+      return this.sendMessage({ raw: draft.raw, threadId: draft.threadId });
+    }
+  };
+}
+
+module.exports = {
+  createMemoryProvider,
+  deliverMessage,
+  buildRaw
+};
@@ -0,0 +1,182 @@
+/**
+ * Helpers to turn raw RFC 822 / MIME messages into Gmail-shaped payloads.
+ * Shared by the mail providers that do not get pre-parsed messages from their backend.
+ */
+
+function toBase64Url(buffer) {
+  return Buffer.from(buffer)
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+function fromBase64Url(data) {
+  return Buffer.from(String(data).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+// Decode RFC 2047 encoded-words (=?UTF-8?B?...?=) the way Gmail presents header values
+function decodeEncodedWords(value) {
+  return value
+    .replace(/(=\?[^?]+\?[BQ]\?[^?]*\?=)\s+(?==\?)/gi, '$1')
+    .replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (match, charset, encoding, text) => {
+      try {
+        const bytes = encoding.toUpperCase() === 'B'
+          ? Buffer.from(text, 'base64')
+          : Buffer.from(
+            text.replace(/_/g, ' ').replace(/=([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16))),
+            'latin1'
+          );
+        return new TextDecoder(charset).decode(bytes);
+      } catch {
+        return match;
+      }
+    });
+}
+
+// Split an RFC 822 block into unfolded headers and the remaining body
+function splitHeaders(text) {
+  const separator = text.search(/\r?\n\r?\n/);
+  const headerBlock = separator === -1 ? text : text.slice(0, separator);
+  const body = separator === -1 ? '' : text.slice(separator).replace(/^\r?\n\r?\n/, '');
+
+  const headers = [];
+  for (const line of headerBlock.split(/\r?\n/)) {
+    if (/^[ \t]/.test(line) && headers.length > 0) {
+      headers[headers.length - 1].value += ' ' + line.trim();
+      continue;
+    }
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      headers.push({ name: line.slice(0, colon).trim(), value: line.slice(colon + 1).trim() });
+    }
+  }
+  for (const header of headers) {
+    header.value = decodeEncodedWords(header.value);
+  }
+  return { headers, body };
+}
+
+function headerValue(headers, name) {
+  return headers.find((h) => h.name.toLowerCase() === name.toLowerCase())?.value || null;
+}
+
+function headerParam(value, param) {
+  if (!value) return null;
+  const match = value.match(new RegExp(`${param}\\*?="?([^";]+)"?`, 'i'));
+  return match ? match[1] : null;
+}
+
+function decodeTransfer(body, encoding) {
+  switch ((encoding || '').toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/\s+/g, ''), 'base64');
+    case 'quoted-printable':
+      return Buffer.from(
+        body
+          .replace(/=\r?\n/g, '')
+          .replace(/=([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16))),
+        'latin1'
+      );
+    default:
+      return Buffer.from(body, 'utf8');
+  }
+}
+
+/**
+ * Build a Gmail-style payload tree (partId, mimeType, filename, headers, body, parts)
+ * from a raw MIME message. Attachment bytes are handed to `storeAttachment`, which
+ * returns the attachmentId to expose on the part.
+ * @param {string} text - Raw RFC 822 message
+ * @param {Function} storeAttachment - (partId, bytes) => attachmentId
+ * @param {string} partId - Part ID of this node (root is '')
+ * @returns {Object} - Gmail-style payload
+ */
+function buildPayload(text, storeAttachment, partId = '') {
+  const { headers, body } = splitHeaders(text);
+  const contentType = headerValue(headers, 'Content-Type') || 'text/plain';
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+  const disposition = headerValue(headers, 'Content-Disposition');
+  const filename = headerParam(disposition, 'filename') || headerParam(contentType, 'name') || '';
+
+  if (mimeType.startsWith('multipart/')) {
+    const boundary = headerParam(contentType, 'boundary');
+    const sections = boundary
+      ? body.split(`--${boundary}`).slice(1).filter((s) => !s.startsWith('--'))
+      : [];
+    return {
+      partId,
+      mimeType,
+      filename: '',
+      headers,
+      body: { size: 0 },
+      parts: sections.map((section, index) =>
+        buildPayload(section.replace(/^\r?\n/, ''), storeAttachment, partId ? `${partId}.${index}` : String(index))
+      )
+    };
+  }
+
+  const bytes = decodeTransfer(body, headerValue(headers, 'Content-Transfer-Encoding'));
+  if (filename) {
+    const attachmentId = storeAttachment(partId, bytes);
+    return { partId, mimeType, filename, headers, body: { size: bytes.length, attachmentId } };
+  }
+  return { partId, mimeType, filename: '', headers, body: { size: bytes.length, data: toBase64Url(bytes) } };
+}
+
+function parseAddresses(value) {
+  if (!value) return [];
+  return (value.match(/[^\s<>,"]+@[^\s<>,"]+/g) || []).map((a) => a.toLowerCase());
+}
+
+function hasAttachment(payload) {
+  if (!payload) return false;
+  if (payload.filename && payload.body?.attachmentId) return true;
+  return (payload.parts || []).some(hasAttachment);
+}
+
+function plainText(payload) {
+  if (!payload) return '';
+  let text = payload.body?.data ? fromBase64Url(payload.body.data).toString('utf8') : '';
+  for (const part of payload.parts || []) {
+    text += ' ' + plainText(part);
+  }
+  return text;
+}
+
+// Gmail-like snippet: first 200 characters of the readable text
+function snippetOf(payload) {
+  return plainText(payload).replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 200);
+}
+
+// Narrow a full message to what Gmail returns for the requested format
+function selectFormat(message, format, metadataHeaders) {
+  if (format === 'minimal') {
+    const { payload, ...rest } = message;
+    return rest;
+  }
+  if (format === 'metadata') {
+    const wanted = (metadataHeaders || []).map((h) => h.toLowerCase());
+    const headers = message.payload.headers.filter(
+      (h) => wanted.length === 0 || wanted.includes(h.name.toLowerCase())
+    );
+    return { ...message, payload: { mimeType: message.payload.mimeType, headers } };
+  }
+  return message;
+}
+
+module.exports = {
+  toBase64Url,
+  fromBase64Url,
+  decodeEncodedWords,
+  splitHeaders,
+  headerValue,
+  headerParam,
+  decodeTransfer,
+  buildPayload,
+  parseAddresses,
+  hasAttachment,
+  plainText,
+  snippetOf,
+  selectFormat
+};
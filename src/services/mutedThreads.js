@@ -0,0 +1,83 @@
+const prisma = require('../config/database');
+const { getMailProvider, getAccountId } = require('./mailProviders');
+const { applyLabelChange } = require('./mailMirror');
+const { getHeader, parseAddressList } = require('../utils/gmailMessage');
+
+/**
+ * Muted conversations
+ *
+ * Muting archives a thread and records it in `muted_threads`. New messages on a
+ * muted thread are archived as they arrive (see processNewMail in
+ * controllers/webhooks.js) and skip the bots, unless the mailbox owner is
+ * directly in To.
+ */
+
+/**
+ * Mute a thread: archive it and keep later replies out of the inbox
+ * @param {Object} user - User record (owner)
+ * @param {Object} mailbox - User or MailAccount record
+ * @param {string} threadId - Thread to mute
+ * @returns {Promise<Object>} - MutedThread row
+ */
+async function muteThread(user, mailbox, threadId) {
+  const mail = getMailProvider(mailbox);
+  const accountId = getAccountId(mailbox);
+
+  const thread = await mail.getThread(threadId, { format: 'metadata', metadataHeaders: ['Subject'] });
+  const messages = thread.messages || [];
+
+  await mail.modifyThread(threadId, { removeLabelIds: ['INBOX'] });
+  await applyLabelChange(user.id, accountId, messages.map((m) => m.id), { removeLabelIds: ['INBOX'] });
+
+  return prisma.mutedThread.upsert({
+    where: { userId_accountId_threadId: { userId: user.id, accountId, threadId } },
+    create: {
+      userId: user.id,
+      accountId,
+      threadId,
+      subject: getHeader(messages[0]?.payload?.headers, 'Subject')
+    },
+    update: {}
+  });
+}
+
+/**
+ * Unmute a thread. Messages archived while it was muted stay archived.
+ * @param {string} userId - Owner
+ * @param {string} accountId - Mailbox the thread belongs to
+ * @param {string} threadId - Thread to unmute
+ * @returns {Promise<boolean>} - false when the thread was not muted
+ */
+async function unmuteThread(userId, accountId, threadId) {
+  const { count } = await prisma.mutedThread.deleteMany({
+    where: { userId, accountId, threadId }
+  });
+  return count > 0;
+}
+
+/**
+ * Whether a newly received message should be archived because its thread is muted
+ * The owner being directly in To (not only Cc or a list) brings the message back to the inbox.
+ * @param {string} userId - Owner
+ * @param {string} accountId - Mailbox the message arrived in
+ * @param {Object} message - Gmail-shaped message with threadId and payload headers
+ * @param {string} mailboxEmail - Address of the mailbox
+ * @returns {Promise<boolean>}
+ */
+async function isMutedForMailbox(userId, accountId, message, mailboxEmail) {
+  if (!message?.threadId) return false;
+
+  const muted = await prisma.mutedThread.findUnique({
+    where: { userId_accountId_threadId: { userId, accountId, threadId: message.threadId } }
+  });
+  if (!muted) return false;
+
+  const to = parseAddressList(getHeader(message.payload?.headers, 'To'));
+  return !to.some((address) => address.email === String(mailboxEmail || '').toLowerCase());
+}
+
+module.exports = {
+  muteThread,
+  unmuteThread,
+  isMutedForMailbox
+};
@@ -0,0 +1,251 @@
+const prisma = require('../config/database');
+const { resolveMailbox, hasMailAccess, getAccountId } = require('./mailProviders');
+const { sendOutgoingMail } = require('./outgoingMail');
+
+/**
+ * Send-later outbox
+ *
+ * Scheduled emails wait in `outbox` until their sendAt, then go out through the
+ * same path as POST /api/gmail/send. Transient failures (rate limits, provider
+ * or network errors) are retried with exponential backoff; anything else, or
+ * running out of attempts, marks the email as failed. An email whose send was
+ * cut short (crashed run) is never sent again on its own: it may already have
+ * gone out, so it is marked failed and the user decides whether to reschedule it.
+ *
+ * Undo-send uses the same table: a held send is an outbox row due a few
+ * seconds from now, and undoing it cancels the row.
+ */
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60 * 1000;
+// A row left in `sending` this long belongs to a crashed run
+const STUCK_SENDING_MS = 10 * 60 * 1000;
+const INTERRUPTED_ERROR = 'Sending was interrupted and the email may already have been sent; check Sent before rescheduling it';
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+// Longest undo-send window
+const MAX_HOLD_SECONDS = 30;
+
+// outbox id -> timer of a held send
+const holdTimers = new Map();
+
+/**
+ * Check whether a send error is worth retrying
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  const status = Number(error?.code || error?.status || error?.response?.status);
+  if (status === 429 || status >= 500) return true;
+  return NETWORK_ERROR_CODES.includes(error?.code);
+}
+
+/**
+ * Send one outbox email and record the resulting message/thread IDs
+ * @param {Object} item - Outbox row (already claimed)
+ * @returns {Promise<Object>} - Updated row
+ */
+async function deliverOutboxItem(item) {
+  const user = await prisma.user.findUnique({ where: { id: item.userId } });
+  const mailbox = user ? await resolveMailbox(user, item.accountId) : null;
+  if (!mailbox || !hasMailAccess(mailbox)) {
+    const error = new Error('Mailbox is no longer available');
+    error.code = 404;
+    throw error;
+  }
+
+  const response = await sendOutgoingMail(user, mailbox, {
+    from: item.from,
+    to: item.to,
+    cc: item.cc,
+    bcc: item.bcc,
+    subject: item.subject,
+    body: item.body,
+    text: item.text,
+    gmailId: item.gmailId,
+    attachments: item.attachments || undefined,
+  });
+
+  return prisma.outbox.update({
+    where: { id: item.id },
+    data: {
+      status: 'sent',
+      sentMessageId: response.id || null,
+      sentThreadId: response.threadId || null,
+      sentAt: new Date(),
+      lastError: null,
+    },
+  });
+}
+
+/**
+ * Claim and send one outbox email, scheduling a retry on transient failures
+ * @param {Object} item - Outbox row with status scheduled
+ * @returns {Promise<string|null>} - sent | retried | failed, or null when another run (or an undo) got it first
+ */
+async function sendOutboxItem(item) {
+  // Claim the row so a concurrent run (or a cancel) cannot send it twice
+  const attempts = item.attempts + 1;
+  const { count } = await prisma.outbox.updateMany({
+    where: { id: item.id, status: 'scheduled' },
+    data: { status: 'sending', attempts },
+  });
+  if (count === 0) return null;
+
+  try {
+    await deliverOutboxItem(item);
+    return 'sent';
+  } catch (error) {
+    const retry = isTransientError(error) && attempts < MAX_ATTEMPTS;
+    await prisma.outbox.update({
+      where: { id: item.id },
+      data: retry
+        ? {
+            status: 'scheduled',
+            sendAt: new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1)),
+            lastError: error?.message || 'Send failed',
+          }
+        : { status: 'failed', lastError: error?.message || 'Send failed' },
+    });
+    console.error(`❌ Outbox email ${item.id} ${retry ? 'will be retried' : 'failed'}:`, error?.message);
+    return retry ? 'retried' : 'failed';
+  }
+}
+
+/**
+ * Send every outbox email that is due
+ * Emails stuck in `sending` are marked failed (and counted as such), not sent again
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Emails handled per run
+ * @returns {Promise<Object>} - { sent, retried, failed }
+ */
+async function processDueOutbox({ limit = 50 } = {}) {
+  const now = new Date();
+  const result = { sent: 0, retried: 0, failed: 0 };
+
+  const interrupted = await prisma.outbox.updateMany({
+    where: { status: 'sending', updatedAt: { lt: new Date(now.getTime() - STUCK_SENDING_MS) } },
+    data: { status: 'failed', lastError: INTERRUPTED_ERROR },
+  });
+  result.failed += interrupted.count;
+
+  const due = await prisma.outbox.findMany({
+    where: { status: 'scheduled', sendAt: { lte: now } },
+    orderBy: { sendAt: 'asc' },
+    take: limit,
+  });
+
+  for (const item of due) {
+    const outcome = await sendOutboxItem(item);
+    if (outcome) result[outcome]++;
+  }
+
+  return result;
+}
+
+/**
+ * Validate an undo-send window
+ * @param {*} value - Seconds from a request or bot setting (empty = UNDO_SEND_SECONDS, default 0)
+ * @returns {number|null} - Seconds (0 = no hold), null when out of range
+ */
+function parseHoldSeconds(value) {
+  const raw = value === undefined || value === null || value === '' ? process.env.UNDO_SEND_SECONDS || 0 : value;
+  const seconds = Number(raw);
+  if (!Number.isInteger(seconds) || seconds < 0 || seconds > MAX_HOLD_SECONDS) return null;
+  return seconds;
+}
+
+/**
+ * Address list as one header value (the outbox stores strings; requests may send arrays)
+ * @param {string|Array<string>} value - Address or addresses
+ * @returns {string|null} - Comma-joined addresses, null when empty
+ */
+function toAddressList(value) {
+  if (Array.isArray(value)) {
+    const addresses = value.map((address) => String(address).trim()).filter(Boolean);
+    return addresses.length > 0 ? addresses.join(', ') : null;
+  }
+  return value || null;
+}
+
+/**
+ * Hold an email for an undo window, then send it through the outbox
+ * The timer sends it on time; if the process restarts, the outbox job picks it up instead
+ * @param {Object} user - User record (owner)
+ * @param {Object} mailbox - User or MailAccount record to send from
+ * @param {Object} message - { from, to, cc, bcc (strings or arrays of addresses), subject, body, text, gmailId, attachments }
+ * @param {number} seconds - Hold window
+ * @param {Object} [options]
+ * @param {string} [options.botId] - Bot whose auto-reply this is
+ * @returns {Promise<Object>} - { pendingId, deadline }
+ */
+async function holdOutgoingMail(user, mailbox, message, seconds, { botId } = {}) {
+  const deadline = new Date(Date.now() + seconds * 1000);
+  const item = await prisma.outbox.create({
+    data: {
+      userId: user.id,
+      accountId: getAccountId(mailbox),
+      from: message.from || null,
+      to: toAddressList(message.to),
+      cc: toAddressList(message.cc),
+      bcc: toAddressList(message.bcc),
+      subject: message.subject,
+      body: message.body,
+      text: message.text || null,
+      gmailId: message.gmailId || null,
+      attachments: message.attachments || undefined,
+      botId: botId || null,
+      sendAt: deadline,
+    },
+  });
+
+  const timer = setTimeout(async () => {
+    holdTimers.delete(item.id);
+    try {
+      const current = await prisma.outbox.findUnique({ where: { id: item.id } });
+      // Skip rows undone or rescheduled in the meantime
+      if (current?.status === 'scheduled' && new Date(current.sendAt) <= new Date()) {
+        await sendOutboxItem(current);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to send held email ${item.id}:`, error?.message);
+    }
+  }, seconds * 1000);
+  timer.unref?.();
+  holdTimers.set(item.id, timer);
+
+  return { pendingId: item.id, deadline };
+}
+
+/**
+ * Cancel a held (or scheduled) email before it goes out
+ * @param {string} userId - User ID from database
+ * @param {string} pendingId - Outbox ID returned when the send was held
+ * @returns {Promise<Object|null>} - { cancelled: boolean, status } or null if unknown
+ */
+async function cancelPendingSend(userId, pendingId) {
+  const item = await prisma.outbox.findFirst({ where: { id: pendingId, userId } });
+  if (!item) return null;
+
+  const { count } = await prisma.outbox.updateMany({
+    where: { id: item.id, status: 'scheduled' },
+    data: { status: 'cancelled' },
+  });
+  if (count === 0) return { cancelled: false, status: item.status };
+
+  clearTimeout(holdTimers.get(item.id));
+  holdTimers.delete(item.id);
+  return { cancelled: true, status: 'cancelled' };
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  MAX_HOLD_SECONDS,
+  isTransientError,
+  deliverOutboxItem,
+  sendOutboxItem,
+  processDueOutbox,
+  parseHoldSeconds,
+  toAddressList,
+  holdOutgoingMail,
+  cancelPendingSend
+};
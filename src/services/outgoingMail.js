@@ -0,0 +1,153 @@
+const { getMailProvider, getAccountId } = require('./mailProviders');
+const { resolveOutgoingAttachments } = require('./attachments');
+const { markMirrorStale } = require('./mailMirror');
+const { buildRawMessage, htmlToText } = require('../utils/mimeBuilder');
+const { getHeader, extractBodies } = require('../utils/gmailMessage');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Get the threading details of the message being replied to
+ * @param {Object} mail - MailProvider of the mailbox
+ * @param {string} gmailId - Message being replied to
+ * @returns {Promise<Object|null>} - { threadId, inReplyTo, references, subject, replyTo } or null if it cannot be fetched
+ */
+async function getReplyContext(mail, gmailId) {
+  try {
+    const original = await mail.getMessage(gmailId, {
+      format: 'metadata',
+      metadataHeaders: ['Message-ID', 'References', 'Subject', 'From', 'Reply-To'],
+    });
+    const headers = original.payload?.headers || [];
+    const header = (name) => headers.find((h) => h.name.toLowerCase() === name.toLowerCase())?.value || null;
+    return {
+      threadId: original.threadId,
+      inReplyTo: header('Message-ID'),
+      references: header('References'),
+      subject: header('Subject'),
+      replyTo: header('Reply-To') || header('From'),
+    };
+  } catch (error) {
+    console.error('Error fetching original email:', error);
+    return null;
+  }
+}
+
+/**
+ * Send an email from a mailbox (the path behind POST /api/gmail/send)
+ * Replies (gmailId) stay in the original thread, or go out unthreaded if the original can't be fetched
+ * @param {Object} user - User record (owner)
+ * @param {Object} mailbox - User or MailAccount record to send from
+ * @param {Object} message - { from (send-as alias, already validated), to, cc, bcc, subject, body (HTML), text, gmailId, attachments }
+ * @returns {Promise<Object>} - Sent message { id, threadId }
+ */
+async function sendOutgoingMail(user, mailbox, { from, to, cc, bcc, subject, body, text, gmailId, attachments }) {
+  const mail = getMailProvider(mailbox);
+  const resolvedAttachments = await resolveOutgoingAttachments(user, mailbox, attachments);
+  const reply = gmailId ? await getReplyContext(mail, gmailId) : null;
+
+  const raw = buildRawMessage({
+    from: from || undefined,
+    to,
+    cc,
+    bcc,
+    subject,
+    html: body,
+    text,
+    inReplyTo: reply?.inReplyTo,
+    references: reply?.references,
+    attachments: resolvedAttachments,
+  });
+
+  const response = await mail.sendMessage({
+    raw,
+    threadId: reply?.threadId || undefined
+  });
+
+  // The sent copy reaches the mirror with the next history sync
+  await markMirrorStale(user.id, getAccountId(mailbox));
+  return response;
+}
+
+// Attachment parts of a message as outgoing attachment references, keeping inline images inline
+function forwardedAttachments(gmailId, payload, list = []) {
+  if (!payload) return list;
+  if (payload.filename && payload.body?.attachmentId) {
+    const contentId = (payload.headers || []).find((h) => h.name.toLowerCase() === 'content-id')?.value;
+    list.push({
+      gmailId,
+      attachmentId: payload.partId || payload.body.attachmentId,
+      filename: payload.filename,
+      cid: contentId ? contentId.replace(/^<|>$/g, '') : undefined,
+    });
+  }
+  (payload.parts || []).forEach((part) => forwardedAttachments(gmailId, part, list));
+  return list;
+}
+
+/**
+ * Compose a forward of a message: comment, "Forwarded message" header block, then the original body
+ * Attachments are references to the original message, so their bytes are fetched server-side at send time
+ * @param {Object} mail - MailProvider of the mailbox
+ * @param {string} gmailId - Message to forward
+ * @param {Object} [options]
+ * @param {string} [options.comment] - Text written above the forwarded message (plain text)
+ * @param {Function} [options.writeNote] - async ({ from, subject, text }) => HTML note written above the comment
+ * @param {string} [options.signature] - HTML signature block placed under the comment
+ * @param {boolean} [options.includeAttachments] - Re-attach the original attachments (default true)
+ * @returns {Promise<Object>} - { subject, body (HTML), attachments, note }
+ */
+async function composeForward(mail, gmailId, { comment, writeNote, signature, includeAttachments = true } = {}) {
+  const original = await mail.getMessage(gmailId, { format: 'full' });
+  const payload = original.payload || {};
+  const headers = payload.headers || [];
+  const bodies = extractBodies(payload);
+
+  const originalSubject = getHeader(headers, 'Subject') || '';
+  const note = writeNote
+    ? await writeNote({
+      from: getHeader(headers, 'From'),
+      subject: originalSubject,
+      text: bodies.text || htmlToText(bodies.html) || original.snippet || '',
+    })
+    : null;
+  const subject = /^fwd?:/i.test(originalSubject.trim()) ? originalSubject : `Fwd: ${originalSubject}`;
+
+  const headerBlock = ['From', 'Date', 'Subject', 'To', 'Cc']
+    .map((name) => [name, getHeader(headers, name)])
+    .filter(([, value]) => value)
+    .map(([name, value]) => `${name}: ${escapeHtml(value)}<br>`)
+    .join('\n');
+
+  const originalBody = bodies.html
+    || `<div style="white-space: pre-wrap">${escapeHtml(bodies.text || original.snippet || '')}</div>`;
+
+  const body = [
+    note ? `<div>${note}</div><br>` : '',
+    comment ? `<div style="white-space: pre-wrap">${escapeHtml(comment)}</div><br>` : '',
+    signature ? `${signature}<br>` : '',
+    '<div class="gmail_quote">',
+    '---------- Forwarded message ---------<br>',
+    headerBlock,
+    '<br>',
+    originalBody,
+    '</div>'
+  ].filter(Boolean).join('\n');
+
+  return {
+    subject,
+    body,
+    attachments: includeAttachments ? forwardedAttachments(original.id || gmailId, payload) : [],
+    note,
+  };
+}
+
+module.exports = {
+  getReplyContext,
+  sendOutgoingMail,
+  composeForward
+};
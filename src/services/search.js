@@ -0,0 +1,255 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const { getEmbeddingProvider } = require('./embeddings');
+
+/**
+ * Search over a user's mail (local mirror), AI summaries and tasks
+ *
+ * - fulltext: Postgres full-text search on the generated `searchVector`
+ *   columns, ranked with ts_rank
+ * - semantic: cosine similarity against stored embedding vectors, ranked in SQL
+ * - hybrid: both scores normalized and averaged
+ *
+ * Summaries and tasks are tied to mail through gmailId, so sender, label,
+ * attachment and account filters apply to them through their message.
+ */
+
+const SOURCE_TYPES = ['message', 'summary', 'task'];
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "';
+const TITLE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true';
+
+/**
+ * Build the filter conditions shared by every source
+ * @param {Object} filters - { from, to, sender, hasAttachment, label, accountId, bot }
+ * @param {Prisma.Sql} dateColumn - Column the date range applies to
+ * @param {string} type - Source type
+ * @returns {Prisma.Sql}
+ */
+function buildFilters(filters, dateColumn, type) {
+  const conditions = [];
+
+  if (filters.from) conditions.push(Prisma.sql`${dateColumn} >= ${filters.from}`);
+  if (filters.to) conditions.push(Prisma.sql`${dateColumn} <= ${filters.to}`);
+  if (filters.sender) conditions.push(Prisma.sql`m."from" ILIKE ${`%${filters.sender}%`}`);
+  if (filters.hasAttachment !== undefined) conditions.push(Prisma.sql`m."hasAttachment" = ${filters.hasAttachment}`);
+  if (filters.label) conditions.push(Prisma.sql`${filters.label} = ANY(m."labelIds")`);
+  if (filters.accountId) conditions.push(Prisma.sql`m."accountId" = ${filters.accountId}`);
+
+  if (filters.bot) {
+    // Tasks remember the bot that created them; mail matches on the senders the bot watches
+    if (type === 'task') {
+      conditions.push(Prisma.sql`t."botId" = ${filters.bot.id}`);
+    } else {
+      const patterns = filters.bot.emails.map((email) => `%${email.toLowerCase()}%`);
+      conditions.push(patterns.length > 0
+        ? Prisma.sql`lower(m."from") LIKE ANY(${patterns})`
+        : Prisma.sql`FALSE`);
+    }
+  }
+
+  return conditions.length > 0 ? Prisma.sql`AND ${Prisma.join(conditions, ' AND ')}` : Prisma.empty;
+}
+
+// Summaries and tasks only need their message when a message filter is set
+function needsMessage(filters, type) {
+  return Boolean(filters.sender || filters.hasAttachment !== undefined || filters.label || filters.accountId ||
+    (filters.bot && type !== 'task'));
+}
+
+/**
+ * Build the query of one source
+ * @param {string} type - message | summary | task
+ * @param {string} userId - User ID from database
+ * @param {Object} filters - See buildFilters
+ * @param {Object} options
+ * @param {Function} options.select - (vector, alias) => extra select columns
+ * @param {Function} options.join - (alias) => extra joins
+ * @param {Function} options.where - (vector) => extra conditions
+ * @param {Prisma.Sql} options.order - ORDER BY clause
+ * @param {number} options.limit - Rows to return
+ * @returns {Prisma.Sql}
+ */
+function sourceQuery(type, userId, filters, options) {
+  const alias = Prisma.raw({ message: 'm', summary: 's', task: 't' }[type]);
+  const vector = Prisma.sql`${alias}."searchVector"`;
+  const tail = (dateColumn) => Prisma.sql`
+      WHERE ${alias}."userId" = ${userId} ${options.where(vector)}
+        ${buildFilters(filters, dateColumn, type)}
+      ${options.order} LIMIT ${options.limit}`;
+
+  if (type === 'message') {
+    return Prisma.sql`
+      SELECT m.id, ${type}::text AS type, m."gmailId", m."threadId", m."accountId", m.subject AS title,
+             m."from" AS sender, m."internalDate" AS date, m."labelIds", m."hasAttachment", NULL AS "botId",
+             coalesce(m."textBody", m.snippet, '') AS body${options.select(vector, alias)}
+      FROM mirrored_messages m ${options.join(alias)}
+      ${tail(Prisma.sql`m."internalDate"`)}`;
+  }
+
+  const table = Prisma.raw(type === 'summary' ? 'ai_summarys' : 'tasks');
+  const body = type === 'summary' ? Prisma.sql`s.summary` : Prisma.sql`t.task`;
+  const botId = type === 'task' ? Prisma.sql`t."botId"` : Prisma.sql`NULL`;
+  const messageJoin = needsMessage(filters, type) ? Prisma.sql`JOIN LATERAL` : Prisma.sql`LEFT JOIN LATERAL`;
+
+  return Prisma.sql`
+      SELECT ${alias}.id, ${type}::text AS type, ${alias}."gmailId", m."threadId", m."accountId", m.subject AS title,
+             m."from" AS sender, ${alias}."createdAt" AS date, m."labelIds", m."hasAttachment", ${botId} AS "botId",
+             ${body} AS body${options.select(vector, alias)}
+      FROM ${table} ${alias}
+      ${messageJoin} (
+        SELECT mm."threadId", mm."accountId", mm.subject, mm."from", mm."labelIds", mm."hasAttachment"
+        FROM mirrored_messages mm
+        WHERE mm."userId" = ${alias}."userId" AND mm."gmailId" = ${alias}."gmailId"
+        LIMIT 1
+      ) m ON TRUE ${options.join(alias)}
+      ${tail(Prisma.sql`${alias}."createdAt"`)}`;
+}
+
+// Wrap a source query so the (costly) headlines are only computed for the rows kept
+function withHeadlines(inner, q) {
+  return Prisma.sql`
+    SELECT r.*,
+           ts_headline('simple', r.body, websearch_to_tsquery('simple', ${q}), ${HEADLINE_OPTIONS}) AS snippet,
+           ts_headline('simple', coalesce(r.title, ''), websearch_to_tsquery('simple', ${q}), ${TITLE_OPTIONS}) AS "highlightedTitle"
+    FROM (${inner}) r`;
+}
+
+async function fullTextHits(userId, q, types, filters, limit) {
+  const tsquery = Prisma.sql`websearch_to_tsquery('simple', ${q})`;
+
+  const results = await Promise.all(types.map((type) => {
+    const inner = sourceQuery(type, userId, filters, {
+      select: (vector) => Prisma.sql`, ts_rank(${vector}, ${tsquery}) AS score`,
+      join: () => Prisma.empty,
+      where: (vector) => Prisma.sql`AND ${vector} @@ ${tsquery}`,
+      order: Prisma.sql`ORDER BY score DESC`,
+      limit
+    });
+    return prisma.$queryRaw(withHeadlines(inner, q));
+  }));
+
+  return results.flat();
+}
+
+async function semanticHits(userId, q, types, filters, limit) {
+  const provider = getEmbeddingProvider();
+  if (!provider) {
+    const error = new Error('Semantic search is disabled (EMBEDDING_PROVIDER=none)');
+    error.code = 400;
+    throw error;
+  }
+
+  const [queryVector] = await provider.embed([q]);
+  // Vectors are normalized, so their dot product is the cosine similarity
+  const similarity = Prisma.sql`(SELECT sum(a * b) FROM unnest(e.vector, ${queryVector}::float8[]) AS d(a, b))`;
+
+  // Every embedded row is ranked in Postgres; only the best `limit` of each source come back
+  const results = await Promise.all(types.map((type) => {
+    const inner = sourceQuery(type, userId, filters, {
+      select: () => Prisma.sql`, ${similarity} AS score`,
+      join: (alias) => Prisma.sql`JOIN search_embeddings e
+        ON e."sourceType" = ${type} AND e."sourceId" = ${alias}.id AND e.model = ${provider.model}`,
+      where: () => Prisma.empty,
+      order: Prisma.sql`ORDER BY score DESC NULLS LAST`,
+      limit
+    });
+    return prisma.$queryRaw(inner);
+  }));
+
+  return results.flat()
+    .map((hit) => ({ ...hit, score: Number(hit.score) || 0 }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// Headlines for semantic hits (their SQL skipped ts_headline to keep the candidate scan cheap)
+async function addHeadlines(hits, q) {
+  if (hits.length === 0) return hits;
+  const rows = await prisma.$queryRaw`
+    SELECT ts_headline('simple', x.body, websearch_to_tsquery('simple', ${q}), ${HEADLINE_OPTIONS}) AS snippet,
+           ts_headline('simple', x.title, websearch_to_tsquery('simple', ${q}), ${TITLE_OPTIONS}) AS "highlightedTitle"
+    FROM unnest(${hits.map((h) => h.body || '')}::text[], ${hits.map((h) => h.title || '')}::text[]) WITH ORDINALITY AS x(body, title, n)
+    ORDER BY x.n`;
+  return hits.map((hit, i) => ({ ...hit, ...rows[i] }));
+}
+
+// Scale scores to 0..1 so full-text ranks and cosine similarities can be combined
+function normalizeScores(hits) {
+  const max = hits.reduce((m, hit) => Math.max(m, Number(hit.score) || 0), 0);
+  return hits.map((hit) => ({ ...hit, score: max > 0 ? (Number(hit.score) || 0) / max : 0 }));
+}
+
+function toResult(hit) {
+  return {
+    type: hit.type,
+    id: hit.id,
+    gmailId: hit.gmailId || null,
+    threadId: hit.threadId || null,
+    accountId: hit.accountId || null,
+    title: hit.title || null,
+    highlightedTitle: hit.highlightedTitle || hit.title || null,
+    snippet: hit.snippet || null,
+    sender: hit.sender || null,
+    date: hit.date,
+    labels: hit.labelIds || [],
+    hasAttachment: Boolean(hit.hasAttachment),
+    botId: hit.botId || null,
+    score: Math.round(Number(hit.score) * 10000) / 10000
+  };
+}
+
+/**
+ * Search a user's mail, AI summaries and tasks
+ * @param {string} userId - User ID from database
+ * @param {Object} params
+ * @param {string} params.q - Search text (websearch syntax: "quoted phrase", or, -exclude)
+ * @param {Array<string>} [params.types] - Subset of message | summary | task
+ * @param {string} [params.mode] - fulltext (default) | semantic | hybrid
+ * @param {Object} [params.filters] - { from, to, sender, hasAttachment, label, accountId, bot }
+ * @param {number} [params.limit] - Page size
+ * @param {number} [params.offset] - Hits to skip
+ * @returns {Promise<Object>} - { hits, hasMore, mode, embeddingModel }
+ */
+async function search(userId, { q, types = SOURCE_TYPES, mode = 'fulltext', filters = {}, limit = 20, offset = 0 }) {
+  const wanted = offset + limit + 1; // one extra to know whether there is a next page
+  let hits;
+
+  if (mode === 'semantic') {
+    hits = await addHeadlines(await semanticHits(userId, q, types, filters, wanted), q);
+  } else if (mode === 'hybrid') {
+    const [fullText, semantic] = await Promise.all([
+      fullTextHits(userId, q, types, filters, wanted),
+      semanticHits(userId, q, types, filters, wanted)
+    ]);
+
+    const merged = new Map();
+    for (const hit of normalizeScores(fullText)) {
+      merged.set(`${hit.type}:${hit.id}`, { ...hit, score: hit.score / 2 });
+    }
+    for (const hit of normalizeScores(semantic)) {
+      const key = `${hit.type}:${hit.id}`;
+      const existing = merged.get(key);
+      merged.set(key, existing ? { ...existing, score: existing.score + hit.score / 2 } : { ...hit, score: hit.score / 2 });
+    }
+
+    const ranked = [...merged.values()].sort((a, b) => b.score - a.score).slice(0, wanted);
+    const missing = ranked.filter((hit) => hit.snippet === undefined);
+    const withHeadline = new Map((await addHeadlines(missing, q)).map((hit) => [`${hit.type}:${hit.id}`, hit]));
+    hits = ranked.map((hit) => withHeadline.get(`${hit.type}:${hit.id}`) || hit);
+  } else {
+    hits = (await fullTextHits(userId, q, types, filters, wanted)).sort((a, b) => b.score - a.score);
+  }
+
+  const page = hits.slice(offset, offset + limit);
+  return {
+    hits: page.map(toResult),
+    hasMore: hits.length > offset + limit,
+    mode,
+    embeddingModel: mode === 'fulltext' ? null : getEmbeddingProvider()?.model || null
+  };
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  search
+};
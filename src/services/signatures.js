@@ -0,0 +1,197 @@
+const prisma = require('../config/database');
+const { getMailProvider, getAccountId } = require('./mailProviders');
+const { parseAddressList } = require('../utils/gmailMessage');
+
+/**
+ * Signatures and send-as aliases
+ *
+ * A user keeps any number of named HTML signatures per mailbox. A signature can
+ * be the default of one send-as alias (`sendAsEmail`); outgoing mail from that
+ * alias gets it appended, and so do bot/AI replies. Setting a default also
+ * writes it to the alias in Gmail's sendAs settings, and syncSignatures imports
+ * the signatures already configured in Gmail.
+ */
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.code = 400;
+  return error;
+}
+
+/**
+ * Send-as aliases of a mailbox
+ * @param {Object} mailbox - User or MailAccount record
+ * @returns {Promise<Array>} - [{ email, displayName, isPrimary, isDefault, signature, verificationStatus }]
+ */
+async function listAliases(mailbox) {
+  const { sendAs = [] } = await getMailProvider(mailbox).listSendAs();
+  return sendAs.map((alias) => ({
+    email: alias.sendAsEmail.toLowerCase(),
+    displayName: alias.displayName || null,
+    isPrimary: Boolean(alias.isPrimary),
+    isDefault: Boolean(alias.isDefault),
+    signature: alias.signature || '',
+    // The primary address has no verification status in Gmail
+    verificationStatus: alias.verificationStatus || (alias.isPrimary ? 'accepted' : null),
+  }));
+}
+
+/**
+ * Resolve the `from` of an outgoing email to one of the mailbox's verified aliases
+ * @param {Object} mailbox - User or MailAccount record
+ * @param {string} [from] - Alias address, optionally "Name <alias@domain>"
+ * @returns {Promise<Object>} - { from: header value or null (mailbox default), email: address sent from }
+ */
+async function resolveSendAs(mailbox, from) {
+  if (!from) return { from: null, email: String(mailbox.email || '').toLowerCase() };
+
+  const [wanted] = parseAddressList(from);
+  if (!wanted) throw badRequest('from must be an email address');
+
+  const alias = (await listAliases(mailbox)).find((a) => a.email === wanted.email);
+  if (!alias || alias.verificationStatus !== 'accepted') {
+    throw badRequest(`${wanted.email} is not a verified send-as alias of this mailbox`);
+  }
+
+  const name = wanted.name || alias.displayName;
+  return { from: name ? `${name} <${alias.email}>` : alias.email, email: alias.email };
+}
+
+/**
+ * Signature to use for an email
+ * @param {string} userId - Owner
+ * @param {string} accountId - Mailbox
+ * @param {string} sendAsEmail - Alias the email goes out from
+ * @param {string|boolean|null} [choice] - Signature ID, false/null for none, undefined for the alias default
+ * @returns {Promise<Object|null>} - Signature row
+ */
+async function pickSignature(userId, accountId, sendAsEmail, choice) {
+  if (choice === false || choice === null) return null;
+
+  if (choice !== undefined) {
+    const signature = await prisma.signature.findFirst({ where: { id: String(choice), userId, accountId } });
+    if (!signature) {
+      const error = new Error('Signature not found');
+      error.code = 404;
+      throw error;
+    }
+    return signature;
+  }
+
+  return prisma.signature.findFirst({ where: { userId, accountId, sendAsEmail } });
+}
+
+/**
+ * Append a signature to an HTML body, with the usual "-- " separator block
+ * @param {string} html - Body
+ * @param {Object|null} signature - Signature row
+ * @returns {string}
+ */
+function appendSignature(html, signature) {
+  if (!signature?.html) return html || '';
+  return `${html || ''}<br><div class="gmail_signature">-- <br>${signature.html}</div>`;
+}
+
+/**
+ * Sender and signed body of an outgoing email (POST /api/gmail/send, forwards, bot replies)
+ * @param {Object} user - User record (owner)
+ * @param {Object} mailbox - User or MailAccount record to send from
+ * @param {Object} message - { from, body, signature } (signature: ID, false for none, omitted for the alias default)
+ * @returns {Promise<Object>} - { from, body }
+ */
+async function prepareSender(user, mailbox, { from, body, signature }) {
+  const sender = await resolveSendAs(mailbox, from);
+  const chosen = await pickSignature(user.id, getAccountId(mailbox), sender.email, signature);
+  return { from: sender.from, body: appendSignature(body, chosen) };
+}
+
+/**
+ * Make a signature the default of an alias and write it to the alias in Gmail
+ * @param {Object} mailbox - User or MailAccount record
+ * @param {Object} signature - Signature row
+ * @param {string} sendAsEmail - Alias address
+ * @returns {Promise<Object>} - { signature, syncedToGmail }
+ */
+async function setDefaultSignature(mailbox, signature, sendAsEmail) {
+  const email = sendAsEmail.toLowerCase();
+  const alias = (await listAliases(mailbox)).find((a) => a.email === email);
+  if (!alias) throw badRequest(`${email} is not a send-as alias of this mailbox`);
+
+  // One default per alias
+  await prisma.signature.updateMany({
+    where: { userId: signature.userId, accountId: signature.accountId, sendAsEmail: email, NOT: { id: signature.id } },
+    data: { sendAsEmail: null }
+  });
+  const updated = await prisma.signature.update({ where: { id: signature.id }, data: { sendAsEmail: email } });
+
+  return { signature: updated, syncedToGmail: await pushAliasSignature(mailbox, email, updated.html) };
+}
+
+/**
+ * Stop using a signature as its alias default, clearing the alias signature in Gmail
+ * @param {Object} mailbox - User or MailAccount record
+ * @param {Object} signature - Signature row with sendAsEmail set
+ * @returns {Promise<Object>} - { signature, syncedToGmail }
+ */
+async function unsetDefaultSignature(mailbox, signature) {
+  const updated = await prisma.signature.update({ where: { id: signature.id }, data: { sendAsEmail: null } });
+  return { signature: updated, syncedToGmail: await pushAliasSignature(mailbox, signature.sendAsEmail, '') };
+}
+
+// Write an alias signature to the provider. Returns false when the provider keeps no signatures (IMAP).
+async function pushAliasSignature(mailbox, sendAsEmail, html) {
+  try {
+    await getMailProvider(mailbox).updateSendAs(sendAsEmail, { signature: html });
+    return true;
+  } catch (error) {
+    if (error?.code !== 400) throw error;
+    return false;
+  }
+}
+
+/**
+ * Import the alias signatures configured in Gmail
+ * An alias that already has a default signature here keeps it; otherwise the Gmail
+ * signature is stored (named after the alias) and becomes its default.
+ * @param {Object} user - User record (owner)
+ * @param {Object} mailbox - User or MailAccount record
+ * @returns {Promise<Object>} - { imported, skipped }
+ */
+async function syncSignatures(user, mailbox) {
+  const accountId = getAccountId(mailbox);
+  const result = { imported: 0, skipped: 0 };
+
+  for (const alias of await listAliases(mailbox)) {
+    if (!alias.signature) continue;
+
+    const existing = await prisma.signature.findFirst({ where: { userId: user.id, accountId, sendAsEmail: alias.email } });
+    if (existing) {
+      result.skipped++;
+      continue;
+    }
+
+    const name = `Gmail (${alias.email})`;
+    const named = await prisma.signature.findFirst({ where: { userId: user.id, accountId, name } });
+    if (named) {
+      await prisma.signature.update({ where: { id: named.id }, data: { html: alias.signature, sendAsEmail: alias.email } });
+    } else {
+      await prisma.signature.create({
+        data: { userId: user.id, accountId, name, html: alias.signature, sendAsEmail: alias.email }
+      });
+    }
+    result.imported++;
+  }
+
+  return result;
+}
+
+module.exports = {
+  listAliases,
+  resolveSendAs,
+  pickSignature,
+  appendSignature,
+  prepareSender,
+  setDefaultSignature,
+  unsetDefaultSignature,
+  syncSignatures
+};
@@ -0,0 +1,204 @@
+const prisma = require('../config/database');
+const { getMailProvider, resolveMailbox, hasMailAccess, getAccountId } = require('./mailProviders');
+const { applyLabelChange } = require('./mailMirror');
+const { getHeader } = require('../utils/gmailMessage');
+
+/**
+ * Snooze: take messages out of the inbox until a chosen time
+ *
+ * Snoozing removes INBOX and applies a "Snoozed" user label (SNOOZE_LABEL_NAME),
+ * and records the snooze in `snoozes`. When it is due, the snooze job puts the
+ * messages back in INBOX as unread and notifies the user.
+ *
+ * Providers may give a message a new ID when its labels change (IMAP moves it
+ * between folders), so the record always keeps the IDs returned by the provider.
+ */
+
+const SNOOZE_LABEL_NAME = process.env.SNOOZE_LABEL_NAME || 'Snoozed';
+// Messages of a thread that are never put back in the inbox
+const SKIPPED_LABELS = ['SENT', 'DRAFT', 'TRASH', 'SPAM'];
+
+/**
+ * Find the "Snoozed" label of a mailbox, creating it on first use
+ * @param {Object} mail - MailProvider
+ * @returns {Promise<string>} - Label ID
+ */
+async function ensureSnoozeLabel(mail) {
+  const findLabel = async () => {
+    const { labels = [] } = await mail.listLabels();
+    return labels.find((label) => label.name.toLowerCase() === SNOOZE_LABEL_NAME.toLowerCase());
+  };
+
+  const existing = await findLabel();
+  if (existing) return existing.id;
+
+  try {
+    const label = await mail.createLabel({ name: SNOOZE_LABEL_NAME });
+    return label.id;
+  } catch (error) {
+    // Created in the meantime by a concurrent snooze
+    if (error?.code !== 409) throw error;
+    const label = await findLabel();
+    if (!label) throw error;
+    return label.id;
+  }
+}
+
+// Apply a label change message by message, keeping the ID each message has afterwards
+async function relabel(mail, gmailIds, change) {
+  const ids = [];
+  for (const id of gmailIds) {
+    try {
+      const result = await mail.modifyMessage(id, change);
+      ids.push(result?.id || id);
+    } catch (error) {
+      // Deleted since it was snoozed
+      if (error?.code !== 404) throw error;
+    }
+  }
+  return ids;
+}
+
+/**
+ * Snooze a message or a whole thread
+ * @param {Object} user - User record (owner)
+ * @param {Object} mailbox - User or MailAccount record
+ * @param {Object} target - { gmailId } or { threadId }
+ * @param {Date} snoozeUntil - Wake-up time
+ * @returns {Promise<Object>} - Snooze row
+ */
+async function snoozeMessages(user, mailbox, { gmailId, threadId }, snoozeUntil) {
+  const mail = getMailProvider(mailbox);
+  const accountId = getAccountId(mailbox);
+  const metadata = { format: 'metadata', metadataHeaders: ['Subject', 'From'] };
+
+  let messages;
+  if (threadId) {
+    const thread = await mail.getThread(threadId, metadata);
+    messages = (thread.messages || []).filter((m) => !(m.labelIds || []).some((l) => SKIPPED_LABELS.includes(l)));
+    if (messages.length === 0) {
+      const error = new Error('Thread has no received messages to snooze');
+      error.code = 400;
+      throw error;
+    }
+  } else {
+    messages = [await mail.getMessage(gmailId, metadata)];
+  }
+
+  const headers = messages[0].payload?.headers || [];
+  const sourceIds = messages.map((m) => m.id);
+  const labelId = await ensureSnoozeLabel(mail);
+
+  const gmailIds = await relabel(mail, sourceIds, { addLabelIds: [labelId], removeLabelIds: ['INBOX'] });
+  await applyLabelChange(user.id, accountId, sourceIds, { addLabelIds: [labelId], removeLabelIds: ['INBOX'] });
+
+  // Snoozing again replaces the earlier snooze of the same messages
+  await prisma.snooze.updateMany({
+    where: { userId: user.id, accountId, status: 'snoozed', gmailIds: { hasSome: sourceIds } },
+    data: { status: 'cancelled' }
+  });
+
+  return prisma.snooze.create({
+    data: {
+      userId: user.id,
+      accountId,
+      threadId: threadId || messages[0].threadId || null,
+      gmailIds,
+      labelId,
+      subject: getHeader(headers, 'Subject'),
+      from: getHeader(headers, 'From'),
+      snoozeUntil
+    }
+  });
+}
+
+/**
+ * Put the messages of a snooze back in the inbox (unread) and close the snooze
+ * @param {Object} snooze - Snooze row
+ * @param {Object} [options]
+ * @param {string} [options.status] - woken (due time reached, default) | cancelled (unsnoozed early)
+ * @returns {Promise<Object>} - Updated row
+ */
+async function wakeSnooze(snooze, { status = 'woken' } = {}) {
+  const user = await prisma.user.findUnique({ where: { id: snooze.userId } });
+  const mailbox = user ? await resolveMailbox(user, snooze.accountId) : null;
+  if (!mailbox || !hasMailAccess(mailbox)) {
+    const error = new Error('Mailbox is no longer available');
+    error.code = 404;
+    throw error;
+  }
+
+  const mail = getMailProvider(mailbox);
+  const change = {
+    addLabelIds: ['INBOX', 'UNREAD'],
+    removeLabelIds: snooze.labelId ? [snooze.labelId] : []
+  };
+  const gmailIds = await relabel(mail, snooze.gmailIds, change);
+  await applyLabelChange(user.id, snooze.accountId, snooze.gmailIds, change);
+
+  const updated = await prisma.snooze.update({
+    where: { id: snooze.id },
+    data: { status, gmailIds, wokeAt: new Date(), lastError: null }
+  });
+
+  if (status === 'woken' && gmailIds.length > 0) {
+    await prisma.notification.create({
+      data: {
+        type: 'email',
+        title: `Snoozed email is back: ${snooze.subject || '(no subject)'}`,
+        description: `${snooze.from ? `From ${snooze.from}. ` : ''}Snoozed until ${new Date(snooze.snoozeUntil).toLocaleString()}, now back in your inbox`,
+        priority: 'high',
+        gmailId: gmailIds[0],
+        userId: snooze.userId,
+        isRead: false,
+        isActionDone: false
+      }
+    });
+  }
+
+  return updated;
+}
+
+/**
+ * Wake every snooze that is due
+ * Failures are kept on the row and retried on the next run; a mailbox that is gone cancels the snooze
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Snoozes handled per run
+ * @returns {Promise<Object>} - { woken, failed }
+ */
+async function processDueSnoozes({ limit = 50 } = {}) {
+  const result = { woken: 0, failed: 0 };
+
+  const due = await prisma.snooze.findMany({
+    where: { status: 'snoozed', snoozeUntil: { lte: new Date() } },
+    orderBy: { snoozeUntil: 'asc' },
+    take: limit
+  });
+
+  for (const snooze of due) {
+    try {
+      await wakeSnooze(snooze);
+      result.woken++;
+    } catch (error) {
+      result.failed++;
+      console.error(`❌ Failed to wake snooze ${snooze.id}:`, error?.message);
+      await prisma.snooze.update({
+        where: { id: snooze.id },
+        data: {
+          lastError: error?.message || 'Wake failed',
+          ...(error?.code === 404 ? { status: 'cancelled' } : {})
+        }
+      });
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  SNOOZE_LABEL_NAME,
+  ensureSnoozeLabel,
+  snoozeMessages,
+  wakeSnooze,
+  processDueSnoozes
+};
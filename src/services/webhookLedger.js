@@ -0,0 +1,198 @@
+const prisma = require('../config/database');
+
+/**
+ * Idempotency ledger of the mail webhook pipeline
+ *
+ * Pub/Sub delivers at least once, and the same message can also reach the bot
+ * pipeline through two notifications (overlapping history ranges, or a Pub/Sub
+ * push and an IMAP watcher). Each push is recorded by its Pub/Sub messageId and
+ * each received message by its mailbox message ID; only the first claim wins,
+ * so bots never run twice and auto-replies are never sent twice. A claim left
+ * `processing` by a run that crashed or timed out is taken over once it is stale;
+ * its updatedAt is the claim's version, so the run that lost it can no longer
+ * close or release it.
+ */
+
+// Ledger rows older than this are pruned; redeliveries come within minutes, history replays within days
+const LEDGER_RETENTION_DAYS = parseInt(process.env.WEBHOOK_LEDGER_RETENTION_DAYS, 10) || 30;
+
+// A `processing` claim (or an unsent reply claim) not closed within this window belongs to a crashed run and is taken over
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+
+// Unique constraint violation: the row was claimed first by someone else
+const isDuplicate = (error) => error?.code === 'P2002';
+
+// Claim held by this exact run: same row, still processing, not taken over since
+const heldClaim = (claim) => ({ id: claim.id, status: 'processing', updatedAt: claim.updatedAt });
+
+/**
+ * Record a Pub/Sub push delivery
+ * @param {string} messageId - Pub/Sub messageId
+ * @param {Object} [data] - { emailAddress, historyId }
+ * @returns {Promise<boolean>} - false when this delivery was already handled
+ */
+async function recordDelivery(messageId, { emailAddress, historyId } = {}) {
+  try {
+    await prisma.pubsubDelivery.create({
+      data: {
+        id: String(messageId),
+        emailAddress: emailAddress || null,
+        historyId: historyId ? String(historyId) : null
+      }
+    });
+    return true;
+  } catch (error) {
+    if (isDuplicate(error)) return false;
+    throw error;
+  }
+}
+
+/**
+ * Forget a Pub/Sub push whose processing failed, so its redelivery is handled
+ * @param {string} messageId - Pub/Sub messageId
+ * @returns {Promise<void>}
+ */
+async function releaseDelivery(messageId) {
+  await prisma.pubsubDelivery.deleteMany({ where: { id: String(messageId) } });
+}
+
+/**
+ * Claim a received message for the bot pipeline
+ * @param {string} userId - Owner
+ * @param {string} accountId - Mailbox the message arrived in
+ * @param {string} gmailId - Message ID
+ * @returns {Promise<Object>} - { claim: ProcessedMessage row or null, inProgress: true when another
+ *   run holds a fresh claim on the message (it is not done yet) }
+ */
+async function claimMessage(userId, accountId, gmailId) {
+  try {
+    const claim = await prisma.processedMessage.create({
+      data: { userId, accountId, gmailId, actions: [] }
+    });
+    return { claim, inProgress: false };
+  } catch (error) {
+    if (!isDuplicate(error)) throw error;
+  }
+
+  // Take over a claim whose run died before closing or releasing it
+  const now = new Date();
+  const { count } = await prisma.processedMessage.updateMany({
+    where: { userId, accountId, gmailId, status: 'processing', updatedAt: { lt: new Date(now.getTime() - STALE_CLAIM_MS) } },
+    data: { updatedAt: now }
+  });
+  const existing = await prisma.processedMessage.findUnique({
+    where: { userId_accountId_gmailId: { userId, accountId, gmailId } }
+  });
+  if (count > 0 && existing) return { claim: existing, inProgress: false };
+  return { claim: null, inProgress: existing?.status === 'processing' };
+}
+
+/**
+ * Close a claimed message with what the pipeline did
+ * @param {Object} claim - ProcessedMessage row returned by claimMessage
+ * @param {Object} result - { status: done | muted, botId, actions, botActions: [{ botId, botName, actions }] }
+ * @param {Object} [db] - Prisma client, or the transaction client the jobs were queued in
+ * @returns {Promise<void>} - Rejects when the claim was taken over by another run
+ */
+async function finishMessage(claim, { status = 'done', botId = null, actions = [], botActions = null } = {}, db = prisma) {
+  const { count } = await db.processedMessage.updateMany({
+    where: heldClaim(claim),
+    data: { status, botId, actions, botActions: botActions || undefined }
+  });
+  if (count === 0) throw new Error(`Claim on message ${claim.gmailId} was taken over by another run`);
+}
+
+/**
+ * Claim the auto-reply of a message for a bot, so a message never gets two replies
+ * (from two bots, or from a retried job). The claim names the job holding it: a
+ * retry of that job, or any job once the claim is stale, takes it over as long
+ * as the reply was not marked sent.
+ * @param {string} userId - Owner
+ * @param {string} accountId - Mailbox the message arrived in
+ * @param {string} gmailId - Message ID
+ * @param {string} botId - Bot about to reply
+ * @param {string} jobId - MailJob sending the reply
+ * @returns {Promise<boolean>} - false when the message already has its reply (or another job is sending it)
+ */
+async function claimReply(userId, accountId, gmailId, botId, jobId) {
+  const now = new Date();
+  const { count } = await prisma.processedMessage.updateMany({
+    where: {
+      userId,
+      accountId,
+      gmailId,
+      repliedAt: null,
+      OR: [
+        { repliedBotId: null },
+        { replyJobId: jobId },
+        { replyClaimedAt: { lt: new Date(now.getTime() - STALE_CLAIM_MS) } }
+      ]
+    },
+    data: { repliedBotId: botId, replyJobId: jobId, replyClaimedAt: now }
+  });
+  return count > 0;
+}
+
+/**
+ * Mark the auto-reply of a message sent (or held in the outbox); the claim is final from then on
+ * @param {string} userId - Owner
+ * @param {string} accountId - Mailbox the message arrived in
+ * @param {string} gmailId - Message ID
+ * @param {string} jobId - MailJob that sent the reply
+ * @returns {Promise<void>}
+ */
+async function markReplySent(userId, accountId, gmailId, jobId) {
+  await prisma.processedMessage.updateMany({
+    where: { userId, accountId, gmailId, replyJobId: jobId },
+    data: { repliedAt: new Date() }
+  });
+}
+
+/**
+ * Give up a reply claim after the reply could not be sent, so a retry can send it
+ * @param {string} userId - Owner
+ * @param {string} accountId - Mailbox the message arrived in
+ * @param {string} gmailId - Message ID
+ * @param {string} jobId - MailJob that held the claim
+ * @returns {Promise<void>}
+ */
+async function releaseReply(userId, accountId, gmailId, jobId) {
+  await prisma.processedMessage.updateMany({
+    where: { userId, accountId, gmailId, replyJobId: jobId, repliedAt: null },
+    data: { repliedBotId: null, replyJobId: null, replyClaimedAt: null }
+  });
+}
+
+/**
+ * Give up a claim whose processing failed, so the next notification (or catch-up) tries the message again
+ * @param {Object} claim - ProcessedMessage row returned by claimMessage
+ * @returns {Promise<void>}
+ */
+async function releaseMessage(claim) {
+  await prisma.processedMessage.deleteMany({ where: heldClaim(claim) });
+}
+
+/**
+ * Delete ledger rows past the retention window
+ * @returns {Promise<Object>} - { deliveries, messages } rows deleted
+ */
+async function pruneLedger() {
+  const before = new Date(Date.now() - LEDGER_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const [deliveries, messages] = await Promise.all([
+    prisma.pubsubDelivery.deleteMany({ where: { receivedAt: { lt: before } } }),
+    prisma.processedMessage.deleteMany({ where: { createdAt: { lt: before } } })
+  ]);
+  return { deliveries: deliveries.count, messages: messages.count };
+}
+
+module.exports = {
+  recordDelivery,
+  releaseDelivery,
+  claimMessage,
+  finishMessage,
+  releaseMessage,
+  claimReply,
+  markReplySent,
+  releaseReply,
+  pruneLedger
+};
@@ -0,0 +1,39 @@
+// src/utils/encryption.js
+// Symmetric encryption for secrets we must store (e.g. IMAP/SMTP passwords)
+
+const crypto = require('crypto');
+const config = require('../config/config');
+
+function getKey() {
+  return crypto.createHash('sha256').update(String(config.CREDENTIALS_SECRET)).digest();
+}
+
+/**
+ * Encrypt a string with AES-256-GCM
+ * @param {string} plainText - Value to encrypt
+ * @returns {string} - iv:tag:cipherText, base64 encoded parts
+ */
+function encrypt(plainText) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(plainText), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [iv, tag, encrypted].map((b) => b.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt a value produced by encrypt()
+ * @param {string} payload - iv:tag:cipherText
+ * @returns {string} - Plain text
+ */
+function decrypt(payload) {
+  const [iv, tag, encrypted] = String(payload).split(':').map((p) => Buffer.from(p, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+};
@@ -0,0 +1,85 @@
+// src/utils/gmailMessage.js
+// Helpers for reading Gmail-shaped message resources
+
+// Read a header value (exact name match, like the Gmail API returns them)
+function getHeader(headers, name) {
+  return (headers || []).find((h) => h.name === name)?.value || null;
+}
+
+// decode Gmail's base64url-encoded body
+function decodeBase64Url(data) {
+  if (!data) return '';
+  const buff = Buffer.from(data.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+  return buff.toString('utf8');
+}
+
+// recursively extract text/plain and text/html from payload
+function extractBodies(payload) {
+  let text = '';
+  let html = '';
+
+  const walk = (part) => {
+    if (!part) return;
+    const mimeType = part.mimeType || '';
+    if (part.body && part.body.data && (mimeType === 'text/plain' || mimeType === 'text/html')) {
+      const decoded = decodeBase64Url(part.body.data);
+      if (mimeType === 'text/plain') text += decoded;
+      if (mimeType === 'text/html') html += decoded;
+    }
+
+    // Some messages have no parts; the body is directly on payload
+    if (!part.parts && part.body && part.body.data && !mimeType) {
+      // try to treat as text
+      text += decodeBase64Url(part.body.data);
+    }
+
+    if (Array.isArray(part.parts)) {
+      part.parts.forEach(walk);
+    }
+  };
+
+  walk(payload);
+  return { text: text || null, html: html || null };
+}
+
+// collect attachment parts metadata recursively
+function collectAttachmentParts(payload, list = []) {
+  if (!payload) return list;
+  const hasFilename = !!payload.filename;
+  const hasAttachmentId = !!payload?.body?.attachmentId;
+  if (hasFilename && hasAttachmentId) {
+    list.push({
+      filename: payload.filename,
+      mimeType: payload.mimeType || null,
+      size: payload.body?.size || null,
+      attachmentId: payload.body.attachmentId,
+      partId: payload.partId || null,
+    });
+  }
+  if (Array.isArray(payload.parts)) {
+    payload.parts.forEach((p) => collectAttachmentParts(p, list));
+  }
+  return list;
+}
+
+// parse an address header ("Name <a@b.com>, c@d.com") into [{ name, email }]
+function parseAddressList(value) {
+  if (!value) return [];
+  const entries = String(value).match(/(?:"[^"]*"|[^,"])+/g) || [];
+  return entries
+    .map((entry) => {
+      const match = entry.match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+      const email = (match ? match[2] : entry).trim().toLowerCase();
+      const name = match ? match[1].trim() : '';
+      return { name: name || null, email };
+    })
+    .filter((address) => address.email.includes('@'));
+}
+
+module.exports = {
+  getHeader,
+  decodeBase64Url,
+  extractBodies,
+  collectAttachmentParts,
+  parseAddressList,
+};
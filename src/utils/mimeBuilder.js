@@ -0,0 +1,221 @@
+// src/utils/mimeBuilder.js
+// Build RFC 822 / MIME messages for sending (counterpart of mailProviders/mimeParser)
+//
+// Layout, outermost first (levels are skipped when empty):
+//   multipart/mixed        - body + regular attachments
+//     multipart/related    - body + inline images referenced as cid:<id>
+//       multipart/alternative - text/plain (generated from the HTML when missing) + text/html
+const crypto = require('crypto');
+
+const CRLF = '\r\n';
+// Longest encoded-word allowed by RFC 2047
+const MAX_ENCODED_WORD = 75;
+
+const isAscii = (value) => /^[\x20-\x7e]*$/.test(value);
+
+function newBoundary() {
+  return `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// base64 wrapped at 76 characters per line
+function base64Lines(buffer) {
+  return Buffer.from(buffer).toString('base64').replace(/.{76}/g, `$&${CRLF}`).replace(/\r\n$/, '');
+}
+
+/**
+ * Encode a header value as RFC 2047 encoded-words when it is not plain ASCII
+ * Words are split on character boundaries so multi-byte (e.g. Arabic) text is never cut
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeHeaderValue(value) {
+  const text = String(value ?? '');
+  if (isAscii(text)) return text;
+
+  const prefix = '=?UTF-8?B?';
+  const suffix = '?=';
+  // 4 base64 chars per 3 bytes
+  const maxBytes = Math.floor((MAX_ENCODED_WORD - prefix.length - suffix.length) / 4) * 3;
+
+  const words = [];
+  let chunk = '';
+  for (const char of text) {
+    if (Buffer.byteLength(chunk + char) > maxBytes) {
+      words.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  if (chunk) words.push(chunk);
+
+  return words.map((word) => `${prefix}${Buffer.from(word).toString('base64')}${suffix}`).join(`${CRLF} `);
+}
+
+// Split an address list on commas that are not inside quotes or angle brackets
+function splitAddresses(value) {
+  const list = [];
+  let current = '';
+  let quoted = false;
+  let angle = false;
+  for (const char of String(value)) {
+    if (char === '"') quoted = !quoted;
+    if (char === '<' && !quoted) angle = true;
+    if (char === '>' && !quoted) angle = false;
+    if (char === ',' && !quoted && !angle) {
+      list.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  list.push(current);
+  return list.map((a) => a.trim()).filter(Boolean);
+}
+
+/**
+ * Encode an address header (To, Cc, From...), keeping addresses readable and encoding display names
+ * @param {string|Array<string>} value - "Name <a@b.com>, c@d.com" or an array of entries
+ * @returns {string}
+ */
+function encodeAddressHeader(value) {
+  const entries = Array.isArray(value) ? value : splitAddresses(value);
+  return entries
+    .map((entry) => {
+      const match = String(entry).match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+      if (!match || !match[1]) return String(entry).trim();
+      const name = match[1].trim();
+      const encodedName = isAscii(name) ? `"${name.replace(/"/g, '\\"')}"` : encodeHeaderValue(name);
+      return `${encodedName} <${match[2].trim()}>`;
+    })
+    .join(', ');
+}
+
+// filename parameter: plain when ASCII, RFC 2231 (plus an encoded-word name for old clients) otherwise
+function filenameParams(param, filename) {
+  if (isAscii(filename)) return `${param}="${filename.replace(/["\\]/g, '_')}"`;
+  return `${param}="${encodeHeaderValue(filename).replace(/\r\n /g, ' ')}"; ${param}*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+/**
+ * Plain-text version of an HTML body, for the text/plain alternative
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+  return String(html || '')
+    .replace(/<(style|script|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|li|tr|blockquote)>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '- ')
+    .replace(/<a[^>]*href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) =>
+      label.replace(/<[^>]+>/g, '').trim() === href ? href : `${label} (${href})`)
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function textPart(mimeType, content) {
+  return [
+    `Content-Type: ${mimeType}; charset=UTF-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(Buffer.from(content, 'utf8'))
+  ].join(CRLF);
+}
+
+function attachmentPart(attachment) {
+  const mimeType = attachment.mimeType || 'application/octet-stream';
+  const filename = attachment.filename || 'attachment';
+  const lines = [
+    `Content-Type: ${mimeType}; ${filenameParams('name', filename)}`,
+    'Content-Transfer-Encoding: base64',
+    `Content-Disposition: ${attachment.cid ? 'inline' : 'attachment'}; ${filenameParams('filename', filename)}`
+  ];
+  if (attachment.cid) lines.push(`Content-ID: <${attachment.cid}>`);
+  lines.push('', base64Lines(attachment.content));
+  return lines.join(CRLF);
+}
+
+function multipart(subtype, parts) {
+  const boundary = newBoundary();
+  return [
+    `Content-Type: multipart/${subtype}; boundary="${boundary}"`,
+    '',
+    ...parts.map((part) => `--${boundary}${CRLF}${part}`),
+    `--${boundary}--`,
+    ''
+  ].join(CRLF);
+}
+
+/**
+ * Build a MIME message
+ * @param {Object} message
+ * @param {string} [message.from] - Omit to let the provider fill in the mailbox address
+ * @param {string|Array<string>} message.to
+ * @param {string|Array<string>} [message.cc]
+ * @param {string|Array<string>} [message.bcc]
+ * @param {string} [message.subject] - Any language; non-ASCII is RFC 2047 encoded
+ * @param {string} [message.html] - HTML body
+ * @param {string} [message.text] - Text body (generated from html when omitted)
+ * @param {string} [message.inReplyTo] - Message-ID being replied to
+ * @param {string} [message.references] - References chain of the message being replied to
+ * @param {Array<Object>} [message.attachments] - { filename, mimeType, content: Buffer, cid? } (cid = inline image)
+ * @param {Object} [message.headers] - Extra headers { name: value }
+ * @returns {string} - Raw RFC 822 message
+ */
+function buildMimeMessage(message) {
+  const { from, to, cc, bcc, subject, html, inReplyTo, references, attachments = [], headers = {} } = message;
+  const text = message.text ?? (html ? htmlToText(html) : '');
+
+  const headerLines = [];
+  if (from) headerLines.push(`From: ${encodeAddressHeader(from)}`);
+  if (to) headerLines.push(`To: ${encodeAddressHeader(to)}`);
+  if (cc) headerLines.push(`Cc: ${encodeAddressHeader(cc)}`);
+  if (bcc) headerLines.push(`Bcc: ${encodeAddressHeader(bcc)}`);
+  headerLines.push(`Subject: ${encodeHeaderValue(subject || '')}`);
+
+  // Threading headers keep replies in the same conversation
+  if (inReplyTo) {
+    headerLines.push(`In-Reply-To: ${inReplyTo}`);
+    headerLines.push(`References: ${references ? `${references} ${inReplyTo}` : inReplyTo}`);
+  }
+  for (const [name, value] of Object.entries(headers)) {
+    headerLines.push(`${name}: ${encodeHeaderValue(value)}`);
+  }
+  headerLines.push('MIME-Version: 1.0');
+
+  let body = html
+    ? multipart('alternative', [textPart('text/plain', text), textPart('text/html', html)])
+    : textPart('text/plain', text);
+
+  const inline = attachments.filter((a) => a.cid);
+  const regular = attachments.filter((a) => !a.cid);
+  if (inline.length > 0) body = multipart('related', [body, ...inline.map(attachmentPart)]);
+  if (regular.length > 0) body = multipart('mixed', [body, ...regular.map(attachmentPart)]);
+
+  return `${headerLines.join(CRLF)}${CRLF}${body}`;
+}
+
+/**
+ * Build a MIME message encoded for the `raw` field of messages.send / drafts
+ * @param {Object} message - See buildMimeMessage
+ * @returns {string} - base64url
+ */
+function buildRawMessage(message) {
+  return Buffer.from(buildMimeMessage(message)).toString('base64url');
+}
+
+module.exports = {
+  encodeHeaderValue,
+  encodeAddressHeader,
+  htmlToText,
+  buildMimeMessage,
+  buildRawMessage,
+};
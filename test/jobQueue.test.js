@@ -0,0 +1,156 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakePrisma, stubModule } = require('./support/fakePrisma');
+
+const db = useFakePrisma({
+  mailJob: {
+    defaults: () => ({
+      status: 'queued', attempts: 0, maxAttempts: 3, runAt: new Date(), lockedUntil: null, lastError: null,
+      accountId: 'primary', botId: 'b1', payload: {}
+    })
+  },
+  deadMailJob: { defaults: () => ({ failedAt: new Date() }) }
+});
+
+// The handlers stand in for the real bot work (summaries, extraction, replies)
+const handlers = {};
+let context = {};
+stubModule('../../src/services/inboundMailJobs', {
+  MAIL_JOB_HANDLERS: handlers,
+  loadJobContext: async () => context
+});
+const { runMailJob, processMailJobs } = require('../src/services/jobQueue');
+
+const queueJob = (data = {}) => db.mailJob.create({ data: { type: 'work', userId: 'u1', gmailId: 'm1', ...data } });
+const storedJob = (id) => db.mailJob.rows.find((row) => row.id === id);
+
+// Claim the job again as another worker would once the visibility timeout passed
+function takeOver(job) {
+  const row = storedJob(job.id);
+  row.attempts += 1;
+  row.lockedUntil = new Date(Date.now() + 5 * 60 * 1000);
+}
+
+beforeEach(() => {
+  db.mailJob.rows.length = 0;
+  db.deadMailJob.rows.length = 0;
+  context = {};
+  handlers.work = async () => {};
+});
+
+test('a job that succeeds is removed from the queue', async () => {
+  const job = await queueJob();
+  let ran = null;
+  handlers.work = async (claimed, ctx) => { ran = { claimed, ctx }; };
+  context = { user: { id: 'u1' } };
+
+  assert.equal(await runMailJob(job), 'completed');
+  assert.equal(ran.claimed.id, job.id);
+  assert.deepEqual(ran.ctx, context);
+  assert.equal(db.mailJob.rows.length, 0);
+});
+
+test('a job whose bot is gone completes without running', async () => {
+  const job = await queueJob();
+  let ran = false;
+  handlers.work = async () => { ran = true; };
+  context = null;
+
+  assert.equal(await runMailJob(job), 'completed');
+  assert.equal(ran, false);
+});
+
+test('a failed job is queued again with a backoff', async () => {
+  const job = await queueJob();
+  handlers.work = async () => { throw new Error('rate limited'); };
+
+  const before = Date.now();
+  assert.equal(await runMailJob(job), 'retried');
+
+  const row = storedJob(job.id);
+  assert.equal(row.status, 'queued');
+  assert.equal(row.attempts, 1);
+  assert.equal(row.lockedUntil, null);
+  assert.equal(row.lastError, 'rate limited');
+  assert.ok(row.runAt.getTime() >= before + 30 * 1000);
+});
+
+test('a job out of attempts moves to the dead letters', async () => {
+  const job = await queueJob({ attempts: 2 });
+  handlers.work = async () => { throw new Error('still failing'); };
+
+  assert.equal(await runMailJob(job), 'dead');
+  assert.equal(db.mailJob.rows.length, 0);
+  assert.equal(db.deadMailJob.rows.length, 1);
+  assert.equal(db.deadMailJob.rows[0].jobId, job.id);
+  assert.equal(db.deadMailJob.rows[0].attempts, 3);
+  assert.equal(db.deadMailJob.rows[0].lastError, 'still failing');
+});
+
+test('a job failing with a permanent error is dead-lettered right away', async () => {
+  const job = await queueJob();
+  handlers.work = async () => {
+    const error = new Error('Mailbox is no longer available');
+    error.code = 404;
+    throw error;
+  };
+
+  assert.equal(await runMailJob(job), 'dead');
+  assert.equal(db.deadMailJob.rows[0].attempts, 1);
+});
+
+test('a job held by another worker is not run', async () => {
+  const job = await queueJob({ status: 'running', attempts: 1, lockedUntil: new Date(Date.now() + 60 * 1000) });
+  let ran = false;
+  handlers.work = async () => { ran = true; };
+
+  assert.equal(await runMailJob(job), null);
+  assert.equal(ran, false);
+  assert.equal(storedJob(job.id).attempts, 1);
+});
+
+test('a running job past its visibility timeout is run again', async () => {
+  const job = await queueJob({ status: 'running', attempts: 1, lockedUntil: new Date(Date.now() - 1000) });
+
+  assert.equal(await runMailJob(job), 'completed');
+  assert.equal(db.mailJob.rows.length, 0);
+});
+
+test('a worker that lost its lease does not complete the job', async () => {
+  const job = await queueJob();
+  handlers.work = async (claimed) => takeOver(claimed);
+
+  assert.equal(await runMailJob(job), null);
+  assert.equal(storedJob(job.id).status, 'running');
+  assert.equal(storedJob(job.id).attempts, 2);
+});
+
+test('a worker that lost its lease neither retries nor dead-letters the job', async () => {
+  const retried = await queueJob();
+  const buried = await queueJob({ attempts: 2 });
+  handlers.work = async (claimed) => {
+    takeOver(claimed);
+    throw new Error('failed after the timeout');
+  };
+
+  assert.equal(await runMailJob(retried), null);
+  assert.equal(storedJob(retried.id).status, 'running');
+  assert.equal(storedJob(retried.id).lastError, null);
+
+  assert.equal(await runMailJob(buried), null);
+  assert.ok(storedJob(buried.id));
+  assert.equal(db.deadMailJob.rows.length, 0);
+});
+
+test('processMailJobs runs the due jobs and counts the outcomes', async () => {
+  await queueJob({ gmailId: 'ok' });
+  await queueJob({ gmailId: 'retry' });
+  await queueJob({ gmailId: 'dead', attempts: 2 });
+  await queueJob({ gmailId: 'later', runAt: new Date(Date.now() + 60 * 1000) });
+  handlers.work = async (job) => {
+    if (job.gmailId !== 'ok') throw new Error('failed');
+  };
+
+  assert.deepEqual(await processMailJobs(), { completed: 1, retried: 1, dead: 1 });
+  assert.deepEqual(db.mailJob.rows.map((row) => row.gmailId).sort(), ['later', 'retry']);
+});
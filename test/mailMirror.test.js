@@ -0,0 +1,117 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakePrisma } = require('./support/fakePrisma');
+
+process.env.MAIL_PROVIDER = 'memory';
+
+const db = useFakePrisma({
+  mirroredMessage: { unique: [['userId', 'accountId', 'gmailId']] },
+  mailboxSync: {
+    unique: [['userId', 'accountId']],
+    defaults: { historyId: null, isStale: true, lastSyncedAt: null, lastFullSyncAt: null, coveredSince: null, lastError: null }
+  }
+});
+const { syncMailbox } = require('../src/services/mailMirror');
+const { createMemoryProvider, deliverMessage } = require('../src/services/mailProviders/memoryProvider');
+
+// Every test gets a mailbox of its own (memory mailboxes live as long as the process)
+let users = 0;
+let user;
+let mail;
+
+const deliver = (subject) => deliverMessage(user.email, { from: 'sender@example.test', subject, text: `Body of ${subject}` });
+const mirrored = (gmailId) => db.mirroredMessage.rows.find((row) => row.gmailId === gmailId);
+const syncState = () => db.mailboxSync.rows.find((row) => row.userId === user.id);
+
+beforeEach(async () => {
+  db.mirroredMessage.rows.length = 0;
+  db.mailboxSync.rows.length = 0;
+  users += 1;
+  user = { id: `u${users}`, email: `user${users}@example.test` };
+  mail = createMemoryProvider(user.email);
+
+  // First sync is full; the tests below sync incrementally from its cursor
+  deliver('Before the first sync');
+  const first = await syncMailbox(user, user);
+  assert.equal(first.full, true);
+});
+
+test('new mail is added to the mirror and the cursor moves forward', async () => {
+  const message = deliver('New mail');
+
+  const result = await syncMailbox(user, user);
+  assert.equal(result.full, false);
+  assert.equal(result.changed, 1);
+
+  const row = mirrored(message.id);
+  assert.equal(row.subject, 'New mail');
+  assert.equal(row.textBody.trim(), 'Body of New mail');
+  assert.deepEqual(row.labelIds, ['INBOX', 'UNREAD']);
+
+  const { historyId } = await mail.getProfile();
+  assert.equal(result.historyId, historyId);
+  assert.equal(syncState().historyId, historyId);
+  assert.equal(syncState().isStale, false);
+});
+
+test('an incremental sync with no changes keeps the mirror as it is', async () => {
+  const result = await syncMailbox(user, user);
+
+  assert.equal(result.full, false);
+  assert.equal(result.changed, 0);
+  assert.equal(db.mirroredMessage.rows.length, 1);
+});
+
+test('label changes are applied to mirrored messages', async () => {
+  const message = deliver('Read and trash me');
+  await syncMailbox(user, user);
+
+  await mail.modifyMessage(message.id, { removeLabelIds: ['UNREAD'], addLabelIds: ['STARRED'] });
+  await mail.trashMessage(message.id);
+  await syncMailbox(user, user);
+
+  assert.deepEqual([...mirrored(message.id).labelIds].sort(), ['STARRED', 'TRASH']);
+});
+
+test('deleted messages are removed from the mirror', async () => {
+  const message = deliver('Delete me');
+  await syncMailbox(user, user);
+  assert.ok(mirrored(message.id));
+
+  await mail.deleteMessage(message.id);
+  const result = await syncMailbox(user, user);
+
+  assert.equal(result.changed, 1);
+  assert.equal(mirrored(message.id), undefined);
+  assert.equal(db.mirroredMessage.rows.length, 1);
+});
+
+test('a message added and deleted between two syncs is never stored', async () => {
+  const message = deliver('Gone before the sync');
+  await mail.deleteMessage(message.id);
+
+  await syncMailbox(user, user);
+  assert.equal(mirrored(message.id), undefined);
+});
+
+test('a label change on a message missing from the mirror downloads it', async () => {
+  const message = deliver('Not mirrored');
+  await syncMailbox(user, user);
+  db.mirroredMessage.rows.splice(db.mirroredMessage.rows.indexOf(mirrored(message.id)), 1);
+
+  await mail.modifyMessage(message.id, { removeLabelIds: ['UNREAD'] });
+  await syncMailbox(user, user);
+
+  assert.equal(mirrored(message.id).subject, 'Not mirrored');
+  assert.deepEqual(mirrored(message.id).labelIds, ['INBOX']);
+});
+
+test('a history ID the provider no longer knows falls back to a full resync', async () => {
+  const message = deliver('After the cursor');
+  syncState().historyId = '999999';
+
+  const result = await syncMailbox(user, user);
+  assert.equal(result.full, true);
+  assert.ok(mirrored(message.id));
+  assert.equal(syncState().historyId, (await mail.getProfile()).historyId);
+});
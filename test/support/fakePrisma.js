@@ -0,0 +1,213 @@
+/**
+ * In-memory stand-in for the Prisma client, for unit tests of services
+ *
+ * Covers the calls the tested services make: create, findUnique, findFirst,
+ * findMany, count, update, updateMany, upsert, delete, deleteMany and
+ * $transaction (array and callback forms). Where filters support equality,
+ * null, in, notIn, lt, lte, gt, gte, OR, AND, NOT and compound unique keys
+ * (`userId_accountId_gmailId: {...}`). Unique constraints throw P2002 like
+ * Postgres does, and updatedAt moves on every write like @updatedAt.
+ *
+ * Usage: const db = useFakePrisma(models) before requiring the service under test.
+ */
+
+let sequence = 0;
+
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+function matchesCondition(value, condition) {
+  if (condition === null) return value === null || value === undefined;
+  if (condition instanceof Date || typeof condition !== 'object' || Array.isArray(condition)) {
+    return comparable(value) === comparable(condition);
+  }
+
+  const v = comparable(value);
+  return Object.entries(condition).every(([op, operand]) => {
+    const o = comparable(operand);
+    switch (op) {
+      case 'equals': return matchesCondition(value, operand);
+      case 'not': return !matchesCondition(value, operand);
+      case 'in': return operand.map(comparable).includes(v);
+      case 'notIn': return !operand.map(comparable).includes(v);
+      case 'lt': return value != null && v < o;
+      case 'lte': return value != null && v <= o;
+      case 'gt': return value != null && v > o;
+      case 'gte': return value != null && v >= o;
+      default: throw new Error(`fakePrisma: unsupported filter "${op}"`);
+    }
+  });
+}
+
+function matches(row, where = {}) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (condition === undefined) return true;
+    if (key === 'OR') return condition.some((part) => matches(row, part));
+    if (key === 'AND') return [].concat(condition).every((part) => matches(row, part));
+    if (key === 'NOT') return [].concat(condition).every((part) => !matches(row, part));
+    // Compound unique key
+    if (key.includes('_') && condition && typeof condition === 'object') return matches(row, condition);
+    return matchesCondition(row[key], condition);
+  });
+}
+
+function duplicateError(fields) {
+  const error = new Error(`Unique constraint failed on the fields: (${fields.join(', ')})`);
+  error.code = 'P2002';
+  return error;
+}
+
+function notFoundError() {
+  const error = new Error('Record to update not found.');
+  error.code = 'P2025';
+  return error;
+}
+
+function createModel(name, { unique = [], defaults = {} } = {}) {
+  const rows = [];
+  const constraints = [['id'], ...unique];
+
+  const checkUnique = (candidate, except) => {
+    for (const fields of constraints) {
+      const clash = rows.some((row) => row !== except &&
+        fields.every((field) => comparable(row[field]) === comparable(candidate[field])));
+      if (clash) throw duplicateError(fields);
+    }
+  };
+
+  const applyData = (row, data) => {
+    const next = { ...row, ...data, updatedAt: data.updatedAt || new Date() };
+    for (const [key, value] of Object.entries(data)) {
+      if (value === undefined) next[key] = row[key];
+    }
+    checkUnique(next, row);
+    Object.assign(row, next);
+    return row;
+  };
+
+  const sortRows = (list, orderBy) => {
+    const orders = [].concat(orderBy || []);
+    return list.sort((a, b) => {
+      for (const order of orders) {
+        const [[field, direction]] = Object.entries(order);
+        const x = comparable(a[field]);
+        const y = comparable(b[field]);
+        if (x !== y) return (x < y ? -1 : 1) * (direction === 'desc' ? -1 : 1);
+      }
+      return 0;
+    });
+  };
+
+  const model = {
+    rows,
+
+    async create({ data }) {
+      const now = new Date();
+      const row = {
+        id: `${name}_${++sequence}`,
+        ...(typeof defaults === 'function' ? defaults() : defaults),
+        createdAt: now,
+        updatedAt: now,
+        ...data
+      };
+      checkUnique(row);
+      rows.push(row);
+      return { ...row };
+    },
+
+    async findUnique({ where }) {
+      const row = rows.find((r) => matches(r, where));
+      return row ? { ...row } : null;
+    },
+
+    async findFirst({ where, orderBy } = {}) {
+      const row = sortRows(rows.filter((r) => matches(r, where)), orderBy)[0];
+      return row ? { ...row } : null;
+    },
+
+    async findMany({ where, orderBy, skip = 0, take } = {}) {
+      const list = sortRows(rows.filter((r) => matches(r, where)), orderBy).slice(skip);
+      return (take === undefined ? list : list.slice(0, take)).map((row) => ({ ...row }));
+    },
+
+    async count({ where } = {}) {
+      return rows.filter((r) => matches(r, where)).length;
+    },
+
+    async update({ where, data }) {
+      const row = rows.find((r) => matches(r, where));
+      if (!row) throw notFoundError();
+      return { ...applyData(row, data) };
+    },
+
+    async updateMany({ where, data }) {
+      const hits = rows.filter((r) => matches(r, where));
+      hits.forEach((row) => applyData(row, data));
+      return { count: hits.length };
+    },
+
+    async upsert({ where, update, create }) {
+      const row = rows.find((r) => matches(r, where));
+      if (row) return { ...applyData(row, update) };
+      return model.create({ data: create });
+    },
+
+    async delete({ where }) {
+      const index = rows.findIndex((r) => matches(r, where));
+      if (index === -1) throw notFoundError();
+      return rows.splice(index, 1)[0];
+    },
+
+    async deleteMany({ where } = {}) {
+      const keep = rows.filter((r) => !matches(r, where));
+      const count = rows.length - keep.length;
+      rows.splice(0, rows.length, ...keep);
+      return { count };
+    }
+  };
+  return model;
+}
+
+/**
+ * Build a fake client
+ * @param {Object} models - { [model]: { unique: [[field, ...]], defaults: Object | () => Object } }
+ * @returns {Object} - Client with one delegate per model
+ */
+function createFakePrisma(models) {
+  const db = {};
+  for (const [name, options] of Object.entries(models)) {
+    db[name] = createModel(name, options);
+  }
+
+  // No isolation or rollback: the tested code paths only need the calls to run in order
+  db.$transaction = async (operations) =>
+    typeof operations === 'function' ? operations(db) : Promise.all(operations);
+
+  return db;
+}
+
+/**
+ * Make `require('../config/database')` return a fake client for every module loaded afterwards
+ * @param {Object} models - See createFakePrisma
+ * @returns {Object} - The fake client
+ */
+function useFakePrisma(models) {
+  const db = createFakePrisma(models);
+  stubModule('../../src/config/database', db);
+  return db;
+}
+
+/**
+ * Replace a module in the require cache (path relative to this file)
+ * @param {string} path - Module path
+ * @param {*} exports - What requiring it returns
+ */
+function stubModule(path, exports) {
+  const filename = require.resolve(path);
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+module.exports = {
+  createFakePrisma,
+  useFakePrisma,
+  stubModule
+};
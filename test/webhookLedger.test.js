@@ -0,0 +1,128 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakePrisma } = require('./support/fakePrisma');
+
+const db = useFakePrisma({
+  pubsubDelivery: { defaults: () => ({ receivedAt: new Date() }) },
+  processedMessage: {
+    unique: [['userId', 'accountId', 'gmailId']],
+    defaults: { status: 'processing', botId: null, repliedBotId: null, replyJobId: null, replyClaimedAt: null, repliedAt: null }
+  }
+});
+const ledger = require('../src/services/webhookLedger');
+
+const MINUTE = 60 * 1000;
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * MINUTE);
+
+// Age a processed message row, as if its claim was taken `minutes` ago
+function age(gmailId, fields, minutes) {
+  const row = db.processedMessage.rows.find((r) => r.gmailId === gmailId);
+  for (const field of fields) row[field] = minutesAgo(minutes);
+  return row;
+}
+
+beforeEach(() => {
+  db.pubsubDelivery.rows.length = 0;
+  db.processedMessage.rows.length = 0;
+});
+
+test('a Pub/Sub delivery is handled once until it is released', async () => {
+  assert.equal(await ledger.recordDelivery('p1', { historyId: 42 }), true);
+  assert.equal(await ledger.recordDelivery('p1'), false);
+
+  await ledger.releaseDelivery('p1');
+  assert.equal(await ledger.recordDelivery('p1'), true);
+});
+
+test('a message is claimed by one run at a time', async () => {
+  const first = await ledger.claimMessage('u1', 'primary', 'm1');
+  assert.ok(first.claim);
+
+  assert.deepEqual(await ledger.claimMessage('u1', 'primary', 'm1'), { claim: null, inProgress: true });
+  // Other mailboxes have their own ledger
+  assert.ok((await ledger.claimMessage('u1', 'acc2', 'm1')).claim);
+
+  await ledger.finishMessage(first.claim, { status: 'done', actions: ['summarize'] });
+  assert.deepEqual(await ledger.claimMessage('u1', 'primary', 'm1'), { claim: null, inProgress: false });
+});
+
+test('a released message can be claimed again', async () => {
+  const { claim } = await ledger.claimMessage('u1', 'primary', 'm1');
+  await ledger.releaseMessage(claim);
+
+  assert.ok((await ledger.claimMessage('u1', 'primary', 'm1')).claim);
+});
+
+test('a stale claim is taken over and the run that lost it can no longer close or release it', async () => {
+  const { claim } = await ledger.claimMessage('u1', 'primary', 'm1');
+  const lost = { ...claim, updatedAt: age('m1', ['updatedAt'], 11).updatedAt };
+
+  const { claim: taken } = await ledger.claimMessage('u1', 'primary', 'm1');
+  assert.ok(taken);
+  assert.equal(taken.id, lost.id);
+
+  await assert.rejects(ledger.finishMessage(lost, { status: 'done' }), /taken over/);
+  await ledger.releaseMessage(lost);
+  assert.equal(db.processedMessage.rows.length, 1);
+
+  await ledger.finishMessage(taken, { status: 'done' });
+  assert.equal(db.processedMessage.rows[0].status, 'done');
+});
+
+test('a fresh claim is not taken over', async () => {
+  await ledger.claimMessage('u1', 'primary', 'm1');
+  age('m1', ['updatedAt'], 9);
+
+  assert.deepEqual(await ledger.claimMessage('u1', 'primary', 'm1'), { claim: null, inProgress: true });
+});
+
+test('a message gets one auto-reply', async () => {
+  await ledger.claimMessage('u1', 'primary', 'm1');
+
+  assert.equal(await ledger.claimReply('u1', 'primary', 'm1', 'botA', 'job1'), true);
+  assert.equal(await ledger.claimReply('u1', 'primary', 'm1', 'botB', 'job2'), false);
+  // A retry of the job holding the claim takes it back
+  assert.equal(await ledger.claimReply('u1', 'primary', 'm1', 'botA', 'job1'), true);
+
+  await ledger.markReplySent('u1', 'primary', 'm1', 'job1');
+  assert.equal(await ledger.claimReply('u1', 'primary', 'm1', 'botA', 'job1'), false);
+
+  // Once sent, the claim is final even when it is old
+  age('m1', ['replyClaimedAt'], 60);
+  assert.equal(await ledger.claimReply('u1', 'primary', 'm1', 'botB', 'job2'), false);
+});
+
+test('an unsent reply claim is taken over once stale, and the job that lost it cannot release it', async () => {
+  await ledger.claimMessage('u1', 'primary', 'm1');
+  await ledger.claimReply('u1', 'primary', 'm1', 'botA', 'job1');
+  age('m1', ['replyClaimedAt'], 11);
+
+  assert.equal(await ledger.claimReply('u1', 'primary', 'm1', 'botB', 'job2'), true);
+
+  await ledger.releaseReply('u1', 'primary', 'm1', 'job1');
+  assert.equal(db.processedMessage.rows[0].replyJobId, 'job2');
+  await ledger.markReplySent('u1', 'primary', 'm1', 'job1');
+  assert.equal(db.processedMessage.rows[0].repliedAt, null);
+});
+
+test('a released reply claim can be taken by another job', async () => {
+  await ledger.claimMessage('u1', 'primary', 'm1');
+  await ledger.claimReply('u1', 'primary', 'm1', 'botA', 'job1');
+  await ledger.releaseReply('u1', 'primary', 'm1', 'job1');
+
+  assert.equal(await ledger.claimReply('u1', 'primary', 'm1', 'botB', 'job2'), true);
+  assert.equal(db.processedMessage.rows[0].repliedBotId, 'botB');
+});
+
+test('pruneLedger drops rows past the retention window', async () => {
+  await ledger.recordDelivery('old');
+  await ledger.recordDelivery('new');
+  await ledger.claimMessage('u1', 'primary', 'old');
+  await ledger.claimMessage('u1', 'primary', 'new');
+  db.pubsubDelivery.rows.find((r) => r.id === 'old').receivedAt = minutesAgo(31 * 24 * 60);
+  age('old', ['createdAt'], 31 * 24 * 60);
+
+  assert.deepEqual(await ledger.pruneLedger(), { deliveries: 1, messages: 1 });
+  assert.deepEqual(db.pubsubDelivery.rows.map((r) => r.id), ['new']);
+  assert.deepEqual(db.processedMessage.rows.map((r) => r.gmailId), ['new']);
+});